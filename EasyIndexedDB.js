@@ -11,17 +11,208 @@
  * 
  * Copyright (c) 2025 Eduardo Gabriel Buzzi
  */
+
+/**
+ * The base class of every error EasyIndexedDB rejects with. Errors raised by IndexedDB itself are kept in `cause`.
+ * @property {string|undefined} operation - The method that failed, e.g. `insertDataObjectStore`.
+ * @property {string|undefined} store - The Object Store involved, if any.
+ * @property {string|undefined} index - The index involved, if any.
+ */
+export class EasyIndexedDBError extends Error
+{
+    /**
+     * @param {string} message - The error message.
+     * @param {{operation?: string, store?: string, index?: string, cause?: any}} [context={}] - Optional. Where the error happened, and the original error.
+     */
+    constructor(message, context = {})
+    {
+        super(message, context.cause === undefined ? undefined : { cause: context.cause });
+        this.name = "EasyIndexedDBError";
+        this.operation = context.operation;
+        this.store = context.store;
+        this.index = context.index;
+    }
+}
+
+/**
+ * Invalid arguments, or a record that does not satisfy the validator of its Object Store.
+ * @property {Array<{path: string, message: string}>} errors - For invalid records, every failing field path, `""` being the record itself.
+ */
+export class ValidationError extends EasyIndexedDBError
+{
+    constructor(message, context = {})
+    {
+        super(message, context);
+        this.name = "ValidationError";
+        this.errors = context.errors ?? [];
+    }
+}
+
+/** The database, Object Store or index does not exist. */
+export class NotFoundError extends EasyIndexedDBError
+{
+    constructor(message, context = {})
+    {
+        super(message, context);
+        this.name = "NotFoundError";
+    }
+}
+
+/**
+ * A write violates a constraint, such as a `unique` index or an existing primary key.
+ * @property {IDBValidKey|undefined} key - The offending key, when known: the record's value in the violated `index`, or its primary key.
+ */
+export class ConstraintError extends EasyIndexedDBError
+{
+    constructor(message, context = {})
+    {
+        super(message, context);
+        this.name = "ConstraintError";
+        this.key = context.key;
+    }
+}
+
+/** The browser refused the write because the origin ran out of storage space, or records exceed the limit of their Object Store by themselves. */
+export class QuotaExceededError extends EasyIndexedDBError
+{
+    constructor(message, context = {})
+    {
+        super(message, context);
+        this.name = "QuotaExceededError";
+    }
+}
+
+/** A version upgrade is blocked by a connection open in another tab. */
+export class BlockedError extends EasyIndexedDBError
+{
+    constructor(message, context = {})
+    {
+        super(message, context);
+        this.name = "BlockedError";
+    }
+}
+
+/** The requested database version is lower than the existing one. */
+export class VersionError extends EasyIndexedDBError
+{
+    constructor(message, context = {})
+    {
+        super(message, context);
+        this.name = "VersionError";
+    }
+}
+
+/** The transaction was aborted and none of its changes were saved. */
+export class AbortError extends EasyIndexedDBError
+{
+    constructor(message, context = {})
+    {
+        super(message, context);
+        this.name = "AbortError";
+    }
+}
+
+/**
+ * Synchronization with the remote endpoint failed: the request could not be sent, or the response was not a success.
+ * @property {number|undefined} status - The HTTP status of the response, if one was received.
+ */
+export class SyncError extends EasyIndexedDBError
+{
+    constructor(message, context = {})
+    {
+        super(message, context);
+        this.name = "SyncError";
+        this.status = context.status;
+    }
+}
+
 export default class EasyIndexedDB
 {
     #databaseName;
     #databaseVersion;
+    #migrations = null;
     #timezoneLastModifyDate = "America/Sao_Paulo";
     #objectStoreNameLastModifyDate = "__dbLastModified";
+    #connection = null;
+    #connectionName;
+    #storeSettings = {};
+    #pendingStoreSettings = new WeakMap();
+    #changeListeners = new Set();
+    #errorListeners = new Set();
+    #pendingChanges = new WeakMap();
+    #changeChannel = null;
+    #expiryIndexName = "__expiresAt";
+    #purgeTimer = null;
+    #validators = new Map();
+    #encryption = new Map();
+    #encryptedPropertyName = "__encrypted";
+    #backend = null;
+    #sync = null;
+    #syncLogStoreName = "__syncLog";
+    #syncStateStoreName = "__syncState";
+    #syncQueue = Promise.resolve();
+    #schemaQueue = Promise.resolve();
+    #remoteTransactions = new WeakSet();
+    #importTransactions = new WeakSet();
+    #historyStoreName = "__history";
+    #historyActor = null;
+    #historyOperations = new WeakMap();
+    #deletedPropertyName = "__deletedAt";
+    #fileStoreName = "__files";
+    #fileChunkStoreName = "__fileChunks";
+    #crcTable = null;
+    #usageStoreName = "__usage";
+    #usageClock = 0;
+    #pendingAccesses = new WeakMap();
+    #queuedAccesses = new Map();
+    #accessTimer = null;
+    #accessFlushDelay = 1000;
+    #recordKeys = new WeakMap();
+    #abortErrors = new WeakMap();
+    #searchStoreName = "__search";
+
+    /**
+     * Creates an instance. Nothing is opened until `initialize` is called.
+     * @param {{backend?: {indexedDB: IDBFactory, IDBKeyRange: typeof IDBKeyRange}}} [options={}] - Optional. The `backend` replaces the
+     * browser's `indexedDB` and `IDBKeyRange`, e.g. with the in-memory backend of `MemoryBackend.js` to run in Node.js. Defaults to the globals.
+     * @throws {ValidationError} If the backend does not provide `indexedDB` and `IDBKeyRange`.
+     */
+    constructor(options = {})
+    {
+        const { backend } = options ?? {};
+        if (backend !== undefined && (typeof backend?.indexedDB?.open !== "function" || typeof backend?.IDBKeyRange?.bound !== "function"))
+        {
+            throw new ValidationError("backend must provide indexedDB and IDBKeyRange", { operation: "constructor" });
+        }
+        this.#backend = backend ?? null;
+    }
+
+    /**
+     * The IDBFactory in use: the backend's, or the global one, read when needed so that importing the library never requires it.
+     * @private
+     * @returns {IDBFactory|undefined} The factory.
+     */
+    get #indexedDB()
+    {
+        return this.#backend ? this.#backend.indexedDB : globalThis.indexedDB;
+    }
+
+    /**
+     * The IDBKeyRange class in use: the backend's, or the global one.
+     * @private
+     * @returns {typeof IDBKeyRange} The key range class.
+     */
+    get #keyRange()
+    {
+        return this.#backend ? this.#backend.IDBKeyRange : globalThis.IDBKeyRange;
+    }
 
     /**
      * A robust, private wrapper for creating and managing an IndexedDB transaction.
      * This is the core of the library, ensuring that connections are handled safely
-     * and that operations are properly queued.
+     * and that operations are properly queued. Data operations reuse the cached connection,
+     * while schema operations close it and reopen the database with the requested version.
+     * Data operations wait for the schema changes requested before them (see `#queueSchemaChange`).
      * @private
      * @param {string} dbName - The name of the database.
      * @param {number|undefined} version - The database version to open. If undefined, opens the latest version.
@@ -31,59 +222,217 @@ export default class EasyIndexedDB
      */
     #execute(dbName, version, upgradeCallback, successCallback)
     {
-        return new Promise((resolve, reject) =>
+        if (upgradeCallback || version) { return this.#open(dbName, version, upgradeCallback, successCallback); }
+        return this.#schemaQueue.then(() => this.#open(dbName, version, upgradeCallback, successCallback));
+    }
+
+    /**
+     * Opens the database like `#execute`, without waiting for the queued schema changes. Schema changes use it for the reads
+     * they make while they are at the head of the queue, which would otherwise wait for themselves.
+     * @private
+     * @param {string} dbName - The name of the database.
+     * @param {number|undefined} version - The database version to open. If undefined, opens the latest version.
+     * @param {(db: IDBDatabase, transaction: IDBTransaction) => Promise<any>} upgradeCallback - Logic to run inside the 'onupgradeneeded' event.
+     * @param {(db: IDBDatabase) => Promise<any>} successCallback - Logic to run inside the 'onsuccess' event.
+     * @returns {Promise<any>} A promise that resolves or rejects based on the outcome of the callbacks.
+     */
+    #open(dbName, version, upgradeCallback, successCallback)
+    {
+        if (!upgradeCallback && !version && this.#connection && this.#connectionName === dbName)
         {
-            const request = version ? indexedDB.open(dbName, version) : indexedDB.open(dbName);
+            // If the cached connection failed to open (e.g. an aborted upgrade), open a fresh one.
+            return this.#connection.then(
+                db => successCallback ? successCallback(db) : true,
+                () => this.#open(dbName, version, upgradeCallback, successCallback)
+            );
+        }
 
-            request.onerror = (event) => reject(new Error(`Database error: ${event.target.error?.message}`));
-            request.onblocked = () => reject(new Error("Database connection is blocked. Please close other tabs with this application open."));
+        return new Promise((resolve, reject) =>
+        {
+            this.#closeConnection();
+            let upgraded = false;
+            let blocked = false;
 
-            request.onupgradeneeded = (event) =>
+            const connection = new Promise((resolveConnection, rejectConnection) =>
             {
-                const db = event.target.result;
-                const transaction = event.target.transaction;
-                upgradeCallback(db, transaction).then(resolve).catch(reject);
-            };
+                const request = version ? this.#indexedDB.open(dbName, version) : this.#indexedDB.open(dbName);
 
-            request.onsuccess = (event) =>
-            {
-                const db = event.target.result;
-                this.#databaseVersion = db.version;
-                if (successCallback)
+                request.onerror = (event) => rejectConnection(this.#toError(event.target.error));
+                request.onblocked = () =>
                 {
-                    successCallback(db).then(resolve).catch(reject).finally(() => db.close());
-                }
-                else
+                    blocked = true;
+                    rejectConnection(new BlockedError("Database connection is blocked. Please close other tabs with this application open."));
+                };
+
+                request.onupgradeneeded = (event) =>
                 {
-                    // If there's no success callback, it's likely an upgrade-only operation.
-                    // Close the connection and resolve.
-                    db.close();
-                    resolve(true);
-                }
+                    if (!upgradeCallback) { return; }
+                    const db = event.target.result;
+                    const transaction = event.target.transaction;
+                    upgraded = true;
+                    upgradeCallback(db, transaction).then(resolve).catch(reject);
+                };
+
+                request.onsuccess = (event) =>
+                {
+                    const db = event.target.result;
+                    // The open was already reported as blocked, so nobody is waiting for this connection.
+                    if (blocked) { return db.close(); }
+
+                    db.onversionchange = () => this.#releaseConnection(connection, db);
+                    db.onclose = () => this.#releaseConnection(connection, db);
+                    this.#loadStoreSettings(db).then(() => resolveConnection(db)).catch(rejectConnection);
+                };
+            });
+
+            this.#connection = connection;
+            this.#connectionName = dbName;
+
+            connection.then(db =>
+            {
+                this.#databaseVersion = db.version;
+                if (upgraded) { return; }
+                if (successCallback) { successCallback(db).then(resolve).catch(reject); }
+                else { resolve(true); }
+            }, error =>
+            {
+                if (this.#connection === connection) { this.#connection = null; }
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Closes the cached connection, waiting for it to finish opening if necessary.
+     * Pending transactions on the connection are allowed to complete before it closes.
+     * @private
+     * @returns {void}
+     */
+    #closeConnection()
+    {
+        const connection = this.#connection;
+        this.#connection = null;
+        this.#connectionName = undefined;
+        if (connection) { connection.then(db => db.close()).catch(() => {}); }
+    }
+
+    /**
+     * Closes a connection that another context asked to release (e.g. a version upgrade
+     * from another tab) and forgets it, so the next operation transparently reconnects.
+     * @private
+     * @param {Promise<IDBDatabase>} connection - The cached connection promise the database belongs to.
+     * @param {IDBDatabase} db - The database connection to release.
+     * @returns {void}
+     */
+    #releaseConnection(connection, db)
+    {
+        db.close();
+        if (this.#connection === connection)
+        {
+            this.#connection = null;
+            this.#connectionName = undefined;
+        }
+    }
+
+    /**
+     * Reads the per-store settings (such as key generators) saved alongside the modification date.
+     * Settings only change during version upgrades, so they are read once per connection.
+     * @private
+     * @param {IDBDatabase} db - The freshly opened database connection.
+     * @returns {Promise<void>} A promise that resolves once the settings are cached.
+     */
+    #loadStoreSettings(db)
+    {
+        return new Promise((resolve, reject) =>
+        {
+            const storeName = this.#objectStoreNameLastModifyDate;
+            this.#storeSettings = {};
+            if (!db.objectStoreNames.contains(storeName)) { return resolve(); }
+
+            const transaction = db.transaction(storeName, "readonly");
+            const request = transaction.objectStore(storeName).get("_store_settings_");
+            transaction.oncomplete = () =>
+            {
+                this.#storeSettings = request.result || {};
+                resolve();
             };
+            transaction.onerror = (e) => reject(e.target.error);
         });
     }
 
+    /**
+     * Retrieves the current version of the database through the cached connection, from within a queued schema change.
+     * @private
+     * @returns {Promise<number>} A promise that resolves with the current database version.
+     */
+    #getCurrentVersion()
+    {
+        return this.#open(this.#databaseName, undefined, null, (db) => Promise.resolve(db.version));
+    }
+
+    /**
+     * Runs a schema change once the previous ones have finished. Data operations requested in the meantime wait for it too,
+     * so that an operation always sees the schema changes requested before it, e.g. an insert into an Object Store being created.
+     * @private
+     * @param {() => Promise<any>} change - The schema change. It must read the database with `#open` rather than `#execute`.
+     * @returns {Promise<any>} A promise that resolves with the result of the change.
+     */
+    #queueSchemaChange(change)
+    {
+        const run = this.#schemaQueue.then(change);
+        this.#schemaQueue = run.catch(() => {});
+        return run;
+    }
+
     /**
      * Initializes the database connection and sets it up for subsequent operations.
+     * Instead of a version, a schema with numbered migrations can be passed. The database version is then the highest
+     * migration version, and only the migrations not applied yet run, in order, inside a single upgrade transaction.
      * @param {string} databaseName - The name for the database.
-     * @param {number} [databaseVersion] - Optional. The integer version of the database.
+     * @param {number|{migrations: object[]}} [databaseVersion] - Optional. The integer version of the database, or a schema definition. See `#applyMigrations` for the migration format.
      * @returns {Promise<string>} A promise that resolves with a success message.
      */
     initialize(databaseName, databaseVersion)
     {
-        if (!indexedDB) { return Promise.reject("Browser does not allow use of the IndexedDB to store information"); }
-        if (typeof databaseName !== "string" || !databaseName) { return Promise.reject("Database name must be a string"); }
-        
-        this.#databaseName = databaseName;
-        return this.#execute(this.#databaseName, databaseVersion, 
-            (db, transaction) =>
+        return this.#withContext({ operation: "initialize" }, () =>
+        {
+            if (!this.#indexedDB) { return Promise.reject(new EasyIndexedDBError("Browser does not allow use of the IndexedDB to store information", { operation: "initialize" })); }
+            if (typeof databaseName !== "string" || !databaseName) { return Promise.reject(new ValidationError("Database name must be a string")); }
+
+            let migrations = null;
+            if (typeof databaseVersion === "object" && databaseVersion !== null)
             {
-                this.#updateModificationDate(transaction);
-                return Promise.resolve("Database updated and initialized successfully");
-            },
-            () => Promise.resolve("Database created and/or initialized successfully")
-        );
+                try { migrations = this.#validateMigrations(databaseVersion.migrations); }
+                catch (error) { return Promise.reject(error); }
+                databaseVersion = migrations.length ? migrations[migrations.length - 1].version : undefined;
+            }
+            
+            if (this.#databaseName !== databaseName) { this.#closeChangeChannel(); }
+            this.#databaseName = databaseName;
+            this.#migrations = migrations;
+            if (this.#changeListeners.size) { this.#getChangeChannel(); }
+            return this.#queueSchemaChange(() => this.#execute(this.#databaseName, databaseVersion,
+                (db, transaction) =>
+                {
+                    this.#updateModificationDate(transaction);
+                    if (!migrations) { return Promise.resolve("Database updated and initialized successfully"); }
+
+                    // Internal Object Stores are created with the schema, since features cannot upgrade it on demand.
+                    this.#createInternalStores(db, Object.keys(this.#getOnDemandStores()));
+                    return new Promise((resolve, reject) =>
+                    {
+                        transaction.oncomplete = () => resolve("Database migrated and initialized successfully");
+                        transaction.onabort = () => reject(transaction.error ? this.#toError(transaction.error) : new AbortError("Migration was aborted"));
+                        this.#applyMigrations(db, transaction, migrations).catch(error =>
+                        {
+                            transaction.abort();
+                            reject(error);
+                        });
+                    });
+                },
+                () => Promise.resolve("Database created and/or initialized successfully")
+            ));
+        });
     }
 
     /**
@@ -93,60 +442,92 @@ export default class EasyIndexedDB
      */
     delete(databaseName)
     {
-        return new Promise((resolve, reject) =>
+        return this.#withContext({ operation: "delete" }, () =>
         {
-            const dbNameToDelete = databaseName || this.#databaseName;
-            if (!dbNameToDelete) { return reject("Database name is not valid"); }
+            return new Promise((resolve, reject) =>
+            {
+                const dbNameToDelete = databaseName || this.#databaseName;
+                if (!dbNameToDelete) { return reject(new ValidationError("Database name is not valid")); }
+                if (dbNameToDelete === this.#connectionName) { this.#closeConnection(); }
+                if (dbNameToDelete === this.#databaseName)
+                {
+                    this.#closeChangeChannel();
+                    this.#dropQueuedAccesses();
+                }
 
-            const request = indexedDB.deleteDatabase(dbNameToDelete);
-            request.onerror = (event) => reject(event.target.error.message);
-            request.onsuccess = () => resolve("Database deleted successfully");
+                const request = this.#indexedDB.deleteDatabase(dbNameToDelete);
+                request.onerror = (event) => reject(this.#toError(event.target.error));
+                request.onsuccess = () => resolve("Database deleted successfully");
+            });
         });
     }
 
+    /**
+     * Closes the cached database connection. Pending transactions are allowed to complete first.
+     * Any later operation transparently opens a new connection.
+     * @returns {Promise<string>} A promise that resolves with a success message.
+     */
+    close()
+    {
+        this.#stopScheduledPurge();
+        this.#dropQueuedAccesses();
+        this.#closeConnection();
+        this.#closeChangeChannel();
+        return Promise.resolve("Database connection closed successfully");
+    }
+
     /**
      * Creates a new Object Store within the database.
      * @param {string} objectStoreName - The name for the new Object Store.
-     * @param {Array<{name: string, unique?: boolean}>} [indexes=[]] - Optional. An array of index definitions. Example: `[{ name: 'email', unique: true }]`
+     * @param {Array<{name: string, keyPath?: string|string[], unique?: boolean, multiEntry?: boolean}>} [indexes=[]] - Optional. An array of index definitions. The `keyPath` defaults to the index name. Example: `[{ name: 'email', unique: true }, { name: 'fullName', keyPath: ['lastName', 'firstName'] }]`
+     * @param {{keyPath?: string|string[], autoIncrement?: boolean, keyGenerator?: "uuid"|"ulid"}} [options={}] - Optional. The primary key options. Defaults to out-of-line auto-incremented keys.
      * @returns {Promise<string>} A promise that resolves with a success message, or a message indicating the store already exists.
      */
-    createObjectStore(objectStoreName, indexes = [])
+    createObjectStore(objectStoreName, indexes = [], options = {})
     {
-        return new Promise(async (resolve, reject) =>
+        return this.#withContext({ operation: "createObjectStore", store: objectStoreName }, () =>
         {
-            if (typeof objectStoreName !== "string" || !objectStoreName) { return reject("objectStoreName must be a non-empty string"); }
-            
-            // A more compatible way to get the version is to open a connection without a version number.
-            const dbInfo = await indexedDB.databases().then(dbs => dbs.find(db => db.name === this.#databaseName));
-            const currentVersion = dbInfo ? dbInfo.version : 0;
-            const newVersion = currentVersion + 1;
-
-            this.#execute(this.#databaseName, newVersion, (db, transaction) =>
+            return this.#queueSchemaChange(() => new Promise(async (resolve, reject) =>
             {
-                // Check for existence inside 'onupgradeneeded' to be more efficient.
-                if (db.objectStoreNames.contains(objectStoreName))
+                if (typeof objectStoreName !== "string" || !objectStoreName) { return reject(new ValidationError("objectStoreName must be a non-empty string")); }
+
+                let storeOptions;
+                try
                 {
-                    // If the store exists, abort the transaction to prevent an empty version bump.
-                    transaction.abort();
-                    resolve(`Object Store '${objectStoreName}' already exist in the database`);
-                    return Promise.resolve(); // Return a resolved promise to satisfy the chain.
+                    storeOptions = this.#normalizeStoreOptions(options);
+                    this.#validateIndexes(indexes);
                 }
+                catch (error) { return reject(error); }
+                
+                let currentVersion;
+                try { currentVersion = await this.#getCurrentVersion(); }
+                catch (error) { return reject(error); }
+                const newVersion = currentVersion + 1;
 
-                const objectStore = db.createObjectStore(objectStoreName, { autoIncrement: true });
-                for (const index of indexes)
+                this.#execute(this.#databaseName, newVersion, (db, transaction) =>
                 {
-                    if (index && typeof index.name === 'string')
+                    // Check for existence inside 'onupgradeneeded' to be more efficient.
+                    if (db.objectStoreNames.contains(objectStoreName))
                     {
-                        objectStore.createIndex(index.name, index.name, { unique: !!index.unique });
+                        // If the store exists, abort the transaction to prevent an empty version bump.
+                        transaction.abort();
+                        resolve(`Object Store '${objectStoreName}' already exist in the database`);
+                        return Promise.resolve(); // Return a resolved promise to satisfy the chain.
                     }
-                }
-                this.#updateModificationDate(transaction);
-                return Promise.resolve("Object Store created successfully");
-            }).then(resolve).catch(err =>
-            {
-                // A transaction abort is not a "real" error in this context, so we suppress it.
-                if (err.name !== "AbortError") { reject(err); }
-            });
+
+                    const { keyGenerator, ...nativeOptions } = storeOptions;
+                    const objectStore = db.createObjectStore(objectStoreName, nativeOptions);
+                    for (const index of indexes) { this.#createIndex(objectStore, index); }
+                    this.#createIndex(objectStore, { name: this.#expiryIndexName });
+                    this.#updateModificationDate(transaction);
+                    this.#saveStoreSettings(transaction, objectStoreName, keyGenerator ? { keyGenerator } : null);
+                    return Promise.resolve("Object Store created successfully");
+                }).then(resolve).catch(err =>
+                {
+                    // A transaction abort is not a "real" error in this context, so we suppress it.
+                    if (err.name !== "AbortError") { reject(err); }
+                });
+            }));
         });
     }
 
@@ -157,21 +538,28 @@ export default class EasyIndexedDB
      */
     deleteObjectStore(objectStoreName)
     {
-        return new Promise(async (resolve, reject) =>
+        return this.#withContext({ operation: "deleteObjectStore", store: objectStoreName }, () =>
         {
-            if (typeof objectStoreName !== "string" || !objectStoreName) { return reject("objectStoreName must be a non-empty string"); }
+            return this.#queueSchemaChange(() => new Promise(async (resolve, reject) =>
+            {
+                if (typeof objectStoreName !== "string" || !objectStoreName) { return reject(new ValidationError("objectStoreName must be a non-empty string")); }
 
-            const dbInfo = await indexedDB.databases().then(dbs => dbs.find(db => db.name === this.#databaseName));
-            const currentVersion = dbInfo ? dbInfo.version : 0;
-            if (!currentVersion) { return reject(`Database '${this.#databaseName}' does not exist.`); }
+                let currentVersion;
+                try { currentVersion = await this.#getCurrentVersion(); }
+                catch (error) { return reject(error); }
+                if (!currentVersion) { return reject(new NotFoundError(`Database '${this.#databaseName}' does not exist.`)); }
 
-            const newVersion = currentVersion + 1;
-            this.#execute(this.#databaseName, newVersion, (db, transaction) =>
-            {
-                if (db.objectStoreNames.contains(objectStoreName)) { db.deleteObjectStore(objectStoreName); }
-                this.#updateModificationDate(transaction);
-                return Promise.resolve("Object Store deleted successfully");
-            }).then(resolve).catch(reject);
+                const newVersion = currentVersion + 1;
+                this.#execute(this.#databaseName, newVersion, (db, transaction) =>
+                {
+                    if (db.objectStoreNames.contains(objectStoreName)) { db.deleteObjectStore(objectStoreName); }
+                    [this.#usageStoreName, this.#searchStoreName].filter(name => db.objectStoreNames.contains(name))
+                        .forEach(name => transaction.objectStore(name).delete(this.#getEntriesRange(objectStoreName)));
+                    this.#updateModificationDate(transaction);
+                    this.#saveStoreSettings(transaction, objectStoreName, null);
+                    return Promise.resolve("Object Store deleted successfully");
+                }).then(resolve).catch(reject);
+            }));
         });
     }
 
@@ -179,42 +567,44 @@ export default class EasyIndexedDB
      * Inserts a single data object into an Object Store.
      * @param {string} objectStoreName - The target Object Store's name.
      * @param {object} value - The object to be stored.
+     * @param {{ttl?: number, expiresAt?: Date|number}} [options={}] - Optional. A time to live in milliseconds, or an expiry date.
+     * Expired records are skipped by reads and removed by `purgeExpired`.
      * @returns {Promise<IDBValidKey>} A promise that resolves with the key of the newly added record.
      */
-    insertDataObjectStore(objectStoreName, value)
+    insertDataObjectStore(objectStoreName, value, options = {})
     {
-        if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject("objectStoreName must be a non-empty string"); }
-        if (typeof value !== 'object' || value === null) { return Promise.reject("Value must be an object."); }
-
-        return this.#execute(this.#databaseName, undefined, null, (db) => new Promise((resolve, reject) =>
+        return this.#withContext({ operation: "insertDataObjectStore", store: objectStoreName }, () =>
         {
-            const transaction = db.transaction(objectStoreName, "readwrite");
-            const request = transaction.objectStore(objectStoreName).add(value);
-            request.onerror = (e) => reject(e.target.error);
-            transaction.oncomplete = () => resolve(request.result);
-        }));
+            if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+            if (this.#encryption.has(objectStoreName))
+            {
+                return this.#encryptRecords(objectStoreName, [value]).then(([record]) =>
+                    this.#runTransaction(objectStoreName, "readwrite", (transaction) => this.#insertRecord(transaction, objectStoreName, record, options)));
+            }
+            return this.#runTransaction(objectStoreName, "readwrite", (transaction) => this.#insertRecord(transaction, objectStoreName, value, options));
+        });
     }
 
     /**
      * Inserts an array of data objects in a single, efficient transaction.
      * @param {string} objectStoreName - The target Object Store's name.
      * @param {object[]} [values=[]] - An array of objects to be stored.
+     * @param {{ttl?: number, expiresAt?: Date|number}} [options={}] - Optional. A time to live in milliseconds, or an expiry date, applied to every record.
      * @returns {Promise<true>} A promise that resolves to `true` on successful insertion.
      */
-    insertMultipleDataObjectStore(objectStoreName, values = [])
+    insertMultipleDataObjectStore(objectStoreName, values = [], options = {})
     {
-        if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject("objectStoreName must be a non-empty string"); }
-        if (!Array.isArray(values)) { return Promise.reject("Values must be an array."); }
-        if (!values.length) { return Promise.resolve(true); }
-
-        return this.#execute(this.#databaseName, undefined, null, (db) => new Promise((resolve, reject) =>
+        return this.#withContext({ operation: "insertMultipleDataObjectStore", store: objectStoreName }, () =>
         {
-            const transaction = db.transaction(objectStoreName, "readwrite");
-            const store = transaction.objectStore(objectStoreName);
-            values.forEach(value => store.add(value));
-            transaction.oncomplete = () => resolve(true);
-            transaction.onerror = (e) => reject(e.target.error);
-        }));
+            if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+            if (Array.isArray(values) && !values.length) { return Promise.resolve(true); }
+            if (this.#encryption.has(objectStoreName))
+            {
+                return this.#encryptRecords(objectStoreName, values).then(records =>
+                    this.#runTransaction(objectStoreName, "readwrite", (transaction) => this.#insertRecords(transaction, objectStoreName, records, undefined, options)));
+            }
+            return this.#runTransaction(objectStoreName, "readwrite", (transaction) => this.#insertRecords(transaction, objectStoreName, values, undefined, options));
+        });
     }
 
     /**
@@ -223,148 +613,254 @@ export default class EasyIndexedDB
      * @param {string} indexName - The name of the index to search in.
      * @param {any} value - The value to search for within the index.
      * @param {string[]} [arraySpecificIndexes=[]] - Optional. An array of property names to return. If empty, returns the full object.
+     * @param {{include?: string|string[]}} [options={}] - Optional. `include` names the relations whose related records are added to each record,
+     * read in the same transaction. See `setRelations`.
      * @returns {Promise<object|null>} A promise that resolves with the found object, or `null` if no record is found.
      */
-    selectDataObjectStore(objectStoreName, indexName, value, arraySpecificIndexes = [])
+    selectDataObjectStore(objectStoreName, indexName, value, arraySpecificIndexes = [], options = {})
     {
-        if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject("objectStoreName must be a non-empty string"); }
-        if (typeof indexName !== "string" || !indexName) { return Promise.reject("indexName must be a non-empty string"); }
-
-        return this.#execute(this.#databaseName, undefined, null, (db) => new Promise((resolve, reject) =>
+        return this.#withContext({ operation: "selectDataObjectStore", store: objectStoreName, index: indexName }, () =>
         {
-            const transaction = db.transaction(objectStoreName, "readonly");
-            const store = transaction.objectStore(objectStoreName);
-            if (!store.indexNames.contains(indexName)) { return reject(new Error(`Index '${indexName}' not found.`)); }
-            
-            const request = store.index(indexName).get(value);
-            transaction.oncomplete = () =>
+            if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+            const relations = this.#getIncludedRelations(objectStoreName, options.include);
+            if (this.#includesEncrypted(objectStoreName, relations))
             {
-                const record = request.result;
-                if (!record) { return resolve(null); }
-                if (!arraySpecificIndexes || !arraySpecificIndexes.length) { return resolve(record); }
-                
-                const filteredRecord = {};
-                for (const index of arraySpecificIndexes)
-                {
-                    if (index in record) filteredRecord[index] = record[index];
-                }
-                resolve(Object.keys(filteredRecord).length ? filteredRecord : null);
-            };
-            transaction.onerror = (e) => reject(e.target.error);
-        }));
+                return this.#readThenInclude(relations, arraySpecificIndexes, (fields) => this.#encryption.has(objectStoreName)
+                    ? this.#selectEncrypted(objectStoreName, indexName, value, fields)
+                    : this.#runTransaction(objectStoreName, "readonly", (transaction) => this.#selectRecord(transaction, objectStoreName, indexName, value, fields)));
+            }
+            return this.#runTransaction(objectStoreName, "readonly", (transaction) => this.#readIncluding(transaction, objectStoreName, options.include, arraySpecificIndexes,
+                (fields) => this.#selectRecord(transaction, objectStoreName, indexName, value, fields)));
+        });
     }
 
     /**
      * Selects all records from an Object Store.
      * @param {string} objectStoreName - The target Object Store's name.
      * @param {string[]} [indexes=[]] - Optional. An array of property names to include in each returned object.
+     * @param {{include?: string|string[]}} [options={}] - Optional. `include` names the relations whose related records are added to each record,
+     * read in the same transaction. See `setRelations`.
      * @returns {Promise<object[]>} A promise that resolves with an array of all found objects.
      */
-    selectAllDataObjectStore(objectStoreName, indexes = [])
+    selectAllDataObjectStore(objectStoreName, indexes = [], options = {})
     {
-        if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject("objectStoreName must be a non-empty string"); }
+        return this.#withContext({ operation: "selectAllDataObjectStore", store: objectStoreName }, () =>
+        {
+            if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+            const relations = this.#getIncludedRelations(objectStoreName, options.include);
+            if (this.#includesEncrypted(objectStoreName, relations))
+            {
+                return this.#readThenInclude(relations, indexes, (fields) => this.#encryption.has(objectStoreName)
+                    ? this.#runTransaction(objectStoreName, "readonly", (transaction) => this.#selectAllRecords(transaction, objectStoreName, []))
+                        .then(records => this.#decryptRecords(objectStoreName, records, fields))
+                        .then(records => records.filter(record => record !== null))
+                    : this.#runTransaction(objectStoreName, "readonly", (transaction) => this.#selectAllRecords(transaction, objectStoreName, fields)));
+            }
+            return this.#runTransaction(objectStoreName, "readonly", (transaction) => this.#readIncluding(transaction, objectStoreName, options.include, indexes,
+                (fields) => this.#selectAllRecords(transaction, objectStoreName, fields)));
+        });
+    }
 
-        return this.#execute(this.#databaseName, undefined, null, (db) => new Promise((resolve, reject) =>
+    /**
+     * Queries an Object Store by a key range on an index (or on the primary key), with ordering, pagination and extra filters.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {object} [options={}] - Optional. The query options.
+     * @param {string} [options.index] - The name of the index to query. If omitted, the range applies to the primary key.
+     * @param {{equals?: any, gt?: any, gte?: any, lt?: any, lte?: any, between?: [any, any], startsWith?: string}} [options.range] - The key range to match. If omitted, matches every record.
+     * @param {"asc"|"desc"} [options.direction="asc"] - The order in which records are returned.
+     * @param {number} [options.limit] - The maximum number of records to return, a non-negative integer.
+     * @param {number} [options.offset=0] - The number of matching records to skip, a non-negative integer.
+     * @param {((record: object) => boolean)|Array<(record: object) => boolean>} [options.filters] - Extra predicates, usually on non-indexed fields, that every returned record must satisfy.
+     * @param {string[]} [options.fields=[]] - An array of property names to include in each returned object.
+     * @param {string|string[]} [options.include] - The relations whose related records are added to each record. See `setRelations`.
+     * @returns {Promise<object[]>} A promise that resolves with an array of the matching objects.
+     */
+    queryDataObjectStore(objectStoreName, options = {})
+    {
+        return this.#withContext({ operation: "queryDataObjectStore", store: objectStoreName }, () =>
         {
-            const transaction = db.transaction(objectStoreName, "readonly");
-            const request = transaction.objectStore(objectStoreName).getAll();
-            
-            transaction.oncomplete = () =>
+            if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+            const relations = this.#getIncludedRelations(objectStoreName, options.include);
+            if (this.#includesEncrypted(objectStoreName, relations))
             {
-                const allRecords = request.result;
-                if (!indexes || !indexes.length) { return resolve(allRecords); }
+                return this.#readThenInclude(relations, options.fields, (fields) => this.#encryption.has(objectStoreName)
+                    ? this.#queryEncrypted(objectStoreName, { ...options, fields })
+                    : this.#runTransaction(objectStoreName, "readonly", (transaction) => this.#queryRecords(transaction, objectStoreName, { ...options, fields })));
+            }
+            return this.#runTransaction(objectStoreName, "readonly", (transaction) => this.#readIncluding(transaction, objectStoreName, options.include, options.fields,
+                (fields) => this.#queryRecords(transaction, objectStoreName, { ...options, fields })));
+        });
+    }
+
+    /**
+     * Selects one page of records, using a continuation token instead of an offset so that large stores
+     * can be read page by page without scanning the skipped records again.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {object} [options={}] - Optional. The page options.
+     * @param {string} [options.index] - The name of the index to read in. If omitted, records are read in primary key order.
+     * @param {{equals?: any, gt?: any, gte?: any, lt?: any, lte?: any, between?: [any, any], startsWith?: string}} [options.range] - The key range to match. If omitted, matches every record.
+     * @param {"asc"|"desc"} [options.direction="asc"] - The order in which records are returned.
+     * @param {number} [options.pageSize=100] - The maximum number of records in the page.
+     * @param {object|null} [options.after=null] - The `nextToken` of the previous page. If omitted, reads the first page.
+     * @param {((record: object) => boolean)|Array<(record: object) => boolean>} [options.filters] - Extra predicates that every returned record must satisfy.
+     * @param {string[]} [options.fields=[]] - An array of property names to include in each returned object.
+     * @param {string|string[]} [options.include] - The relations whose related records are added to each record. See `setRelations`.
+     * @returns {Promise<{records: object[], nextToken: object|null}>} A promise that resolves with the page and the opaque token of the next page, or `null` if there are no more records.
+     */
+    selectPageDataObjectStore(objectStoreName, options = {})
+    {
+        return this.#withContext({ operation: "selectPageDataObjectStore", store: objectStoreName }, () =>
+        {
+            if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
 
-                const filteredRecords = allRecords.map(record =>
+            const relations = this.#getIncludedRelations(objectStoreName, options.include);
+            if (this.#includesEncrypted(objectStoreName, relations))
+            {
+                let nextToken = null;
+                return this.#readThenInclude(relations, options.fields, (fields) =>
                 {
-                    const filteredRecord = {};
-                    for (const index of indexes)
-                    {
-                        if (index in record) filteredRecord[index] = record[index];
-                    }
-                    return filteredRecord;
-                }).filter(record => Object.keys(record).length > 0);
-                
-                resolve(filteredRecords);
-            };
-            transaction.onerror = (e) => reject(e.target.error);
-        }));
+                    const pageOptions = { ...options, fields, include: undefined };
+                    return (this.#encryption.has(objectStoreName) ? this.#selectPageEncrypted(objectStoreName, pageOptions) : this.#readPage(objectStoreName, pageOptions))
+                        .then(page => { nextToken = page.nextToken; return page.records; });
+                }).then(records => ({ records, nextToken }));
+            }
+            return this.#readPage(objectStoreName, options);
+        });
+    }
+
+    /**
+     * Iterates over the records of an Object Store, reading them in batches so that the whole store is never held in memory.
+     * Each batch is read in its own transaction. Usage: `for await (const record of db.iterate("users")) { ... }`.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {object} [options={}] - Optional. The same options as `selectPageDataObjectStore`, with `batchSize` in place of `pageSize`.
+     * @param {number} [options.batchSize=100] - The number of records read per transaction.
+     * @returns {AsyncGenerator<object>} An async iterator over the matching records.
+     */
+    async *iterate(objectStoreName, options = {})
+    {
+        const { batchSize = 100, ...pageOptions } = options;
+        let after = null;
+
+        do
+        {
+            const page = await this.selectPageDataObjectStore(objectStoreName, { ...pageOptions, pageSize: batchSize, after });
+            yield* page.records;
+            after = page.nextToken;
+        }
+        while (after !== null);
     }
 
     /**
      * Updates the structure of an existing Object Store by adding, removing, or renaming indexes in a single transaction.
+     * If `storeOptions` changes the primary key (`keyPath` or `autoIncrement`), the Object Store is recreated and its data and indexes are copied over.
      * @param {string} objectStoreName - The name of the Object Store to update.
-     * @param {Array<{name: string, unique?: boolean}>} [arrayObjIndexesToAdd=[]] - Indexes to add.
+     * @param {Array<{name: string, keyPath?: string|string[], unique?: boolean, multiEntry?: boolean}>} [arrayObjIndexesToAdd=[]] - Indexes to add.
      * @param {string[]} [arrayIndexesToRemove=[]] - Names of indexes to remove.
-     * @param {Array<{oldName: string, newName: string, unique?: boolean}>} [arrayObjChangeIndexesName=[]] - Indexes to rename. Data will be migrated automatically.
+     * @param {Array<{oldName: string, newName: string, unique?: boolean, multiEntry?: boolean}>} [arrayObjChangeIndexesName=[]] - Indexes to rename. Data will be migrated automatically.
+     * A renamed index keeps the key path of the old one, and its `unique` and `multiEntry` flags unless they are given.
+     * @param {{keyPath?: string|string[], autoIncrement?: boolean, keyGenerator?: "uuid"|"ulid"}|null} [storeOptions=null] - Optional. New primary key options. If omitted, the current ones are kept.
      * @returns {Promise<string>} A promise that resolves with a success message.
      */
-    updateStructureObjectStore(objectStoreName, arrayObjIndexesToAdd = [], arrayIndexesToRemove = [], arrayObjChangeIndexesName = [])
+    updateStructureObjectStore(objectStoreName, arrayObjIndexesToAdd = [], arrayIndexesToRemove = [], arrayObjChangeIndexesName = [], storeOptions = null)
     {
-        return new Promise(async (resolve, reject) =>
+        return this.#withContext({ operation: "updateStructureObjectStore", store: objectStoreName }, () =>
         {
-            const dbInfo = await indexedDB.databases().then(dbs => dbs.find(db => db.name === this.#databaseName));
-            const currentVersion = dbInfo ? dbInfo.version : 0;
-            if (!currentVersion) { return reject(`Database '${this.#databaseName}' does not exist.`); }
-
-            const newVersion = currentVersion + 1;
-            let allData = [];
-            const needsDataMigration = arrayObjChangeIndexesName && arrayObjChangeIndexesName.length > 0;
-
-            if (needsDataMigration)
+            return this.#queueSchemaChange(() => new Promise(async (resolve, reject) =>
             {
-                try { allData = await this.selectAllDataObjectStore(objectStoreName); }
-                catch (error) { return reject(error); }
-            }
+                let newStoreOptions = null;
+                try
+                {
+                    if (storeOptions !== null) { newStoreOptions = this.#normalizeStoreOptions(storeOptions); }
+                    this.#validateIndexes(arrayObjIndexesToAdd);
+                }
+                catch (error) { return reject(error); }
 
-            this.#execute(this.#databaseName, newVersion, (db, transaction) => new Promise((res, rej) =>
-            {
-                const store = transaction.objectStore(objectStoreName);
+                let currentVersion;
+                try { currentVersion = await this.#getCurrentVersion(); }
+                catch (error) { return reject(error); }
+                if (!currentVersion) { return reject(new NotFoundError(`Database '${this.#databaseName}' does not exist.`)); }
 
-                arrayObjIndexesToAdd.forEach(idx =>
-                {
-                    if (!store.indexNames.contains(idx.name)) { store.createIndex(idx.name, idx.name, { unique: !!idx.unique }); }
-                });
-                
-                arrayIndexesToRemove.forEach(name =>
-                {
-                    if (store.indexNames.contains(name)) { store.deleteIndex(name); }
-                });
-                
-                arrayObjChangeIndexesName.forEach(change =>
-                {
-                    if (store.indexNames.contains(change.oldName)) { store.deleteIndex(change.oldName); }
-                    if (!store.indexNames.contains(change.newName)) { store.createIndex(change.newName, change.newName, { unique: !!change.unique }); }
-                });
+                const newVersion = currentVersion + 1;
+                const needsDataMigration = arrayObjChangeIndexesName && arrayObjChangeIndexesName.length > 0;
 
-                if (needsDataMigration && allData.length > 0)
+                this.#execute(this.#databaseName, newVersion, (db, transaction) => new Promise((res, rej) =>
                 {
-                    store.clear().onsuccess = () =>
+                    transaction.oncomplete = () => res("Object Store updated successfully");
+                    transaction.onerror = (e) => rej(e.target.error);
+
+                    const store = transaction.objectStore(objectStoreName);
+                    const needsRecreation = newStoreOptions !== null &&
+                        (JSON.stringify(store.keyPath) !== JSON.stringify(newStoreOptions.keyPath ?? null) || store.autoIncrement !== newStoreOptions.autoIncrement);
+
+                    this.#updateModificationDate(transaction);
+                    if (newStoreOptions !== null)
+                    {
+                        this.#setStoreSetting(transaction, objectStoreName, "keyGenerator", newStoreOptions.keyGenerator);
+                    }
+
+                    if (!needsDataMigration && !needsRecreation)
                     {
-                        allData.forEach(record =>
+                        this.#applyIndexChanges(store, arrayObjIndexesToAdd, arrayIndexesToRemove, arrayObjChangeIndexesName);
+                        return;
+                    }
+
+                    // Read every record with its primary key inside the upgrade transaction, so keys are preserved.
+                    const valuesRequest = store.getAll();
+                    const keysRequest = store.getAllKeys();
+                    keysRequest.onsuccess = () =>
+                    {
+                        const allData = valuesRequest.result;
+                        const allKeys = keysRequest.result;
+                        let targetStore = store;
+
+                        if (needsRecreation)
                         {
-                            const newRecord = { ...record };
-                            arrayObjChangeIndexesName.forEach(change =>
+                            const existingIndexes = Array.from(store.indexNames).map(name =>
                             {
-                                if (change.oldName in newRecord)
+                                const index = store.index(name);
+                                return { name, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+                            });
+                            db.deleteObjectStore(objectStoreName);
+                            const { keyGenerator, ...nativeOptions } = newStoreOptions;
+                            targetStore = db.createObjectStore(objectStoreName, nativeOptions);
+                            existingIndexes.forEach(index => this.#createIndex(targetStore, index));
+                        }
+                        else { targetStore.clear(); }
+
+                        this.#applyIndexChanges(targetStore, arrayObjIndexesToAdd, arrayIndexesToRemove, arrayObjChangeIndexesName);
+
+                        try
+                        {
+                            allData.forEach((record, position) =>
+                            {
+                                const newRecord = { ...record };
+                                arrayObjChangeIndexesName.forEach(change =>
                                 {
-                                    newRecord[change.newName] = newRecord[change.oldName];
-                                    delete newRecord[change.oldName];
-                                }
+                                    if (change.oldName in newRecord)
+                                    {
+                                        newRecord[change.newName] = newRecord[change.oldName];
+                                        delete newRecord[change.oldName];
+                                    }
+                                });
+
+                                if (targetStore.keyPath !== null) { targetStore.put(...this.#prepareRecord(targetStore, newRecord, newStoreOptions?.keyGenerator)); }
+                                else if (needsRecreation && newStoreOptions.autoIncrement) { targetStore.put(newRecord); }
+                                else { targetStore.put(newRecord, allKeys[position]); }
                             });
-                            store.put(newRecord);
-                        });
+                        }
+                        catch (error)
+                        {
+                            transaction.abort();
+                            rej(error);
+                        }
                     };
-                }
-                
-                this.#updateModificationDate(transaction);
-                transaction.oncomplete = () => res("Object Store updated successfully");
-                transaction.onerror = (e) => rej(e.target.error);
-            })).then(resolve).catch(reject);
+                })).then(resolve).catch(reject);
+            }));
         });
     }
 
     /**
-     * Updates one or more records in an Object Store that match a specific condition.
+     * Updates one or more records in an Object Store that match a specific condition. Expired and deleted records are left unchanged.
      * @param {string} objectStoreName - The target Object Store's name.
      * @param {string} index - The property name to use for matching records.
      * @param {any} currentValue - The value to match against the `index` property.
@@ -375,37 +871,20 @@ export default class EasyIndexedDB
      */
     updateDataObjectStore(objectStoreName, index, currentValue, newValue, changeValueFromCurrentValue = true, arrayObjIndexValue = [])
     {
-        return this.#execute(this.#databaseName, undefined, null, (db) => new Promise((resolve, reject) =>
+        return this.#withContext({ operation: "updateDataObjectStore", store: objectStoreName }, () =>
         {
-            const transaction = db.transaction(objectStoreName, "readwrite");
-            const store = transaction.objectStore(objectStoreName);
-            const cursorRequest = store.openCursor();
-            
-            cursorRequest.onsuccess = (e) =>
+            if (this.#encryption.has(objectStoreName))
             {
-                const cursor = e.target.result;
-                if (cursor)
+                return this.#rewriteEncryptedRecords(objectStoreName, { where: record => record[index] === currentValue }, async (matching) =>
                 {
-                    if (cursor.value[index] === currentValue)
-                    {
-                        const recordToUpdate = { ...cursor.value };
-                        if (changeValueFromCurrentValue) recordToUpdate[index] = newValue;
-                        if (arrayObjIndexValue.length)
-                        {
-                            for (const item of arrayObjIndexValue)
-                            {
-                                if (item.index in recordToUpdate) recordToUpdate[item.index] = item.value;
-                            }
-                        }
-                        cursor.update(recordToUpdate);
-                    }
-                    cursor.continue();
-                }
-            };
-            
-            transaction.oncomplete = () => resolve("Data was updated successfully");
-            transaction.onerror = (e) => reject(e.target.error);
-        }));
+                    const records = matching.map(({ record }) => this.#applyIndexValueChanges(record, index, newValue, changeValueFromCurrentValue, arrayObjIndexValue));
+                    await this.#putEncrypted(objectStoreName, records, matching.map(({ key }) => key));
+                    return "Data was updated successfully";
+                });
+            }
+            return this.#runTransaction(objectStoreName, "readwrite", (transaction) =>
+                this.#updateRecords(transaction, objectStoreName, index, currentValue, newValue, changeValueFromCurrentValue, arrayObjIndexValue));
+        });
     }
 
     /**
@@ -418,28 +897,15 @@ export default class EasyIndexedDB
      */
     deleteDataObjectStore(objectStoreName, indexName, value, deleteAllOccurrences = false)
     {
-        return this.#execute(this.#databaseName, undefined, null, (db) => new Promise((resolve, reject) =>
+        return this.#withContext({ operation: "deleteDataObjectStore", store: objectStoreName, index: indexName }, () =>
         {
-            const transaction = db.transaction(objectStoreName, "readwrite");
-            const store = transaction.objectStore(objectStoreName);
-            if (!store.indexNames.contains(indexName)) { return reject(new Error(`Index '${indexName}' not found.`)); }
-
-            const index = store.index(indexName);
-            const cursorRequest = index.openKeyCursor(IDBKeyRange.only(value));
-
-            cursorRequest.onsuccess = (e) =>
+            if (this.#encryption.has(objectStoreName))
             {
-                const cursor = e.target.result;
-                if (cursor)
-                {
-                    store.delete(cursor.primaryKey);
-                    if (deleteAllOccurrences) cursor.continue();
-                }
-            };
-
-            transaction.oncomplete = () => resolve("Data was deleted successfully");
-            transaction.onerror = (e) => reject(e.target.error);
-        }));
+                return this.#toStoredIndexValue(objectStoreName, indexName, value).then(storedValue =>
+                    this.#runTransaction(objectStoreName, "readwrite", (transaction) => this.#deleteRecords(transaction, objectStoreName, indexName, storedValue, deleteAllOccurrences)));
+            }
+            return this.#runTransaction(objectStoreName, "readwrite", (transaction) => this.#deleteRecords(transaction, objectStoreName, indexName, value, deleteAllOccurrences));
+        });
     }
 
     /**
@@ -449,13 +915,10 @@ export default class EasyIndexedDB
      */
     deleteAllDataObjectStore(objectStoreName)
     {
-        return this.#execute(this.#databaseName, undefined, null, (db) => new Promise((resolve, reject) =>
+        return this.#withContext({ operation: "deleteAllDataObjectStore", store: objectStoreName }, () =>
         {
-            const transaction = db.transaction(objectStoreName, "readwrite");
-            transaction.objectStore(objectStoreName).clear();
-            transaction.oncomplete = () => resolve(`All data were removed from '${objectStoreName}'`);
-            transaction.onerror = (e) => reject(e.target.error);
-        }));
+            return this.#runTransaction(objectStoreName, "readwrite", (transaction) => this.#clearRecords(transaction, objectStoreName));
+        });
     }
 
     /**
@@ -465,59 +928,5399 @@ export default class EasyIndexedDB
      */
     cleanObjectStore(objectStoreName) { return this.deleteAllDataObjectStore(objectStoreName); }
 
+    /**
+     * Updates every record matching some criteria and reports which records changed.
+     * When the criteria name an index (or compare an indexed field by equality), only the matching index range is read.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {{index?: string, range?: object, where?: object|((record: object) => boolean)}} criteria - The records to update: an index and
+     * a range (same format as `queryDataObjectStore`), and/or `where`, a predicate or an object of property paths and expected values (e.g. `{ "address.city": "Lisbon" }`).
+     * @param {object|((record: object) => object|void)} changes - An object of property paths and new values (e.g. `{ status: "archived", "meta.archivedBy": "admin" }`),
+     * which may add new properties, or an updater function that receives a copy of each record and returns the new record (or modifies the copy and returns nothing).
+     * @returns {Promise<{count: number, keys: IDBValidKey[]}>} A promise that resolves with the number and primary keys of the updated records.
+     */
+    updateWhere(objectStoreName, criteria, changes)
+    {
+        return this.#withContext({ operation: "updateWhere", store: objectStoreName }, () =>
+        {
+            if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+            if (this.#encryption.has(objectStoreName))
+            {
+                if (typeof changes !== "function" && (typeof changes !== "object" || changes === null)) { return Promise.reject(new ValidationError("changes must be an object or a function")); }
+                return this.#rewriteEncryptedRecords(objectStoreName, criteria, async (matching) =>
+                {
+                    const keys = matching.map(({ key }) => key);
+                    await this.#putEncrypted(objectStoreName, matching.map(({ record }) => this.#applyChanges(record, changes)), keys);
+                    return { count: keys.length, keys };
+                });
+            }
+            return this.#runTransaction(objectStoreName, "readwrite", (transaction) => this.#updateWhere(transaction, objectStoreName, criteria, changes));
+        });
+    }
 
-    // --- Last Modification Date Methods ---
+    /**
+     * Deletes every record matching some criteria and reports which records were deleted.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {{index?: string, range?: object, where?: object|((record: object) => boolean)}} criteria - The records to delete. See `updateWhere`.
+     * @returns {Promise<{count: number, keys: IDBValidKey[]}>} A promise that resolves with the number and primary keys of the deleted records.
+     */
+    deleteWhere(objectStoreName, criteria)
+    {
+        return this.#withContext({ operation: "deleteWhere", store: objectStoreName }, () =>
+        {
+            if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+            if (this.#encryption.has(objectStoreName))
+            {
+                return this.#rewriteEncryptedRecords(objectStoreName, criteria, async (matching) =>
+                {
+                    const keys = matching.map(({ key }) => key);
+                    if (keys.length) { await this.#runTransaction(objectStoreName, "readwrite", (transaction) => this.#deleteRecordsByKey(transaction, objectStoreName, keys)); }
+                    return { count: keys.length, keys };
+                });
+            }
+            return this.#runTransaction(objectStoreName, "readwrite", (transaction) => this.#deleteWhere(transaction, objectStoreName, criteria));
+        });
+    }
 
     /**
-     * Sets the name of the Object Store used to track the last modification date.
-     * @param {string} objectStoreName - The new name for the tracking Object Store.
-     * @returns {void}
+     * Selects a single record by its primary key.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {IDBValidKey} key - The primary key of the record.
+     * @param {string[]} [fields=[]] - Optional. An array of property names to return. If empty, returns the full object.
+     * @param {{include?: string|string[]}} [options={}] - Optional. `include` names the relations whose related records are added to the record.
+     * See `setRelations`.
+     * @returns {Promise<object|null>} A promise that resolves with the found object, or `null` if no record has this key.
      */
-    setObjectStoreNameLastModifyDate(objectStoreName)
+    getByKey(objectStoreName, key, fields = [], options = {})
     {
-        if (typeof objectStoreName === "string" && objectStoreName.length) { this.#objectStoreNameLastModifyDate = objectStoreName; }
+        return this.#withContext({ operation: "getByKey", store: objectStoreName }, () =>
+        {
+            if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+            return this.getManyByKeys(objectStoreName, [key], fields, options).then(records => records[0]);
+        });
     }
 
     /**
-     * Sets the timezone for storing the last modification date.
-     * @param {string} timezone - A valid IANA time zone name (e.g., "Europe/London").
-     * @returns {boolean} True if the timezone is valid, false otherwise.
+     * Selects several records by their primary keys in a single transaction.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {IDBValidKey[]} keys - The primary keys of the records.
+     * @param {string[]} [fields=[]] - Optional. An array of property names to include in each returned object.
+     * @param {{include?: string|string[]}} [options={}] - Optional. `include` names the relations whose related records are added to each record,
+     * read in the same transaction. See `setRelations`.
+     * @returns {Promise<Array<object|null>>} A promise that resolves with the records in the order of `keys`, with `null` for missing ones.
      */
-    setTimezoneLastModifyDate(timezone)
+    getManyByKeys(objectStoreName, keys, fields = [], options = {})
     {
-        try
+        return this.#withContext({ operation: "getManyByKeys", store: objectStoreName }, () =>
         {
-            new Intl.DateTimeFormat(undefined, { timeZone: timezone });
-            this.#timezoneLastModifyDate = timezone;
-            return true;
+            if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+            if (!Array.isArray(keys)) { return Promise.reject(new ValidationError("keys must be an array")); }
+            const relations = this.#getIncludedRelations(objectStoreName, options.include);
+            if (this.#includesEncrypted(objectStoreName, relations))
+            {
+                return this.#readThenInclude(relations, fields, (recordFields) => this.#encryption.has(objectStoreName)
+                    ? this.#runTransaction(objectStoreName, "readonly", (transaction) => this.#getRecords(transaction, objectStoreName, keys, []))
+                        .then(records => this.#decryptRecords(objectStoreName, records, recordFields))
+                    : this.#runTransaction(objectStoreName, "readonly", (transaction) => this.#getRecords(transaction, objectStoreName, keys, recordFields)));
+            }
+            return this.#runTransaction(objectStoreName, "readonly", (transaction) => this.#readIncluding(transaction, objectStoreName, options.include, fields,
+                (recordFields) => this.#getRecords(transaction, objectStoreName, keys, recordFields)));
+        });
+    }
+
+    /**
+     * Inserts a record, or replaces the record that has the same primary key.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {object} value - The object to be stored.
+     * @param {IDBValidKey} [key] - Optional. The primary key, for Object Stores with out-of-line keys. If omitted, a new key is generated.
+     * @returns {Promise<IDBValidKey>} A promise that resolves with the key of the stored record.
+     */
+    putDataObjectStore(objectStoreName, value, key)
+    {
+        return this.#withContext({ operation: "putDataObjectStore", store: objectStoreName }, () =>
+        {
+            if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+            if (this.#encryption.has(objectStoreName)) { return this.#putEncrypted(objectStoreName, [value], [key]).then(keys => keys[0]); }
+            return this.#runTransaction(objectStoreName, "readwrite", (transaction) => this.#putRecords(transaction, objectStoreName, [value], [key])).then(keys => keys[0]);
+        });
+    }
+
+    /**
+     * An alias for `putDataObjectStore`. Inserts a record, or replaces the record that has the same primary key.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {object} value - The object to be stored.
+     * @param {IDBValidKey} [key] - Optional. The primary key, for Object Stores with out-of-line keys.
+     * @returns {Promise<IDBValidKey>} A promise that resolves with the key of the stored record.
+     */
+    upsert(objectStoreName, value, key) { return this.putDataObjectStore(objectStoreName, value, key); }
+
+    /**
+     * Inserts or replaces an array of records in a single transaction. The bulk variant of `putDataObjectStore`.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {object[]} [values=[]] - An array of objects to be stored.
+     * @param {IDBValidKey[]} [keys] - Optional. Out-of-line keys aligned with `values`.
+     * @returns {Promise<IDBValidKey[]>} A promise that resolves with the keys of the stored records.
+     */
+    putMultipleDataObjectStore(objectStoreName, values = [], keys)
+    {
+        return this.#withContext({ operation: "putMultipleDataObjectStore", store: objectStoreName }, () =>
+        {
+            if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+            if (Array.isArray(values) && !values.length) { return Promise.resolve([]); }
+            if (this.#encryption.has(objectStoreName)) { return this.#putEncrypted(objectStoreName, values, keys); }
+            return this.#runTransaction(objectStoreName, "readwrite", (transaction) => this.#putRecords(transaction, objectStoreName, values, keys));
+        });
+    }
+
+    /**
+     * Merges some properties into the record with the given primary key, keeping its other properties.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {IDBValidKey} key - The primary key of the record.
+     * @param {object} changes - The properties to set. The merge is shallow: nested objects are replaced, not merged.
+     * @returns {Promise<object|null>} A promise that resolves with the updated record, or `null` if no record has this key, or it expired or was deleted.
+     */
+    patchByKey(objectStoreName, key, changes)
+    {
+        return this.#withContext({ operation: "patchByKey", store: objectStoreName }, () =>
+        {
+            if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+            if (this.#encryption.has(objectStoreName)) { return this.#patchEncrypted(objectStoreName, key, changes); }
+            return this.#runTransaction(objectStoreName, "readwrite", (transaction) => this.#patchRecord(transaction, objectStoreName, key, changes));
+        });
+    }
+
+    /**
+     * Deletes the record with the given primary key.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {IDBValidKey} key - The primary key of the record.
+     * @returns {Promise<boolean>} A promise that resolves with `true` if the record existed and was deleted.
+     */
+    deleteByKey(objectStoreName, key)
+    {
+        return this.#withContext({ operation: "deleteByKey", store: objectStoreName }, () =>
+        {
+            if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+            return this.#runTransaction(objectStoreName, "readwrite", (transaction) => this.#deleteRecordsByKey(transaction, objectStoreName, [key])).then(count => count > 0);
+        });
+    }
+
+    /**
+     * Deletes several records by their primary keys in a single transaction.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {IDBValidKey[]} keys - The primary keys of the records.
+     * @returns {Promise<number>} A promise that resolves with the number of records that existed and were deleted.
+     */
+    deleteManyByKeys(objectStoreName, keys)
+    {
+        return this.#withContext({ operation: "deleteManyByKeys", store: objectStoreName }, () =>
+        {
+            if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+            if (!Array.isArray(keys)) { return Promise.reject(new ValidationError("keys must be an array")); }
+            return this.#runTransaction(objectStoreName, "readwrite", (transaction) => this.#deleteRecordsByKey(transaction, objectStoreName, keys));
+        });
+    }
+
+
+    // --- Validation Methods ---
+
+    /**
+     * Sets the validator that every record written to an Object Store must satisfy, on every insert, put, patch and update path.
+     * Invalid writes reject with a `ValidationError` listing each failing field path, and bulk writes are rolled back entirely.
+     * Validators are not saved in the database, so they must be set again each time the page loads.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {object|((record: object) => true|false|string|Array<{path: string, message: string}>)|null} validator - A JSON Schema subset
+     * (`type`, `required`, `properties`, `additionalProperties: false`, `items`, `enum`, `minimum`, `maximum`, `minLength`, `maxLength`,
+     * `minItems`, `maxItems`, `pattern`), or a function returning `true` for valid records and otherwise `false`, a message or a list of errors.
+     * Pass `null` to remove the validator.
+     * @returns {void}
+     */
+    setValidator(objectStoreName, validator)
+    {
+        if (typeof objectStoreName !== "string" || !objectStoreName) { throw new ValidationError("objectStoreName must be a non-empty string", { operation: "setValidator" }); }
+        if (validator === null) { return void this.#validators.delete(objectStoreName); }
+        if (typeof validator !== "function")
+        {
+            if (typeof validator !== "object") { throw new ValidationError("validator must be a schema object, a function or null", { operation: "setValidator", store: objectStoreName }); }
+            this.#checkSchema(validator, "");
         }
-        catch (error) { return false; }
+        this.#validators.set(objectStoreName, validator);
     }
 
+
+    // --- Encryption Methods ---
+
     /**
-     * Retrieves the timestamp of the last database structure modification.
-     * @returns {Promise<string|null>} A promise that resolves with the date as a formatted string, or `null` if not set.
+     * Encrypts the records of an Object Store at rest with AES-GCM. Records are encrypted on every insert, put and update path
+     * and decrypted on every select path. Fields used by the primary key and by indexes stay in clear text, unless listed in
+     * `blindIndexes`: those are encrypted too, and stored as a deterministic HMAC so exact-match lookups such as
+     * `selectDataObjectStore(store, "email", value)` keep working.
+     * Keys are not saved in the database, so encryption must be set again each time the page loads, after the Object Store is created.
+     * Encrypted Object Stores cannot be used inside `transaction()`, and their read-modify-write methods (`updateDataObjectStore`,
+     * `updateWhere`, `deleteWhere`, `patchByKey`) read and write in two separate transactions.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {object|null} options - The encryption options, or `null` to stop encrypting (existing records stay encrypted).
+     * @param {string} [options.passphrase] - A passphrase from which the keys are derived with PBKDF2 (SHA-256).
+     * @param {string} [options.salt] - Optional. The PBKDF2 salt. Defaults to one derived from the database and Object Store names.
+     * @param {number} [options.iterations=310000] - Optional. The PBKDF2 iterations.
+     * @param {CryptoKey} [options.key] - An AES-GCM key to use instead of a passphrase.
+     * @param {CryptoKey} [options.hmacKey] - An HMAC key for the blind indexes, required with `key` when `blindIndexes` is set.
+     * @param {string[]} [options.fields] - Optional. The top-level properties to encrypt. If omitted, every property is encrypted except
+     * those used by the primary key and by indexes.
+     * @param {string[]} [options.blindIndexes=[]] - Optional. Indexed top-level properties to encrypt and store as blind indexes.
+     * @returns {Promise<void>} A promise that resolves once the keys are ready.
      */
-    getLastModifyDateDatabase()
+    setEncryption(objectStoreName, options)
     {
-        if (!this.#databaseName) return Promise.reject("Database not initialized.");
+        return this.#withContext({ operation: "setEncryption", store: objectStoreName }, async () =>
+        {
+            if (typeof objectStoreName !== "string" || !objectStoreName) { throw new ValidationError("objectStoreName must be a non-empty string"); }
+            if (options === null) { return void this.#encryption.delete(objectStoreName); }
+            if (this.#sync?.stores.has(objectStoreName)) { throw new ValidationError(`Synchronized Object Store '${objectStoreName}' cannot be encrypted`); }
+            if (typeof options !== "object") { throw new ValidationError("options must be an object or null"); }
 
-        const storeName = this.#objectStoreNameLastModifyDate;
+            const { passphrase, salt = `EasyIndexedDB:${this.#databaseName}:${objectStoreName}`, iterations = 310000, fields, blindIndexes = [] } = options;
+            let { key, hmacKey = null } = options;
+            if ((passphrase === undefined) === (key === undefined)) { throw new ValidationError("Either a passphrase or a key is required"); }
+            if (passphrase !== undefined && (typeof passphrase !== "string" || !passphrase)) { throw new ValidationError("passphrase must be a non-empty string"); }
+            if (fields !== undefined && (!Array.isArray(fields) || fields.some(field => typeof field !== "string" || !field))) { throw new ValidationError("fields must be an array of property names"); }
+            if (!Array.isArray(blindIndexes) || blindIndexes.some(field => typeof field !== "string" || !field)) { throw new ValidationError("blindIndexes must be an array of property names"); }
 
-        return this.#execute(this.#databaseName, undefined, null, (db) => new Promise((resolve, reject) =>
+            if (passphrase !== undefined)
+            {
+                const encoder = new TextEncoder();
+                const material = await crypto.subtle.importKey("raw", encoder.encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+                const derive = (purpose, algorithm, usages) => crypto.subtle.deriveKey(
+                    { name: "PBKDF2", salt: encoder.encode(`${salt}:${purpose}`), iterations, hash: "SHA-256" }, material, algorithm, false, usages);
+                key = await derive("encryption", { name: "AES-GCM", length: 256 }, ["encrypt", "decrypt"]);
+                hmacKey = await derive("blind-index", { name: "HMAC", hash: "SHA-256", length: 256 }, ["sign"]);
+            }
+            if (key?.algorithm?.name !== "AES-GCM") { throw new ValidationError("key must be an AES-GCM CryptoKey"); }
+            if (blindIndexes.length && hmacKey?.algorithm?.name !== "HMAC") { throw new ValidationError("hmacKey must be an HMAC CryptoKey when blindIndexes is set"); }
+
+            const schema = await this.#execute(this.#databaseName, undefined, null, (db) =>
+            {
+                if (!db.objectStoreNames.contains(objectStoreName)) { return Promise.reject(new NotFoundError(`Object Store '${objectStoreName}' not found.`, { store: objectStoreName })); }
+                const store = db.transaction(objectStoreName, "readonly").objectStore(objectStoreName);
+                const indexKeyPaths = new Map(Array.from(store.indexNames, name => [name, store.index(name).keyPath]));
+                return Promise.resolve({ keyPath: store.keyPath, indexKeyPaths });
+            });
+
+            // In whole-record mode, the top-level properties of the primary key and of the indexes stay readable by IndexedDB.
+            const topLevel = (keyPath) => [].concat(keyPath ?? []).map(path => path.split(".")[0]);
+            const clearFields = new Set([...topLevel(schema.keyPath), ...Array.from(schema.indexKeyPaths.values()).flatMap(topLevel)]);
+            blindIndexes.forEach(field => clearFields.delete(field));
+
+            this.#encryption.set(objectStoreName, {
+                key,
+                hmacKey,
+                indexKeyPaths: schema.indexKeyPaths,
+                blindIndexes: new Set(blindIndexes),
+                encryptedFields: fields ? new Set([...fields, ...blindIndexes]) : null,
+                clearFields
+            });
+        });
+    }
+
+
+    // --- Aggregation Methods ---
+
+    /**
+     * Counts the records matching some criteria. Expired and deleted records are not counted. Without `where`, the index or Object Store
+     * counts its own entries, unless some records may be expired or deleted: they are then streamed with a cursor, as with `where`.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {{index?: string, range?: object, where?: object|((record: object) => boolean)}} [criteria={}] - Optional. The records to count. See `updateWhere`.
+     * @returns {Promise<number>} A promise that resolves with the number of matching records.
+     */
+    count(objectStoreName, criteria = {})
+    {
+        return this.#withContext({ operation: "count", store: objectStoreName }, () =>
         {
-            if (!db.objectStoreNames.contains(storeName)) { return resolve(null); }
+            if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+            if (typeof criteria !== "object" || criteria === null) { return Promise.reject(new ValidationError("criteria must be an object")); }
 
-            const transaction = db.transaction(storeName, "readonly");
-            const request = transaction.objectStore(storeName).get("_last_modified_key_");
+            return this.#runTransaction(objectStoreName, "readonly", async (transaction) =>
+            {
+                if (criteria.where !== undefined || await this.#mayHideRecords(transaction, objectStoreName))
+                {
+                    return this.#visitMatchingRecords(transaction, objectStoreName, criteria, () => {});
+                }
+                return this.#requestToPromise(this.#getSource(transaction, objectStoreName, criteria.index).count(this.#buildKeyRange(criteria.range) ?? undefined));
+            });
+        });
+    }
 
-            transaction.oncomplete = () =>
+    /**
+     * Lists the distinct values of an index, in ascending order, reading only the index keys. Values only found in expired or deleted
+     * records are left out, which takes reading the records when some may be expired or deleted.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {string} indexName - The name of the index.
+     * @param {{range?: object}} [options={}] - Optional. A range (same format as `queryDataObjectStore`) to restrict the values.
+     * @returns {Promise<any[]>} A promise that resolves with the distinct values.
+     */
+    distinct(objectStoreName, indexName, options = {})
+    {
+        return this.#withContext({ operation: "distinct", store: objectStoreName, index: indexName }, () =>
+        {
+            if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+            if (typeof indexName !== "string" || !indexName) { return Promise.reject(new ValidationError("indexName must be a non-empty string")); }
+
+            return this.#runTransaction(objectStoreName, "readonly", async (transaction) =>
             {
-                const result = request.result;
-                resolve(result ? result.timestamp : null);
-            };
-            transaction.onerror = (e) => reject(e.target.error);
-        }));
+                const source = this.#getSource(transaction, objectStoreName, indexName);
+                const range = this.#buildKeyRange(options.range);
+                const readsRecords = await this.#mayHideRecords(transaction, objectStoreName);
+                return new Promise((resolve, reject) =>
+                {
+                    const cursorRequest = readsRecords ? source.openCursor(range) : source.openKeyCursor(range, "nextunique");
+                    const now = Date.now();
+                    const values = [];
+                    cursorRequest.onsuccess = (e) =>
+                    {
+                        const cursor = e.target.result;
+                        if (!cursor) { return resolve(values); }
+                        if (readsRecords && this.#isHidden(cursor.value, now)) { return cursor.continue(); }
+                        if (!values.length || this.#indexedDB.cmp(cursor.key, values.at(-1)) !== 0) { values.push(cursor.key); }
+                        cursor.continue();
+                    };
+                    cursorRequest.onerror = (e) => reject(e.target.error);
+                });
+            });
+        });
+    }
+
+    /**
+     * Gets the smallest value of an index, skipping expired and deleted records.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {string} indexName - The name of the index.
+     * @param {{range?: object}} [options={}] - Optional. A range (same format as `queryDataObjectStore`) to restrict the values.
+     * @returns {Promise<any|null>} A promise that resolves with the smallest value, or `null` if no record has one.
+     */
+    min(objectStoreName, indexName, options = {}) { return this.#withContext({ operation: "min", store: objectStoreName, index: indexName }, () => this.#getIndexBoundary(objectStoreName, indexName, options, "next")); }
+
+    /**
+     * Gets the largest value of an index, skipping expired and deleted records.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {string} indexName - The name of the index.
+     * @param {{range?: object}} [options={}] - Optional. A range (same format as `queryDataObjectStore`) to restrict the values.
+     * @returns {Promise<any|null>} A promise that resolves with the largest value, or `null` if no record has one.
+     */
+    max(objectStoreName, indexName, options = {}) { return this.#withContext({ operation: "max", store: objectStoreName, index: indexName }, () => this.#getIndexBoundary(objectStoreName, indexName, options, "prev")); }
+
+    /**
+     * Sums a numeric property over the records matching some criteria, streaming them with a cursor. Non-numeric values are ignored.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {string} field - The property path to sum, e.g. `total` or `payment.amount`.
+     * @param {{index?: string, range?: object, where?: object|((record: object) => boolean)}} [criteria={}] - Optional. The records to include. See `updateWhere`.
+     * @returns {Promise<number>} A promise that resolves with the sum.
+     */
+    sum(objectStoreName, field, criteria = {})
+    {
+        return this.#withContext({ operation: "sum", store: objectStoreName }, () =>
+        {
+            return this.#aggregateField(objectStoreName, field, criteria).then(stats => stats.sum);
+        });
+    }
+
+    /**
+     * Averages a numeric property over the records matching some criteria, streaming them with a cursor. Non-numeric values are ignored.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {string} field - The property path to average.
+     * @param {{index?: string, range?: object, where?: object|((record: object) => boolean)}} [criteria={}] - Optional. The records to include. See `updateWhere`.
+     * @returns {Promise<number|null>} A promise that resolves with the average, or `null` if no record has a numeric value.
+     */
+    avg(objectStoreName, field, criteria = {})
+    {
+        return this.#withContext({ operation: "avg", store: objectStoreName }, () =>
+        {
+            return this.#aggregateField(objectStoreName, field, criteria).then(stats => stats.avg);
+        });
+    }
+
+    /**
+     * Groups the records matching some criteria by a property, streaming them with a cursor.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {string} groupField - The property path to group by.
+     * @param {{index?: string, range?: object, where?: object|((record: object) => boolean), field?: string}} [options={}] - Optional. The records to include (see `updateWhere`),
+     * and `field`, a numeric property path for which `sum`, `avg`, `min` and `max` are computed in each group.
+     * @returns {Promise<Array<{group: any, count: number, sum?: number, avg?: number|null, min?: number|null, max?: number|null}>>} A promise that resolves with one entry per group.
+     */
+    groupBy(objectStoreName, groupField, options = {})
+    {
+        return this.#withContext({ operation: "groupBy", store: objectStoreName }, () =>
+        {
+            if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+            if (typeof groupField !== "string" || !groupField) { return Promise.reject(new ValidationError("groupField must be a non-empty string")); }
+            if (typeof options !== "object" || options === null) { return Promise.reject(new ValidationError("options must be an object")); }
+
+            const { field, ...criteria } = options;
+            if (field !== undefined && (typeof field !== "string" || !field)) { return Promise.reject(new ValidationError("field must be a non-empty string")); }
+
+            const groups = new Map();
+            return this.#runTransaction(objectStoreName, "readonly", (transaction) => this.#visitMatchingRecords(transaction, objectStoreName, criteria, (cursor) =>
+            {
+                const group = this.#extractKey(groupField, cursor.value);
+                const groupKey = this.#serializeKey(group);
+                if (!groups.has(groupKey)) { groups.set(groupKey, { group, count: 0, stats: this.#createFieldStats() }); }
+
+                const entry = groups.get(groupKey);
+                entry.count++;
+                if (field !== undefined) { this.#addToFieldStats(entry.stats, this.#extractKey(field, cursor.value)); }
+            })).then(() => Array.from(groups.values(), ({ group, count, stats }) =>
+            {
+                if (field === undefined) { return { group, count }; }
+                const { sum, avg, min, max } = this.#completeFieldStats(stats);
+                return { group, count, sum, avg, min, max };
+            }));
+        });
+    }
+
+    /**
+     * Runs several operations, possibly across several Object Stores, in a single atomic transaction.
+     * The transaction commits when the callback resolves and is aborted, rolling back every change, when it throws.
+     * Only await operations of `tx` inside the callback: awaiting anything else (e.g. `fetch`) lets IndexedDB commit the transaction early.
+     * @param {string|string[]} objectStoreNames - The Object Stores the transaction spans.
+     * @param {"readonly"|"readwrite"} mode - The transaction mode.
+     * @param {(tx: object) => Promise<any>} callback - Receives `tx`, which exposes `insertDataObjectStore`, `insertMultipleDataObjectStore`,
+     * `selectDataObjectStore`, `selectAllDataObjectStore`, `queryDataObjectStore`, `updateDataObjectStore`, `deleteDataObjectStore`,
+     * `deleteAllDataObjectStore`, `updateWhere`, `deleteWhere` and the primary key methods (`getByKey`, `putDataObjectStore`, `patchByKey`, `deleteByKey`...)
+     * with the same parameters as the class methods, scoped to this transaction.
+     * @returns {Promise<any>} A promise that resolves with the callback's result once the transaction is committed.
+     */
+    transaction(objectStoreNames, mode, callback)
+    {
+        return this.#withContext({ operation: "transaction" }, () =>
+        {
+            const storeNames = Array.isArray(objectStoreNames) ? objectStoreNames : [objectStoreNames];
+            if (!storeNames.length || storeNames.some(name => typeof name !== "string" || !name)) { return Promise.reject(new ValidationError("objectStoreNames must be a non-empty string or array of strings")); }
+            if (mode !== "readonly" && mode !== "readwrite") { return Promise.reject(new ValidationError("mode must be 'readonly' or 'readwrite'")); }
+            if (typeof callback !== "function") { return Promise.reject(new ValidationError("callback must be a function")); }
+            // Web Crypto is asynchronous, and awaiting it inside an IndexedDB transaction would commit the transaction early.
+            const encryptedStore = storeNames.find(name => this.#encryption.has(name));
+            if (encryptedStore) { return Promise.reject(new ValidationError(`Encrypted Object Store '${encryptedStore}' cannot be used in a transaction`, { store: encryptedStore })); }
+
+            return this.#runTransaction(storeNames, mode, (transaction) => callback(this.#createTransactionScope(transaction)));
+        });
+    }
+
+
+
+    // --- Expiry Methods ---
+
+    /**
+     * Deletes the expired records, reading only the expired part of each Object Store's expiry index.
+     * Object Stores without the expiry index, created before record expiry existed, are skipped until it is added to them with
+     * `updateStructureObjectStore(objectStoreName, [{ name: "__expiresAt" }])`.
+     * @param {string|string[]} [objectStoreNames] - Optional. The Object Stores to sweep. If omitted, sweeps every Object Store but the internal ones.
+     * @returns {Promise<number>} A promise that resolves with the number of deleted records.
+     */
+    purgeExpired(objectStoreNames)
+    {
+        return this.#withContext({ operation: "purgeExpired" }, () =>
+        {
+            const names = typeof objectStoreNames === "string" ? [objectStoreNames] : objectStoreNames;
+            if (names !== undefined && (!Array.isArray(names) || names.some(name => typeof name !== "string" || !name)))
+            {
+                return Promise.reject(new ValidationError("objectStoreNames must be a non-empty string or an array of non-empty strings"));
+            }
+
+            const storeNames = names
+                ? Promise.resolve(names)
+                : this.#execute(this.#databaseName, undefined, null, (db) => Promise.resolve(Array.from(db.objectStoreNames).filter(name => !this.#isInternalStore(name))));
+
+            return storeNames.then(storeNames =>
+            {
+                if (!storeNames.length) { return 0; }
+
+                const now = Date.now();
+                return this.#runTransaction(storeNames, "readwrite", (transaction) =>
+                    Promise.all(storeNames.map(name => this.#purgeExpiredRecords(transaction, name, now)))
+                ).then(counts => counts.reduce((total, count) => total + count, 0));
+            });
+        });
+    }
+
+    /**
+     * Runs `purgeExpired` at a regular interval, replacing any previous schedule. The schedule stops when `close()` is called.
+     * A failed sweep is ignored; the next one tries again.
+     * @param {number} [interval=60000] - The time between sweeps, in milliseconds.
+     * @param {string|string[]} [objectStoreNames] - Optional. The Object Stores to sweep. If omitted, sweeps every Object Store but the internal ones.
+     * @returns {() => void} A function that stops the schedule.
+     */
+    schedulePurgeExpired(interval = 60000, objectStoreNames)
+    {
+        if (typeof interval !== "number" || !(interval > 0)) { throw new ValidationError("interval must be a positive number", { operation: "schedulePurgeExpired" }); }
+
+        this.#stopScheduledPurge();
+        const timer = setInterval(() => this.purgeExpired(objectStoreNames).catch(() => {}), interval);
+        // Do not keep Node processes alive only for the sweeps.
+        timer.unref?.();
+        this.#purgeTimer = timer;
+        return () => { if (this.#purgeTimer === timer) { this.#stopScheduledPurge(); } };
+    }
+
+
+    // --- Change Events ---
+
+    /**
+     * Subscribes to an event. `change` is emitted after each committed transaction with `{ store, type, keys, remote }`, where
+     * `type` is `insert`, `update`, `delete` or `clear` (for which `keys` is `null`). Changes made by other tabs on the same
+     * database are received too, with `remote` set to `true`. `error` is emitted with the error when background work that no
+     * method call waits for fails, such as saving the access times of an LRU limit or broadcasting a change. Without `error`
+     * handlers, these errors are logged to the console.
+     * @param {"change"|"error"} event - The event name.
+     * @param {((change: {store: string, type: string, keys: IDBValidKey[]|null, remote: boolean}) => void)|((error: Error) => void)} handler - The function to call.
+     * @returns {() => void} A function that removes the subscription.
+     */
+    on(event, handler)
+    {
+        if (event !== "change" && event !== "error") { throw new ValidationError(`Unsupported event '${event}'.`, { operation: "on" }); }
+        if (typeof handler !== "function") { throw new ValidationError("handler must be a function", { operation: "on" }); }
+
+        if (event === "error")
+        {
+            this.#errorListeners.add(handler);
+            return () => this.off(event, handler);
+        }
+        this.#changeListeners.add(handler);
+        this.#getChangeChannel();
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * Removes a subscription added with `on`.
+     * @param {"change"|"error"} event - The event name.
+     * @param {Function} handler - The function passed to `on`.
+     * @returns {boolean} True if the subscription existed.
+     */
+    off(event, handler)
+    {
+        if (event === "error") { return this.#errorListeners.delete(handler); }
+        if (event !== "change") { return false; }
+        return this.#changeListeners.delete(handler);
+    }
+
+
+    // --- Snapshot Methods ---
+
+    /**
+     * Exports the schema and every record of the database. Dates, Blobs, ArrayBuffers, typed arrays, Maps and Sets are
+     * tagged so that `importDatabase` restores them with their original types.
+     * @param {{format?: "json"|"ndjson", batchSize?: number}} [options={}] - Optional. `json` (default) builds the whole snapshot as a string;
+     * `ndjson` streams one line per database, store and record, reading `batchSize` records per transaction.
+     * @returns {Promise<string|ReadableStream<string>>} A promise that resolves with the JSON snapshot, or with a stream of NDJSON lines.
+     */
+    exportDatabase(options = {})
+    {
+        return this.#withContext({ operation: "exportDatabase" }, () =>
+        {
+            if (!this.#databaseName) { return Promise.reject(new EasyIndexedDBError("Database not initialized.")); }
+
+            const { format = "json", batchSize = 500 } = options;
+            if (format !== "json" && format !== "ndjson") { return Promise.reject(new ValidationError("format must be 'json' or 'ndjson'")); }
+            if (!Number.isInteger(batchSize) || batchSize < 1) { return Promise.reject(new ValidationError("batchSize must be a positive integer")); }
+
+            if (format === "ndjson")
+            {
+                const lines = this.#exportLines(batchSize);
+                return Promise.resolve(new ReadableStream({
+                    async pull(controller)
+                    {
+                        try
+                        {
+                            const { value, done } = await lines.next();
+                            if (done) { controller.close(); }
+                            else { controller.enqueue(value); }
+                        }
+                        catch (error) { controller.error(error); }
+                    },
+                    cancel() { return lines.return(); }
+                }));
+            }
+
+            return (async () =>
+            {
+                const { database, stores } = await this.#readSchema();
+                const snapshot = { format: "EasyIndexedDB", database, stores: [] };
+                for (const store of stores)
+                {
+                    const records = [];
+                    for await (const entries of this.#readEntries(store.name, store.keyPath === null, batchSize)) { records.push(...entries); }
+                    snapshot.stores.push({ ...store, records });
+                }
+                return JSON.stringify(snapshot);
+            })();
+        });
+    }
+
+    /**
+     * Imports a snapshot created by `exportDatabase`, recreating its schema in a single upgrade and bulk loading its records in a single transaction.
+     * Imported records are neither added to the history nor logged for sync: a `replace` import restores the snapshot's history instead,
+     * and a `merge` import keeps the local history, leaving out the snapshot's, whose entries would overwrite local ones.
+     * @param {string|object|ReadableStream<string>} snapshot - The JSON or NDJSON snapshot, its parsed JSON object, or the NDJSON stream.
+     * @param {{mode?: "replace"|"merge"}} [options={}] - Optional. `replace` (default) makes the database an exact copy of the snapshot, deleting
+     * Object Stores and records that are not in it. `merge` creates missing Object Stores and indexes, keeps existing records and overwrites those with the same key.
+     * @returns {Promise<string>} A promise that resolves with a success message.
+     */
+    importDatabase(snapshot, options = {})
+    {
+        return this.#withContext({ operation: "importDatabase" }, () =>
+        {
+            if (!this.#databaseName) { return Promise.reject(new EasyIndexedDBError("Database not initialized.")); }
+
+            const { mode = "replace" } = options;
+            if (mode !== "replace" && mode !== "merge") { return Promise.reject(new ValidationError("mode must be 'replace' or 'merge'")); }
+
+            return this.#queueSchemaChange(() => new Promise(async (resolve, reject) =>
+            {
+                let parsed;
+                try { parsed = await this.#parseSnapshot(snapshot); }
+                catch (error) { return reject(error); }
+                // Snapshots of older versions may contain internal Object Stores that belong to the database they were taken from.
+                const skippedStoreNames = [this.#objectStoreNameLastModifyDate, this.#usageStoreName, this.#searchStoreName, this.#syncLogStoreName, this.#syncStateStoreName];
+                if (mode === "merge") { skippedStoreNames.push(this.#historyStoreName); }
+                parsed.stores = parsed.stores.filter(store => !skippedStoreNames.includes(store.name));
+
+                let currentVersion;
+                try { currentVersion = await this.#getCurrentVersion(); }
+                catch (error) { return reject(error); }
+                const newVersion = Math.max(currentVersion + 1, parsed.database.version || 0);
+                const trackingStoreName = this.#objectStoreNameLastModifyDate;
+
+                this.#execute(this.#databaseName, newVersion, (db, transaction) => new Promise((res, rej) =>
+                {
+                    transaction.oncomplete = () => res();
+                    transaction.onerror = (e) => rej(e.target.error);
+
+                    try
+                    {
+                        const snapshotStoreNames = parsed.stores.map(store => store.name);
+                        if (mode === "replace")
+                        {
+                            // Internal Object Stores are emptied rather than deleted, since a database managed by migrations gets them only with its schema.
+                            Array.from(db.objectStoreNames)
+                                .filter(name => name !== trackingStoreName && this.#isInternalStore(name) && !snapshotStoreNames.includes(name))
+                                .forEach(name => transaction.objectStore(name).clear());
+                            Array.from(db.objectStoreNames)
+                                .filter(name => !this.#isInternalStore(name) && (!snapshotStoreNames.includes(name) || this.#hasDifferentKey(transaction.objectStore(name), parsed.stores.find(store => store.name === name))))
+                                .forEach(name => db.deleteObjectStore(name));
+                        }
+
+                        this.#updateModificationDate(transaction);
+                        for (const { name, keyPath, autoIncrement, keyGenerator, history, softDelete, limit, relations, search, indexes } of parsed.stores)
+                        {
+                            const store = db.objectStoreNames.contains(name)
+                                ? transaction.objectStore(name)
+                                : db.createObjectStore(name, keyPath === null ? { autoIncrement } : { keyPath, autoIncrement });
+                            if (mode === "replace") { Array.from(store.indexNames).filter(index => !indexes.some(({ name }) => name === index)).forEach(index => store.deleteIndex(index)); }
+                            indexes.forEach(index => this.#createIndex(store, index));
+                            if (mode === "replace") { store.clear(); }
+                            if (mode === "replace") { this.#saveStoreSettings(transaction, name, null); }
+                            if (keyGenerator) { this.#setStoreSetting(transaction, name, "keyGenerator", keyGenerator); }
+                            Object.entries({ history, softDelete, limit, relations, search }).filter(([, value]) => value).forEach(([setting, value]) => this.#applyStoreSetting(db, transaction, name, setting, value));
+                        }
+                        if (mode === "replace" && parsed.database.migrations)
+                        {
+                            transaction.objectStore(trackingStoreName).put(parsed.database.migrations, "_migrations_");
+                        }
+                    }
+                    catch (error)
+                    {
+                        transaction.abort();
+                        rej(error);
+                    }
+                })).then(() =>
+                {
+                    const storeNames = parsed.stores.map(store => store.name);
+                    if (!storeNames.length) { return; }
+
+                    // The import is a queued schema change, which must not wait for itself.
+                    return this.#runTransaction(storeNames, "readwrite", (transaction) =>
+                    {
+                        this.#importTransactions.add(transaction);
+                        return Promise.all(parsed.stores.map(store =>
+                        {
+                            const values = store.records.map(record => record.value);
+                            const keys = store.records.map(record => record.key);
+                            return mode === "merge" ? this.#putRecords(transaction, store.name, values, keys) : this.#insertRecords(transaction, store.name, values, keys);
+                        }));
+                    }, true);
+                }).then(() => resolve("Database imported successfully")).catch(reject);
+            }));
+        });
+    }
+
+
+    // --- Sync Methods ---
+
+    /**
+     * Synchronizes Object Stores with a remote REST endpoint. Once set, every committed insert, update and delete on the synced
+     * Object Stores is appended, in the same transaction, to a change log (the `__syncLog` Object Store, created if necessary)
+     * that `pushChanges` sends later. Like validators and encryption keys, the configuration is not saved: set it again each time the page loads.
+     *
+     * The endpoint receives `POST url` with `{ changes: [{ store, key, type, record, modifiedAt }] }`, where `type` is `insert`, `update`,
+     * `delete` or `clear`, and answers `GET url?since=<checkpoint>` with `{ changes: [{ store, key, type, record, modifiedAt }], checkpoint, hasMore }`,
+     * where `type` is `put` or `delete`. Keys and records are tagged as in `exportDatabase`, and `modifiedAt` is a timestamp in milliseconds.
+     * @param {object|null} options - The sync options, or `null` to stop recording changes. Pending changes are kept.
+     * @param {string} options.url - The endpoint URL.
+     * @param {string[]} options.stores - The Object Stores to synchronize. Encrypted Object Stores cannot be synchronized.
+     * @param {number} [options.batchSize=100] - Optional. The maximum number of changes sent per request.
+     * @param {"last-write-wins"|Function} [options.conflict="last-write-wins"] - Optional. How a remote change to a record with pending local changes
+     * is resolved. `last-write-wins` keeps the most recent side, comparing the time the record was last changed locally or pulled with the
+     * remote `modifiedAt`; ties go to the remote side. It also ignores a remote change older than a local change that was already pushed. A function `(local, remote, { store, key, localModifiedAt, remoteModifiedAt })` returns the record to keep,
+     * or `null` to delete it, and must not be async. `local` and `remote` are `null` for deleted records. A returned record other than
+     * `remote` itself is sent back to the endpoint with the next push.
+     * @param {Function} [options.fetch] - Optional. The fetch function. Defaults to the global `fetch`.
+     * @param {object|(() => object|Promise<object>)} [options.headers={}] - Optional. Extra request headers, or a function returning them, e.g. with a fresh token.
+     * @returns {Promise<void>} A promise that resolves once the change log is ready.
+     */
+    setSync(options)
+    {
+        return this.#withContext({ operation: "setSync" }, async () =>
+        {
+            if (options === null) { return void (this.#sync = null); }
+            if (!this.#databaseName) { throw new EasyIndexedDBError("Database not initialized."); }
+            if (typeof options !== "object") { throw new ValidationError("options must be an object or null"); }
+
+            const { url, stores, batchSize = 100, conflict = "last-write-wins", fetch, headers = {} } = options;
+            if (typeof url !== "string" || !url) { throw new ValidationError("url must be a non-empty string"); }
+            if (!Array.isArray(stores) || !stores.length || stores.some(name => typeof name !== "string" || !name)) { throw new ValidationError("stores must be a non-empty array of Object Store names"); }
+            if (!Number.isInteger(batchSize) || batchSize < 1) { throw new ValidationError("batchSize must be a positive integer"); }
+            if (conflict !== "last-write-wins" && typeof conflict !== "function") { throw new ValidationError("conflict must be 'last-write-wins' or a function"); }
+            if (fetch !== undefined && typeof fetch !== "function") { throw new ValidationError("fetch must be a function"); }
+            if (typeof headers !== "function" && (typeof headers !== "object" || headers === null)) { throw new ValidationError("headers must be an object or a function"); }
+
+            const encrypted = stores.find(name => this.#encryption.has(name));
+            if (encrypted !== undefined) { throw new ValidationError(`Encrypted Object Store '${encrypted}' cannot be synchronized`, { store: encrypted }); }
+
+            const existingStores = await this.#execute(this.#databaseName, undefined, null, (db) => Promise.resolve(Array.from(db.objectStoreNames)));
+            const missingStore = stores.find(name => !existingStores.includes(name));
+            if (missingStore !== undefined) { throw new NotFoundError(`Object Store '${missingStore}' not found.`, { store: missingStore }); }
+
+            await this.#ensureInternalStores([this.#syncLogStoreName, this.#syncStateStoreName]);
+            this.#sync = { url, stores: new Set(stores), batchSize, conflict, fetch, headers };
+        });
+    }
+
+    /**
+     * Sends the pending local changes to the endpoint, oldest first, in batches of `batchSize`. Changes to the same record within a batch
+     * are collapsed into one carrying the record as it is now. Each batch leaves the change log once the endpoint accepts it.
+     * @returns {Promise<{pushed: number}>} A promise that resolves with the number of changes sent.
+     */
+    pushChanges()
+    {
+        return this.#withContext({ operation: "pushChanges" }, () => this.#queueSync(config => this.#pushChanges(config)));
+    }
+
+    /**
+     * Fetches the remote changes made since the last pull and applies them, resolving conflicts with pending local changes
+     * with the `conflict` strategy. Each response is applied, and its checkpoint saved, in a single transaction.
+     * Changes to Object Stores that are not synchronized are ignored.
+     * @returns {Promise<{pulled: number, conflicts: number}>} A promise that resolves with the number of remote changes received and of conflicts.
+     */
+    pullChanges()
+    {
+        return this.#withContext({ operation: "pullChanges" }, () => this.#queueSync(config => this.#pullChanges(config)));
+    }
+
+    /**
+     * Pushes the pending local changes, then pulls the remote ones.
+     * @returns {Promise<{pushed: number, pulled: number, conflicts: number}>} A promise that resolves with the counts of both steps.
+     */
+    sync()
+    {
+        return this.#withContext({ operation: "sync" }, () => this.#queueSync(async config =>
+        {
+            const { pushed } = await this.#pushChanges(config);
+            return { pushed, ...await this.#pullChanges(config) };
+        }));
+    }
+
+    /**
+     * Counts the local changes not pushed yet.
+     * @returns {Promise<number>} A promise that resolves with the number of entries in the change log.
+     */
+    countPendingChanges()
+    {
+        return this.#withContext({ operation: "countPendingChanges" }, () =>
+        {
+            if (!this.#databaseName) { return Promise.reject(new EasyIndexedDBError("Database not initialized.")); }
+
+            const logName = this.#syncLogStoreName;
+            return this.#execute(this.#databaseName, undefined, null, (db) => Promise.resolve(db.objectStoreNames.contains(logName))).then(exists => exists
+                ? this.#runTransaction(logName, "readonly", (transaction) => this.#requestToPromise(transaction.objectStore(logName).count()))
+                : 0);
+        });
+    }
+
+
+    // --- History Methods ---
+
+    /**
+     * Keeps the history of every record of an Object Store. Once enabled, each committed insert, update and delete appends an entry
+     * to the `__history` Object Store (created if necessary) in the same transaction, holding the operation, the time, the current
+     * actor (see `setHistoryActor`) and the record as written. Unlike validators, the setting is saved in the database, with a version upgrade.
+     * Only changes made after history is enabled are kept. On a database whose schema is managed by migrations, declare `history` in a migration instead.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {boolean} [enabled=true] - Optional. Pass `false` to stop recording history. Existing entries are kept.
+     * @returns {Promise<void>} A promise that resolves once the setting is saved.
+     */
+    setHistory(objectStoreName, enabled = true)
+    {
+        return this.#withContext({ operation: "setHistory", store: objectStoreName }, () =>
+        {
+            if (typeof enabled !== "boolean") { throw new ValidationError("enabled must be a boolean"); }
+            return this.#changeStoreSetting(objectStoreName, "history", enabled || undefined);
+        });
+    }
+
+    /**
+     * Makes deletes on an Object Store mark records as deleted instead of removing them. Every delete path (`deleteDataObjectStore`,
+     * `deleteAllDataObjectStore`, `deleteByKey`, `deleteManyByKeys`, `deleteWhere`) sets a `__deletedAt` timestamp on the record, and
+     * every select path skips marked records. Marked records keep their primary key and unique index values, so inserting a new record
+     * with the same values fails until they are restored with `undelete` or removed after soft deletes are disabled.
+     * Records removed by `purgeExpired` are always removed for good. The setting is saved in the database, with a version upgrade.
+     * On a database whose schema is managed by migrations, declare `softDelete` in a migration instead.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {boolean} [enabled=true] - Optional. Pass `false` to delete records for good again. Marked records stay hidden.
+     * @returns {Promise<void>} A promise that resolves once the setting is saved.
+     */
+    setSoftDelete(objectStoreName, enabled = true)
+    {
+        return this.#withContext({ operation: "setSoftDelete", store: objectStoreName }, () =>
+        {
+            if (typeof enabled !== "boolean") { throw new ValidationError("enabled must be a boolean"); }
+            return this.#changeStoreSetting(objectStoreName, "softDelete", enabled || undefined);
+        });
+    }
+
+    /**
+     * Sets who is making changes, recorded with each history entry. Like validators, the actor is not saved in the database.
+     * @param {string|(() => string)|null} actor - An identifier such as a user id, a function returning the current one, or `null` to record no actor.
+     * @returns {void}
+     */
+    setHistoryActor(actor)
+    {
+        if (actor !== null && typeof actor !== "string" && typeof actor !== "function") { throw new ValidationError("actor must be a string, a function or null", { operation: "setHistoryActor" }); }
+        this.#historyActor = actor;
+    }
+
+    /**
+     * Lists the history of a record, oldest first.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {IDBValidKey} key - The primary key of the record.
+     * @returns {Promise<Array<{id: number, store: string, key: IDBValidKey, operation: string, timestamp: number, actor: string|null, record: object|null}>>}
+     * A promise that resolves with the history entries. `operation` is `insert`, `update`, `delete`, `restore` or `undelete`,
+     * and `record` is the record as the operation left it, or `null` for a record deleted for good.
+     */
+    getHistory(objectStoreName, key)
+    {
+        return this.#withContext({ operation: "getHistory", store: objectStoreName }, async () =>
+        {
+            if (typeof objectStoreName !== "string" || !objectStoreName) { throw new ValidationError("objectStoreName must be a non-empty string"); }
+
+            if (!(await this.#hasObjectStore(this.#historyStoreName))) { return []; }
+
+            const entries = await this.#runTransaction(this.#historyStoreName, "readonly", (transaction) =>
+                this.#requestToPromise(transaction.objectStore(this.#historyStoreName).index("record").getAll([objectStoreName, key])));
+            if (!this.#encryption.has(objectStoreName)) { return entries; }
+
+            const records = await this.#decryptRecords(objectStoreName, entries.map(entry => entry.record), []);
+            return entries.map((entry, position) => ({ ...entry, record: records[position] }));
+        });
+    }
+
+    /**
+     * Writes a version of a record from its history back to the Object Store, replacing the current record or recreating a deleted one.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {IDBValidKey} key - The primary key of the record.
+     * @param {number} versionId - The `id` of the history entry to restore, as listed by `getHistory`.
+     * @returns {Promise<object>} A promise that resolves with the restored record.
+     */
+    restoreVersion(objectStoreName, key, versionId)
+    {
+        return this.#withContext({ operation: "restoreVersion", store: objectStoreName }, () =>
+        {
+            if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+
+            return this.#runTransaction([objectStoreName, this.#historyStoreName], "readwrite", async (transaction) =>
+            {
+                const entry = await this.#requestToPromise(transaction.objectStore(this.#historyStoreName).get(versionId));
+                if (!entry || entry.store !== objectStoreName || this.#indexedDB.cmp(entry.key, key) !== 0)
+                {
+                    throw new NotFoundError(`History entry '${versionId}' not found for this record.`, { store: objectStoreName });
+                }
+                if (entry.record === null) { throw new ValidationError(`History entry '${versionId}' is a deletion and holds no record to restore`); }
+
+                const { [this.#deletedPropertyName]: _, ...record } = entry.record;
+                return this.#writeHistoryRecord(transaction, objectStoreName, key, record, "restore");
+            }).then(record => this.#encryption.has(objectStoreName) ? this.#decryptRecords(objectStoreName, [record], []).then(records => records[0]) : record);
+        });
+    }
+
+    /**
+     * Restores a deleted record: a record marked by a soft delete is unmarked, and a record deleted for good is recreated
+     * from the last version in its history.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {IDBValidKey} key - The primary key of the record.
+     * @returns {Promise<object|null>} A promise that resolves with the restored record, or `null` if there is no deleted record to restore.
+     */
+    undelete(objectStoreName, key)
+    {
+        return this.#withContext({ operation: "undelete", store: objectStoreName }, () =>
+        {
+            if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+
+            return this.#runTransaction(objectStoreName, "readwrite", async (transaction) =>
+            {
+                const current = await this.#requestToPromise(transaction.objectStore(objectStoreName).get(key));
+                let deleted = current;
+                if (current !== undefined && !this.#isDeleted(current)) { return null; }
+                if (current === undefined)
+                {
+                    if (!transaction.objectStoreNames.contains(this.#historyStoreName)) { return null; }
+                    const entries = await this.#requestToPromise(transaction.objectStore(this.#historyStoreName).index("record").getAll([objectStoreName, key]));
+                    deleted = entries.reverse().find(entry => entry.record !== null)?.record;
+                    if (deleted === undefined) { return null; }
+                }
+
+                const { [this.#deletedPropertyName]: _, ...record } = deleted;
+                return this.#writeHistoryRecord(transaction, objectStoreName, key, record, "undelete");
+            }).then(record => record && this.#encryption.has(objectStoreName) ? this.#decryptRecords(objectStoreName, [record], []).then(records => records[0]) : record);
+        });
+    }
+
+    /**
+     * Selects the records of an Object Store marked as deleted by soft deletes, e.g. to show a trash bin.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {string[]} [fields=[]] - Optional. An array of property names to return. If empty, returns the full objects.
+     * @returns {Promise<object[]>} A promise that resolves with the marked records.
+     */
+    getDeleted(objectStoreName, fields = [])
+    {
+        return this.#withContext({ operation: "getDeleted", store: objectStoreName }, async () =>
+        {
+            if (typeof objectStoreName !== "string" || !objectStoreName) { throw new ValidationError("objectStoreName must be a non-empty string"); }
+
+            const records = (await this.#runTransaction(objectStoreName, "readonly", (transaction) =>
+                this.#requestToPromise(transaction.objectStore(objectStoreName).getAll()))).filter(record => this.#isDeleted(record));
+            if (this.#encryption.has(objectStoreName)) { return this.#decryptRecords(objectStoreName, records, fields); }
+            return records.map(record => this.#projectRecord(record, fields)).filter(record => record !== null);
+        });
+    }
+
+
+    // --- File Methods ---
+
+    /**
+     * Stores a Blob or File in chunks, so large files never have to be held in memory or written in a single transaction.
+     * Metadata is kept in the `__files` Object Store and chunks in `__fileChunks`, both created if necessary. A file stored under
+     * an existing id replaces it once every chunk is written, so the previous version stays readable until then.
+     * @param {string} fileId - The identifier of the file.
+     * @param {Blob} blob - The content. A File's name is used when `name` is not given.
+     * @param {object} [options={}] - Optional. The file options.
+     * @param {string} [options.name] - Optional. The file name. Defaults to the File's name, or `fileId`.
+     * @param {string} [options.type] - Optional. The MIME type. Defaults to the Blob's type.
+     * @param {number} [options.chunkSize=1048576] - Optional. The size of each chunk in bytes.
+     * @param {(progress: {loaded: number, total: number}) => void} [options.onProgress] - Optional. Called after each chunk is written.
+     * @returns {Promise<{id: string, name: string, type: string, size: number, checksum: string, chunkSize: number, chunks: number, lastModified: number, storedAt: number}>}
+     * A promise that resolves with the metadata of the stored file. `checksum` is the CRC-32 of the content, in hexadecimal.
+     */
+    putFile(fileId, blob, options = {})
+    {
+        return this.#withContext({ operation: "putFile", store: this.#fileStoreName }, async () =>
+        {
+            if (typeof fileId !== "string" || !fileId) { throw new ValidationError("fileId must be a non-empty string"); }
+            if (typeof blob?.slice !== "function" || typeof blob.size !== "number") { throw new ValidationError("blob must be a Blob or a File"); }
+            if (typeof options !== "object" || options === null) { throw new ValidationError("options must be an object"); }
+
+            const { name = blob.name || fileId, type = blob.type || "", chunkSize = 1048576, onProgress } = options;
+            if (typeof name !== "string" || typeof type !== "string") { throw new ValidationError("name and type must be strings"); }
+            if (!Number.isInteger(chunkSize) || chunkSize < 1) { throw new ValidationError("chunkSize must be a positive integer"); }
+            if (onProgress !== undefined && typeof onProgress !== "function") { throw new ValidationError("onProgress must be a function"); }
+            if (!this.#databaseName) { throw new EasyIndexedDBError("Database not initialized."); }
+
+            await this.#ensureInternalStores([this.#fileStoreName, this.#fileChunkStoreName]);
+
+            // Chunks are written under a new revision, and the metadata points to it only once they are all written.
+            const revision = this.#generateKey("uuid");
+            const size = blob.size;
+            const chunks = Math.ceil(size / chunkSize);
+            let checksum = 0;
+            try
+            {
+                for (let index = 0; index < chunks; index++)
+                {
+                    const end = Math.min(size, (index + 1) * chunkSize);
+                    const data = await blob.slice(index * chunkSize, end).arrayBuffer();
+                    checksum = this.#crc32(new Uint8Array(data), checksum);
+                    await this.#runTransaction(this.#fileChunkStoreName, "readwrite", (transaction) =>
+                        this.#requestToPromise(transaction.objectStore(this.#fileChunkStoreName).put({ revision, index, data })));
+                    onProgress?.({ loaded: end, total: size });
+                }
+
+                const file = {
+                    id: fileId, name, type, size, checksum: checksum.toString(16).padStart(8, "0"), chunkSize, chunks,
+                    lastModified: typeof blob.lastModified === "number" ? blob.lastModified : Date.now(), storedAt: Date.now()
+                };
+                await this.#runTransaction([this.#fileStoreName, this.#fileChunkStoreName], "readwrite", async (transaction) =>
+                {
+                    const files = transaction.objectStore(this.#fileStoreName);
+                    const previous = await this.#requestToPromise(files.get(fileId));
+                    files.put({ ...file, revision });
+                    if (previous) { transaction.objectStore(this.#fileChunkStoreName).delete(this.#getChunkRange(previous.revision)); }
+                });
+                return file;
+            }
+            catch (error)
+            {
+                // Leave no orphaned chunks behind. If this fails too, the original error is still the one worth reporting.
+                await this.#runTransaction(this.#fileChunkStoreName, "readwrite", (transaction) =>
+                    this.#requestToPromise(transaction.objectStore(this.#fileChunkStoreName).delete(this.#getChunkRange(revision)))).catch(() => {});
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Reads a whole file into memory, reading one chunk per transaction and checking its checksum. Use `getFileStream` for large files.
+     * @param {string} fileId - The identifier of the file.
+     * @param {{onProgress?: (progress: {loaded: number, total: number}) => void}} [options={}] - Optional. `onProgress` is called after each chunk is read.
+     * @returns {Promise<File|Blob|null>} A promise that resolves with the file (a Blob where File is not available), or `null` if it does not exist.
+     */
+    getFile(fileId, options = {})
+    {
+        return this.#withContext({ operation: "getFile", store: this.#fileStoreName }, async () =>
+        {
+            const { onProgress } = options;
+            if (onProgress !== undefined && typeof onProgress !== "function") { throw new ValidationError("onProgress must be a function"); }
+
+            const file = await this.#getFileRecord(fileId);
+            if (!file) { return null; }
+
+            const parts = [];
+            let checksum = 0;
+            for (let index = 0; index < file.chunks; index++)
+            {
+                const data = await this.#readFileChunk(file, index);
+                checksum = this.#crc32(new Uint8Array(data), checksum);
+                parts.push(data);
+                onProgress?.({ loaded: Math.min(file.size, (index + 1) * file.chunkSize), total: file.size });
+            }
+            this.#verifyFileChecksum(file, checksum);
+
+            return typeof File === "function"
+                ? new File(parts, file.name, { type: file.type, lastModified: file.lastModified })
+                : new Blob(parts, { type: file.type });
+        });
+    }
+
+    /**
+     * Opens a file as a stream of bytes, reading one chunk per transaction only when the consumer asks for more, so files can be
+     * played back or sent (e.g. `new Response(stream)` in a Service Worker) without being loaded fully. When the whole file is read,
+     * its checksum is checked at the end and a mismatch errors the stream.
+     * @param {string} fileId - The identifier of the file.
+     * @param {{start?: number, end?: number}} [options={}] - Optional. A byte range to read, `end` excluded, e.g. to answer HTTP range requests.
+     * @returns {Promise<ReadableStream<Uint8Array>|null>} A promise that resolves with the stream, or `null` if the file does not exist.
+     */
+    getFileStream(fileId, options = {})
+    {
+        return this.#withContext({ operation: "getFileStream", store: this.#fileStoreName }, async () =>
+        {
+            const file = await this.#getFileRecord(fileId);
+            if (!file) { return null; }
+
+            const { start = 0, end = file.size } = options;
+            if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start || end > file.size)
+            {
+                throw new ValidationError(`start and end must be integers with 0 <= start <= end <= ${file.size}`);
+            }
+
+            const verify = start === 0 && end === file.size;
+            let index = Math.floor(start / file.chunkSize);
+            let checksum = 0;
+            return new ReadableStream({
+                pull: (controller) => this.#withContext({ operation: "getFileStream", store: this.#fileStoreName }, async () =>
+                {
+                    const chunkStart = index * file.chunkSize;
+                    if (chunkStart >= end) { return controller.close(); }
+
+                    const data = new Uint8Array(await this.#readFileChunk(file, index++));
+                    if (verify) { checksum = this.#crc32(data, checksum); }
+                    controller.enqueue(data.subarray(Math.max(0, start - chunkStart), Math.min(data.length, end - chunkStart)));
+
+                    if (chunkStart + data.length < end) { return; }
+                    if (verify) { this.#verifyFileChecksum(file, checksum); }
+                    controller.close();
+                })
+            });
+        });
+    }
+
+    /**
+     * Deletes a file and its chunks.
+     * @param {string} fileId - The identifier of the file.
+     * @returns {Promise<boolean>} A promise that resolves with whether the file existed.
+     */
+    deleteFile(fileId)
+    {
+        return this.#withContext({ operation: "deleteFile", store: this.#fileStoreName }, async () =>
+        {
+            if (!(await this.#hasObjectStore(this.#fileStoreName))) { return false; }
+
+            return this.#runTransaction([this.#fileStoreName, this.#fileChunkStoreName], "readwrite", async (transaction) =>
+            {
+                const files = transaction.objectStore(this.#fileStoreName);
+                const file = await this.#requestToPromise(files.get(fileId));
+                if (!file) { return false; }
+
+                files.delete(fileId);
+                transaction.objectStore(this.#fileChunkStoreName).delete(this.#getChunkRange(file.revision));
+                return true;
+            });
+        });
+    }
+
+    /**
+     * Lists the metadata of every stored file, ordered by id.
+     * @returns {Promise<object[]>} A promise that resolves with the metadata, as returned by `putFile`.
+     */
+    listFiles()
+    {
+        return this.#withContext({ operation: "listFiles", store: this.#fileStoreName }, async () =>
+        {
+            if (!(await this.#hasObjectStore(this.#fileStoreName))) { return []; }
+
+            const files = await this.#runTransaction(this.#fileStoreName, "readonly", (transaction) =>
+                this.#requestToPromise(transaction.objectStore(this.#fileStoreName).getAll()));
+            return files.map(({ revision, ...file }) => file);
+        });
+    }
+
+
+    // --- Storage Methods ---
+
+    /**
+     * Reports how much storage the origin uses, and the number of records and approximate size of each Object Store.
+     * Sizes are estimated from the records themselves, except for Object Stores with a limit, whose sizes are tracked in `__usage`,
+     * and file chunks, measured from the sizes of their files.
+     * @returns {Promise<{usage: number|null, quota: number|null, persisted: boolean, stores: Array<{name: string, count: number, size: number}>}>}
+     * A promise that resolves with the usage and quota in bytes from `navigator.storage.estimate()` (`null` where unavailable),
+     * whether storage is persistent, and the sizes in bytes of each Object Store.
+     */
+    getStorageInfo()
+    {
+        return this.#withContext({ operation: "getStorageInfo" }, async () =>
+        {
+            if (!this.#databaseName) { throw new EasyIndexedDBError("Database not initialized."); }
+
+            const storage = typeof navigator === "undefined" ? undefined : navigator.storage;
+            const estimate = typeof storage?.estimate === "function" ? await storage.estimate() : {};
+            const persisted = typeof storage?.persisted === "function" ? await storage.persisted() : false;
+
+            const storeNames = await this.#execute(this.#databaseName, undefined, null, (db) =>
+                Promise.resolve(Array.from(db.objectStoreNames).filter(name => name !== this.#objectStoreNameLastModifyDate)));
+            const stores = [];
+            for (const name of storeNames) { stores.push({ name, ...(await this.#measureStore(name, storeNames)) }); }
+
+            return { usage: estimate.usage ?? null, quota: estimate.quota ?? null, persisted, stores };
+        });
+    }
+
+    /**
+     * Asks the browser to keep the origin's data when storage runs low, instead of evicting it. Browsers may grant it silently,
+     * prompt the user or refuse.
+     * @returns {Promise<boolean>} A promise that resolves with whether storage is persistent, `false` where the Storage API is unavailable.
+     */
+    requestPersistence()
+    {
+        return this.#withContext({ operation: "requestPersistence" }, async () =>
+        {
+            const storage = typeof navigator === "undefined" ? undefined : navigator.storage;
+            return typeof storage?.persist === "function" ? storage.persist() : false;
+        });
+    }
+
+    /**
+     * Caps the size of an Object Store. Each time records are inserted (`insertDataObjectStore`, `insertMultipleDataObjectStore`,
+     * `putDataObjectStore`, `upsert`...), the oldest records are deleted in the same transaction until the Object Store is back
+     * within its limits. The records just written count as the newest. The size and times of each record are tracked in the
+     * `__usage` Object Store, and the limit is saved in the database, with a version upgrade. On a database whose schema is managed
+     * by migrations, declare `limit` in a migration instead.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {{maxRecords?: number, maxBytes?: number, policy?: "fifo"|"lru"}|null} limit - The maximum number of records and/or approximate
+     * size in bytes, and which records go first: `fifo` (the default) deletes the records inserted first, `lru` the records read or written
+     * least recently. Pass `null` to remove the limit.
+     * @returns {Promise<void>} A promise that resolves once the limit is saved.
+     */
+    setStoreLimit(objectStoreName, limit)
+    {
+        return this.#withContext({ operation: "setStoreLimit", store: objectStoreName }, () =>
+        {
+            return this.#changeStoreSetting(objectStoreName, "limit", this.#normalizeLimit(limit));
+        });
+    }
+
+
+    // --- Relation Methods ---
+
+    /**
+     * Declares the relations of an Object Store to other Object Stores, replacing the previous ones. Each relation matches a value
+     * of the records, their primary key by default, with the primary key or an index of the related Object Store. The select and
+     * query methods add the related records to each record with their `include` option, in the same transaction, or in a second one
+     * when an encrypted Object Store is involved. Relations are saved in the database, with a version upgrade.
+     * On a database whose schema is managed by migrations, declare `relations` in a migration instead.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {Object<string, {type: "one"|"many", store: string, field?: string, index?: string, onDelete?: "cascade"|"restrict"}>|null} relations -
+     * The relations by name, which is also the property the related records are added under. `type` is `one` for the first related record
+     * (or `null`) and `many` for all of them. `field` is the key path of the value to match, and `index` the index of the related Object Store
+     * to match it in, required for `many`. `onDelete`, for relations from the primary key through an index, deletes the related records along
+     * with the record (`cascade`) or prevents deleting a record that still has related records (`restrict`). Pass `null` to remove every relation.
+     * @returns {Promise<void>} A promise that resolves once the relations are saved.
+     */
+    setRelations(objectStoreName, relations)
+    {
+        return this.#withContext({ operation: "setRelations", store: objectStoreName }, async () =>
+        {
+            const value = this.#normalizeRelations(relations);
+            if (!this.#databaseName) { throw new EasyIndexedDBError("Database not initialized."); }
+
+            if (value)
+            {
+                await this.#execute(this.#databaseName, undefined, null, async (db) =>
+                    this.#checkRelationTargets(value, (name) => db.objectStoreNames.contains(name) ? db.transaction(name, "readonly").objectStore(name) : null));
+            }
+            return this.#changeStoreSetting(objectStoreName, "relations", value);
+        });
+    }
+
+
+    // --- Search Methods ---
+
+    /**
+     * Makes string fields of an Object Store searchable with `search`. Each insert, put and update breaks the fields into terms,
+     * lowercased and without accents, and stores them in an inverted index (the `__search` Object Store) in the same transaction.
+     * The existing records are indexed when the fields are set, with a version upgrade, and the setting is saved in the database.
+     * On a database whose schema is managed by migrations, declare `search` in a migration instead.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {string[]|null} fields - The key paths of the fields to index, whose values are strings or arrays of strings.
+     * Pass `null` to stop indexing and drop the Object Store's index.
+     * @param {{stemming?: boolean}} [options={}] - Optional. `stemming` reduces English words to their stem, so that "notes", "noted"
+     * and "noting" match each other.
+     * @returns {Promise<void>} A promise that resolves once the records are indexed.
+     */
+    setSearchFields(objectStoreName, fields, options = {})
+    {
+        return this.#withContext({ operation: "setSearchFields", store: objectStoreName }, () =>
+        {
+            return this.#changeStoreSetting(objectStoreName, "search", this.#normalizeSearch(fields, options));
+        });
+    }
+
+    /**
+     * Searches the fields set with `setSearchFields` for records containing every term of a text. Records are ranked by how
+     * often they contain the terms, rare terms weighing more than common ones.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {string} text - The text to search for. It is broken into terms like the indexed fields.
+     * @param {object} [options={}] - Optional. The search options.
+     * @param {string[]} [options.fields] - The searchable fields to search in. If omitted, searches all of them.
+     * @param {number} [options.limit] - The maximum number of records to return.
+     * @param {boolean} [options.prefix=false] - Whether terms also match longer terms that start with them, for search-as-you-type.
+     * @returns {Promise<object[]>} A promise that resolves with the matching records, best match first.
+     */
+    search(objectStoreName, text, options = {})
+    {
+        return this.#withContext({ operation: "search", store: objectStoreName }, async () =>
+        {
+            if (typeof objectStoreName !== "string" || !objectStoreName) { throw new ValidationError("objectStoreName must be a non-empty string"); }
+            if (typeof text !== "string") { throw new ValidationError("text must be a string"); }
+            if (!this.#databaseName) { throw new EasyIndexedDBError("Database not initialized."); }
+
+            const { fields, limit = Infinity, prefix = false } = options;
+            if (limit !== Infinity && (!Number.isInteger(limit) || limit < 1)) { throw new ValidationError("limit must be a positive integer"); }
+
+            // The settings are read once the connection is open.
+            const settings = await this.#execute(this.#databaseName, undefined, null, (db) => db.objectStoreNames.contains(objectStoreName)
+                ? Promise.resolve(this.#storeSettings[objectStoreName]?.search)
+                : Promise.reject(new NotFoundError(`Object Store '${objectStoreName}' not found.`, { store: objectStoreName })));
+            if (!settings) { throw new ValidationError(`Object Store '${objectStoreName}' has no search fields`); }
+
+            const searchFields = fields === undefined ? settings.fields : [].concat(fields);
+            const unknownField = searchFields.find(field => !settings.fields.includes(field));
+            if (unknownField !== undefined) { throw new ValidationError(`Field '${unknownField}' is not searchable`); }
+
+            const terms = [...new Set(this.#tokenize(text, settings.stemming))];
+            if (!terms.length) { return []; }
+
+            const records = await this.#runTransaction([objectStoreName, this.#searchStoreName], "readonly", (transaction) =>
+                this.#searchRecords(transaction, objectStoreName, terms, searchFields, prefix, limit));
+            return this.#encryption.has(objectStoreName) ? this.#decryptRecords(objectStoreName, records, []) : records;
+        });
+    }
+
+
+    // --- Last Modification Date Methods ---
+
+    /**
+     * Sets the name of the Object Store used to track the last modification date.
+     * @param {string} objectStoreName - The new name for the tracking Object Store.
+     * @returns {void}
+     */
+    setObjectStoreNameLastModifyDate(objectStoreName)
+    {
+        if (typeof objectStoreName === "string" && objectStoreName.length) { this.#objectStoreNameLastModifyDate = objectStoreName; }
+    }
+
+    /**
+     * Sets the timezone for storing the last modification date.
+     * @param {string} timezone - A valid IANA time zone name (e.g., "Europe/London").
+     * @returns {boolean} True if the timezone is valid, false otherwise.
+     */
+    setTimezoneLastModifyDate(timezone)
+    {
+        try
+        {
+            new Intl.DateTimeFormat(undefined, { timeZone: timezone });
+            this.#timezoneLastModifyDate = timezone;
+            return true;
+        }
+        catch (error) { return false; }
+    }
+
+    /**
+     * Retrieves the timestamp of the last database structure modification.
+     * @returns {Promise<string|null>} A promise that resolves with the date as a formatted string, or `null` if not set.
+     */
+    getLastModifyDateDatabase()
+    {
+        return this.#withContext({ operation: "getLastModifyDateDatabase" }, () =>
+        {
+            if (!this.#databaseName) return Promise.reject(new EasyIndexedDBError("Database not initialized."));
+
+            const storeName = this.#objectStoreNameLastModifyDate;
+
+            return this.#execute(this.#databaseName, undefined, null, (db) => new Promise((resolve, reject) =>
+            {
+                if (!db.objectStoreNames.contains(storeName)) { return resolve(null); }
+
+                const transaction = db.transaction(storeName, "readonly");
+                const request = transaction.objectStore(storeName).get("_last_modified_key_");
+
+                transaction.oncomplete = () =>
+                {
+                    const result = request.result;
+                    resolve(result ? result.timestamp : null);
+                };
+                transaction.onerror = (e) => reject(e.target.error);
+            }));
+        });
+    }
+
+    /**
+     * Validates primary key options and fills in the defaults.
+     * @private
+     * @param {{keyPath?: string|string[], autoIncrement?: boolean, keyGenerator?: "uuid"|"ulid"}} options - The primary key options.
+     * @returns {{keyPath?: string|string[], autoIncrement: boolean, keyGenerator?: "uuid"|"ulid"}} The normalized options.
+     */
+    #normalizeStoreOptions(options)
+    {
+        if (typeof options !== "object" || options === null) { throw new ValidationError("Object Store options must be an object"); }
+
+        const { keyPath, autoIncrement, keyGenerator } = options;
+        if (keyPath === undefined && autoIncrement === undefined && keyGenerator === undefined) { return { autoIncrement: true }; }
+
+        if (keyPath !== undefined && !this.#isValidKeyPath(keyPath)) { throw new ValidationError("keyPath must be a non-empty string or an array of non-empty strings"); }
+        if (keyGenerator !== undefined && keyGenerator !== "uuid" && keyGenerator !== "ulid") { throw new ValidationError("keyGenerator must be 'uuid' or 'ulid'"); }
+        if (keyGenerator && autoIncrement) { throw new ValidationError("keyGenerator cannot be combined with autoIncrement"); }
+        if (keyGenerator && Array.isArray(keyPath)) { throw new ValidationError("keyGenerator cannot be used with a compound keyPath"); }
+        if (autoIncrement && Array.isArray(keyPath)) { throw new ValidationError("autoIncrement cannot be used with a compound keyPath"); }
+        if (keyPath === undefined && !autoIncrement && !keyGenerator) { throw new ValidationError("An Object Store without keyPath needs autoIncrement or a keyGenerator"); }
+
+        const normalized = { autoIncrement: !!autoIncrement };
+        if (keyPath !== undefined) { normalized.keyPath = keyPath; }
+        if (keyGenerator) { normalized.keyGenerator = keyGenerator; }
+        return normalized;
+    }
+
+    /**
+     * Checks whether a value is a valid IndexedDB key path.
+     * @private
+     * @param {any} keyPath - The value to check.
+     * @returns {boolean} True if the value is a non-empty string or a non-empty array of non-empty strings.
+     */
+    #isValidKeyPath(keyPath)
+    {
+        if (typeof keyPath === "string") { return keyPath.length > 0; }
+        return Array.isArray(keyPath) && keyPath.length > 0 && keyPath.every(path => typeof path === "string" && path.length > 0);
+    }
+
+    /**
+     * Validates an array of index definitions.
+     * @private
+     * @param {Array<{name: string, keyPath?: string|string[], unique?: boolean, multiEntry?: boolean}>} indexes - The index definitions.
+     * @returns {void}
+     */
+    #validateIndexes(indexes)
+    {
+        if (!Array.isArray(indexes)) { throw new ValidationError("indexes must be an array"); }
+        for (const index of indexes)
+        {
+            if (!index || typeof index.name !== "string" || !index.name) { throw new ValidationError("Every index must have a non-empty name"); }
+            if (index.keyPath !== undefined && !this.#isValidKeyPath(index.keyPath)) { throw new ValidationError(`Index '${index.name}' has an invalid keyPath`); }
+            if (index.multiEntry && Array.isArray(index.keyPath)) { throw new ValidationError(`Index '${index.name}' cannot be multiEntry with a compound keyPath`); }
+        }
+    }
+
+    /**
+     * Creates an index from its definition. The key path defaults to the index name.
+     * @private
+     * @param {IDBObjectStore} store - The Object Store, inside a 'versionchange' transaction.
+     * @param {{name: string, keyPath?: string|string[], unique?: boolean, multiEntry?: boolean}} index - The index definition.
+     * @returns {void}
+     */
+    #createIndex(store, index)
+    {
+        if (store.indexNames.contains(index.name)) { return; }
+        store.createIndex(index.name, index.keyPath ?? index.name, { unique: !!index.unique, multiEntry: !!index.multiEntry });
+    }
+
+    /**
+     * Adds, removes and renames indexes of an Object Store.
+     * @private
+     * @param {IDBObjectStore} store - The Object Store, inside a 'versionchange' transaction.
+     * @param {Array<{name: string, keyPath?: string|string[], unique?: boolean, multiEntry?: boolean}>} indexesToAdd - Indexes to add.
+     * @param {string[]} indexesToRemove - Names of indexes to remove.
+     * @param {Array<{oldName: string, newName: string, unique?: boolean, multiEntry?: boolean}>} indexesToRename - Indexes to rename. A renamed
+     * index keeps the key path and flags of the old one, unless the change sets the flags. An index on the field of its own name follows the
+     * field, which the caller renames in the records.
+     * @returns {void}
+     */
+    #applyIndexChanges(store, indexesToAdd, indexesToRemove, indexesToRename)
+    {
+        indexesToAdd.forEach(index => this.#createIndex(store, index));
+
+        indexesToRemove.forEach(name =>
+        {
+            if (store.indexNames.contains(name)) { store.deleteIndex(name); }
+        });
+
+        indexesToRename.forEach(change =>
+        {
+            let oldIndex = null;
+            if (store.indexNames.contains(change.oldName))
+            {
+                const { keyPath, unique, multiEntry } = store.index(change.oldName);
+                oldIndex = { keyPath, unique, multiEntry };
+                store.deleteIndex(change.oldName);
+            }
+            this.#createIndex(store, {
+                name: change.newName,
+                keyPath: oldIndex && oldIndex.keyPath !== change.oldName ? oldIndex.keyPath : change.newName,
+                unique: change.unique ?? oldIndex?.unique,
+                multiEntry: change.multiEntry ?? oldIndex?.multiEntry
+            });
+        });
+    }
+
+    /**
+     * Builds the arguments of `IDBObjectStore.add`/`put` for a record, generating its key if the store uses a key generator.
+     * @private
+     * @param {IDBObjectStore} store - The target Object Store.
+     * @param {object} value - The record to store.
+     * @param {"uuid"|"ulid"} [keyGenerator] - Optional. The key generator to use. Defaults to the one saved for the store.
+     * @returns {[object]|[object, IDBValidKey]} The value, followed by the out-of-line key when one was generated.
+     */
+    #prepareRecord(store, value, keyGenerator = this.#storeSettings[store.name]?.keyGenerator)
+    {
+        if (!keyGenerator) { return [value]; }
+        if (store.keyPath === null) { return [value, this.#generateKey(keyGenerator)]; }
+
+        const path = store.keyPath.split(".");
+        let target = value;
+        for (const property of path.slice(0, -1))
+        {
+            if (typeof target[property] !== "object" || target[property] === null) { return [value]; }
+            target = target[property];
+        }
+        if (target[path[path.length - 1]] !== undefined) { return [value]; }
+
+        const record = structuredClone(value);
+        let recordTarget = record;
+        for (const property of path.slice(0, -1)) { recordTarget = recordTarget[property]; }
+        recordTarget[path[path.length - 1]] = this.#generateKey(keyGenerator);
+        return [record];
+    }
+
+    /**
+     * Finds the primary key of a record from the arguments of `IDBObjectStore.add`/`put`.
+     * @private
+     * @param {IDBObjectStore} store - The target Object Store.
+     * @param {[object]|[object, IDBValidKey]} args - The value, followed by its out-of-line key if any.
+     * @returns {IDBValidKey|undefined} The key, or `undefined` if it is generated by the Object Store.
+     */
+    #keyOfArgs(store, args)
+    {
+        return store.keyPath === null ? args[1] : this.#extractKey(store.keyPath, args[0]);
+    }
+
+    /**
+     * Rejects with the error of a failed add or put. A `ConstraintError` is completed with what the record violates: a unique index
+     * and the record's key in it, or its primary key. Finding it takes requests, so the failed request is kept from aborting the
+     * transaction until they are done, and the transaction is then aborted with the error, as the request would have done.
+     * @private
+     * @param {Event} event - The 'error' event of the request.
+     * @param {IDBTransaction} transaction - The active 'readwrite' transaction.
+     * @param {string} objectStoreName - The Object Store's name.
+     * @param {any[]} args - The arguments of the add or put: the record, and its out-of-line key if any.
+     * @param {boolean} replaces - Whether the write was a put, which may replace a record with the same primary key.
+     * @param {(error: Error) => void} reject - Called with the error.
+     * @returns {void}
+     */
+    #rejectWrite(event, transaction, objectStoreName, args, replaces, reject)
+    {
+        const store = transaction.objectStore(objectStoreName);
+        const key = this.#keyOfArgs(store, args);
+        const error = event.target.error;
+        if (error?.name !== "ConstraintError") { return reject(this.#toError(error, { store: objectStoreName, key })); }
+
+        event.preventDefault();
+        this.#findViolatedConstraint(store, args[0], key, replaces).catch(() => ({ key })).then(context =>
+        {
+            const constraintError = this.#toError(error, { store: objectStoreName, ...context });
+            this.#abortWith(transaction, constraintError);
+            reject(constraintError);
+        });
+    }
+
+    /**
+     * Finds the constraint a record could not be written because of: its primary key if another record has it, or else the first
+     * unique index in which another record has the same key.
+     * @private
+     * @param {IDBObjectStore} store - The Object Store, in an active transaction.
+     * @param {object} record - The record, as it was written.
+     * @param {IDBValidKey|undefined} key - The primary key of the record, unless it was to be generated.
+     * @param {boolean} replaces - Whether the write was a put, for which an existing primary key is not a violation.
+     * @returns {Promise<{index?: string, key?: IDBValidKey}>} A promise that resolves with the violated index and key.
+     */
+    #findViolatedConstraint(store, record, key, replaces)
+    {
+        const checks = [];
+        if (!replaces && key !== undefined) { checks.push(this.#requestToPromise(store.count(key)).then(count => count ? { key } : null)); }
+
+        for (const indexName of Array.from(store.indexNames))
+        {
+            const index = store.index(indexName);
+            if (!index.unique) { continue; }
+
+            const value = this.#extractKey(index.keyPath, record);
+            const indexKeys = index.multiEntry && Array.isArray(value) ? value : [value];
+            for (const indexKey of indexKeys.filter(candidate => this.#isValidKey(candidate)))
+            {
+                // The record itself holds the key when a put replaces it.
+                checks.push(this.#requestToPromise(index.getKey(indexKey)).then(owner =>
+                    owner !== undefined && (key === undefined || this.#indexedDB.cmp(owner, key) !== 0) ? { index: indexName, key: indexKey } : null));
+            }
+        }
+        return Promise.all(checks).then(violations => violations.find(Boolean) ?? { key });
+    }
+
+    /**
+     * Reads the value of a key path in a record.
+     * @private
+     * @param {string|string[]} keyPath - The key path, possibly dotted or compound.
+     * @param {object} value - The record.
+     * @returns {any} The key, or `undefined` if any part of the path is missing.
+     */
+    #extractKey(keyPath, value)
+    {
+        if (Array.isArray(keyPath))
+        {
+            const parts = keyPath.map(path => this.#extractKey(path, value));
+            return parts.includes(undefined) ? undefined : parts;
+        }
+        return keyPath.split(".").reduce((target, property) => (target === null || target === undefined) ? undefined : target[property], value);
+    }
+
+    /**
+     * Turns a key into a string that is unique for equal keys, so keys can be tracked in a Set.
+     * @private
+     * @param {IDBValidKey} key - The key to serialize.
+     * @returns {string} The serialized key.
+     */
+    #serializeKey(key)
+    {
+        if (Array.isArray(key)) { return `a:[${key.map(part => this.#serializeKey(part)).join(",")}]`; }
+        if (key instanceof Date) { return `d:${key.getTime()}`; }
+        if (key instanceof ArrayBuffer || ArrayBuffer.isView(key))
+        {
+            const bytes = key instanceof ArrayBuffer ? new Uint8Array(key) : new Uint8Array(key.buffer, key.byteOffset, key.byteLength);
+            return `b:${Array.from(bytes).join(".")}`;
+        }
+        return `${typeof key}:${JSON.stringify(key)}`;
+    }
+
+    /**
+     * Sets the value at a dotted property path, creating the intermediate objects that are missing.
+     * @private
+     * @param {object} target - The object to modify.
+     * @param {string} path - The property path, e.g. `address.city`.
+     * @param {any} value - The value to set.
+     * @returns {void}
+     */
+    #setValueAtPath(target, path, value)
+    {
+        const properties = path.split(".");
+        const last = properties.pop();
+        for (const property of properties)
+        {
+            if (typeof target[property] !== "object" || target[property] === null) { target[property] = {}; }
+            target = target[property];
+        }
+        target[last] = value;
+    }
+
+    /**
+     * Generates a new primary key.
+     * @private
+     * @param {"uuid"|"ulid"} keyGenerator - The kind of key to generate.
+     * @returns {string} A random UUID v4, or a lexicographically sortable ULID.
+     */
+    #generateKey(keyGenerator)
+    {
+        if (keyGenerator === "uuid")
+        {
+            if (typeof crypto.randomUUID === "function") { return crypto.randomUUID(); }
+            const bytes = crypto.getRandomValues(new Uint8Array(16));
+            bytes[6] = (bytes[6] & 0x0f) | 0x40;
+            bytes[8] = (bytes[8] & 0x3f) | 0x80;
+            const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, "0")).join("");
+            return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+        }
+
+        // ULID: 48-bit millisecond timestamp followed by 80 random bits, in Crockford's Base32.
+        const alphabet = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+        let time = Date.now();
+        let timePart = "";
+        for (let i = 0; i < 10; i++)
+        {
+            timePart = alphabet[time % 32] + timePart;
+            time = Math.floor(time / 32);
+        }
+        const randomPart = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => alphabet[byte % 32]).join("");
+        return timePart + randomPart;
+    }
+
+    /**
+     * Saves or removes the settings of an Object Store within an active 'versionchange' transaction.
+     * Several calls in the same transaction are merged into the same settings record.
+     * @private
+     * @param {IDBTransaction} transaction - The active 'versionchange' transaction. The tracking store must already exist.
+     * @param {string} objectStoreName - The Object Store the settings belong to.
+     * @param {object|null} settings - The settings to save, or `null` to remove them.
+     * @returns {void}
+     */
+    #saveStoreSettings(transaction, objectStoreName, settings)
+    {
+        this.#changeStoreSettings(transaction, allSettings =>
+        {
+            if (settings) { allSettings[objectStoreName] = settings; }
+            else { delete allSettings[objectStoreName]; }
+        });
+    }
+
+    /**
+     * Applies a change to the settings record of every Object Store within an active 'versionchange' transaction.
+     * @private
+     * @param {IDBTransaction} transaction - The active 'versionchange' transaction. The tracking store must already exist.
+     * @param {(allSettings: object) => void} change - Mutates the settings, keyed by Object Store name.
+     * @returns {void}
+     */
+    #changeStoreSettings(transaction, change)
+    {
+        const storeName = this.#objectStoreNameLastModifyDate;
+        if (!transaction.db.objectStoreNames.contains(storeName)) { return; }
+
+        const store = transaction.objectStore(storeName);
+        let pending = this.#pendingStoreSettings.get(transaction);
+        if (!pending)
+        {
+            pending = { allSettings: null, changes: [] };
+            this.#pendingStoreSettings.set(transaction, pending);
+
+            const request = store.get("_store_settings_");
+            request.onsuccess = () =>
+            {
+                pending.allSettings = request.result || {};
+                pending.changes.forEach(pendingChange => pendingChange(pending.allSettings));
+                store.put(pending.allSettings, "_store_settings_");
+            };
+        }
+
+        if (!pending.allSettings) { return pending.changes.push(change); }
+        change(pending.allSettings);
+        store.put(pending.allSettings, "_store_settings_");
+    }
+
+    /**
+     * Sets or removes one setting of an Object Store within an active 'versionchange' transaction, keeping its other settings.
+     * @private
+     * @param {IDBTransaction} transaction - The active 'versionchange' transaction.
+     * @param {string} objectStoreName - The Object Store's name.
+     * @param {"keyGenerator"|"history"|"softDelete"|"limit"|"relations"|"search"} setting - The name of the setting.
+     * @param {any} value - The new value, or `undefined` to remove the setting.
+     * @returns {void}
+     */
+    #setStoreSetting(transaction, objectStoreName, setting, value)
+    {
+        this.#changeStoreSettings(transaction, allSettings =>
+        {
+            // Records marked while soft deletes were enabled stay marked, and `false` tells aggregations to look for them.
+            if (setting === "softDelete" && value === undefined && allSettings[objectStoreName]?.softDelete !== undefined) { value = false; }
+            const settings = { ...allSettings[objectStoreName], [setting]: value };
+            if (value === undefined) { delete settings[setting]; }
+            if (Object.keys(settings).length) { allSettings[objectStoreName] = settings; }
+            else { delete allSettings[objectStoreName]; }
+        });
+    }
+
+    /**
+     * Validates a list of migrations and sorts it by version.
+     * @private
+     * @param {object[]} migrations - The migrations of a schema definition.
+     * @returns {object[]} The migrations, sorted by ascending version.
+     */
+    #validateMigrations(migrations)
+    {
+        if (!Array.isArray(migrations)) { throw new ValidationError("Schema migrations must be an array"); }
+
+        const sorted = [...migrations].sort((a, b) => a?.version - b?.version);
+        sorted.forEach((migration, position) =>
+        {
+            if (typeof migration !== "object" || migration === null) { throw new ValidationError("Every migration must be an object"); }
+            if (!Number.isInteger(migration.version) || migration.version < 1) { throw new ValidationError("Every migration must have a positive integer version"); }
+            if (position && sorted[position - 1].version === migration.version) { throw new ValidationError(`Migration version ${migration.version} is declared more than once`); }
+
+            for (const store of migration.createStores || [])
+            {
+                if (!store || typeof store.name !== "string" || !store.name) { throw new ValidationError(`Migration ${migration.version}: every created store must have a name`); }
+                this.#normalizeStoreOptions(store.options || {});
+                this.#validateIndexes(store.indexes || []);
+                this.#getDeclaredSettings(store);
+            }
+            for (const store of migration.updateStores || [])
+            {
+                if (!store || typeof store.name !== "string" || !store.name) { throw new ValidationError(`Migration ${migration.version}: every updated store must have a name`); }
+                this.#validateIndexes(store.addIndexes || []);
+                this.#getDeclaredSettings(store);
+            }
+            for (const [storeName, transform] of Object.entries(migration.transform || {}))
+            {
+                if (typeof transform !== "function") { throw new ValidationError(`Migration ${migration.version}: the transform of '${storeName}' must be a function`); }
+            }
+        });
+        return sorted;
+    }
+
+    /**
+     * Applies the pending migrations, in order, within an active 'versionchange' transaction and records them
+     * alongside the modification date. A migration has the following shape:
+     * `{ version, createStores: [{ name, indexes, options, ...settings }], renameStores: [{ oldName, newName }],
+     * updateStores: [{ name, addIndexes, removeIndexes, renameIndexes, ...settings }], deleteStores: [name], transform: { [storeName]: record => record } }`.
+     * A transform returns the new record, `null` to delete it, or `undefined` to keep it unchanged. It must be synchronous.
+     * The settings of a created or updated Object Store are those of `setHistory`, `setSoftDelete`, `setStoreLimit`, `setRelations` and
+     * `setSearchFields`: `history` and `softDelete` (booleans), `limit`, `relations` and `search` (`{ fields, stemming }`), or `null` to remove
+     * one. They are applied once the migration's records are transformed, so that the search index and usage entries see the new records.
+     * @private
+     * @param {IDBDatabase} db - The database being upgraded.
+     * @param {IDBTransaction} transaction - The active 'versionchange' transaction.
+     * @param {object[]} migrations - The validated migrations, sorted by version.
+     * @returns {Promise<void>} A promise that resolves once every pending migration was applied.
+     */
+    #applyMigrations(db, transaction, migrations)
+    {
+        const trackingStore = transaction.objectStore(this.#objectStoreNameLastModifyDate);
+
+        return this.#requestToPromise(trackingStore.get("_migrations_")).then(applied =>
+        {
+            const appliedMigrations = applied || [];
+            const appliedVersions = new Set(appliedMigrations.map(migration => migration.version));
+            const pending = migrations.filter(migration => !appliedVersions.has(migration.version));
+
+            return pending.reduce((chain, migration) => chain.then(() =>
+            {
+                this.#applyMigrationStructure(db, transaction, migration);
+                return this.#applyMigrationData(transaction, migration);
+            }).then(() =>
+            {
+                this.#applyMigrationSettings(db, transaction, migration);
+                appliedMigrations.push({ version: migration.version, appliedAt: this.#getActualDate() });
+            }), Promise.resolve()).then(() =>
+            {
+                trackingStore.put(appliedMigrations, "_migrations_");
+            });
+        });
+    }
+
+    /**
+     * Applies the structural changes of a migration: created, renamed, updated and deleted Object Stores.
+     * @private
+     * @param {IDBDatabase} db - The database being upgraded.
+     * @param {IDBTransaction} transaction - The active 'versionchange' transaction.
+     * @param {object} migration - The migration to apply.
+     * @returns {void}
+     */
+    #applyMigrationStructure(db, transaction, migration)
+    {
+        for (const { name, indexes = [], options = {} } of migration.createStores || [])
+        {
+            if (db.objectStoreNames.contains(name)) { continue; }
+            const { keyGenerator, ...nativeOptions } = this.#normalizeStoreOptions(options);
+            const store = db.createObjectStore(name, nativeOptions);
+            indexes.forEach(index => this.#createIndex(store, index));
+            this.#createIndex(store, { name: this.#expiryIndexName });
+            this.#saveStoreSettings(transaction, name, keyGenerator ? { keyGenerator } : null);
+        }
+
+        for (const { oldName, newName } of migration.renameStores || [])
+        {
+            if (!db.objectStoreNames.contains(oldName)) { continue; }
+            transaction.objectStore(oldName).name = newName;
+            this.#changeStoreSettings(transaction, allSettings =>
+            {
+                if (!(oldName in allSettings)) { return; }
+                allSettings[newName] = allSettings[oldName];
+                delete allSettings[oldName];
+            });
+        }
+
+        for (const { name, addIndexes = [], removeIndexes = [], renameIndexes = [] } of migration.updateStores || [])
+        {
+            this.#applyIndexChanges(transaction.objectStore(name), addIndexes, removeIndexes, renameIndexes);
+        }
+
+        for (const name of migration.deleteStores || [])
+        {
+            if (!db.objectStoreNames.contains(name)) { continue; }
+            db.deleteObjectStore(name);
+            this.#saveStoreSettings(transaction, name, null);
+        }
+    }
+
+    /**
+     * Migrates the data of a migration: renamed index fields first, then the transform functions.
+     * @private
+     * @param {IDBTransaction} transaction - The active 'versionchange' transaction.
+     * @param {object} migration - The migration to apply.
+     * @returns {Promise<void>} A promise that resolves once every record was migrated.
+     */
+    #applyMigrationData(transaction, migration)
+    {
+        const steps = [];
+
+        for (const { name, renameIndexes = [] } of migration.updateStores || [])
+        {
+            if (!renameIndexes.length) { continue; }
+            steps.push(() => this.#transformRecords(transaction.objectStore(name), record =>
+            {
+                if (!renameIndexes.some(change => change.oldName in record)) { return undefined; }
+                const newRecord = { ...record };
+                renameIndexes.forEach(change =>
+                {
+                    if (change.oldName in newRecord)
+                    {
+                        newRecord[change.newName] = newRecord[change.oldName];
+                        delete newRecord[change.oldName];
+                    }
+                });
+                return newRecord;
+            }));
+        }
+
+        for (const [name, transform] of Object.entries(migration.transform || {}))
+        {
+            steps.push(() => this.#transformRecords(transaction.objectStore(name), transform));
+        }
+
+        return steps.reduce((chain, step) => chain.then(step), Promise.resolve());
+    }
+
+    /**
+     * Walks every record of an Object Store with a cursor, replacing or deleting it according to a transform.
+     * @private
+     * @param {IDBObjectStore} store - The Object Store, inside a 'readwrite' or 'versionchange' transaction.
+     * @param {(record: object) => object|null|undefined} transform - Returns the new record, `null` to delete it, or `undefined` to keep it.
+     * @returns {Promise<void>} A promise that resolves once the cursor reached the end of the store.
+     */
+    #transformRecords(store, transform)
+    {
+        return new Promise((resolve, reject) =>
+        {
+            const cursorRequest = store.openCursor();
+            cursorRequest.onerror = (e) => reject(e.target.error);
+            cursorRequest.onsuccess = (e) =>
+            {
+                const cursor = e.target.result;
+                if (!cursor) { return resolve(); }
+
+                try
+                {
+                    const result = transform(cursor.value);
+                    if (result === null) { cursor.delete(); }
+                    else if (result !== undefined) { cursor.update(result); }
+                    cursor.continue();
+                }
+                catch (error) { reject(error); }
+            };
+        });
+    }
+
+    /**
+     * Wraps an IDBRequest in a promise.
+     * @private
+     * @param {IDBRequest} request - The request to wrap.
+     * @returns {Promise<any>} A promise that resolves with the request result.
+     */
+    #requestToPromise(request)
+    {
+        return new Promise((resolve, reject) =>
+        {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = (e) => reject(e.target.error);
+        });
+    }
+
+    /**
+     * Runs a public operation, turning whatever it rejects or throws into an `EasyIndexedDBError` carrying the operation's context.
+     * @private
+     * @param {{operation: string, store?: string, index?: string}} context - The operation name and the Object Store and index it works on.
+     * @param {() => any} operation - The operation.
+     * @returns {Promise<any>} A promise that resolves with the operation's result.
+     */
+    #withContext(context, operation)
+    {
+        try { return Promise.resolve(operation()).catch(error => { throw this.#toError(error, context); }); }
+        catch (error) { return Promise.reject(this.#toError(error, context)); }
+    }
+
+    /**
+     * Converts an error into the matching `EasyIndexedDBError` subclass, or completes the context of one.
+     * IndexedDB's DOMExceptions are wrapped and kept as `cause`; errors thrown by application callbacks (transforms, updaters,
+     * `transaction()` callbacks...) are returned unchanged.
+     * @private
+     * @param {any} error - The error.
+     * @param {{operation?: string, store?: string, index?: string, key?: IDBValidKey}} [context={}] - Optional. What is known about where the error happened.
+     * @returns {any} The converted error.
+     */
+    #toError(error, context = {})
+    {
+        if (error instanceof EasyIndexedDBError)
+        {
+            for (const [field, value] of Object.entries(context))
+            {
+                if (error[field] === undefined && (field !== "key" || error instanceof ConstraintError)) { error[field] = value; }
+            }
+            return error;
+        }
+        if (typeof error === "string") { return new ValidationError(error, context); }
+
+        const errorClasses = {
+            ConstraintError,
+            QuotaExceededError,
+            NotFoundError,
+            VersionError,
+            AbortError,
+            DataError: ValidationError,
+            DataCloneError: ValidationError,
+            InvalidStateError: EasyIndexedDBError,
+            TransactionInactiveError: EasyIndexedDBError,
+            ReadOnlyError: EasyIndexedDBError,
+            UnknownError: EasyIndexedDBError
+        };
+        const ErrorClass = Object.hasOwn(errorClasses, error?.name) ? errorClasses[error.name] : null;
+        if (!ErrorClass) { return error; }
+        return new ErrorClass(error.message || error.name, { ...context, cause: error });
+    }
+
+    /**
+     * Opens a transaction on the cached connection and runs some work in it.
+     * @private
+     * @param {string|string[]} storeNames - The Object Stores the transaction spans.
+     * @param {"readonly"|"readwrite"} mode - The transaction mode.
+     * @param {(transaction: IDBTransaction) => Promise<any>} work - The operations to run. If it rejects, the transaction is aborted.
+     * @param {boolean} [withinSchemaChange=false] - Optional. Whether the transaction belongs to a queued schema change, so it does not wait for the queue.
+     * @returns {Promise<any>} A promise that resolves with the result of `work` once the transaction is committed.
+     */
+    #runTransaction(storeNames, mode, work, withinSchemaChange = false)
+    {
+        const open = withinSchemaChange ? this.#open : this.#execute;
+        return open.call(this, this.#databaseName, undefined, null, (db) => new Promise((resolve, reject) =>
+        {
+            // Related Object Stores are read by `include` and written by delete rules. Writes to synchronized Object Stores
+            // append to the change log, writes to Object Stores with history append to the history, writes to limited
+            // Object Stores update their usage, and writes to searchable Object Stores update the search index, within the same transaction.
+            const names = this.#withRelatedStores(db, [].concat(storeNames), mode);
+            const companions = mode !== "readwrite" ? [] : [
+                names.some(name => this.#sync?.stores.has(name)) && this.#syncLogStoreName,
+                names.some(name => this.#sync?.stores.has(name)) && this.#syncStateStoreName,
+                names.some(name => this.#storeSettings[name]?.history) && this.#historyStoreName,
+                names.some(name => this.#storeSettings[name]?.limit) && this.#usageStoreName,
+                names.some(name => this.#storeSettings[name]?.search) && this.#searchStoreName
+            ].filter(Boolean);
+            const scope = companions.length ? [...new Set([...names, ...companions])] : names;
+            const missingStore = scope.find(name => !db.objectStoreNames.contains(name));
+            if (missingStore !== undefined) { return reject(new NotFoundError(`Object Store '${missingStore}' not found.`, { store: missingStore })); }
+
+            const transaction = db.transaction(scope, mode);
+            let result;
+            let workDone = false;
+            let completed = false;
+
+            transaction.oncomplete = () =>
+            {
+                completed = true;
+                this.#emitChanges(transaction);
+                this.#queueAccesses(transaction);
+                if (workDone) { resolve(result); }
+            };
+            // A failed request aborts the transaction. The error is reported by 'onabort' rather than 'onerror',
+            // so that the work's own rejection, which knows more about the failure, is reported first.
+            transaction.onabort = () => reject(this.#abortErrors.get(transaction)
+                ?? (transaction.error ? this.#toError(transaction.error) : new AbortError("Transaction was aborted")));
+
+            Promise.resolve(work(transaction)).then(value =>
+            {
+                result = value;
+                workDone = true;
+                if (completed) { resolve(result); }
+            }).catch(error =>
+            {
+                // The transaction may already be finished, in which case there is nothing left to abort.
+                try { transaction.abort(); } catch (abortError) { }
+                reject(this.#abortErrors.get(transaction) ?? error);
+            });
+        }));
+    }
+
+    /**
+     * Checks that a schema only uses supported keywords with valid values, so mistakes surface when the validator is set.
+     * @private
+     * @param {object} schema - The schema, or one of its nested schemas.
+     * @param {string} path - The path of the nested schema, for error messages.
+     * @returns {void}
+     */
+    #checkSchema(schema, path)
+    {
+        const where = path ? ` at '${path}'` : "";
+        if (typeof schema !== "object" || schema === null || Array.isArray(schema)) { throw new ValidationError(`Schema${where} must be an object`); }
+
+        const types = ["string", "number", "integer", "boolean", "object", "array", "null"];
+        const schemaTypes = schema.type === undefined ? [] : [].concat(schema.type);
+        if (schemaTypes.some(type => !types.includes(type))) { throw new ValidationError(`Schema${where} has an unsupported type`); }
+        if (schema.required !== undefined && !Array.isArray(schema.required)) { throw new ValidationError(`Schema${where}: required must be an array`); }
+        if (schema.enum !== undefined && !Array.isArray(schema.enum)) { throw new ValidationError(`Schema${where}: enum must be an array`); }
+        if (schema.pattern !== undefined) { new RegExp(schema.pattern); }
+
+        for (const [property, propertySchema] of Object.entries(schema.properties || {})) { this.#checkSchema(propertySchema, path ? `${path}.${property}` : property); }
+        if (schema.items !== undefined) { this.#checkSchema(schema.items, `${path}[]`); }
+    }
+
+    /**
+     * Runs the validator of an Object Store on a record about to be written.
+     * @private
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {object} record - The record, as it will be stored.
+     * @param {boolean} [beforeEncryption=false] - Whether the record is the plain text of a record of an encrypted Object Store.
+     * Records of encrypted Object Stores are only validated before encryption, since the stored form hides their fields.
+     * @returns {void}
+     * @throws {ValidationError} If the record is invalid.
+     */
+    #validateRecord(objectStoreName, record, beforeEncryption = false)
+    {
+        const validator = this.#validators.get(objectStoreName);
+        if (!validator || (this.#encryption.has(objectStoreName) && !beforeEncryption)) { return; }
+
+        // The expiry and deletion times are managed by the library, not by the application's schema.
+        if (this.#expiryIndexName in record || this.#deletedPropertyName in record)
+        {
+            record = { ...record };
+            delete record[this.#expiryIndexName];
+            delete record[this.#deletedPropertyName];
+        }
+
+        let errors = [];
+        if (typeof validator === "function")
+        {
+            const result = validator(record);
+            if (result === false) { errors = [{ path: "", message: "rejected by the validator" }]; }
+            else if (typeof result === "string") { errors = [{ path: "", message: result }]; }
+            else if (Array.isArray(result)) { errors = result; }
+        }
+        else { this.#collectSchemaErrors(validator, record, "", errors); }
+
+        if (errors.length)
+        {
+            const details = errors.map(({ path, message }) => path ? `${path}: ${message}` : message).join("; ");
+            throw new ValidationError(`Invalid record for Object Store '${objectStoreName}': ${details}`, { store: objectStoreName, errors });
+        }
+    }
+
+    /**
+     * Validates a value against a schema, collecting every error instead of stopping at the first one.
+     * @private
+     * @param {object} schema - The schema.
+     * @param {any} value - The value to validate.
+     * @param {string} path - The path of the value in the record, e.g. `address.city` or `tags[2]`.
+     * @param {Array<{path: string, message: string}>} errors - Receives the errors.
+     * @returns {void}
+     */
+    #collectSchemaErrors(schema, value, path, errors)
+    {
+        const fail = (message) => errors.push({ path, message });
+        const typeOf = (v) => v === null ? "null" : Array.isArray(v) ? "array" : typeof v;
+
+        if (schema.type !== undefined)
+        {
+            const types = [].concat(schema.type);
+            const matchesType = types.some(type => type === "integer" ? Number.isInteger(value) : typeOf(value) === type);
+            if (!matchesType) { return fail(`must be of type ${types.join(" or ")}, got ${typeOf(value)}`); }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) { fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(", ")}`); }
+
+        if (typeof value === "number")
+        {
+            if (schema.minimum !== undefined && value < schema.minimum) { fail(`must be >= ${schema.minimum}`); }
+            if (schema.maximum !== undefined && value > schema.maximum) { fail(`must be <= ${schema.maximum}`); }
+        }
+
+        if (typeof value === "string")
+        {
+            if (schema.minLength !== undefined && value.length < schema.minLength) { fail(`must be at least ${schema.minLength} characters long`); }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) { fail(`must be at most ${schema.maxLength} characters long`); }
+            if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) { fail(`must match the pattern ${schema.pattern}`); }
+        }
+
+        if (Array.isArray(value))
+        {
+            if (schema.minItems !== undefined && value.length < schema.minItems) { fail(`must have at least ${schema.minItems} items`); }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) { fail(`must have at most ${schema.maxItems} items`); }
+            if (schema.items) { value.forEach((item, position) => this.#collectSchemaErrors(schema.items, item, `${path}[${position}]`, errors)); }
+        }
+        else if (typeOf(value) === "object")
+        {
+            const childPath = (property) => path ? `${path}.${property}` : property;
+            const properties = schema.properties || {};
+
+            for (const property of schema.required || [])
+            {
+                if (value[property] === undefined) { errors.push({ path: childPath(property), message: "is required" }); }
+            }
+            for (const [property, propertySchema] of Object.entries(properties))
+            {
+                if (value[property] !== undefined) { this.#collectSchemaErrors(propertySchema, value[property], childPath(property), errors); }
+            }
+            if (schema.additionalProperties === false)
+            {
+                Object.keys(value).filter(property => !(property in properties)).forEach(property => errors.push({ path: childPath(property), message: "is not allowed" }));
+            }
+        }
+    }
+
+    /**
+     * Checks whether a top-level property of a record of an encrypted Object Store is encrypted.
+     * @private
+     * @param {object} config - The encryption settings of the Object Store.
+     * @param {string} property - The property name.
+     * @returns {boolean} True if the property is stored in the encrypted payload.
+     */
+    #isEncryptedProperty(config, property)
+    {
+        if (property === this.#expiryIndexName || property === this.#encryptedPropertyName) { return false; }
+        return config.encryptedFields ? config.encryptedFields.has(property) : !config.clearFields.has(property);
+    }
+
+    /**
+     * Validates and encrypts records of an encrypted Object Store before they are written.
+     * The encrypted properties are moved into an AES-GCM payload bound to the Object Store name, and blind-indexed properties are replaced by their HMAC.
+     * @private
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {object[]} values - The plain records.
+     * @returns {Promise<object[]>} A promise that resolves with the records as they are stored.
+     */
+    async #encryptRecords(objectStoreName, values)
+    {
+        if (!Array.isArray(values)) { throw new ValidationError("Values must be an array."); }
+        if (values.some(value => typeof value !== "object" || value === null)) { throw new ValidationError("Value must be an object."); }
+        values.forEach(value => this.#validateRecord(objectStoreName, value, true));
+
+        const config = this.#encryption.get(objectStoreName);
+        const encoder = new TextEncoder();
+        return Promise.all(values.map(async (value) =>
+        {
+            const stored = {};
+            const payload = {};
+            for (const [property, propertyValue] of Object.entries(value))
+            {
+                if (!this.#isEncryptedProperty(config, property)) { stored[property] = propertyValue; continue; }
+                payload[property] = propertyValue;
+                if (config.blindIndexes.has(property)) { stored[property] = await this.#blindValue(config, propertyValue); }
+            }
+            if (!Object.keys(payload).length) { return stored; }
+
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const plainText = encoder.encode(JSON.stringify(await this.#encodeValue(payload)));
+            const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv, additionalData: encoder.encode(objectStoreName) }, config.key, plainText);
+            stored[this.#encryptedPropertyName] = { iv, data };
+            return stored;
+        }));
+    }
+
+    /**
+     * Decrypts stored records of an encrypted Object Store and projects them.
+     * @private
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {Array<object|null>} records - The stored records. `null` entries are kept.
+     * @param {string[]} fields - The property names to include in each returned object.
+     * @returns {Promise<Array<object|null>>} A promise that resolves with the plain records.
+     */
+    async #decryptRecords(objectStoreName, records, fields)
+    {
+        const config = this.#encryption.get(objectStoreName);
+        const decoder = new TextDecoder();
+        const additionalData = new TextEncoder().encode(objectStoreName);
+
+        return Promise.all(records.map(async (record) =>
+        {
+            const encrypted = record?.[this.#encryptedPropertyName];
+            if (!encrypted) { return record && this.#projectRecord(record, fields); }
+
+            let plainText;
+            try { plainText = await crypto.subtle.decrypt({ name: "AES-GCM", iv: encrypted.iv, additionalData }, config.key, encrypted.data); }
+            catch (error) { throw new EasyIndexedDBError(`Could not decrypt a record of '${objectStoreName}': wrong key or corrupted data.`, { store: objectStoreName, cause: error }); }
+
+            const { [this.#encryptedPropertyName]: _, ...clear } = record;
+            const plain = this.#projectRecord({ ...clear, ...this.#decodeValue(JSON.parse(decoder.decode(plainText))) }, fields);
+            // The primary key noted when the record was read is needed by `include`.
+            if (plain && this.#recordKeys.has(record)) { this.#recordKeys.set(plain, this.#recordKeys.get(record)); }
+            return plain;
+        }));
+    }
+
+    /**
+     * Computes the blind index of a value: a deterministic HMAC-SHA256, computed for each element of arrays so multiEntry indexes keep working.
+     * @private
+     * @param {object} config - The encryption settings of the Object Store.
+     * @param {any} value - The plain value.
+     * @returns {Promise<string|string[]>} A promise that resolves with the base64 HMAC.
+     */
+    async #blindValue(config, value)
+    {
+        if (Array.isArray(value)) { return Promise.all(value.map(item => this.#blindValue(config, item))); }
+        const signature = await crypto.subtle.sign("HMAC", config.hmacKey, new TextEncoder().encode(this.#serializeKey(value)));
+        return this.#bytesToBase64(new Uint8Array(signature));
+    }
+
+    /**
+     * Converts a value looked up in an index of an encrypted Object Store into the stored value, replacing blind-indexed parts by their HMAC.
+     * @private
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {string} indexName - The name of the index.
+     * @param {any} value - The plain value.
+     * @returns {Promise<any>} A promise that resolves with the value to look up.
+     */
+    async #toStoredIndexValue(objectStoreName, indexName, value)
+    {
+        const config = this.#encryption.get(objectStoreName);
+        const keyPath = config.indexKeyPaths.get(indexName);
+        if (typeof keyPath === "string") { return config.blindIndexes.has(keyPath) ? this.#blindValue(config, value) : value; }
+        if (!Array.isArray(keyPath) || !Array.isArray(value)) { return value; }
+        return Promise.all(keyPath.map((path, position) => config.blindIndexes.has(path) ? this.#blindValue(config, value[position]) : value[position]));
+    }
+
+    /**
+     * Converts a range on an index of an encrypted Object Store into a range on the stored values. Blind indexes only support `equals`.
+     * @private
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {string} [indexName] - Optional. The name of the index. The primary key is never blind.
+     * @param {object} [range] - Optional. The range, in the format of `queryDataObjectStore`.
+     * @returns {Promise<object|undefined>} A promise that resolves with the range to use.
+     */
+    async #toStoredRange(objectStoreName, indexName, range)
+    {
+        const config = this.#encryption.get(objectStoreName);
+        const keyPath = indexName ? config.indexKeyPaths.get(indexName) : undefined;
+        const isBlind = [].concat(keyPath ?? []).some(path => config.blindIndexes.has(path));
+        if (!isBlind || range === undefined || range === null) { return range; }
+
+        if (Object.keys(range).some(operator => operator !== "equals")) { throw new ValidationError(`Only 'equals' ranges can be used on the blind index '${indexName}'`); }
+        return { equals: await this.#toStoredIndexValue(objectStoreName, indexName, range.equals) };
+    }
+
+    /**
+     * Selects the first record matching an index value in an encrypted Object Store. See `selectDataObjectStore`.
+     * @private
+     * @returns {Promise<object|null>} A promise that resolves with the plain record, or `null`.
+     */
+    async #selectEncrypted(objectStoreName, indexName, value, fields)
+    {
+        const storedValue = await this.#toStoredIndexValue(objectStoreName, indexName, value);
+        const record = await this.#runTransaction(objectStoreName, "readonly", (transaction) => this.#selectRecord(transaction, objectStoreName, indexName, storedValue, []));
+        return record && (await this.#decryptRecords(objectStoreName, [record], fields))[0];
+    }
+
+    /**
+     * Runs a range query on an encrypted Object Store. Filters, offset and limit are applied after decryption. See `queryDataObjectStore`.
+     * @private
+     * @returns {Promise<object[]>} A promise that resolves with the plain records.
+     */
+    async #queryEncrypted(objectStoreName, options)
+    {
+        const { index, range, direction = "asc", limit = Infinity, offset = 0, filters = [], fields = [] } = options;
+        const predicates = Array.isArray(filters) ? filters : [filters];
+        if (predicates.some(predicate => typeof predicate !== "function")) { throw new ValidationError("filters must be functions"); }
+
+        const storedRange = await this.#toStoredRange(objectStoreName, index, range);
+        const records = await this.#runTransaction(objectStoreName, "readonly", (transaction) =>
+            this.#queryRecords(transaction, objectStoreName, { index, range: storedRange, direction }));
+        const matching = (await this.#decryptRecords(objectStoreName, records, [])).filter(record => predicates.every(predicate => predicate(record)));
+
+        return matching.slice(offset)
+            .map(record => this.#projectRecord(record, fields))
+            .filter(record => record !== null)
+            .slice(0, limit);
+    }
+
+    /**
+     * Reads one page of an encrypted Object Store. Filters are not supported, since they would run on the stored form. See `selectPageDataObjectStore`.
+     * @private
+     * @returns {Promise<{records: object[], nextToken: object|null}>} A promise that resolves with the plain records and the token of the next page.
+     */
+    async #selectPageEncrypted(objectStoreName, options)
+    {
+        const { filters = [], fields = [], range, index } = options;
+        if ((Array.isArray(filters) ? filters : [filters]).length) { throw new ValidationError(`filters cannot be used to page the encrypted Object Store '${objectStoreName}'`); }
+
+        const page = await this.#readPage(objectStoreName, { ...options, range: await this.#toStoredRange(objectStoreName, index, range), fields: [], include: undefined });
+        const records = (await this.#decryptRecords(objectStoreName, page.records, fields)).filter(record => record !== null);
+        return { records, nextToken: page.nextToken };
+    }
+
+    /**
+     * Encrypts and inserts or replaces records of an encrypted Object Store. See `putMultipleDataObjectStore`.
+     * @private
+     * @returns {Promise<IDBValidKey[]>} A promise that resolves with the keys of the stored records.
+     */
+    async #putEncrypted(objectStoreName, values, keys)
+    {
+        const records = await this.#encryptRecords(objectStoreName, values);
+        if (!records.length) { return []; }
+        return this.#runTransaction(objectStoreName, "readwrite", (transaction) => this.#putRecords(transaction, objectStoreName, records, keys));
+    }
+
+    /**
+     * Merges properties into a record of an encrypted Object Store, reading and writing it in two transactions. See `patchByKey`.
+     * @private
+     * @returns {Promise<object|null>} A promise that resolves with the updated plain record, or `null` if no record has this key.
+     */
+    async #patchEncrypted(objectStoreName, key, changes)
+    {
+        if (typeof changes !== "object" || changes === null) { throw new ValidationError("changes must be an object"); }
+
+        const [record] = await this.getManyByKeys(objectStoreName, [key]);
+        if (record === null) { return null; }
+
+        const patched = { ...record, ...changes };
+        await this.#putEncrypted(objectStoreName, [patched], [key]);
+        return patched;
+    }
+
+    /**
+     * Reads the records of an encrypted Object Store matching some criteria, decrypting them before `where` is evaluated,
+     * and hands them to a function that writes the changes in a second transaction.
+     * @private
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {{index?: string, range?: object, where?: object|((record: object) => boolean)}} criteria - The records to read. See `updateWhere`.
+     * @param {(matching: Array<{key: IDBValidKey, record: object}>) => Promise<any>} rewrite - Writes the changes.
+     * @returns {Promise<any>} A promise that resolves with the result of `rewrite`.
+     */
+    async #rewriteEncryptedRecords(objectStoreName, criteria, rewrite)
+    {
+        if (typeof criteria !== "object" || criteria === null) { throw new ValidationError("criteria must be an object"); }
+
+        const { index, range, where } = criteria;
+        if (where !== undefined && typeof where !== "function" && (typeof where !== "object" || where === null)) { throw new ValidationError("where must be an object or a function"); }
+
+        const entries = [];
+        const storedRange = await this.#toStoredRange(objectStoreName, index, range);
+        await this.#runTransaction(objectStoreName, "readonly", (transaction) =>
+            this.#visitMatchingRecords(transaction, objectStoreName, { index, range: storedRange }, (cursor) => entries.push({ key: cursor.primaryKey, record: cursor.value })));
+
+        const records = await this.#decryptRecords(objectStoreName, entries.map(({ record }) => record), []);
+        const matches = this.#createMatcher(where);
+        return rewrite(entries.map(({ key }, position) => ({ key, record: records[position] })).filter(({ record }) => matches(record)));
+    }
+
+    /**
+     * Returns a record with its expiry set from insert options, leaving the given object untouched.
+     * @private
+     * @param {object} value - The record to store.
+     * @param {{ttl?: number, expiresAt?: Date|number}} options - The expiry options.
+     * @returns {object} The record, or a shallow copy of it carrying the expiry time in milliseconds.
+     */
+    #applyExpiry(value, options)
+    {
+        if (typeof options !== "object" || options === null) { throw new ValidationError("options must be an object"); }
+
+        const { ttl, expiresAt } = options;
+        if (ttl === undefined && expiresAt === undefined) { return value; }
+        if (ttl !== undefined && expiresAt !== undefined) { throw new ValidationError("ttl cannot be combined with expiresAt"); }
+        if (ttl !== undefined && (typeof ttl !== "number" || !(ttl > 0))) { throw new ValidationError("ttl must be a positive number of milliseconds"); }
+
+        const time = ttl !== undefined ? Date.now() + ttl : (expiresAt instanceof Date ? expiresAt.getTime() : expiresAt);
+        if (typeof time !== "number" || !Number.isFinite(time)) { throw new ValidationError("expiresAt must be a valid Date or a timestamp in milliseconds"); }
+        return { ...value, [this.#expiryIndexName]: time };
+    }
+
+    /**
+     * Checks whether a record has expired.
+     * @private
+     * @param {any} record - The record.
+     * @param {number} now - The current time in milliseconds.
+     * @returns {boolean} True if the record has an expiry time that has passed.
+     */
+    #isExpired(record, now)
+    {
+        const expiresAt = record?.[this.#expiryIndexName];
+        return typeof expiresAt === "number" && expiresAt <= now;
+    }
+
+    /**
+     * Checks whether a record was marked as deleted by a soft delete.
+     * @private
+     * @param {any} record - The record.
+     * @returns {boolean} True if the record carries a deletion time.
+     */
+    #isDeleted(record)
+    {
+        return typeof record?.[this.#deletedPropertyName] === "number";
+    }
+
+    /**
+     * Returns a copy of a record marked as deleted now.
+     * @private
+     * @param {object} record - The record.
+     * @returns {object} The marked copy.
+     */
+    #markDeleted(record)
+    {
+        return { ...record, [this.#deletedPropertyName]: Date.now() };
+    }
+
+    /**
+     * Checks whether a record must be skipped by reads, because it has expired or was soft-deleted.
+     * @private
+     * @param {any} record - The record.
+     * @param {number} now - The current time in milliseconds.
+     * @returns {boolean} True if the record is hidden.
+     */
+    #isHidden(record, now)
+    {
+        return this.#isExpired(record, now) || this.#isDeleted(record);
+    }
+
+    /**
+     * Checks whether an Object Store is one the library keeps for itself: the tracking store, the change log, the history,
+     * the files and their chunks, the usage entries or the search index.
+     * @private
+     * @param {string} objectStoreName - The Object Store's name.
+     * @returns {boolean} True if the Object Store is internal.
+     */
+    #isInternalStore(objectStoreName)
+    {
+        return [this.#objectStoreNameLastModifyDate, this.#syncLogStoreName, this.#syncStateStoreName, this.#historyStoreName, this.#fileStoreName,
+            this.#fileChunkStoreName, this.#usageStoreName, this.#searchStoreName].includes(objectStoreName);
+    }
+
+    /**
+     * Deletes the expired records of an Object Store within a transaction. Object Stores without the expiry index
+     * (created before record expiry existed) are skipped rather than scanned, since a scan reads every record.
+     * @private
+     * @param {IDBTransaction} transaction - The active 'readwrite' transaction.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {number} now - The current time in milliseconds.
+     * @returns {Promise<number>} A promise that resolves with the number of deleted records.
+     */
+    #purgeExpiredRecords(transaction, objectStoreName, now)
+    {
+        return new Promise((resolve, reject) =>
+        {
+            const store = transaction.objectStore(objectStoreName);
+            if (!store.indexNames.contains(this.#expiryIndexName)) { return resolve(0); }
+
+            const cursorRequest = store.index(this.#expiryIndexName).openCursor(this.#keyRange.upperBound(now));
+            let count = 0;
+
+            cursorRequest.onsuccess = (e) =>
+            {
+                const cursor = e.target.result;
+                if (!cursor) { return resolve(count); }
+
+                if (this.#isExpired(cursor.value, now))
+                {
+                    cursor.delete();
+                    this.#recordChange(transaction, objectStoreName, "delete", cursor.primaryKey);
+                    count++;
+                }
+                cursor.continue();
+            };
+            cursorRequest.onerror = (e) => reject(e.target.error);
+        });
+    }
+
+    /**
+     * Stops the scheduled sweeps of `schedulePurgeExpired`, if any.
+     * @private
+     * @returns {void}
+     */
+    #stopScheduledPurge()
+    {
+        clearInterval(this.#purgeTimer);
+        this.#purgeTimer = null;
+    }
+
+    /**
+     * Returns the index to read in, or the Object Store itself when no index is given.
+     * @private
+     * @param {IDBTransaction} transaction - The active transaction.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {string} [indexName] - Optional. The name of the index.
+     * @returns {IDBObjectStore|IDBIndex} The source to open cursors or count on.
+     */
+    #getSource(transaction, objectStoreName, indexName)
+    {
+        const store = transaction.objectStore(objectStoreName);
+        if (!indexName) { return store; }
+        if (!store.indexNames.contains(indexName)) { throw new NotFoundError(`Index '${indexName}' not found.`, { store: objectStoreName, index: indexName }); }
+        return store.index(indexName);
+    }
+
+    /**
+     * Reads the first index key in a direction whose record is neither expired nor deleted, i.e. the smallest or largest value of the index.
+     * @private
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {string} indexName - The name of the index.
+     * @param {{range?: object}} options - A range to restrict the values.
+     * @param {"next"|"prev"} direction - `next` for the minimum, `prev` for the maximum.
+     * @returns {Promise<any|null>} A promise that resolves with the value, or `null` if no record has one.
+     */
+    #getIndexBoundary(objectStoreName, indexName, options, direction)
+    {
+        if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+        if (typeof indexName !== "string" || !indexName) { return Promise.reject(new ValidationError("indexName must be a non-empty string")); }
+
+        return this.#runTransaction(objectStoreName, "readonly", async (transaction) =>
+        {
+            const source = this.#getSource(transaction, objectStoreName, indexName);
+            const range = this.#buildKeyRange(options.range);
+            const readsRecords = await this.#mayHideRecords(transaction, objectStoreName);
+            return new Promise((resolve, reject) =>
+            {
+                const cursorRequest = readsRecords ? source.openCursor(range, direction) : source.openKeyCursor(range, direction);
+                const now = Date.now();
+                cursorRequest.onsuccess = (e) =>
+                {
+                    const cursor = e.target.result;
+                    if (!cursor) { return resolve(null); }
+                    if (readsRecords && this.#isHidden(cursor.value, now)) { return cursor.continue(); }
+                    resolve(cursor.key);
+                };
+                cursorRequest.onerror = (e) => reject(e.target.error);
+            });
+        });
+    }
+
+    /**
+     * Checks whether some records of an Object Store may be hidden from reads, so that aggregations must read the records rather
+     * than only count or walk index keys: records may be expired when its expiry index has entries (or it has no expiry index to tell),
+     * and marked as deleted when soft deletes are, or were, enabled.
+     * @private
+     * @param {IDBTransaction} transaction - The active transaction.
+     * @param {string} objectStoreName - The Object Store's name.
+     * @returns {Promise<boolean>} A promise that resolves with whether some records may be hidden.
+     */
+    #mayHideRecords(transaction, objectStoreName)
+    {
+        if (this.#storeSettings[objectStoreName]?.softDelete !== undefined) { return Promise.resolve(true); }
+
+        const store = transaction.objectStore(objectStoreName);
+        if (!store.indexNames.contains(this.#expiryIndexName)) { return Promise.resolve(true); }
+        return this.#requestToPromise(store.index(this.#expiryIndexName).count()).then(count => count > 0);
+    }
+
+    /**
+     * Streams the records matching some criteria and computes the statistics of a numeric property.
+     * @private
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {string} field - The property path.
+     * @param {{index?: string, range?: object, where?: object|((record: object) => boolean)}} criteria - The records to include.
+     * @returns {Promise<{sum: number, avg: number|null, min: number|null, max: number|null}>} A promise that resolves with the statistics.
+     */
+    #aggregateField(objectStoreName, field, criteria)
+    {
+        if (typeof objectStoreName !== "string" || !objectStoreName) { return Promise.reject(new ValidationError("objectStoreName must be a non-empty string")); }
+        if (typeof field !== "string" || !field) { return Promise.reject(new ValidationError("field must be a non-empty string")); }
+
+        const stats = this.#createFieldStats();
+        return this.#runTransaction(objectStoreName, "readonly", (transaction) =>
+            this.#visitMatchingRecords(transaction, objectStoreName, criteria, (cursor) => this.#addToFieldStats(stats, this.#extractKey(field, cursor.value)))
+        ).then(() => this.#completeFieldStats(stats));
+    }
+
+    /**
+     * Creates an empty accumulator for the statistics of a numeric property.
+     * @private
+     * @returns {{sum: number, count: number, min: number|null, max: number|null}} The accumulator.
+     */
+    #createFieldStats()
+    {
+        return { sum: 0, count: 0, min: null, max: null };
+    }
+
+    /**
+     * Adds a value to a statistics accumulator. Non-numeric values are ignored.
+     * @private
+     * @param {{sum: number, count: number, min: number|null, max: number|null}} stats - The accumulator.
+     * @param {any} value - The value to add.
+     * @returns {void}
+     */
+    #addToFieldStats(stats, value)
+    {
+        if (typeof value !== "number" || Number.isNaN(value)) { return; }
+        stats.sum += value;
+        stats.count++;
+        stats.min = stats.min === null ? value : Math.min(stats.min, value);
+        stats.max = stats.max === null ? value : Math.max(stats.max, value);
+    }
+
+    /**
+     * Computes the final statistics from an accumulator.
+     * @private
+     * @param {{sum: number, count: number, min: number|null, max: number|null}} stats - The accumulator.
+     * @returns {{sum: number, avg: number|null, min: number|null, max: number|null}} The statistics.
+     */
+    #completeFieldStats(stats)
+    {
+        return { sum: stats.sum, avg: stats.count ? stats.sum / stats.count : null, min: stats.min, max: stats.max };
+    }
+
+    /**
+     * Reads one page of records. See `selectPageDataObjectStore` for the options.
+     * @private
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {object} options - The page options.
+     * @returns {Promise<{records: object[], nextToken: object|null}>} A promise that resolves with the page and the token of the next page.
+     */
+    #readPage(objectStoreName, options)
+    {
+        const { index, range, direction = "asc", pageSize = 100, after = null, filters = [], fields: pageFields = [], include } = options;
+        if (direction !== "asc" && direction !== "desc") { return Promise.reject(new ValidationError("direction must be 'asc' or 'desc'")); }
+        if (!Number.isInteger(pageSize) || pageSize < 1) { return Promise.reject(new ValidationError("pageSize must be a positive integer")); }
+        if (after !== null && (typeof after !== "object" || !("key" in after))) { return Promise.reject(new ValidationError("after must be a token returned by a previous page")); }
+
+        let keyRange;
+        try { keyRange = this.#buildKeyRange(range); }
+        catch (error) { return Promise.reject(error); }
+
+        const predicates = Array.isArray(filters) ? filters : [filters];
+        if (predicates.some(predicate => typeof predicate !== "function")) { return Promise.reject(new ValidationError("filters must be functions")); }
+
+        let nextToken = null;
+        return this.#runTransaction(objectStoreName, "readonly", (transaction) => this.#readIncluding(transaction, objectStoreName, include, pageFields, (fields) => new Promise((resolve, reject) =>
+        {
+            const store = transaction.objectStore(objectStoreName);
+            if (index && !store.indexNames.contains(index)) { return reject(new NotFoundError(`Index '${index}' not found.`, { store: objectStoreName, index })); }
+
+            const source = index ? store.index(index) : store;
+            const cursorRequest = source.openCursor(keyRange, direction === "desc" ? "prev" : "next");
+            const sign = direction === "desc" ? -1 : 1;
+            const now = Date.now();
+            const records = [];
+            let positioned = after === null;
+            let lastToken = null;
+
+            cursorRequest.onsuccess = (e) =>
+            {
+                const cursor = e.target.result;
+                if (!cursor) { return resolve(records); }
+
+                // The page is full: peek one record further to know whether there is a next page.
+                if (records.length >= pageSize)
+                {
+                    nextToken = lastToken;
+                    return resolve(records);
+                }
+
+                if (!positioned)
+                {
+                    let position = sign * this.#indexedDB.cmp(cursor.key, after.key);
+                    if (position === 0 && index) { position = sign * this.#indexedDB.cmp(cursor.primaryKey, after.primaryKey); }
+
+                    if (position < 0)
+                    {
+                        if (index) { cursor.continuePrimaryKey(after.key, after.primaryKey); }
+                        else { cursor.continue(after.key); }
+                        return;
+                    }
+                    positioned = true;
+                    if (position === 0) { return cursor.continue(); }
+                }
+
+                if (!this.#isHidden(cursor.value, now) && predicates.every(predicate => predicate(cursor.value)))
+                {
+                    const record = this.#projectRecord(cursor.value, fields);
+                    if (record !== null)
+                    {
+                        records.push(record);
+                        this.#noteRead(transaction, objectStoreName, cursor.primaryKey, cursor.value);
+                    }
+                    lastToken = Object.freeze({ key: cursor.key, primaryKey: cursor.primaryKey });
+                }
+                cursor.continue();
+            };
+
+            cursorRequest.onerror = (e) => reject(e.target.error);
+        }))).then(records => ({ records, nextToken }));
+    }
+
+    /**
+     * Builds the object given to `transaction()` callbacks, exposing the data operations scoped to one transaction.
+     * @private
+     * @param {IDBTransaction} transaction - The active transaction.
+     * @returns {object} The transaction-scoped operations.
+     */
+    #createTransactionScope(transaction)
+    {
+        return Object.freeze({
+            insertDataObjectStore: (objectStoreName, value, options = {}) => this.#insertRecord(transaction, objectStoreName, value, options),
+            insertMultipleDataObjectStore: (objectStoreName, values = [], options = {}) => this.#insertRecords(transaction, objectStoreName, values, undefined, options),
+            selectDataObjectStore: (objectStoreName, indexName, value, arraySpecificIndexes = [], options = {}) => this.#readIncluding(transaction, objectStoreName, options.include,
+                arraySpecificIndexes, (fields) => this.#selectRecord(transaction, objectStoreName, indexName, value, fields)),
+            selectAllDataObjectStore: (objectStoreName, indexes = [], options = {}) => this.#readIncluding(transaction, objectStoreName, options.include,
+                indexes, (fields) => this.#selectAllRecords(transaction, objectStoreName, fields)),
+            queryDataObjectStore: (objectStoreName, options = {}) => this.#readIncluding(transaction, objectStoreName, options.include,
+                options.fields, (fields) => this.#queryRecords(transaction, objectStoreName, { ...options, fields })),
+            updateDataObjectStore: (objectStoreName, index, currentValue, newValue, changeValueFromCurrentValue = true, arrayObjIndexValue = []) =>
+                this.#updateRecords(transaction, objectStoreName, index, currentValue, newValue, changeValueFromCurrentValue, arrayObjIndexValue),
+            deleteDataObjectStore: (objectStoreName, indexName, value, deleteAllOccurrences = false) => this.#deleteRecords(transaction, objectStoreName, indexName, value, deleteAllOccurrences),
+            deleteAllDataObjectStore: (objectStoreName) => this.#clearRecords(transaction, objectStoreName),
+            getByKey: (objectStoreName, key, fields = [], options = {}) => this.#readIncluding(transaction, objectStoreName, options.include,
+                fields, (recordFields) => this.#getRecords(transaction, objectStoreName, [key], recordFields)).then(records => records[0]),
+            getManyByKeys: (objectStoreName, keys, fields = [], options = {}) => this.#readIncluding(transaction, objectStoreName, options.include,
+                fields, (recordFields) => this.#getRecords(transaction, objectStoreName, keys, recordFields)),
+            putDataObjectStore: (objectStoreName, value, key) => this.#putRecords(transaction, objectStoreName, [value], [key]).then(keys => keys[0]),
+            upsert: (objectStoreName, value, key) => this.#putRecords(transaction, objectStoreName, [value], [key]).then(keys => keys[0]),
+            putMultipleDataObjectStore: (objectStoreName, values = [], keys) => this.#putRecords(transaction, objectStoreName, values, keys),
+            patchByKey: (objectStoreName, key, changes) => this.#patchRecord(transaction, objectStoreName, key, changes),
+            deleteByKey: (objectStoreName, key) => this.#deleteRecordsByKey(transaction, objectStoreName, [key]).then(count => count > 0),
+            deleteManyByKeys: (objectStoreName, keys) => this.#deleteRecordsByKey(transaction, objectStoreName, keys),
+            updateWhere: (objectStoreName, criteria, changes) => this.#updateWhere(transaction, objectStoreName, criteria, changes),
+            deleteWhere: (objectStoreName, criteria) => this.#deleteWhere(transaction, objectStoreName, criteria)
+        });
+    }
+
+    /**
+     * Adds a record within a transaction.
+     * @private
+     * @param {IDBTransaction} transaction - The active 'readwrite' transaction.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {object} value - The object to be stored.
+     * @param {{ttl?: number, expiresAt?: Date|number}} [options={}] - Optional. The expiry of the record.
+     * @returns {Promise<IDBValidKey>} A promise that resolves with the key of the new record.
+     */
+    #insertRecord(transaction, objectStoreName, value, options = {})
+    {
+        return new Promise((resolve, reject) =>
+        {
+            if (typeof value !== "object" || value === null) { return reject(new ValidationError("Value must be an object.")); }
+
+            const store = transaction.objectStore(objectStoreName);
+            let args;
+            try
+            {
+                args = this.#prepareRecord(store, this.#applyExpiry(value, options));
+                this.#validateRecord(objectStoreName, args[0]);
+            }
+            catch (error) { return reject(error); }
+
+            const request = store.add(...args);
+            request.onsuccess = () =>
+            {
+                this.#recordChange(transaction, objectStoreName, "insert", request.result, args[0]);
+                this.#enforceLimit(transaction, objectStoreName, [request.result]).then(() => resolve(request.result), reject);
+            };
+            request.onerror = (e) => this.#rejectWrite(e, transaction, objectStoreName, args, false, reject);
+        });
+    }
+
+    /**
+     * Adds several records within a transaction.
+     * @private
+     * @param {IDBTransaction} transaction - The active 'readwrite' transaction.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {object[]} values - The objects to be stored.
+     * @param {IDBValidKey[]} [keys] - Optional. Out-of-line keys aligned with `values`. Ignored by Object Stores with a keyPath.
+     * @param {{ttl?: number, expiresAt?: Date|number}} [options={}] - Optional. The expiry of every record.
+     * @returns {Promise<true>} A promise that resolves to `true` once every record was added.
+     */
+    #insertRecords(transaction, objectStoreName, values, keys, options = {})
+    {
+        return new Promise((resolve, reject) =>
+        {
+            if (!Array.isArray(values)) { return reject(new ValidationError("Values must be an array.")); }
+            if (!values.length) { return resolve(true); }
+
+            // Every record is validated before the first one is added, so an invalid record writes nothing.
+            const store = transaction.objectStore(objectStoreName);
+            let allArgs;
+            try
+            {
+                allArgs = values.map((value, position) =>
+                {
+                    const record = this.#applyExpiry(value, options);
+                    const args = keys && store.keyPath === null ? [record, keys[position]] : this.#prepareRecord(store, record);
+                    this.#validateRecord(objectStoreName, args[0]);
+                    return args;
+                });
+            }
+            catch (error) { return reject(error); }
+
+            let pending = allArgs.length;
+            const requests = allArgs.map((args) =>
+            {
+                const request = store.add(...args);
+                request.onsuccess = () =>
+                {
+                    this.#recordChange(transaction, objectStoreName, "insert", request.result, args[0]);
+                    if (--pending === 0)
+                    {
+                        this.#enforceLimit(transaction, objectStoreName, requests.map(addRequest => addRequest.result)).then(() => resolve(true), reject);
+                    }
+                };
+                request.onerror = (e) => this.#rejectWrite(e, transaction, objectStoreName, args, false, reject);
+                return request;
+            });
+        });
+    }
+
+    /**
+     * Selects the first record matching an index value within a transaction.
+     * @private
+     * @param {IDBTransaction} transaction - The active transaction.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {string} indexName - The name of the index to search in.
+     * @param {any} value - The value to search for within the index.
+     * @param {string[]} fields - The property names to return. If empty, returns the full object.
+     * @returns {Promise<object|null>} A promise that resolves with the found object, or `null` if no record is found.
+     */
+    #selectRecord(transaction, objectStoreName, indexName, value, fields)
+    {
+        return new Promise((resolve, reject) =>
+        {
+            if (typeof indexName !== "string" || !indexName) { return reject(new ValidationError("indexName must be a non-empty string")); }
+
+            const store = transaction.objectStore(objectStoreName);
+            if (!store.indexNames.contains(indexName)) { return reject(new NotFoundError(`Index '${indexName}' not found.`, { store: objectStoreName, index: indexName })); }
+
+            const now = Date.now();
+            const cursorRequest = store.index(indexName).openCursor(this.#keyRange.only(value));
+            cursorRequest.onsuccess = (e) =>
+            {
+                const cursor = e.target.result;
+                if (!cursor) { return resolve(null); }
+                if (this.#isHidden(cursor.value, now)) { return cursor.continue(); }
+                this.#noteRead(transaction, objectStoreName, cursor.primaryKey, cursor.value);
+                resolve(this.#projectRecord(cursor.value, fields));
+            };
+            cursorRequest.onerror = (e) => reject(e.target.error);
+        });
+    }
+
+    /**
+     * Selects every record of an Object Store within a transaction.
+     * @private
+     * @param {IDBTransaction} transaction - The active transaction.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {string[]} fields - The property names to include in each returned object.
+     * @returns {Promise<object[]>} A promise that resolves with an array of all found objects.
+     */
+    #selectAllRecords(transaction, objectStoreName, fields)
+    {
+        return new Promise((resolve, reject) =>
+        {
+            const now = Date.now();
+            const store = transaction.objectStore(objectStoreName);
+            const settings = this.#storeSettings[objectStoreName];
+            const keysRequest = settings?.limit?.policy === "lru" || settings?.relations ? store.getAllKeys() : null;
+            const request = store.getAll();
+            request.onsuccess = () =>
+            {
+                keysRequest?.result.forEach((key, position) =>
+                {
+                    if (!this.#isHidden(request.result[position], now)) { this.#noteRead(transaction, objectStoreName, key, request.result[position]); }
+                });
+                const allRecords = request.result.filter(record => !this.#isHidden(record, now));
+                if (!fields || !fields.length) { return resolve(allRecords); }
+                resolve(allRecords.map(record => this.#projectRecord(record, fields)).filter(record => record !== null));
+            };
+            request.onerror = (e) => reject(e.target.error);
+        });
+    }
+
+    /**
+     * Runs a range query within a transaction. See `queryDataObjectStore` for the options.
+     * @private
+     * @param {IDBTransaction} transaction - The active transaction.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {object} options - The query options.
+     * @returns {Promise<object[]>} A promise that resolves with an array of the matching objects.
+     */
+    #queryRecords(transaction, objectStoreName, options)
+    {
+        return new Promise((resolve, reject) =>
+        {
+            const { index, range, direction = "asc", limit = Infinity, offset = 0, filters = [], fields = [] } = options;
+            if (direction !== "asc" && direction !== "desc") { return reject(new ValidationError("direction must be 'asc' or 'desc'")); }
+            if (limit !== Infinity && (!Number.isInteger(limit) || limit < 0)) { return reject(new ValidationError("limit must be a non-negative integer")); }
+            if (!Number.isInteger(offset) || offset < 0) { return reject(new ValidationError("offset must be a non-negative integer")); }
+
+            let keyRange;
+            try { keyRange = this.#buildKeyRange(range); }
+            catch (error) { return reject(error); }
+
+            const predicates = Array.isArray(filters) ? filters : [filters];
+            if (predicates.some(predicate => typeof predicate !== "function")) { return reject(new ValidationError("filters must be functions")); }
+
+            const store = transaction.objectStore(objectStoreName);
+            if (index && !store.indexNames.contains(index)) { return reject(new NotFoundError(`Index '${index}' not found.`, { store: objectStoreName, index })); }
+
+            const source = index ? store.index(index) : store;
+            if (limit === 0) { return resolve([]); }
+            const cursorRequest = source.openCursor(keyRange, direction === "desc" ? "prev" : "next");
+            const now = Date.now();
+            const results = [];
+            let skipped = 0;
+
+            cursorRequest.onsuccess = (e) =>
+            {
+                const cursor = e.target.result;
+                if (!cursor) { return resolve(results); }
+
+                if (!this.#isHidden(cursor.value, now) && predicates.every(predicate => predicate(cursor.value)))
+                {
+                    if (skipped < offset) { skipped++; }
+                    else
+                    {
+                        const record = this.#projectRecord(cursor.value, fields);
+                        if (record !== null)
+                        {
+                            results.push(record);
+                            this.#noteRead(transaction, objectStoreName, cursor.primaryKey, cursor.value);
+                        }
+                    }
+                }
+                if (results.length < limit) { cursor.continue(); }
+                else { resolve(results); }
+            };
+            cursorRequest.onerror = (e) => reject(e.target.error);
+        });
+    }
+
+    /**
+     * Updates the records matching a property value within a transaction, skipping expired and deleted records. See `updateDataObjectStore` for the parameters.
+     * @private
+     * @param {IDBTransaction} transaction - The active 'readwrite' transaction.
+     * @returns {Promise<string>} A promise that resolves with a success message once every record was visited.
+     */
+    #updateRecords(transaction, objectStoreName, index, currentValue, newValue, changeValueFromCurrentValue, arrayObjIndexValue)
+    {
+        return new Promise((resolve, reject) =>
+        {
+            const store = transaction.objectStore(objectStoreName);
+            const cursorRequest = store.openCursor();
+            const now = Date.now();
+
+            cursorRequest.onsuccess = (e) =>
+            {
+                const cursor = e.target.result;
+                if (!cursor) { return resolve("Data was updated successfully"); }
+
+                if (cursor.value[index] === currentValue && !this.#isHidden(cursor.value, now))
+                {
+                    const recordToUpdate = this.#applyIndexValueChanges(cursor.value, index, newValue, changeValueFromCurrentValue, arrayObjIndexValue);
+                    try { this.#validateRecord(objectStoreName, recordToUpdate); }
+                    catch (error) { return reject(error); }
+
+                    cursor.update(recordToUpdate);
+                    this.#recordChange(transaction, objectStoreName, "update", cursor.primaryKey, recordToUpdate);
+                }
+                cursor.continue();
+            };
+            cursorRequest.onerror = (e) => reject(e.target.error);
+        });
+    }
+
+    /**
+     * Deletes the records matching an index value within a transaction. See `deleteDataObjectStore` for the parameters.
+     * @private
+     * @param {IDBTransaction} transaction - The active 'readwrite' transaction.
+     * @returns {Promise<string>} A promise that resolves with a success message once the matching records were visited.
+     */
+    #deleteRecords(transaction, objectStoreName, indexName, value, deleteAllOccurrences)
+    {
+        return new Promise((resolve, reject) =>
+        {
+            const store = transaction.objectStore(objectStoreName);
+            if (!store.indexNames.contains(indexName)) { return reject(new NotFoundError(`Index '${indexName}' not found.`, { store: objectStoreName, index: indexName })); }
+
+            // Soft deletes rewrite the records, so they need the values and skip the records already marked.
+            const softDelete = this.#storeSettings[objectStoreName]?.softDelete;
+            const index = store.index(indexName);
+            const cursorRequest = softDelete ? index.openCursor(this.#keyRange.only(value)) : index.openKeyCursor(this.#keyRange.only(value));
+
+            cursorRequest.onsuccess = (e) =>
+            {
+                const cursor = e.target.result;
+                if (!cursor) { return resolve("Data was deleted successfully"); }
+                if (softDelete && this.#isDeleted(cursor.value)) { return cursor.continue(); }
+
+                if (softDelete)
+                {
+                    const record = this.#markDeleted(cursor.value);
+                    cursor.update(record);
+                    this.#recordChange(transaction, objectStoreName, "delete", cursor.primaryKey, record);
+                }
+                else
+                {
+                    store.delete(cursor.primaryKey);
+                    this.#recordChange(transaction, objectStoreName, "delete", cursor.primaryKey);
+                }
+                if (deleteAllOccurrences) cursor.continue();
+                else { resolve("Data was deleted successfully"); }
+            };
+            cursorRequest.onerror = (e) => reject(e.target.error);
+        });
+    }
+
+    /**
+     * Selects records by their primary keys within a transaction.
+     * @private
+     * @param {IDBTransaction} transaction - The active transaction.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {IDBValidKey[]} keys - The primary keys of the records.
+     * @param {string[]} fields - The property names to include in each returned object.
+     * @returns {Promise<Array<object|null>>} A promise that resolves with the records in the order of `keys`, with `null` for missing ones.
+     */
+    #getRecords(transaction, objectStoreName, keys, fields)
+    {
+        return new Promise((resolve, reject) =>
+        {
+            if (!keys.length) { return resolve([]); }
+
+            const store = transaction.objectStore(objectStoreName);
+            const now = Date.now();
+            const requests = keys.map(key => store.get(key));
+            requests.forEach(request => { request.onerror = (e) => reject(e.target.error); });
+            requests[requests.length - 1].onsuccess = () => resolve(requests.map((request, position) =>
+            {
+                if (request.result === undefined || this.#isHidden(request.result, now)) { return null; }
+                this.#noteRead(transaction, objectStoreName, keys[position], request.result);
+                return this.#projectRecord(request.result, fields);
+            }));
+        });
+    }
+
+    /**
+     * Inserts or replaces records within a transaction, reporting each one as an insert or an update.
+     * @private
+     * @param {IDBTransaction} transaction - The active 'readwrite' transaction.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {object[]} values - The objects to be stored.
+     * @param {IDBValidKey[]} [keys] - Optional. Out-of-line keys aligned with `values`. Ignored by Object Stores with a keyPath.
+     * @returns {Promise<IDBValidKey[]>} A promise that resolves with the keys of the stored records.
+     */
+    #putRecords(transaction, objectStoreName, values, keys)
+    {
+        return new Promise((resolve, reject) =>
+        {
+            if (!Array.isArray(values)) { return reject(new ValidationError("Values must be an array.")); }
+            if (keys !== undefined && !Array.isArray(keys)) { return reject(new ValidationError("keys must be an array")); }
+            if (values.some(value => typeof value !== "object" || value === null)) { return reject(new ValidationError("Value must be an object.")); }
+            if (!values.length) { return resolve([]); }
+
+            const store = transaction.objectStore(objectStoreName);
+            let allArgs;
+            try
+            {
+                allArgs = values.map((value, position) =>
+                {
+                    const outOfLineKey = store.keyPath === null ? keys?.[position] : undefined;
+                    const args = outOfLineKey !== undefined ? [value, outOfLineKey] : this.#prepareRecord(store, value);
+                    this.#validateRecord(objectStoreName, args[0]);
+                    return args;
+                });
+            }
+            catch (error) { return reject(error); }
+
+            let pending = allArgs.length;
+            const requests = allArgs.map((args) =>
+            {
+                const key = this.#keyOfArgs(store, args);
+
+                // Requests run in order, so the count sees the store as it was before the put.
+                const existsRequest = key === undefined ? null : store.count(key);
+                const request = store.put(...args);
+                request.onsuccess = () =>
+                {
+                    this.#recordChange(transaction, objectStoreName, existsRequest?.result ? "update" : "insert", request.result, args[0]);
+                    if (--pending === 0)
+                    {
+                        const keys = requests.map(putRequest => putRequest.result);
+                        this.#enforceLimit(transaction, objectStoreName, keys).then(() => resolve(keys), reject);
+                    }
+                };
+                request.onerror = (e) => this.#rejectWrite(e, transaction, objectStoreName, args, true, reject);
+                return request;
+            });
+        });
+    }
+
+    /**
+     * Merges properties into the record with the given primary key within a transaction. Expired and deleted records are left unchanged.
+     * @private
+     * @param {IDBTransaction} transaction - The active 'readwrite' transaction.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {IDBValidKey} key - The primary key of the record.
+     * @param {object} changes - The properties to set.
+     * @returns {Promise<object|null>} A promise that resolves with the updated record, or `null` if no record has this key.
+     */
+    #patchRecord(transaction, objectStoreName, key, changes)
+    {
+        return new Promise((resolve, reject) =>
+        {
+            if (typeof changes !== "object" || changes === null) { return reject(new ValidationError("changes must be an object")); }
+
+            const store = transaction.objectStore(objectStoreName);
+            const request = store.get(key);
+            request.onerror = (e) => reject(e.target.error);
+            request.onsuccess = () =>
+            {
+                if (request.result === undefined || this.#isHidden(request.result, Date.now())) { return resolve(null); }
+
+                const record = { ...request.result, ...changes };
+                try { this.#validateRecord(objectStoreName, record); }
+                catch (error) { return reject(error); }
+
+                const args = store.keyPath === null ? [record, key] : [record];
+                const putRequest = store.put(...args);
+                putRequest.onerror = (e) => this.#rejectWrite(e, transaction, objectStoreName, args, true, reject);
+                putRequest.onsuccess = () =>
+                {
+                    this.#recordChange(transaction, objectStoreName, "update", putRequest.result, record);
+                    resolve(record);
+                };
+            };
+        });
+    }
+
+    /**
+     * Deletes records by their primary keys within a transaction.
+     * @private
+     * @param {IDBTransaction} transaction - The active 'readwrite' transaction.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {IDBValidKey[]} keys - The primary keys of the records.
+     * @returns {Promise<number>} A promise that resolves with the number of records that existed and were deleted.
+     */
+    #deleteRecordsByKey(transaction, objectStoreName, keys)
+    {
+        return new Promise((resolve, reject) =>
+        {
+            if (!keys.length) { return resolve(0); }
+
+            const store = transaction.objectStore(objectStoreName);
+            let deleted = 0;
+            let pending = keys.length;
+            if (this.#storeSettings[objectStoreName]?.softDelete)
+            {
+                keys.forEach(key =>
+                {
+                    const request = store.get(key);
+                    request.onsuccess = () =>
+                    {
+                        if (request.result !== undefined && !this.#isDeleted(request.result))
+                        {
+                            const record = this.#markDeleted(request.result);
+                            if (store.keyPath === null) { store.put(record, key); }
+                            else { store.put(record); }
+                            deleted++;
+                            this.#recordChange(transaction, objectStoreName, "delete", key, record);
+                        }
+                        if (--pending === 0) { resolve(deleted); }
+                    };
+                    request.onerror = (e) => reject(e.target.error);
+                });
+                return;
+            }
+
+            keys.forEach(key =>
+            {
+                const existsRequest = store.count(key);
+                const request = store.delete(key);
+                request.onsuccess = () =>
+                {
+                    if (existsRequest.result)
+                    {
+                        deleted++;
+                        this.#recordChange(transaction, objectStoreName, "delete", key);
+                    }
+                    if (--pending === 0) { resolve(deleted); }
+                };
+                request.onerror = (e) => reject(e.target.error);
+            });
+        });
+    }
+
+    /**
+     * Updates the records matching some criteria within a transaction. See `updateWhere` for the parameters.
+     * @private
+     * @param {IDBTransaction} transaction - The active 'readwrite' transaction.
+     * @returns {Promise<{count: number, keys: IDBValidKey[]}>} A promise that resolves with the number and primary keys of the updated records.
+     */
+    #updateWhere(transaction, objectStoreName, criteria, changes)
+    {
+        if (typeof changes !== "function" && (typeof changes !== "object" || changes === null)) { return Promise.reject(new ValidationError("changes must be an object or a function")); }
+
+        const keys = [];
+        return this.#visitMatchingRecords(transaction, objectStoreName, criteria, (cursor) =>
+        {
+            const record = this.#applyChanges(cursor.value, changes);
+            this.#validateRecord(objectStoreName, record);
+            cursor.update(record);
+            keys.push(cursor.primaryKey);
+            this.#recordChange(transaction, objectStoreName, "update", cursor.primaryKey, record);
+        }, true).then(count => ({ count, keys }));
+    }
+
+    /**
+     * Applies the changes of `updateWhere` to a copy of a record.
+     * @private
+     * @param {object} record - The current record.
+     * @param {object|((record: object) => object|void)} changes - The property paths and new values, or an updater function.
+     * @returns {object} The updated copy.
+     */
+    #applyChanges(record, changes)
+    {
+        const copy = structuredClone(record);
+        if (typeof changes === "function") { return changes(copy) ?? copy; }
+        for (const [path, value] of Object.entries(changes)) { this.#setValueAtPath(copy, path, value); }
+        return copy;
+    }
+
+    /**
+     * Applies the changes of `updateDataObjectStore` to a copy of a record. Only properties the record already has are updated.
+     * @private
+     * @param {object} record - The current record.
+     * @returns {object} The updated copy.
+     */
+    #applyIndexValueChanges(record, index, newValue, changeValueFromCurrentValue, arrayObjIndexValue)
+    {
+        const recordToUpdate = { ...record };
+        if (changeValueFromCurrentValue) recordToUpdate[index] = newValue;
+        for (const item of arrayObjIndexValue)
+        {
+            if (item.index in recordToUpdate) recordToUpdate[item.index] = item.value;
+        }
+        return recordToUpdate;
+    }
+
+    /**
+     * Deletes the records matching some criteria within a transaction. See `deleteWhere` for the parameters.
+     * @private
+     * @param {IDBTransaction} transaction - The active 'readwrite' transaction.
+     * @returns {Promise<{count: number, keys: IDBValidKey[]}>} A promise that resolves with the number and primary keys of the deleted records.
+     */
+    #deleteWhere(transaction, objectStoreName, criteria)
+    {
+        const keys = [];
+        const softDelete = this.#storeSettings[objectStoreName]?.softDelete;
+        return this.#visitMatchingRecords(transaction, objectStoreName, criteria, (cursor) =>
+        {
+            keys.push(cursor.primaryKey);
+            if (!softDelete)
+            {
+                cursor.delete();
+                return this.#recordChange(transaction, objectStoreName, "delete", cursor.primaryKey);
+            }
+            const record = this.#markDeleted(cursor.value);
+            cursor.update(record);
+            this.#recordChange(transaction, objectStoreName, "delete", cursor.primaryKey, record);
+        }).then(count => ({ count, keys }));
+    }
+
+    /**
+     * Walks the records matching some criteria with a cursor, reading only an index range when possible. Expired and deleted records are skipped.
+     * @private
+     * @param {IDBTransaction} transaction - The active transaction.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {{index?: string, range?: object, where?: object|((record: object) => boolean)}} criteria - The records to visit.
+     * @param {(cursor: IDBCursorWithValue) => void} visitor - Called with the cursor positioned on each matching record.
+     * @param {boolean} [movesRecords=false] - Whether the visitor may move records further along the index. If so, visited keys are tracked so each record is visited once.
+     * @returns {Promise<number>} A promise that resolves with the number of visited records.
+     */
+    #visitMatchingRecords(transaction, objectStoreName, criteria, visitor, movesRecords = false)
+    {
+        return new Promise((resolve, reject) =>
+        {
+            if (typeof criteria !== "object" || criteria === null) { return reject(new ValidationError("criteria must be an object")); }
+
+            const { where } = criteria;
+            let { index, range } = criteria;
+            if (where !== undefined && typeof where !== "function" && (typeof where !== "object" || where === null)) { return reject(new ValidationError("where must be an object or a function")); }
+
+            const store = transaction.objectStore(objectStoreName);
+            if (index && !store.indexNames.contains(index)) { return reject(new NotFoundError(`Index '${index}' not found.`, { store: objectStoreName, index })); }
+
+            // Without an explicit index, use one whose key path is compared by equality in 'where' with a valid key.
+            // Other values, such as booleans and null, are never in an index, so they are matched by walking the store.
+            if (!index && range === undefined && where && typeof where === "object")
+            {
+                index = Array.from(store.indexNames).find(name =>
+                {
+                    const candidate = store.index(name);
+                    return !candidate.multiEntry && typeof candidate.keyPath === "string" && candidate.keyPath in where && this.#isValidKey(where[candidate.keyPath]);
+                });
+                if (index) { range = { equals: where[store.index(index).keyPath] }; }
+            }
+
+            let keyRange;
+            try { keyRange = this.#buildKeyRange(range); }
+            catch (error) { return reject(error); }
+
+            const matches = this.#createMatcher(where);
+
+            const source = index ? store.index(index) : store;
+            const cursorRequest = source.openCursor(keyRange);
+            const visited = index && movesRecords ? new Set() : null;
+            const now = Date.now();
+            let count = 0;
+
+            cursorRequest.onsuccess = (e) =>
+            {
+                const cursor = e.target.result;
+                if (!cursor) { return resolve(count); }
+
+                try
+                {
+                    const visitKey = visited ? this.#serializeKey(cursor.primaryKey) : null;
+                    if ((!visited || !visited.has(visitKey)) && !this.#isHidden(cursor.value, now) && matches(cursor.value))
+                    {
+                        visited?.add(visitKey);
+                        visitor(cursor);
+                        count++;
+                    }
+                    cursor.continue();
+                }
+                catch (error) { reject(error); }
+            };
+            cursorRequest.onerror = (e) => reject(e.target.error);
+        });
+    }
+
+    /**
+     * Turns the `where` of some criteria into a predicate.
+     * @private
+     * @param {object|((record: object) => boolean)|undefined} where - A predicate, or an object of property paths and expected values.
+     * @returns {(record: object) => boolean} The predicate. Matches every record when `where` is undefined.
+     */
+    #createMatcher(where)
+    {
+        if (typeof where === "function") { return where; }
+        return (record) => Object.entries(where || {}).every(([path, value]) => this.#extractKey(path, record) === value);
+    }
+
+    /**
+     * Removes every record of an Object Store within a transaction.
+     * @private
+     * @param {IDBTransaction} transaction - The active 'readwrite' transaction.
+     * @param {string} objectStoreName - The name of the Object Store to clear.
+     * @returns {Promise<string>} A promise that resolves with a success message.
+     */
+    #clearRecords(transaction, objectStoreName)
+    {
+        if (this.#storeSettings[objectStoreName]?.softDelete)
+        {
+            return this.#deleteWhere(transaction, objectStoreName, {}).then(() => `All data were removed from '${objectStoreName}'`);
+        }
+
+        return new Promise((resolve, reject) =>
+        {
+            const store = transaction.objectStore(objectStoreName);
+            // The history keeps one deletion per record, and delete rules apply to each record, so the keys are read before they are gone.
+            const settings = this.#storeSettings[objectStoreName];
+            const hasDeleteRules = Object.values(settings?.relations ?? {}).some(relation => relation.onDelete);
+            const keysRequest = settings?.history || hasDeleteRules ? store.getAllKeys() : null;
+            const request = store.clear();
+            request.onsuccess = () =>
+            {
+                this.#recordChange(transaction, objectStoreName, "clear", null);
+                keysRequest?.result.forEach(key =>
+                {
+                    if (settings.history) { this.#recordHistory(transaction, objectStoreName, "delete", key); }
+                    if (hasDeleteRules) { this.#applyDeleteRules(transaction, objectStoreName, key); }
+                });
+                resolve(`All data were removed from '${objectStoreName}'`);
+            };
+            request.onerror = (e) => reject(e.target.error);
+        });
+    }
+
+    /**
+     * Records a change made within a transaction, to be emitted once the transaction commits.
+     * Consecutive changes of the same type on the same Object Store are grouped into a single event.
+     * @private
+     * @param {IDBTransaction} transaction - The transaction the change belongs to.
+     * @param {string} store - The name of the changed Object Store.
+     * @param {"insert"|"update"|"delete"|"clear"} type - The kind of change.
+     * @param {IDBValidKey|null} key - The primary key of the changed record, or `null` for `clear`.
+     * @param {object} [record] - Optional. The record as written, kept by the history. Omitted for records deleted for good.
+     * @returns {void}
+     */
+    #recordChange(transaction, store, type, key, record)
+    {
+        let changes = this.#pendingChanges.get(transaction);
+        if (!changes)
+        {
+            changes = [];
+            this.#pendingChanges.set(transaction, changes);
+        }
+
+        const imported = this.#importTransactions.has(transaction);
+        if (this.#sync?.stores.has(store) && !this.#remoteTransactions.has(transaction) && !imported) { this.#logChange(transaction, store, type, key); }
+        if (type !== "clear" && this.#storeSettings[store]?.history && !imported) { this.#recordHistory(transaction, store, type, key, record); }
+        if (this.#storeSettings[store]?.limit) { this.#trackUsage(transaction, store, type, key, record); }
+        if (this.#storeSettings[store]?.search) { this.#updateSearchIndex(transaction, store, type, key, record); }
+        if (type === "delete") { this.#applyDeleteRules(transaction, store, key); }
+
+        const last = changes[changes.length - 1];
+        if (type === "clear") { changes.push({ store, type, keys: null }); }
+        else if (last && last.store === store && last.type === type) { last.keys.push(key); }
+        else { changes.push({ store, type, keys: [key] }); }
+    }
+
+    /**
+     * Emits the changes recorded for a committed transaction to local subscribers and to other tabs.
+     * @private
+     * @param {IDBTransaction} transaction - The committed transaction.
+     * @returns {void}
+     */
+    #emitChanges(transaction)
+    {
+        const changes = this.#pendingChanges.get(transaction);
+        if (!changes) { return; }
+        this.#pendingChanges.delete(transaction);
+
+        const channel = this.#getChangeChannel();
+        for (const change of changes)
+        {
+            this.#dispatchChange({ ...change, remote: false });
+            if (channel)
+            {
+                try { channel.postMessage(change); }
+                catch (error) { this.#reportError(error, "Could not broadcast the database change.", { operation: "broadcastChange", store: change.store }); }
+            }
+        }
+    }
+
+    /**
+     * Calls every change subscriber, isolating them from each other's errors.
+     * @private
+     * @param {{store: string, type: string, keys: IDBValidKey[]|null, remote: boolean}} change - The change event.
+     * @returns {void}
+     */
+    #dispatchChange(change)
+    {
+        for (const handler of this.#changeListeners)
+        {
+            try { handler(change); }
+            catch (error) { console.error("A change handler threw an error.", error); }
+        }
+    }
+
+    /**
+     * Reports a failure of background work to the `error` subscribers, or to the console when there are none.
+     * @private
+     * @param {any} error - The error.
+     * @param {string} message - The message, for the console and for errors that are not already an `EasyIndexedDBError`.
+     * @param {{operation: string, store?: string}} context - Where the error happened.
+     * @returns {void}
+     */
+    #reportError(error, message, context)
+    {
+        const converted = this.#toError(error, context);
+        const reported = converted instanceof EasyIndexedDBError ? converted : new EasyIndexedDBError(message, { ...context, cause: error });
+        if (!this.#errorListeners.size) { return void console.error(message, reported); }
+
+        for (const handler of this.#errorListeners)
+        {
+            try { handler(reported); }
+            catch (handlerError) { console.error("An error handler threw an error.", handlerError); }
+        }
+    }
+
+    /**
+     * Returns the BroadcastChannel shared by every tab using the same database, creating it if necessary.
+     * @private
+     * @returns {BroadcastChannel|null} The channel, or `null` if BroadcastChannel is not available or the database is not initialized.
+     */
+    #getChangeChannel()
+    {
+        if (this.#changeChannel) { return this.#changeChannel; }
+        if (typeof BroadcastChannel === "undefined" || !this.#databaseName) { return null; }
+
+        this.#changeChannel = new BroadcastChannel(`EasyIndexedDB:${this.#databaseName}`);
+        this.#changeChannel.onmessage = (event) => this.#dispatchChange({ ...event.data, remote: true });
+        // Outside browsers (e.g. Node), an open channel would otherwise keep the process alive.
+        this.#changeChannel.unref?.();
+        return this.#changeChannel;
+    }
+
+    /**
+     * Closes the BroadcastChannel, if open.
+     * @private
+     * @returns {void}
+     */
+    #closeChangeChannel()
+    {
+        if (!this.#changeChannel) { return; }
+        this.#changeChannel.close();
+        this.#changeChannel = null;
+    }
+
+    /**
+     * Returns the definitions of the internal Object Stores that features of the library create when first used: the files and
+     * their chunks, the change log and the modification time of each synced record.
+     * @private
+     * @returns {Object<string, {options: {keyPath?: string|string[], autoIncrement?: boolean}, indexes?: object[]}>} The definitions, by Object Store name.
+     */
+    #getOnDemandStores()
+    {
+        return {
+            [this.#fileStoreName]: { options: { keyPath: "id" } },
+            [this.#fileChunkStoreName]: { options: { keyPath: ["revision", "index"] } },
+            [this.#syncLogStoreName]: { options: { keyPath: "id", autoIncrement: true }, indexes: [{ name: "record", keyPath: ["store", "key"] }] },
+            [this.#syncStateStoreName]: { options: { keyPath: ["store", "key"] } }
+        };
+    }
+
+    /**
+     * Creates the missing internal Object Stores among the given ones during a version upgrade.
+     * @private
+     * @param {IDBDatabase} db - The database being upgraded.
+     * @param {string[]} objectStoreNames - The names of the on-demand internal Object Stores to create (see `#getOnDemandStores`).
+     * @returns {void}
+     */
+    #createInternalStores(db, objectStoreNames)
+    {
+        const definitions = this.#getOnDemandStores();
+        for (const name of objectStoreNames.filter(name => !db.objectStoreNames.contains(name)))
+        {
+            const store = db.createObjectStore(name, definitions[name].options);
+            (definitions[name].indexes || []).forEach(index => this.#createIndex(store, index));
+        }
+    }
+
+    /**
+     * Creates the internal Object Stores used by a feature of the library, in a single version upgrade, unless they already exist.
+     * A database whose schema is managed by migrations gets them with its migrations, so only one created before they existed
+     * lacks them, and it needs a new migration version instead of an upgrade outside of the schema.
+     * @private
+     * @param {string[]} objectStoreNames - The names of the on-demand internal Object Stores (see `#getOnDemandStores`).
+     * @returns {Promise<void>} A promise that resolves once the Object Stores exist.
+     */
+    #ensureInternalStores(objectStoreNames)
+    {
+        return this.#queueSchemaChange(async () =>
+        {
+            const version = await this.#open(this.#databaseName, undefined, null, (db) =>
+                Promise.resolve(objectStoreNames.every(name => db.objectStoreNames.contains(name)) ? null : db.version));
+            if (version === null) { return; }
+            if (this.#migrations)
+            {
+                throw new EasyIndexedDBError("The schema is managed by migrations: add a new migration version to create the internal Object Stores", { store: objectStoreNames[0] });
+            }
+
+            await this.#execute(this.#databaseName, version + 1, (db, transaction) =>
+            {
+                this.#createInternalStores(db, objectStoreNames);
+                this.#updateModificationDate(transaction);
+                return Promise.resolve();
+            });
+        });
+    }
+
+    /**
+     * Runs a sync operation once the previous one has finished, so the same changes are never pushed twice.
+     * @private
+     * @param {(config: object) => Promise<any>} operation - The operation, given the sync configuration.
+     * @returns {Promise<any>} A promise that resolves with the result of the operation.
+     */
+    #queueSync(operation)
+    {
+        const run = this.#syncQueue.then(() =>
+        {
+            if (!this.#sync) { throw new ValidationError("Sync is not configured. Call setSync first."); }
+            return operation(this.#sync);
+        });
+        this.#syncQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Appends a change to the change log, within the transaction that made it.
+     * @private
+     * @param {IDBTransaction} transaction - The transaction the change belongs to.
+     * @param {string} store - The name of the changed Object Store.
+     * @param {"insert"|"update"|"delete"|"clear"} type - The kind of change.
+     * @param {IDBValidKey|null} key - The primary key of the changed record, or `null` for `clear`.
+     * @returns {void}
+     */
+    #logChange(transaction, store, type, key)
+    {
+        if (!transaction.objectStoreNames.contains(this.#syncLogStoreName)) { return; }
+        const modifiedAt = Date.now();
+        transaction.objectStore(this.#syncLogStoreName).add({ store, key, type, modifiedAt });
+        if (key !== null) { transaction.objectStore(this.#syncStateStoreName).put({ store, key, modifiedAt }); }
+    }
+
+    /**
+     * Collapses the entries of the change log into one change per record, in the order of each record's last change.
+     * A `clear` drops the earlier changes of its Object Store.
+     * @private
+     * @param {object[]} entries - The change log entries, oldest first.
+     * @returns {Array<{store: string, key: IDBValidKey|null, type: string, modifiedAt: number}>} The changes.
+     */
+    #collapseChanges(entries)
+    {
+        const changes = new Map();
+        for (const entry of entries)
+        {
+            if (entry.type === "clear")
+            {
+                for (const [id, change] of changes) { if (change.store === entry.store) { changes.delete(id); } }
+                changes.set(`clear:${entry.id}`, { store: entry.store, key: null, type: "clear", modifiedAt: entry.modifiedAt });
+                continue;
+            }
+
+            const id = `${entry.store}\u0000${this.#serializeKey(entry.key)}`;
+            const previous = changes.get(id);
+            changes.delete(id);
+            // A record created and then updated within the batch is still new to the endpoint.
+            const type = previous?.type === "insert" && entry.type === "update" ? "insert" : entry.type;
+            changes.set(id, { store: entry.store, key: entry.key, type, modifiedAt: entry.modifiedAt });
+        }
+        return Array.from(changes.values());
+    }
+
+    /**
+     * Sends a request to the sync endpoint.
+     * @private
+     * @param {object} config - The sync configuration.
+     * @param {string} url - The request URL.
+     * @param {object} [body] - Optional. The JSON body of a POST request. If omitted, sends a GET request and returns its JSON response.
+     * @returns {Promise<object|null>} A promise that resolves with the parsed response of a GET request, or `null`.
+     */
+    async #sendSyncRequest(config, url, body)
+    {
+        const fetchFunction = config.fetch ?? globalThis.fetch;
+        if (typeof fetchFunction !== "function") { throw new SyncError("fetch is not available. Pass a fetch function to setSync."); }
+
+        const headers = {
+            ...(body === undefined ? {} : { "Content-Type": "application/json" }),
+            ...(typeof config.headers === "function" ? await config.headers() : config.headers)
+        };
+
+        let response;
+        try { response = await fetchFunction(url, { method: body === undefined ? "GET" : "POST", headers, body: body === undefined ? undefined : JSON.stringify(body) }); }
+        catch (error) { throw new SyncError(`Could not reach the sync endpoint: ${error?.message ?? error}`, { cause: error }); }
+        if (!response.ok) { throw new SyncError(`The sync endpoint answered with HTTP status ${response.status}`, { status: response.status }); }
+        if (body !== undefined) { return null; }
+
+        try { return await response.json(); }
+        catch (error) { throw new SyncError("The sync endpoint did not answer with JSON", { status: response.status, cause: error }); }
+    }
+
+    /**
+     * Pushes the change log in batches. See `pushChanges`.
+     * @private
+     * @param {object} config - The sync configuration.
+     * @returns {Promise<{pushed: number}>} A promise that resolves with the number of changes sent.
+     */
+    async #pushChanges(config)
+    {
+        const logName = this.#syncLogStoreName;
+        let pushed = 0;
+
+        for (;;)
+        {
+            const entries = await this.#runTransaction(logName, "readonly", (transaction) => this.#requestToPromise(transaction.objectStore(logName).getAll(null, config.batchSize)));
+            if (!entries.length) { return { pushed }; }
+
+            const changes = this.#collapseChanges(entries);
+            const changedStores = [...new Set(changes.filter(change => change.type === "insert" || change.type === "update").map(change => change.store))];
+            if (changedStores.length)
+            {
+                await this.#runTransaction(changedStores, "readonly", (transaction) => Promise.all(changes.map(async change =>
+                {
+                    if (change.type !== "insert" && change.type !== "update") { return; }
+                    const record = await this.#requestToPromise(transaction.objectStore(change.store).get(change.key));
+                    // The record was deleted since: its deletion comes later in the change log.
+                    if (record === undefined) { change.type = "delete"; }
+                    else { change.record = record; }
+                })));
+            }
+
+            const body = { changes: [] };
+            for (const { store, key, type, record, modifiedAt } of changes)
+            {
+                body.changes.push({ store, key: await this.#encodeValue(key), type, ...(record === undefined ? {} : { record: await this.#encodeValue(record) }), modifiedAt });
+            }
+            await this.#sendSyncRequest(config, config.url, body);
+
+            // Changes logged while the request was in flight have higher ids, and stay pending.
+            const range = this.#keyRange.bound(entries[0].id, entries[entries.length - 1].id);
+            await this.#runTransaction(logName, "readwrite", (transaction) => this.#requestToPromise(transaction.objectStore(logName).delete(range)));
+            pushed += changes.length;
+            if (entries.length < config.batchSize) { return { pushed }; }
+        }
+    }
+
+    /**
+     * Pulls and applies the remote changes, following `hasMore`. See `pullChanges`.
+     * @private
+     * @param {object} config - The sync configuration.
+     * @returns {Promise<{pulled: number, conflicts: number}>} A promise that resolves with the number of remote changes and of conflicts.
+     */
+    async #pullChanges(config)
+    {
+        const trackingStoreName = this.#objectStoreNameLastModifyDate;
+        let pulled = 0;
+        let conflicts = 0;
+
+        for (;;)
+        {
+            const saved = await this.#runTransaction(trackingStoreName, "readonly", (transaction) => this.#requestToPromise(transaction.objectStore(trackingStoreName).get("_sync_checkpoint_")));
+            const url = new URL(config.url, globalThis.location?.href);
+            if (saved?.url === config.url) { url.searchParams.set("since", typeof saved.checkpoint === "string" ? saved.checkpoint : JSON.stringify(saved.checkpoint)); }
+
+            const response = await this.#sendSyncRequest(config, url.href);
+            if (typeof response !== "object" || response === null || !Array.isArray(response.changes ?? [])) { throw new SyncError("The sync endpoint answered with an invalid body"); }
+
+            const changes = (response.changes ?? []).filter(change => config.stores.has(change?.store)).map(change =>
+            {
+                if (!["put", "insert", "update", "delete"].includes(change.type)) { throw new SyncError(`The sync endpoint sent a change of unknown type '${change.type}'`); }
+                return {
+                    store: change.store,
+                    key: this.#decodeValue(change.key),
+                    record: change.type === "delete" ? null : this.#decodeValue(change.record),
+                    modifiedAt: typeof change.modifiedAt === "number" ? change.modifiedAt : Date.parse(change.modifiedAt)
+                };
+            });
+
+            const storeNames = [...new Set(changes.map(change => change.store)), this.#syncLogStoreName, this.#syncStateStoreName, trackingStoreName];
+            conflicts += await this.#runTransaction(storeNames, "readwrite", async (transaction) =>
+            {
+                // Remote changes are applied without being logged, so they are not pushed back.
+                this.#remoteTransactions.add(transaction);
+                let conflictCount = 0;
+                for (const change of changes)
+                {
+                    if (await this.#applyRemoteChange(transaction, config, change)) { conflictCount++; }
+                }
+                if (response.checkpoint !== undefined)
+                {
+                    transaction.objectStore(trackingStoreName).put({ url: config.url, checkpoint: response.checkpoint }, "_sync_checkpoint_");
+                }
+                return conflictCount;
+            });
+            pulled += changes.length;
+
+            // Without a new checkpoint, asking again would return the same changes.
+            if (!response.hasMore || response.checkpoint === undefined) { return { pulled, conflicts }; }
+        }
+    }
+
+    /**
+     * Applies a remote change within the pull transaction, resolving the conflict if the record has pending local changes.
+     * `last-write-wins` compares the remote `modifiedAt` with the time the record was last changed locally or pulled, kept
+     * even once the local change is pushed, so that a late remote change older than the record does not overwrite it.
+     * @private
+     * @param {IDBTransaction} transaction - The active 'readwrite' transaction.
+     * @param {object} config - The sync configuration.
+     * @param {{store: string, key: IDBValidKey, record: object|null, modifiedAt: number}} change - The decoded remote change.
+     * @returns {Promise<boolean>} A promise that resolves with whether the change conflicted with pending local changes.
+     */
+    async #applyRemoteChange(transaction, config, change)
+    {
+        const { store, key, record: remote, modifiedAt: remoteModifiedAt } = change;
+        const log = transaction.objectStore(this.#syncLogStoreName);
+        const state = transaction.objectStore(this.#syncStateStoreName);
+        const [pending, modified] = await Promise.all([
+            this.#requestToPromise(log.index("record").getAll([store, key])),
+            this.#requestToPromise(state.get([store, key]))
+        ]);
+        const localModifiedAt = modified?.modifiedAt ?? Math.max(-Infinity, ...pending.map(entry => entry.modifiedAt));
+        if (!pending.length)
+        {
+            // The local version was pushed already and is newer, so the endpoint has it.
+            if (typeof config.conflict !== "function" && remoteModifiedAt < localModifiedAt) { return true; }
+            await this.#writeSyncedRecord(transaction, store, key, remote);
+            if (Number.isFinite(remoteModifiedAt)) { state.put({ store, key, modifiedAt: remoteModifiedAt }); }
+            return false;
+        }
+
+        let resolved = remote;
+        if (typeof config.conflict === "function")
+        {
+            const local = await this.#requestToPromise(transaction.objectStore(store).get(key));
+            resolved = config.conflict(local ?? null, remote, { store, key, localModifiedAt, remoteModifiedAt }) ?? null;
+            if (typeof resolved?.then === "function") { throw new ValidationError("The conflict function must return the record to keep, not a promise", { store }); }
+        }
+        // The local change is newer: it stays pending, and reaches the endpoint with the next push.
+        else if (!(remoteModifiedAt >= localModifiedAt)) { return true; }
+
+        await Promise.all(pending.map(entry => this.#requestToPromise(log.delete(entry.id))));
+        await this.#writeSyncedRecord(transaction, store, key, resolved);
+        if (resolved !== remote) { this.#logChange(transaction, store, resolved === null ? "delete" : "update", key); }
+        else if (Number.isFinite(remoteModifiedAt)) { state.put({ store, key, modifiedAt: remoteModifiedAt }); }
+        return true;
+    }
+
+    /**
+     * Writes a record received from the endpoint, or deletes it.
+     * @private
+     * @param {IDBTransaction} transaction - The active 'readwrite' transaction.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {IDBValidKey} key - The primary key of the record.
+     * @param {object|null} record - The record, or `null` to delete it.
+     * @returns {Promise<any>} A promise that resolves once the record is written.
+     */
+    #writeSyncedRecord(transaction, objectStoreName, key, record)
+    {
+        if (record === null) { return this.#deleteRecordsByKey(transaction, objectStoreName, [key]); }
+        const store = transaction.objectStore(objectStoreName);
+        return this.#putRecords(transaction, objectStoreName, [record], store.keyPath === null ? [key] : undefined);
+    }
+
+    /**
+     * Changes the history, soft delete, limit, relations or search setting of an Object Store with a version upgrade. A database whose
+     * schema is managed by migrations is only upgraded by them, so a change is rejected there and must be declared in a new migration.
+     * @private
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {"history"|"softDelete"|"limit"|"relations"|"search"} setting - The setting to change.
+     * @param {any} value - The new value, or `undefined` to remove the setting.
+     * @returns {Promise<void>} A promise that resolves once the setting is saved.
+     */
+    async #changeStoreSetting(objectStoreName, setting, value)
+    {
+        if (typeof objectStoreName !== "string" || !objectStoreName) { throw new ValidationError("objectStoreName must be a non-empty string"); }
+        if (!this.#databaseName) { throw new EasyIndexedDBError("Database not initialized."); }
+
+        return this.#queueSchemaChange(async () =>
+        {
+            const version = await this.#open(this.#databaseName, undefined, null, (db) => db.objectStoreNames.contains(objectStoreName)
+                ? Promise.resolve(db.version)
+                : Promise.reject(new NotFoundError(`Object Store '${objectStoreName}' not found.`, { store: objectStoreName })));
+            // Compares with the value `#setStoreSetting` would save.
+            if (setting === "softDelete" && value === undefined && this.#storeSettings[objectStoreName]?.softDelete !== undefined) { value = false; }
+            // The settings are read on each connection, so they reflect the current version and an unchanged setting needs no upgrade.
+            if (JSON.stringify(this.#storeSettings[objectStoreName]?.[setting]) === JSON.stringify(value)) { return; }
+            if (this.#migrations)
+            {
+                throw new ValidationError(`The schema is managed by migrations: declare the '${setting}' setting of '${objectStoreName}' in a new migration`, { store: objectStoreName });
+            }
+
+            await this.#execute(this.#databaseName, version + 1, (db, transaction) =>
+            {
+                this.#applyStoreSetting(db, transaction, objectStoreName, setting, value);
+                this.#updateModificationDate(transaction);
+                return Promise.resolve();
+            });
+        });
+    }
+
+    /**
+     * Saves a setting of an Object Store during a version upgrade, and prepares the internal Object Store it relies on
+     * (`__history`, `__usage` or `__search`).
+     * @private
+     * @param {IDBDatabase} db - The database being upgraded.
+     * @param {IDBTransaction} transaction - The versionchange transaction.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {"history"|"softDelete"|"limit"|"relations"|"search"} setting - The setting to change.
+     * @param {any} value - The new value, or `undefined` to remove the setting.
+     * @returns {void}
+     */
+    #applyStoreSetting(db, transaction, objectStoreName, setting, value)
+    {
+        if (value !== undefined && setting === "history" && !db.objectStoreNames.contains(this.#historyStoreName))
+        {
+            const store = db.createObjectStore(this.#historyStoreName, { keyPath: "id", autoIncrement: true });
+            this.#createIndex(store, { name: "record", keyPath: ["store", "key"] });
+        }
+        if (setting === "limit") { this.#prepareUsage(db, transaction, objectStoreName, value); }
+        if (setting === "search") { this.#prepareSearch(db, transaction, objectStoreName, value); }
+        this.#setStoreSetting(transaction, objectStoreName, setting, value);
+    }
+
+    /**
+     * Validates a storage limit and fills in the default policy.
+     * @private
+     * @param {{maxRecords?: number, maxBytes?: number, policy?: "fifo"|"lru"}|null} limit - The limit, or `null` for none.
+     * @returns {{maxRecords?: number, maxBytes?: number, policy: "fifo"|"lru"}|undefined} The normalized limit, or `undefined` for none.
+     */
+    #normalizeLimit(limit)
+    {
+        if (limit === null) { return undefined; }
+        if (typeof limit !== "object") { throw new ValidationError("limit must be an object or null"); }
+
+        const { maxRecords, maxBytes, policy = "fifo" } = limit;
+        if (maxRecords === undefined && maxBytes === undefined) { throw new ValidationError("limit needs maxRecords and/or maxBytes"); }
+        if (maxRecords !== undefined && (!Number.isInteger(maxRecords) || maxRecords < 1)) { throw new ValidationError("maxRecords must be a positive integer"); }
+        if (maxBytes !== undefined && (typeof maxBytes !== "number" || !(maxBytes > 0))) { throw new ValidationError("maxBytes must be a positive number"); }
+        if (policy !== "fifo" && policy !== "lru") { throw new ValidationError("policy must be 'fifo' or 'lru'"); }
+
+        const value = { policy };
+        if (maxRecords !== undefined) { value.maxRecords = maxRecords; }
+        if (maxBytes !== undefined) { value.maxBytes = maxBytes; }
+        return value;
+    }
+
+    /**
+     * Validates relation definitions and drops their unset properties.
+     * @private
+     * @param {Object<string, {type: "one"|"many", store: string, field?: string, index?: string, onDelete?: "cascade"|"restrict"}>|null} relations - The relations, or `null` for none.
+     * @returns {Object<string, object>|undefined} The normalized relations, or `undefined` for none.
+     */
+    #normalizeRelations(relations)
+    {
+        if (relations === null) { return undefined; }
+        if (typeof relations !== "object" || Array.isArray(relations)) { throw new ValidationError("relations must be an object or null"); }
+
+        const value = {};
+        for (const [name, relation] of Object.entries(relations))
+        {
+            if (typeof relation !== "object" || relation === null) { throw new ValidationError(`Relation '${name}' must be an object`); }
+
+            const { type, store, field, index, onDelete } = relation;
+            if (type !== "one" && type !== "many") { throw new ValidationError(`Relation '${name}': type must be 'one' or 'many'`); }
+            if (typeof store !== "string" || !store) { throw new ValidationError(`Relation '${name}': store must be a non-empty string`); }
+            if (field !== undefined && (typeof field !== "string" || !field)) { throw new ValidationError(`Relation '${name}': field must be a non-empty string`); }
+            if (index !== undefined && (typeof index !== "string" || !index)) { throw new ValidationError(`Relation '${name}': index must be a non-empty string`); }
+            if (type === "many" && index === undefined) { throw new ValidationError(`Relation '${name}': 'many' relations need an index`); }
+            if (onDelete !== undefined && onDelete !== "cascade" && onDelete !== "restrict") { throw new ValidationError(`Relation '${name}': onDelete must be 'cascade' or 'restrict'`); }
+            if (onDelete !== undefined && (field !== undefined || index === undefined))
+            {
+                throw new ValidationError(`Relation '${name}': onDelete needs a relation from the primary key through an index`);
+            }
+            value[name] = Object.fromEntries(Object.entries({ type, store, field, index, onDelete }).filter(([, property]) => property !== undefined));
+        }
+        return Object.keys(value).length ? value : undefined;
+    }
+
+    /**
+     * Checks that the related Object Stores and indexes of normalized relations exist.
+     * @private
+     * @param {Object<string, {store: string, index?: string}>} relations - The normalized relations.
+     * @param {function(string): (IDBObjectStore|null)} getStore - Returns an Object Store by name, or `null` when it does not exist.
+     * @returns {void}
+     */
+    #checkRelationTargets(relations, getStore)
+    {
+        for (const { store, index } of Object.values(relations))
+        {
+            const target = getStore(store);
+            if (!target) { throw new NotFoundError(`Object Store '${store}' not found.`, { store }); }
+            if (index !== undefined && !target.indexNames.contains(index)) { throw new NotFoundError(`Index '${index}' not found.`, { store, index }); }
+        }
+    }
+
+    /**
+     * Validates full-text search fields and options.
+     * @private
+     * @param {string[]|null} fields - The key paths of the indexed fields, or `null` to stop indexing.
+     * @param {{stemming?: boolean}} [options={}] - Optional. The search options.
+     * @returns {{fields: string[], stemming: boolean}|undefined} The normalized setting, or `undefined` for none.
+     */
+    #normalizeSearch(fields, options = {})
+    {
+        if (fields === null) { return undefined; }
+        if (!Array.isArray(fields) || !fields.length || fields.some(field => typeof field !== "string" || !field))
+        {
+            throw new ValidationError("fields must be a non-empty array of key paths, or null");
+        }
+
+        const { stemming = false } = options;
+        if (typeof stemming !== "boolean") { throw new ValidationError("stemming must be a boolean"); }
+        return { fields: [...new Set(fields)], stemming };
+    }
+
+    /**
+     * Reads the settings a migration declares for a created or updated Object Store, validated and normalized like their setters do.
+     * Settings the migration leaves out are not returned, and a removed setting is returned as `undefined`.
+     * @private
+     * @param {{history?: boolean|null, softDelete?: boolean|null, limit?: object|null, relations?: object|null, search?: {fields: string[], stemming?: boolean}|null}} store - The Object Store entry of the migration.
+     * @returns {Object<string, any>} The declared settings.
+     */
+    #getDeclaredSettings(store)
+    {
+        const settings = {};
+        for (const setting of ["history", "softDelete"])
+        {
+            if (store[setting] === undefined) { continue; }
+            if (store[setting] !== null && typeof store[setting] !== "boolean") { throw new ValidationError(`${setting} must be a boolean or null`); }
+            settings[setting] = store[setting] || undefined;
+        }
+        if (store.limit !== undefined) { settings.limit = this.#normalizeLimit(store.limit); }
+        if (store.relations !== undefined) { settings.relations = this.#normalizeRelations(store.relations); }
+        if (store.search !== undefined)
+        {
+            if (store.search !== null && (typeof store.search !== "object" || Array.isArray(store.search))) { throw new ValidationError("search must be an object or null"); }
+            settings.search = store.search === null ? undefined : this.#normalizeSearch(store.search.fields, store.search);
+        }
+        return settings;
+    }
+
+    /**
+     * Applies the settings a migration declares for its created and updated Object Stores.
+     * @private
+     * @param {IDBDatabase} db - The database being upgraded.
+     * @param {IDBTransaction} transaction - The versionchange transaction.
+     * @param {object} migration - The migration.
+     * @returns {void}
+     */
+    #applyMigrationSettings(db, transaction, migration)
+    {
+        for (const store of [...migration.createStores || [], ...migration.updateStores || []])
+        {
+            const settings = this.#getDeclaredSettings(store);
+            if (settings.relations)
+            {
+                this.#checkRelationTargets(settings.relations, (name) => db.objectStoreNames.contains(name) ? transaction.objectStore(name) : null);
+            }
+            Object.entries(settings).forEach(([setting, value]) => this.#applyStoreSetting(db, transaction, store.name, setting, value));
+        }
+    }
+
+    /**
+     * Checks whether an Object Store exists, e.g. one created on demand by a feature of the library.
+     * @private
+     * @param {string} objectStoreName - The Object Store's name.
+     * @returns {Promise<boolean>} A promise that resolves with whether the Object Store exists.
+     */
+    #hasObjectStore(objectStoreName)
+    {
+        return this.#execute(this.#databaseName, undefined, null, (db) => Promise.resolve(db.objectStoreNames.contains(objectStoreName)));
+    }
+
+    /**
+     * Appends an entry to the history of a record, within the transaction that changed it.
+     * @private
+     * @param {IDBTransaction} transaction - The transaction the change belongs to.
+     * @param {string} store - The name of the changed Object Store.
+     * @param {"insert"|"update"|"delete"} type - The kind of change, unless the transaction is a restore, an undelete or an import.
+     * @param {IDBValidKey} key - The primary key of the changed record.
+     * @param {object} [record] - Optional. The record as written. Omitted for records deleted for good.
+     * @returns {void}
+     */
+    #recordHistory(transaction, store, type, key, record)
+    {
+        if (!transaction.objectStoreNames.contains(this.#historyStoreName)) { return; }
+
+        // Keys generated by autoIncrement are not part of the written value, so the kept version gets its key here.
+        const { keyPath } = transaction.objectStore(store);
+        let version = record ?? null;
+        if (version && typeof keyPath === "string" && this.#extractKey(keyPath, version) === undefined)
+        {
+            version = structuredClone(version);
+            this.#setValueAtPath(version, keyPath, key);
+        }
+
+        let actor = this.#historyActor;
+        if (typeof actor === "function")
+        {
+            try { actor = actor() ?? null; }
+            catch (error)
+            {
+                console.error("The history actor function threw an error.", error);
+                actor = null;
+            }
+        }
+
+        const operation = this.#historyOperations.get(transaction) ?? type;
+        transaction.objectStore(this.#historyStoreName).add({ store, key, operation, timestamp: Date.now(), actor, record: version });
+    }
+
+    /**
+     * Writes a version of a record taken from its history, recording the operation in the history.
+     * @private
+     * @param {IDBTransaction} transaction - The active 'readwrite' transaction.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {IDBValidKey} key - The primary key of the record.
+     * @param {object} record - The record to write, in its stored form.
+     * @param {"restore"|"undelete"} operation - The operation recorded in the history.
+     * @returns {Promise<object>} A promise that resolves with the written record.
+     */
+    #writeHistoryRecord(transaction, objectStoreName, key, record, operation)
+    {
+        this.#historyOperations.set(transaction, operation);
+        const store = transaction.objectStore(objectStoreName);
+        return this.#putRecords(transaction, objectStoreName, [record], store.keyPath === null ? [key] : undefined).then(() => record);
+    }
+
+    /**
+     * Reads the stored metadata of a file, including the revision its chunks are stored under.
+     * @private
+     * @param {string} fileId - The identifier of the file.
+     * @returns {Promise<object|null>} A promise that resolves with the metadata, or `null` if the file does not exist.
+     */
+    async #getFileRecord(fileId)
+    {
+        if (typeof fileId !== "string" || !fileId) { throw new ValidationError("fileId must be a non-empty string"); }
+        if (!(await this.#hasObjectStore(this.#fileStoreName))) { return null; }
+
+        const file = await this.#runTransaction(this.#fileStoreName, "readonly", (transaction) =>
+            this.#requestToPromise(transaction.objectStore(this.#fileStoreName).get(fileId)));
+        return file ?? null;
+    }
+
+    /**
+     * Reads one chunk of a file in its own transaction.
+     * @private
+     * @param {object} file - The stored metadata of the file.
+     * @param {number} index - The position of the chunk.
+     * @returns {Promise<ArrayBuffer>} A promise that resolves with the bytes of the chunk.
+     * @throws {NotFoundError} If the chunk is gone, because the file was replaced or deleted since its metadata was read.
+     */
+    async #readFileChunk(file, index)
+    {
+        const chunk = await this.#runTransaction(this.#fileChunkStoreName, "readonly", (transaction) =>
+            this.#requestToPromise(transaction.objectStore(this.#fileChunkStoreName).get([file.revision, index])));
+        if (!chunk) { throw new NotFoundError(`File '${file.id}' was replaced or deleted while being read.`); }
+        return chunk.data;
+    }
+
+    /**
+     * Returns the key range of every chunk of a file revision.
+     * @private
+     * @param {string} revision - The revision the chunks are stored under.
+     * @returns {IDBKeyRange} The key range.
+     */
+    #getChunkRange(revision)
+    {
+        return this.#keyRange.bound([revision, 0], [revision, Infinity]);
+    }
+
+    /**
+     * Checks the checksum computed while reading a whole file against the one computed when it was stored.
+     * @private
+     * @param {object} file - The stored metadata of the file.
+     * @param {number} checksum - The CRC-32 of the bytes read.
+     * @returns {void}
+     * @throws {EasyIndexedDBError} If the checksums differ.
+     */
+    #verifyFileChecksum(file, checksum)
+    {
+        if (checksum.toString(16).padStart(8, "0") !== file.checksum)
+        {
+            throw new EasyIndexedDBError(`File '${file.id}' is corrupted: its checksum does not match.`);
+        }
+    }
+
+    /**
+     * Computes a CRC-32 (as in zip and PNG) incrementally.
+     * @private
+     * @param {Uint8Array} bytes - The next bytes.
+     * @param {number} [crc=0] - Optional. The CRC-32 of the preceding bytes.
+     * @returns {number} The CRC-32 of all the bytes so far, as an unsigned integer.
+     */
+    #crc32(bytes, crc = 0)
+    {
+        if (!this.#crcTable)
+        {
+            this.#crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++)
+            {
+                let value = n;
+                for (let bit = 0; bit < 8; bit++) { value = value & 1 ? 0xEDB88320 ^ (value >>> 1) : value >>> 1; }
+                this.#crcTable[n] = value;
+            }
+        }
+
+        crc = ~crc;
+        for (let position = 0; position < bytes.length; position++) { crc = this.#crcTable[(crc ^ bytes[position]) & 0xFF] ^ (crc >>> 8); }
+        return ~crc >>> 0;
+    }
+
+    /**
+     * Counts the records of an Object Store and estimates their size. Object Stores with a limit are measured from the sizes kept in
+     * `__usage`, and file chunks from the sizes of their files, so that their records are not read. Other Object Stores are read with a cursor.
+     * @private
+     * @param {string} objectStoreName - The Object Store's name.
+     * @param {string[]} storeNames - The names of the Object Stores of the database.
+     * @returns {Promise<{count: number, size: number}>} A promise that resolves with the number of records and their approximate size in bytes.
+     */
+    #measureStore(objectStoreName, storeNames)
+    {
+        const sizeStoreName = objectStoreName === this.#fileChunkStoreName ? this.#fileStoreName
+            : this.#storeSettings[objectStoreName]?.limit ? this.#usageStoreName : null;
+        if (sizeStoreName !== null && storeNames.includes(sizeStoreName))
+        {
+            return this.#runTransaction([objectStoreName, sizeStoreName], "readonly", async (transaction) =>
+            {
+                const sizeStore = transaction.objectStore(sizeStoreName);
+                const [count, entries] = await Promise.all([
+                    this.#requestToPromise(transaction.objectStore(objectStoreName).count()),
+                    this.#requestToPromise(sizeStoreName === this.#usageStoreName ? sizeStore.getAll(this.#getEntriesRange(objectStoreName)) : sizeStore.getAll())
+                ]);
+                return { count, size: entries.reduce((size, entry) => size + entry.size, 0) };
+            });
+        }
+
+        return this.#runTransaction(objectStoreName, "readonly", (transaction) => new Promise((resolve, reject) =>
+        {
+            const cursorRequest = transaction.objectStore(objectStoreName).openCursor();
+            let count = 0;
+            let size = 0;
+            cursorRequest.onsuccess = (e) =>
+            {
+                const cursor = e.target.result;
+                if (!cursor) { return resolve({ count, size }); }
+                count++;
+                size += this.#estimateSize(cursor.primaryKey) + this.#estimateSize(cursor.value);
+                cursor.continue();
+            };
+            cursorRequest.onerror = (e) => reject(e.target.error);
+        }));
+    }
+
+    /**
+     * Estimates the size of a value once stored: two bytes per string character, eight per number or date, and the byte length of binary data.
+     * @private
+     * @param {any} value - The value.
+     * @param {Set<object>} [seen=new Set()] - Optional. The objects already counted, so shared and circular references are counted once.
+     * @returns {number} The approximate size in bytes.
+     */
+    #estimateSize(value, seen = new Set())
+    {
+        if (typeof value === "string") { return value.length * 2; }
+        if (typeof value === "number" || typeof value === "bigint" || value instanceof Date) { return 8; }
+        if (typeof value === "boolean") { return 4; }
+        if (typeof value !== "object" || value === null || seen.has(value)) { return 0; }
+
+        seen.add(value);
+        if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) { return value.byteLength; }
+        if (typeof Blob !== "undefined" && value instanceof Blob) { return value.size; }
+        if (value instanceof Map) { return [...value].reduce((size, [key, item]) => size + this.#estimateSize(key, seen) + this.#estimateSize(item, seen), 0); }
+        if (value instanceof Set || Array.isArray(value)) { return [...value].reduce((size, item) => size + this.#estimateSize(item, seen), 0); }
+        return Object.entries(value).reduce((size, [key, item]) => size + key.length * 2 + this.#estimateSize(item, seen), 0);
+    }
+
+    /**
+     * Creates or clears the usage entries of an Object Store within the 'versionchange' transaction that changes its limit.
+     * The records already stored get entries in primary key order, as if they had just been inserted in that order.
+     * @private
+     * @param {IDBDatabase} db - The database being upgraded.
+     * @param {IDBTransaction} transaction - The active 'versionchange' transaction.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {object|undefined} limit - The new limit, or `undefined` if it is removed.
+     * @returns {void}
+     */
+    #prepareUsage(db, transaction, objectStoreName, limit)
+    {
+        const exists = db.objectStoreNames.contains(this.#usageStoreName);
+        if (!limit)
+        {
+            if (exists) { transaction.objectStore(this.#usageStoreName).delete(this.#getEntriesRange(objectStoreName)); }
+            return;
+        }
+        // Only the policy or the caps change: the entries are already there.
+        if (this.#storeSettings[objectStoreName]?.limit && exists) { return; }
+
+        let usage;
+        if (exists) { usage = transaction.objectStore(this.#usageStoreName); }
+        else
+        {
+            usage = db.createObjectStore(this.#usageStoreName, { keyPath: ["store", "key"] });
+            this.#createIndex(usage, { name: "fifo", keyPath: ["store", "insertedAt"] });
+            this.#createIndex(usage, { name: "lru", keyPath: ["store", "accessedAt"] });
+        }
+
+        const cursorRequest = transaction.objectStore(objectStoreName).openCursor();
+        cursorRequest.onsuccess = (e) =>
+        {
+            const cursor = e.target.result;
+            if (!cursor) { return; }
+            const time = this.#nextUsageTime();
+            usage.put({ store: objectStoreName, key: cursor.primaryKey, size: this.#estimateSize(cursor.primaryKey) + this.#estimateSize(cursor.value), insertedAt: time, accessedAt: time });
+            cursor.continue();
+        };
+    }
+
+    /**
+     * Keeps the usage entry of a record of a limited Object Store up to date, within the transaction that changed it.
+     * @private
+     * @param {IDBTransaction} transaction - The transaction the change belongs to.
+     * @param {string} store - The name of the changed Object Store.
+     * @param {"insert"|"update"|"delete"|"clear"} type - The kind of change.
+     * @param {IDBValidKey|null} key - The primary key of the changed record, or `null` for `clear`.
+     * @param {object} [record] - Optional. The record as written. Omitted for records deleted for good.
+     * @returns {void}
+     */
+    #trackUsage(transaction, store, type, key, record)
+    {
+        if (!transaction.objectStoreNames.contains(this.#usageStoreName)) { return; }
+
+        const usage = transaction.objectStore(this.#usageStoreName);
+        if (type === "clear") { return void usage.delete(this.#getEntriesRange(store)); }
+        if (record === undefined) { return void usage.delete([store, key]); }
+
+        const size = this.#estimateSize(key) + this.#estimateSize(record);
+        const time = this.#nextUsageTime();
+        if (type === "insert") { return void usage.put({ store, key, size, insertedAt: time, accessedAt: time }); }
+
+        const request = usage.get([store, key]);
+        request.onsuccess = () => usage.put({ store, key, size, insertedAt: request.result?.insertedAt ?? time, accessedAt: time });
+    }
+
+    /**
+     * Deletes the first records in the order of the eviction policy of an Object Store until it is back within its limit.
+     * The records just written are never evicted: if the limit can only be met by evicting them, the write fails instead.
+     * @private
+     * @param {IDBTransaction} transaction - The active 'readwrite' transaction that inserted records.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {IDBValidKey[]} keys - The primary keys of the records just written.
+     * @returns {Promise<number>} A promise that resolves with the number of evicted records.
+     * @throws {QuotaExceededError} If the records just written alone exceed the limit.
+     */
+    async #enforceLimit(transaction, objectStoreName, keys)
+    {
+        const limit = this.#storeSettings[objectStoreName]?.limit;
+        if (!limit || !transaction.objectStoreNames.contains(this.#usageStoreName)) { return 0; }
+
+        const { maxRecords = Infinity, maxBytes = Infinity, policy } = limit;
+        const usage = transaction.objectStore(this.#usageStoreName);
+        if (policy === "lru") { await this.#writeAccesses(usage, this.#takeQueuedAccesses(objectStoreName)); }
+        const index = usage.index(policy);
+        const range = this.#keyRange.bound([objectStoreName, -Infinity], [objectStoreName, Infinity]);
+        let count;
+        let bytes = 0;
+        if (maxBytes === Infinity) { count = await this.#requestToPromise(index.count(range)); }
+        else
+        {
+            const entries = await this.#requestToPromise(index.getAll(range));
+            count = entries.length;
+            bytes = entries.reduce((total, entry) => total + entry.size, 0);
+        }
+        if (count <= maxRecords && bytes <= maxBytes) { return 0; }
+
+        return new Promise((resolve, reject) =>
+        {
+            const store = transaction.objectStore(objectStoreName);
+            const written = new Set(keys.map(key => this.#serializeKey(key)));
+            const cursorRequest = index.openCursor(range);
+            let evicted = 0;
+            cursorRequest.onsuccess = (e) =>
+            {
+                const cursor = e.target.result;
+                if (!cursor || (count <= maxRecords && bytes <= maxBytes)) { return resolve(evicted); }
+
+                const { key, size } = cursor.value;
+                if (written.has(this.#serializeKey(key)))
+                {
+                    return reject(new QuotaExceededError(`Records written to '${objectStoreName}' exceed its limit.`, { store: objectStoreName }));
+                }
+                store.delete(key);
+                this.#recordChange(transaction, objectStoreName, "delete", key);
+                count--;
+                bytes -= size;
+                evicted++;
+                cursor.continue();
+            };
+            cursorRequest.onerror = (e) => reject(e.target.error);
+        });
+    }
+
+    /**
+     * Notes that a record was read. Records of Object Stores with relations remember their primary key, which out-of-line keys
+     * do not include, for `include`. Records of Object Stores with an LRU limit get their access time queued once the transaction completes.
+     * @private
+     * @param {IDBTransaction} transaction - The transaction that read the record.
+     * @param {string} store - The name of the Object Store.
+     * @param {IDBValidKey} key - The primary key of the record.
+     * @param {object} record - The record, as read.
+     * @returns {void}
+     */
+    #noteRead(transaction, store, key, record)
+    {
+        if (this.#storeSettings[store]?.relations) { this.#recordKeys.set(record, key); }
+        if (this.#storeSettings[store]?.limit?.policy !== "lru") { return; }
+
+        let accesses = this.#pendingAccesses.get(transaction);
+        if (!accesses)
+        {
+            accesses = new Map();
+            this.#pendingAccesses.set(transaction, accesses);
+        }
+        accesses.set(`${store}:${this.#serializeKey(key)}`, { store, key });
+    }
+
+    /**
+     * Queues the access times noted during a completed transaction. Reads stay read-only, and the queued times are saved together
+     * after `#accessFlushDelay` milliseconds, or earlier by a write that enforces the limit of their Object Store.
+     * @private
+     * @param {IDBTransaction} transaction - The completed transaction.
+     * @returns {void}
+     */
+    #queueAccesses(transaction)
+    {
+        const accesses = this.#pendingAccesses.get(transaction);
+        if (!accesses) { return; }
+        this.#pendingAccesses.delete(transaction);
+
+        const accessedAt = this.#nextUsageTime();
+        for (const [id, { store, key }] of accesses)
+        {
+            // Re-queued so the map keeps the most recently read records last.
+            this.#queuedAccesses.delete(id);
+            this.#queuedAccesses.set(id, { store, key, accessedAt });
+        }
+        if (this.#accessTimer !== null) { return; }
+
+        this.#accessTimer = setTimeout(() => this.#flushAccesses(), this.#accessFlushDelay);
+        // Do not keep Node processes alive only for the access times.
+        this.#accessTimer.unref?.();
+    }
+
+    /**
+     * Saves the queued access times in a single transaction.
+     * @private
+     * @returns {void}
+     */
+    #flushAccesses()
+    {
+        this.#accessTimer = null;
+        const accesses = Array.from(this.#queuedAccesses.values());
+        this.#queuedAccesses.clear();
+        if (!accesses.length) { return; }
+
+        this.#runTransaction(this.#usageStoreName, "readwrite", (transaction) =>
+            this.#writeAccesses(transaction.objectStore(this.#usageStoreName), accesses)
+        ).catch(error => this.#reportError(error, "Could not save the access times of the records read.", { operation: "saveAccessTimes", store: this.#usageStoreName }));
+    }
+
+    /**
+     * Writes access times to the usage entries that still exist, never moving an entry's access time back.
+     * @private
+     * @param {IDBObjectStore} usage - The `__usage` Object Store, in a 'readwrite' transaction.
+     * @param {Array<{store: string, key: IDBValidKey, accessedAt: number}>} accesses - The access times.
+     * @returns {Promise<void>} A promise that resolves once the entries are read and their updates requested.
+     */
+    #writeAccesses(usage, accesses)
+    {
+        return Promise.all(accesses.map(({ store, key, accessedAt }) => this.#requestToPromise(usage.get([store, key])).then(entry =>
+        {
+            if (entry && entry.accessedAt < accessedAt) { usage.put({ ...entry, accessedAt }); }
+        }))).then(() => undefined);
+    }
+
+    /**
+     * Takes the queued access times of an Object Store out of the queue, so that a write saves them before evicting by access time.
+     * @private
+     * @param {string} objectStoreName - The Object Store's name.
+     * @returns {Array<{store: string, key: IDBValidKey, accessedAt: number}>} The access times.
+     */
+    #takeQueuedAccesses(objectStoreName)
+    {
+        const accesses = [];
+        for (const [id, access] of this.#queuedAccesses)
+        {
+            if (access.store !== objectStoreName) { continue; }
+            accesses.push(access);
+            this.#queuedAccesses.delete(id);
+        }
+        return accesses;
+    }
+
+    /**
+     * Drops the queued access times when the connection is closed or the database deleted, since saving them would reopen it.
+     * They only refine the eviction order.
+     * @private
+     * @returns {void}
+     */
+    #dropQueuedAccesses()
+    {
+        if (this.#accessTimer !== null) { clearTimeout(this.#accessTimer); }
+        this.#accessTimer = null;
+        this.#queuedAccesses.clear();
+    }
+
+    /**
+     * Returns the current time for usage entries, made strictly increasing so records inserted within the same millisecond keep their order.
+     * @private
+     * @returns {number} The time in milliseconds, possibly with a fraction.
+     */
+    #nextUsageTime()
+    {
+        this.#usageClock = Math.max(Date.now(), this.#usageClock + 0.001);
+        return this.#usageClock;
+    }
+
+    /**
+     * Returns the key range of the entries of an Object Store in the usage or search Object Stores. Entries are keyed by arrays
+     * starting with the store name, such as `[store, key]`, and every such key sorts at or after `[store]` and before `[store + "\0"]`,
+     * whatever the type of the record key.
+     * @private
+     * @param {string} objectStoreName - The Object Store's name.
+     * @returns {IDBKeyRange} The key range.
+     */
+    #getEntriesRange(objectStoreName)
+    {
+        return this.#keyRange.bound([objectStoreName], [`${objectStoreName}\0`], false, true);
+    }
+
+    /**
+     * Creates, rebuilds or drops the search index of an Object Store within the 'versionchange' transaction that changes its search fields.
+     * @private
+     * @param {IDBDatabase} db - The database being upgraded.
+     * @param {IDBTransaction} transaction - The active 'versionchange' transaction.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {{fields: string[], stemming: boolean}|undefined} search - The new search setting, or `undefined` if it is removed.
+     * @returns {void}
+     */
+    #prepareSearch(db, transaction, objectStoreName, search)
+    {
+        let searchStore;
+        if (db.objectStoreNames.contains(this.#searchStoreName))
+        {
+            searchStore = transaction.objectStore(this.#searchStoreName);
+            searchStore.delete(this.#getEntriesRange(objectStoreName));
+        }
+        if (!search) { return; }
+
+        if (!searchStore)
+        {
+            searchStore = db.createObjectStore(this.#searchStoreName, { keyPath: ["store", "key", "field", "term"] });
+            this.#createIndex(searchStore, { name: "term", keyPath: ["store", "term"] });
+        }
+
+        const cursorRequest = transaction.objectStore(objectStoreName).openCursor();
+        cursorRequest.onsuccess = (e) =>
+        {
+            const cursor = e.target.result;
+            if (!cursor) { return; }
+            this.#getSearchEntries(objectStoreName, cursor.primaryKey, cursor.value, search).forEach(entry => searchStore.put(entry));
+            cursor.continue();
+        };
+    }
+
+    /**
+     * Replaces the search entries of a record of a searchable Object Store, within the transaction that changed it.
+     * Records marked as deleted keep their entries, and are left out of the results like from every read.
+     * @private
+     * @param {IDBTransaction} transaction - The transaction the change belongs to.
+     * @param {string} store - The name of the changed Object Store.
+     * @param {"insert"|"update"|"delete"|"clear"} type - The kind of change.
+     * @param {IDBValidKey|null} key - The primary key of the changed record, or `null` for `clear`.
+     * @param {object} [record] - Optional. The record as written. Omitted for records deleted for good.
+     * @returns {void}
+     */
+    #updateSearchIndex(transaction, store, type, key, record)
+    {
+        if (!transaction.objectStoreNames.contains(this.#searchStoreName)) { return; }
+
+        const searchStore = transaction.objectStore(this.#searchStoreName);
+        if (type === "clear") { return void searchStore.delete(this.#getEntriesRange(store)); }
+
+        // Entries are keyed by `[store, key, field, term]`, and fields are strings, which sort before arrays.
+        searchStore.delete(this.#keyRange.bound([store, key], [store, key, []]));
+        if (record !== undefined) { this.#getSearchEntries(store, key, record, this.#storeSettings[store].search).forEach(entry => searchStore.put(entry)); }
+    }
+
+    /**
+     * Builds the search entries of a record: one per field and term, with the number of times the term appears in the field.
+     * Values that are not strings, such as fields encrypted at rest, are not indexed.
+     * @private
+     * @param {string} objectStoreName - The Object Store's name.
+     * @param {IDBValidKey} key - The primary key of the record.
+     * @param {object} record - The record, as stored.
+     * @param {{fields: string[], stemming: boolean}} search - The search setting of the Object Store.
+     * @returns {Array<{store: string, key: IDBValidKey, field: string, term: string, count: number}>} The entries.
+     */
+    #getSearchEntries(objectStoreName, key, record, search)
+    {
+        const entries = [];
+        for (const field of search.fields)
+        {
+            const counts = new Map();
+            for (const value of [].concat(this.#extractKey(field, record) ?? []))
+            {
+                if (typeof value !== "string") { continue; }
+                this.#tokenize(value, search.stemming).forEach(term => counts.set(term, (counts.get(term) ?? 0) + 1));
+            }
+            counts.forEach((count, term) => entries.push({ store: objectStoreName, key, field, term, count }));
+        }
+        return entries;
+    }
+
+    /**
+     * Finds and ranks the records containing every term, within a transaction. Each term scores `idf * tf / (tf + 1)`, where `tf`
+     * is the number of times it appears in the searched fields of the record and `idf` weighs rare terms more, as in BM25.
+     * @private
+     * @param {IDBTransaction} transaction - The active transaction, which spans the Object Store and the search index.
+     * @param {string} objectStoreName - The target Object Store's name.
+     * @param {string[]} terms - The distinct terms to search for.
+     * @param {string[]} fields - The fields to search in.
+     * @param {boolean} prefix - Whether terms also match longer terms that start with them.
+     * @param {number} limit - The maximum number of records to return.
+     * @returns {Promise<object[]>} A promise that resolves with the matching records, as stored, best match first.
+     */
+    async #searchRecords(transaction, objectStoreName, terms, fields, prefix, limit)
+    {
+        const termIndex = transaction.objectStore(this.#searchStoreName).index("term");
+        const [total, ...matches] = await Promise.all([
+            this.#requestToPromise(transaction.objectStore(objectStoreName).count()),
+            ...terms.map(term => this.#requestToPromise(termIndex.getAll(prefix
+                ? this.#keyRange.bound([objectStoreName, term], [objectStoreName, `${term}\uffff`])
+                : this.#keyRange.only([objectStoreName, term]))))
+        ]);
+
+        let scores = null;
+        for (const entries of matches)
+        {
+            const frequencies = new Map();
+            for (const { key, field, count } of entries)
+            {
+                if (!fields.includes(field)) { continue; }
+                const id = this.#serializeKey(key);
+                frequencies.set(id, { key, count: (frequencies.get(id)?.count ?? 0) + count });
+            }
+
+            const idf = Math.log(1 + (total - frequencies.size + 0.5) / (frequencies.size + 0.5));
+            const termScores = new Map(Array.from(frequencies, ([id, { key, count }]) => [id, { key, score: idf * count / (count + 1) }]));
+            // Every term must match, so only the records found for all of them are kept.
+            scores = scores === null ? termScores : new Map(Array.from(scores)
+                .filter(([id]) => termScores.has(id))
+                .map(([id, { key, score }]) => [id, { key, score: score + termScores.get(id).score }]));
+        }
+
+        // Hidden records are only known once read, so records are read in rank order until the limit is reached.
+        const ranked = Array.from(scores.values()).sort((a, b) => b.score - a.score);
+        const records = [];
+        let position = 0;
+        while (position < ranked.length && records.length < limit)
+        {
+            const batch = ranked.slice(position, position + limit - records.length);
+            position += batch.length;
+            const batchRecords = await this.#getRecords(transaction, objectStoreName, batch.map(match => match.key), []);
+            records.push(...batchRecords.filter(record => record !== null));
+        }
+        return records;
+    }
+
+    /**
+     * Breaks a text into search terms: lowercased, without accents, split on anything but letters and digits, and optionally stemmed.
+     * @private
+     * @param {string} text - The text.
+     * @param {boolean} stemming - Whether to reduce the terms to their stem.
+     * @returns {string[]} The terms, in order and with repetitions.
+     */
+    #tokenize(text, stemming)
+    {
+        const terms = text.normalize("NFKD").replace(/\p{M}/gu, "").toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+        return stemming ? terms.map(term => this.#stem(term)) : terms;
+    }
+
+    /**
+     * Reduces an English word to its stem with step 1 of the Porter algorithm, which removes plurals and `-ed` and `-ing` endings.
+     * Words with other characters than `a-z` are returned as they are.
+     * @private
+     * @param {string} word - The lowercase word.
+     * @returns {string} The stem.
+     */
+    #stem(word)
+    {
+        if (word.length < 3 || !/^[a-z]+$/.test(word)) { return word; }
+
+        const isConsonant = (stem, i) => !"aeiou".includes(stem[i]) && (stem[i] !== "y" || i === 0 || !isConsonant(stem, i - 1));
+        const hasVowel = (stem) => Array.from(stem).some((letter, i) => !isConsonant(stem, i));
+        // The number of vowel-consonant sequences.
+        const measure = (stem) => Array.from(stem).filter((letter, i) => i > 0 && isConsonant(stem, i) && !isConsonant(stem, i - 1)).length;
+        const endsWithShortSyllable = (stem) => stem.length >= 3 && isConsonant(stem, stem.length - 3) && !isConsonant(stem, stem.length - 2)
+            && isConsonant(stem, stem.length - 1) && !"wxy".includes(stem.at(-1));
+
+        // Step 1a: plurals.
+        if (word.endsWith("sses") || word.endsWith("ies")) { word = word.slice(0, -2); }
+        else if (word.endsWith("s") && !word.endsWith("ss")) { word = word.slice(0, -1); }
+
+        // Step 1b: -eed, -ed and -ing.
+        if (word.endsWith("eed")) { if (measure(word.slice(0, -3)) > 0) { word = word.slice(0, -1); } }
+        else
+        {
+            const suffix = ["ed", "ing"].find(ending => word.endsWith(ending) && hasVowel(word.slice(0, -ending.length)));
+            if (suffix)
+            {
+                word = word.slice(0, -suffix.length);
+                if (word.endsWith("at") || word.endsWith("bl") || word.endsWith("iz")) { word += "e"; }
+                else if (word.at(-1) === word.at(-2) && isConsonant(word, word.length - 1) && !"lsz".includes(word.at(-1))) { word = word.slice(0, -1); }
+                else if (measure(word) === 1 && endsWithShortSyllable(word)) { word += "e"; }
+            }
+        }
+
+        // Step 1c: a final y after a vowel becomes i.
+        if (word.endsWith("y") && hasVowel(word.slice(0, -1))) { word = `${word.slice(0, -1)}i`; }
+        return word;
+    }
+
+    /**
+     * Adds to the scope of a transaction the existing Object Stores related to its Object Stores, which `include` may read.
+     * 'readwrite' transactions also get every Object Store their delete rules may reach, following cascades.
+     * @private
+     * @param {IDBDatabase} db - The open database.
+     * @param {string[]} objectStoreNames - The Object Stores the transaction spans.
+     * @param {"readonly"|"readwrite"} mode - The transaction mode.
+     * @returns {string[]} The Object Stores the transaction spans, with the related ones.
+     */
+    #withRelatedStores(db, objectStoreNames, mode)
+    {
+        const scope = new Set(objectStoreNames);
+        const add = (name) => { if (db.objectStoreNames.contains(name)) { scope.add(name); } };
+        const relationsOf = (name) => Object.values(this.#storeSettings[name]?.relations ?? {});
+
+        objectStoreNames.forEach(name => relationsOf(name).forEach(relation => add(relation.store)));
+        if (mode === "readwrite")
+        {
+            // Object Stores added while iterating a Set are iterated too.
+            for (const name of scope) { relationsOf(name).filter(relation => relation.onDelete).forEach(relation => add(relation.store)); }
+        }
+        return Array.from(scope);
+    }
+
+    /**
+     * Looks up the relations requested by an `include` option.
+     * @private
+     * @param {string} objectStoreName - The Object Store the records are read from.
+     * @param {string|string[]|undefined} include - The names of the relations to include.
+     * @returns {Array<[string, object]>} The name and definition of each requested relation.
+     * @throws {ValidationError} If a relation is not declared.
+     */
+    #getIncludedRelations(objectStoreName, include)
+    {
+        if (include === undefined || include === null) { return []; }
+
+        const names = typeof include === "string" ? [include] : include;
+        if (!Array.isArray(names) || names.some(name => typeof name !== "string" || !name)) { throw new ValidationError("include must be a relation name or an array of relation names"); }
+
+        const relations = this.#storeSettings[objectStoreName]?.relations ?? {};
+        return names.map(name =>
+        {
+            if (!Object.hasOwn(relations, name)) { throw new ValidationError(`Relation '${name}' is not declared on '${objectStoreName}'`); }
+            return [name, relations[name]];
+        });
+    }
+
+    /**
+     * Checks whether a read involves an encrypted Object Store, either the one read or one of the included relations.
+     * @private
+     * @param {string} objectStoreName - The Object Store the records are read from.
+     * @param {Array<[string, object]>} relations - The included relations, from `#getIncludedRelations`.
+     * @returns {boolean} True if records must be decrypted, which cannot happen within the read transaction.
+     */
+    #includesEncrypted(objectStoreName, relations)
+    {
+        return this.#encryption.has(objectStoreName) || relations.some(([, relation]) => this.#encryption.has(relation.store));
+    }
+
+    /**
+     * Reads records, then adds the related records requested by an `include` option, read in a second transaction and decrypted
+     * where their Object Store is encrypted. Used when an encrypted Object Store is involved, since decryption cannot run
+     * within a transaction. Lookups through blind indexes use the HMAC of the matched value.
+     * @private
+     * @param {Array<[string, object]>} relations - The included relations, from `#getIncludedRelations`.
+     * @param {string[]} fields - The property names to include in each returned object.
+     * @param {(fields: string[]) => Promise<object|null|Array<object|null>>} read - Reads the plain records, keeping only the given properties.
+     * @returns {Promise<object|null|Array<object|null>>} A promise that resolves with the result of `read`, with the related records.
+     */
+    async #readThenInclude(relations, fields, read)
+    {
+        if (!relations.length) { return read(fields); }
+
+        // The whole records are read, since the projection may leave out the values the relations match.
+        const result = await read([]);
+        const records = [].concat(result);
+        const values = await Promise.all(relations.map(([, relation]) => Promise.all(records.map(record =>
+        {
+            const value = this.#getRelationValue(relation, record);
+            return value !== undefined && relation.index !== undefined && this.#encryption.has(relation.store)
+                ? this.#toStoredIndexValue(relation.store, relation.index, value)
+                : value;
+        }))));
+
+        const now = Date.now();
+        const storeNames = [...new Set(relations.map(([, relation]) => relation.store))];
+        const related = await this.#runTransaction(storeNames, "readonly", (transaction) =>
+            Promise.all(relations.map(([, relation], position) => this.#readRelated(transaction, relation, values[position], now))));
+        const decrypted = await Promise.all(relations.map(([, relation], position) => this.#decryptRelated(relation.store, related[position])));
+
+        const included = this.#addRelated(relations, records, fields, decrypted);
+        return Array.isArray(result) ? included : included[0];
+    }
+
+    /**
+     * Decrypts the related records read through one relation, each distinct record once.
+     * @private
+     * @param {string} objectStoreName - The related Object Store's name.
+     * @param {Array<object|object[]|null>} related - For each record, the related record or `null`, or the related records.
+     * @returns {Promise<Array<object|object[]|null>>} A promise that resolves with the plain related records, in the same shape.
+     */
+    async #decryptRelated(objectStoreName, related)
+    {
+        if (!this.#encryption.has(objectStoreName)) { return related; }
+
+        const stored = [...new Set(related.flat().filter(record => record !== null))];
+        const plain = await this.#decryptRecords(objectStoreName, stored, []);
+        const plainOf = new Map(stored.map((record, position) => [record, plain[position]]));
+        return related.map(match => Array.isArray(match) ? match.map(record => plainOf.get(record)) : match && plainOf.get(match));
+    }
+
+    /**
+     * Reads records within a transaction, adding the related records requested by an `include` option to each one.
+     * @private
+     * @param {IDBTransaction} transaction - The active transaction, which spans the related Object Stores.
+     * @param {string} objectStoreName - The Object Store the records are read from.
+     * @param {string|string[]|undefined} include - The names of the relations to include.
+     * @param {string[]} fields - The property names to include in each returned object.
+     * @param {(fields: string[]) => Promise<object|null|Array<object|null>>} read - Reads the records, keeping only the given properties.
+     * @returns {Promise<object|null|Array<object|null>>} A promise that resolves with the result of `read`, with the related records.
+     */
+    #readIncluding(transaction, objectStoreName, include, fields, read)
+    {
+        let relations;
+        try { relations = this.#getIncludedRelations(objectStoreName, include); }
+        catch (error) { return Promise.reject(error); }
+        if (!relations.length) { return read(fields); }
+
+        const encrypted = relations.find(([, relation]) => this.#encryption.has(relation.store));
+        if (encrypted) { return Promise.reject(new ValidationError(`Relation '${encrypted[0]}' cannot be included within a transaction: '${encrypted[1].store}' is encrypted`)); }
+
+        // The whole records are read, since the projection may leave out the values the relations match.
+        return read([]).then(result => this.#attachRelated(transaction, relations, [].concat(result), fields)
+            .then(records => Array.isArray(result) ? records : records[0]));
+    }
+
+    /**
+     * Projects records and adds their related records under the name of each relation. A record whose projection is empty
+     * keeps only its related records.
+     * @private
+     * @param {IDBTransaction} transaction - The active transaction, which spans the related Object Stores.
+     * @param {Array<[string, object]>} relations - The name and definition of each relation.
+     * @param {Array<object|null>} records - The whole records.
+     * @param {string[]} fields - The property names to include in each returned object.
+     * @returns {Promise<Array<object|null>>} A promise that resolves with the records, `null` staying `null`.
+     */
+    async #attachRelated(transaction, relations, records, fields)
+    {
+        const now = Date.now();
+        const related = await Promise.all(relations.map(([, relation]) =>
+            this.#readRelated(transaction, relation, records.map(record => this.#getRelationValue(relation, record)), now)));
+        return this.#addRelated(relations, records, fields, related);
+    }
+
+    /**
+     * Projects records and adds the related records read for them under the name of each relation.
+     * @private
+     * @param {Array<[string, object]>} relations - The name and definition of each relation.
+     * @param {Array<object|null>} records - The whole records.
+     * @param {string[]} fields - The property names to include in each returned object.
+     * @param {Array<Array<object|object[]|null>>} related - For each relation, the related records of each record.
+     * @returns {Array<object|null>} The records, `null` staying `null`.
+     */
+    #addRelated(relations, records, fields, related)
+    {
+        return records.map((record, position) =>
+        {
+            if (record === null) { return null; }
+            const result = this.#projectRecord(record, fields) ?? {};
+            relations.forEach(([name], relationPosition) => { result[name] = related[relationPosition][position]; });
+            return result;
+        });
+    }
+
+    /**
+     * Returns the value a record matches in the related Object Store of a relation: its `field`, or its primary key.
+     * @private
+     * @param {{field?: string}} relation - The relation.
+     * @param {object|null} record - The whole record.
+     * @returns {any} The value, or `undefined` for a `null` record.
+     */
+    #getRelationValue(relation, record)
+    {
+        if (record === null) { return undefined; }
+        // Out-of-line primary keys are not part of the records, so they were noted when the records were read.
+        return relation.field === undefined ? this.#recordKeys.get(record) : this.#extractKey(relation.field, record);
+    }
+
+    /**
+     * Reads the records related to each record through one relation. Records matching the same value share a single lookup.
+     * @private
+     * @param {IDBTransaction} transaction - The active transaction, which spans the related Object Store.
+     * @param {{type: "one"|"many", store: string, field?: string, index?: string}} relation - The relation.
+     * @param {any[]} values - For each record, the value it matches, from `#getRelationValue`.
+     * @param {number} now - The time of the read, for expiry.
+     * @returns {Promise<Array<object|object[]|null>>} A promise that resolves, for each record, with the related record or `null` for
+     * `one` relations, and with the related records for `many` relations.
+     */
+    #readRelated(transaction, relation, values, now)
+    {
+        const { type, store, index } = relation;
+        const relatedStore = transaction.objectStore(store);
+        if (index !== undefined && !relatedStore.indexNames.contains(index)) { return Promise.reject(new NotFoundError(`Index '${index}' not found.`, { store, index })); }
+
+        const source = index === undefined ? relatedStore : relatedStore.index(index);
+        const lookups = new Map();
+        return Promise.all(values.map(value =>
+        {
+            if (!this.#isValidKey(value)) { return type === "many" ? [] : null; }
+
+            const id = this.#serializeKey(value);
+            if (!lookups.has(id))
+            {
+                lookups.set(id, this.#requestToPromise(source.getAll(value)).then(matches => matches.filter(match => !this.#isHidden(match, now))));
+            }
+            return lookups.get(id).then(matches => type === "many" ? [...matches] : matches[0] ?? null);
+        }));
+    }
+
+    /**
+     * Applies the delete rules of the relations of an Object Store to the records related to a deleted record, within the
+     * transaction that deleted it: `cascade` deletes them, and `restrict` aborts the transaction if there are any.
+     * Deletes pulled from the sync endpoint are applied as they are.
+     * @private
+     * @param {IDBTransaction} transaction - The transaction that deleted the record.
+     * @param {string} objectStoreName - The name of the Object Store the record was deleted from.
+     * @param {IDBValidKey} key - The primary key of the deleted record.
+     * @returns {void}
+     */
+    #applyDeleteRules(transaction, objectStoreName, key)
+    {
+        if (this.#remoteTransactions.has(transaction)) { return; }
+
+        for (const [name, { store, index, onDelete }] of Object.entries(this.#storeSettings[objectStoreName]?.relations ?? {}))
+        {
+            if (!onDelete || !transaction.objectStoreNames.contains(store)) { continue; }
+
+            const relatedStore = transaction.objectStore(store);
+            if (!relatedStore.indexNames.contains(index)) { return this.#abortWith(transaction, new NotFoundError(`Index '${index}' not found.`, { store, index })); }
+
+            const now = Date.now();
+            const keys = [];
+            const cursorRequest = relatedStore.index(index).openCursor(this.#keyRange.only(key));
+            cursorRequest.onsuccess = (e) =>
+            {
+                const cursor = e.target.result;
+                if (!cursor) { this.#deleteRecordsByKey(transaction, store, keys).catch(error => this.#abortWith(transaction, error)); }
+                else if (this.#isHidden(cursor.value, now)) { cursor.continue(); }
+                else if (onDelete === "restrict")
+                {
+                    this.#abortWith(transaction, new ConstraintError(`Record is still referenced by '${store}' through relation '${name}'.`, { store: objectStoreName, key }));
+                }
+                else
+                {
+                    keys.push(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        }
+    }
+
+    /**
+     * Aborts a transaction so that it rejects with the given error rather than a generic `AbortError`.
+     * @private
+     * @param {IDBTransaction} transaction - The transaction to abort.
+     * @param {Error} error - The error the transaction rejects with. Only the first one is kept.
+     * @returns {void}
+     */
+    #abortWith(transaction, error)
+    {
+        if (!this.#abortErrors.has(transaction)) { this.#abortErrors.set(transaction, error); }
+        // The transaction may already be finished, in which case there is nothing left to abort.
+        try { transaction.abort(); } catch (abortError) { }
+    }
+
+    /**
+     * Checks whether a value is a valid IndexedDB key.
+     * @private
+     * @param {any} value - The value.
+     * @returns {boolean} Whether the value is a valid key.
+     */
+    #isValidKey(value)
+    {
+        try
+        {
+            this.#indexedDB.cmp(value, value);
+            return true;
+        }
+        catch (error) { return false; }
+    }
+
+    /**
+     * Reads the schema of the database, leaving out the internal Object Stores that are not exported.
+     * @private
+     * @returns {Promise<{database: object, stores: object[]}>} A promise that resolves with the database information and the definition of each Object Store.
+     */
+    #readSchema()
+    {
+        const trackingStoreName = this.#objectStoreNameLastModifyDate;
+
+        return this.#execute(this.#databaseName, undefined, null, (db) => new Promise((resolve, reject) =>
+        {
+            const storeNames = Array.from(db.objectStoreNames);
+            const database = { name: db.name, version: db.version, lastModified: null, migrations: null };
+            if (!storeNames.length) { return resolve({ database, stores: [] }); }
+
+            const transaction = db.transaction(storeNames, "readonly");
+            // Usage entries and the search index are rebuilt from the records when a snapshot is imported, and the change log and
+            // modification times belong to this database, like the sync checkpoint kept in the tracking Object Store.
+            const derivedStoreNames = [trackingStoreName, this.#usageStoreName, this.#searchStoreName, this.#syncLogStoreName, this.#syncStateStoreName];
+            const stores = storeNames.filter(name => !derivedStoreNames.includes(name)).map(name =>
+            {
+                const store = transaction.objectStore(name);
+                const settings = this.#storeSettings[name];
+                const definition = { name, keyPath: store.keyPath, autoIncrement: store.autoIncrement, keyGenerator: settings?.keyGenerator || null, history: !!settings?.history, softDelete: !!settings?.softDelete, limit: settings?.limit ?? null, relations: settings?.relations ?? null, search: settings?.search ?? null };
+                definition.indexes = Array.from(store.indexNames).map(indexName =>
+                {
+                    const index = store.index(indexName);
+                    return { name: indexName, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+                });
+                return definition;
+            });
+
+            if (storeNames.includes(trackingStoreName))
+            {
+                const trackingStore = transaction.objectStore(trackingStoreName);
+                const lastModifiedRequest = trackingStore.get("_last_modified_key_");
+                const migrationsRequest = trackingStore.get("_migrations_");
+                lastModifiedRequest.onsuccess = () => { database.lastModified = lastModifiedRequest.result?.timestamp ?? null; };
+                migrationsRequest.onsuccess = () => { database.migrations = migrationsRequest.result ?? null; };
+            }
+
+            transaction.oncomplete = () => resolve({ database, stores });
+            transaction.onerror = (e) => reject(e.target.error);
+        }));
+    }
+
+    /**
+     * Reads the records of an Object Store in batches of primary key order, each batch in its own transaction.
+     * @private
+     * @param {string} objectStoreName - The Object Store to read.
+     * @param {boolean} withKeys - Whether to include the primary key of each record (needed for out-of-line keys).
+     * @param {number} batchSize - The number of records read per transaction.
+     * @returns {AsyncGenerator<Array<{key?: any, value: any}>>} An async iterator over batches of encoded records.
+     */
+    async *#readEntries(objectStoreName, withKeys, batchSize)
+    {
+        let lastKey;
+        while (true)
+        {
+            const batch = await this.#runTransaction(objectStoreName, "readonly", (transaction) => new Promise((resolve, reject) =>
+            {
+                const store = transaction.objectStore(objectStoreName);
+                const range = lastKey === undefined ? null : this.#keyRange.lowerBound(lastKey, true);
+                const valuesRequest = store.getAll(range, batchSize);
+                const keysRequest = store.getAllKeys(range, batchSize);
+                keysRequest.onsuccess = () => resolve({ values: valuesRequest.result, keys: keysRequest.result });
+                keysRequest.onerror = (e) => reject(e.target.error);
+            }));
+            if (!batch.values.length) { return; }
+
+            yield await Promise.all(batch.values.map(async (value, position) =>
+            {
+                const entry = { value: await this.#encodeValue(value) };
+                if (withKeys) { entry.key = await this.#encodeValue(batch.keys[position]); }
+                return entry;
+            }));
+
+            if (batch.values.length < batchSize) { return; }
+            lastKey = batch.keys[batch.keys.length - 1];
+        }
+    }
+
+    /**
+     * Produces the NDJSON lines of a snapshot: the database, then each Object Store followed by its records.
+     * @private
+     * @param {number} batchSize - The number of records read per transaction.
+     * @returns {AsyncGenerator<string>} An async iterator over the lines, each ending with a line break.
+     */
+    async *#exportLines(batchSize)
+    {
+        const { database, stores } = await this.#readSchema();
+        yield JSON.stringify({ type: "database", format: "EasyIndexedDB", ...database }) + "\n";
+
+        for (const store of stores)
+        {
+            yield JSON.stringify({ type: "store", ...store }) + "\n";
+            for await (const entries of this.#readEntries(store.name, store.keyPath === null, batchSize))
+            {
+                yield entries.map(entry => JSON.stringify({ type: "record", store: store.name, ...entry }) + "\n").join("");
+            }
+        }
+    }
+
+    /**
+     * Parses and validates a snapshot in any of the formats accepted by `importDatabase`.
+     * @private
+     * @param {string|object|ReadableStream<string>} snapshot - The snapshot to parse.
+     * @returns {Promise<{database: object, stores: object[]}>} A promise that resolves with the snapshot, with its records decoded.
+     */
+    async #parseSnapshot(snapshot)
+    {
+        if (snapshot && typeof snapshot.getReader === "function")
+        {
+            const reader = snapshot.getReader();
+            let text = "";
+            for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read())
+            {
+                text += typeof chunk.value === "string" ? chunk.value : new TextDecoder().decode(chunk.value);
+            }
+            snapshot = text;
+        }
+
+        if (typeof snapshot === "string")
+        {
+            try { snapshot = JSON.parse(snapshot); }
+            catch (error)
+            {
+                // Not a single JSON document: read it as NDJSON.
+                const parsed = { format: "EasyIndexedDB", database: null, stores: [] };
+                for (const line of snapshot.split("\n"))
+                {
+                    if (!line.trim()) { continue; }
+                    let parsedLine;
+                    try { parsedLine = JSON.parse(line); }
+                    catch (lineError) { throw new ValidationError("Snapshot is not a valid EasyIndexedDB export"); }
+
+                    const { type, ...entry } = parsedLine;
+                    if (type === "database") { parsed.database = entry; }
+                    else if (type === "store") { parsed.stores.push({ ...entry, records: [] }); }
+                    else if (type === "record")
+                    {
+                        const store = parsed.stores.find(({ name }) => name === entry.store);
+                        if (!store) { throw new ValidationError(`Snapshot record belongs to an unknown Object Store '${entry.store}'`); }
+                        store.records.push(entry);
+                    }
+                }
+                snapshot = parsed;
+            }
+        }
+
+        if (typeof snapshot !== "object" || snapshot === null || snapshot.format !== "EasyIndexedDB" || !snapshot.database || !Array.isArray(snapshot.stores))
+        {
+            throw new ValidationError("Snapshot is not a valid EasyIndexedDB export");
+        }
+
+        return {
+            database: snapshot.database,
+            stores: snapshot.stores.map(store => ({
+                ...store,
+                keyPath: store.keyPath ?? null,
+                indexes: store.indexes || [],
+                records: (store.records || []).map(record => ({ key: this.#decodeValue(record.key), value: this.#decodeValue(record.value) }))
+            }))
+        };
+    }
+
+    /**
+     * Checks whether an existing Object Store uses a different primary key than a snapshot definition.
+     * @private
+     * @param {IDBObjectStore} store - The existing Object Store.
+     * @param {{keyPath: string|string[]|null, autoIncrement: boolean}} definition - The snapshot definition.
+     * @returns {boolean} True if the Object Store must be recreated to match the definition.
+     */
+    #hasDifferentKey(store, definition)
+    {
+        return JSON.stringify(store.keyPath) !== JSON.stringify(definition.keyPath ?? null) || store.autoIncrement !== !!definition.autoIncrement;
+    }
+
+    /**
+     * Converts a value into a JSON-safe form, tagging the types JSON cannot represent.
+     * @private
+     * @param {any} value - The value to encode.
+     * @returns {Promise<any>} A promise that resolves with the encoded value.
+     */
+    async #encodeValue(value)
+    {
+        if (value === undefined) { return { $type: "undefined" }; }
+        if (typeof value === "number" && !Number.isFinite(value)) { return { $type: "Number", value: String(value) }; }
+        if (typeof value !== "object" || value === null) { return value; }
+
+        if (value instanceof Date) { return { $type: "Date", value: value.getTime() }; }
+        if (typeof Blob !== "undefined" && value instanceof Blob)
+        {
+            const encoded = { $type: "Blob", mimeType: value.type, data: this.#bytesToBase64(new Uint8Array(await value.arrayBuffer())) };
+            if (typeof File !== "undefined" && value instanceof File) { Object.assign(encoded, { $type: "File", name: value.name, lastModified: value.lastModified }); }
+            return encoded;
+        }
+        if (value instanceof ArrayBuffer) { return { $type: "ArrayBuffer", data: this.#bytesToBase64(new Uint8Array(value)) }; }
+        if (ArrayBuffer.isView(value))
+        {
+            return { $type: value.constructor.name, data: this.#bytesToBase64(new Uint8Array(value.buffer, value.byteOffset, value.byteLength)) };
+        }
+        if (value instanceof Map) { return { $type: "Map", value: await this.#encodeValue(Array.from(value.entries())) }; }
+        if (value instanceof Set) { return { $type: "Set", value: await this.#encodeValue(Array.from(value.values())) }; }
+        if (Array.isArray(value)) { return Promise.all(value.map(item => this.#encodeValue(item))); }
+
+        const encoded = {};
+        for (const [property, item] of Object.entries(value)) { encoded[property] = await this.#encodeValue(item); }
+        // Plain objects that happen to have a '$type' property are wrapped so they are not mistaken for tags.
+        return "$type" in value ? { $type: "Object", value: encoded } : encoded;
+    }
+
+    /**
+     * Restores a value encoded by `#encodeValue`.
+     * @private
+     * @param {any} value - The encoded value.
+     * @returns {any} The decoded value.
+     */
+    #decodeValue(value)
+    {
+        if (typeof value !== "object" || value === null) { return value; }
+        if (Array.isArray(value)) { return value.map(item => this.#decodeValue(item)); }
+
+        if (typeof value.$type === "string")
+        {
+            switch (value.$type)
+            {
+                case "undefined": return undefined;
+                case "Number": return Number(value.value);
+                case "Date": return new Date(value.value ?? NaN);
+                case "Blob": return new Blob([this.#base64ToBytes(value.data)], { type: value.mimeType });
+                case "File": return new File([this.#base64ToBytes(value.data)], value.name, { type: value.mimeType, lastModified: value.lastModified });
+                case "ArrayBuffer": return this.#base64ToBytes(value.data).buffer;
+                case "Map": return new Map(this.#decodeValue(value.value));
+                case "Set": return new Set(this.#decodeValue(value.value));
+                case "Object": return this.#decodeObject(value.value);
+                default:
+                {
+                    const TypedArray = globalThis[value.$type];
+                    if (typeof TypedArray !== "function") { throw new ValidationError(`Snapshot contains an unknown type '${value.$type}'`); }
+                    const buffer = this.#base64ToBytes(value.data).buffer;
+                    return value.$type === "DataView" ? new DataView(buffer) : new TypedArray(buffer);
+                }
+            }
+        }
+        return this.#decodeObject(value);
+    }
+
+    /**
+     * Decodes every property of a plain object.
+     * @private
+     * @param {object} value - The encoded object.
+     * @returns {object} The decoded object.
+     */
+    #decodeObject(value)
+    {
+        const decoded = {};
+        for (const [property, item] of Object.entries(value)) { decoded[property] = this.#decodeValue(item); }
+        return decoded;
+    }
+
+    /**
+     * Encodes bytes as Base64.
+     * @private
+     * @param {Uint8Array} bytes - The bytes to encode.
+     * @returns {string} The Base64 string.
+     */
+    #bytesToBase64(bytes)
+    {
+        let binary = "";
+        // Chunked to stay below the argument limit of String.fromCharCode.
+        for (let offset = 0; offset < bytes.length; offset += 0x8000)
+        {
+            binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decodes a Base64 string into bytes.
+     * @private
+     * @param {string} base64 - The Base64 string.
+     * @returns {Uint8Array} The decoded bytes.
+     */
+    #base64ToBytes(base64)
+    {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) { bytes[i] = binary.charCodeAt(i); }
+        return bytes;
+    }
+
+    /**
+     * Keeps only the requested properties of a record.
+     * @private
+     * @param {object} record - The record to project.
+     * @param {string[]} fields - The property names to keep. If empty, the record is returned as is.
+     * @returns {object|null} The projected record, or `null` if none of the requested properties exist.
+     */
+    #projectRecord(record, fields)
+    {
+        if (!fields || !fields.length) { return record; }
+
+        const filteredRecord = {};
+        for (const field of fields)
+        {
+            if (field in record) filteredRecord[field] = record[field];
+        }
+        return Object.keys(filteredRecord).length ? filteredRecord : null;
+    }
+
+    /**
+     * Translates a plain range description into an IDBKeyRange.
+     * @private
+     * @param {{equals?: any, gt?: any, gte?: any, lt?: any, lte?: any, between?: [any, any], startsWith?: string}} [range] - The range description.
+     * @returns {IDBKeyRange|null} The key range, or `null` to match every key.
+     */
+    #buildKeyRange(range)
+    {
+        if (range === undefined || range === null) { return null; }
+        if (typeof range !== "object") { throw new ValidationError("range must be an object"); }
+
+        if ("equals" in range) { return this.#keyRange.only(range.equals); }
+        if ("between" in range)
+        {
+            if (!Array.isArray(range.between) || range.between.length !== 2) { throw new ValidationError("range.between must be an array with two values"); }
+            return this.#keyRange.bound(range.between[0], range.between[1]);
+        }
+        if ("startsWith" in range)
+        {
+            if (typeof range.startsWith !== "string") { throw new ValidationError("range.startsWith must be a string"); }
+            return this.#keyRange.bound(range.startsWith, range.startsWith + "\uffff");
+        }
+
+        const hasLower = "gt" in range || "gte" in range;
+        const hasUpper = "lt" in range || "lte" in range;
+        const lower = "gt" in range ? range.gt : range.gte;
+        const upper = "lt" in range ? range.lt : range.lte;
+
+        if (hasLower && hasUpper) { return this.#keyRange.bound(lower, upper, "gt" in range, "lt" in range); }
+        if (hasLower) { return this.#keyRange.lowerBound(lower, "gt" in range); }
+        if (hasUpper) { return this.#keyRange.upperBound(upper, "lt" in range); }
+        return null;
     }
 
     /**
@@ -0,0 +1,1885 @@
+/*!
+ * EasyIndexedDB v2.0.0 - In-memory backend
+ * A pure JavaScript, in-memory implementation of the IndexedDB API used by EasyIndexedDB,
+ * so the library runs where IndexedDB does not exist, such as Node.js, unit tests and server-side rendering.
+ *
+ * Author: Eduardo Gabriel Buzzi
+ * GitHub: https://github.com/edubuzzi
+ * Website: https://www.eduardobuzzi.com
+ *
+ * Released under the MIT License.
+ * SPDX-License-Identifier: MIT
+ *
+ * Copyright (c) 2025 Eduardo Gabriel Buzzi
+ */
+
+// Internal members shared between the classes of this module, hidden from the public API.
+const enqueue = Symbol("enqueue");
+const begin = Symbol("begin");
+const check = Symbol("check");
+const fail = Symbol("fail");
+const write = Symbol("write");
+const remove = Symbol("remove");
+const iterate = Symbol("iterate");
+const state = Symbol("state");
+
+/**
+ * Runs a callback in a later task, after every pending promise callback, as IndexedDB does with its events.
+ * @param {() => void} callback - The function to run.
+ * @returns {void}
+ */
+const nextTask = typeof setImmediate === "function" ? setImmediate : (callback) => setTimeout(callback, 0);
+
+/**
+ * Creates the error IndexedDB would raise, a DOMException with the given name.
+ * @param {string} name - The DOMException name, e.g. `ConstraintError`.
+ * @param {string} message - The error message.
+ * @returns {Error} The error.
+ */
+function createError(name, message)
+{
+    if (typeof DOMException === "function") { return new DOMException(message, name); }
+    return Object.assign(new Error(message), { name });
+}
+
+/**
+ * Returns the type rank of a key, ordered as IndexedDB orders keys of different types.
+ * @param {any} key - The value to rank.
+ * @returns {number} 1 for numbers, 2 for dates, 3 for strings, 4 for binary keys, 5 for arrays, or 0 if the value is not a valid key type.
+ */
+function keyRank(key)
+{
+    if (typeof key === "number") { return Number.isNaN(key) ? 0 : 1; }
+    if (key instanceof Date) { return Number.isNaN(key.getTime()) ? 0 : 2; }
+    if (typeof key === "string") { return 3; }
+    if (key instanceof ArrayBuffer || ArrayBuffer.isView(key)) { return 4; }
+    if (Array.isArray(key)) { return 5; }
+    return 0;
+}
+
+/**
+ * Converts a value into a key, copying it so that later changes to the value do not affect the stored key.
+ * @param {any} value - The value.
+ * @param {Set<any[]>} [seen=new Set()] - The arrays being converted, to reject cyclic arrays.
+ * @returns {IDBValidKey|undefined} The key, or `undefined` if the value is not a valid key.
+ */
+function toKey(value, seen = new Set())
+{
+    switch (keyRank(value))
+    {
+        case 1:
+        case 3:
+            return value;
+        case 2:
+            return new Date(value.getTime());
+        case 4:
+            return value instanceof ArrayBuffer ? value.slice(0) : value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength);
+        case 5:
+        {
+            if (seen.has(value)) { return undefined; }
+            seen.add(value);
+            const key = [];
+            for (let i = 0; i < value.length; i++)
+            {
+                const item = toKey(value[i], seen);
+                if (item === undefined) { return undefined; }
+                key.push(item);
+            }
+            seen.delete(value);
+            return key;
+        }
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Converts a value into a key, throwing like IndexedDB if it is not a valid key.
+ * @param {any} value - The value.
+ * @returns {IDBValidKey} The key.
+ * @throws {DOMException} A `DataError` if the value is not a valid key.
+ */
+function requireKey(value)
+{
+    const key = toKey(value);
+    if (key === undefined) { throw createError("DataError", "The parameter is not a valid key."); }
+    return key;
+}
+
+/**
+ * Compares two valid keys in IndexedDB order: numbers < dates < strings < binary keys < arrays.
+ * @param {IDBValidKey} a - The first key.
+ * @param {IDBValidKey} b - The second key.
+ * @returns {number} -1, 0 or 1.
+ */
+function compareKeys(a, b)
+{
+    const rankA = keyRank(a);
+    const rankB = keyRank(b);
+    if (rankA !== rankB) { return rankA < rankB ? -1 : 1; }
+
+    switch (rankA)
+    {
+        case 1:
+        case 2:
+        case 3:
+        {
+            const valueA = rankA === 2 ? a.getTime() : a;
+            const valueB = rankA === 2 ? b.getTime() : b;
+            return valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+        }
+        case 4:
+        {
+            const bytesA = a instanceof ArrayBuffer ? new Uint8Array(a) : new Uint8Array(a.buffer, a.byteOffset, a.byteLength);
+            const bytesB = b instanceof ArrayBuffer ? new Uint8Array(b) : new Uint8Array(b.buffer, b.byteOffset, b.byteLength);
+            for (let i = 0; i < Math.min(bytesA.length, bytesB.length); i++)
+            {
+                if (bytesA[i] !== bytesB[i]) { return bytesA[i] < bytesB[i] ? -1 : 1; }
+            }
+            return Math.sign(bytesA.length - bytesB.length);
+        }
+        default:
+        {
+            for (let i = 0; i < Math.min(a.length, b.length); i++)
+            {
+                const order = compareKeys(a[i], b[i]);
+                if (order !== 0) { return order; }
+            }
+            return Math.sign(a.length - b.length);
+        }
+    }
+}
+
+/**
+ * Compares an entry (a record, or an index entry) with a key and, optionally, a primary key.
+ * @param {{key: IDBValidKey, primaryKey: IDBValidKey}} entry - The entry.
+ * @param {IDBValidKey} key - The key.
+ * @param {IDBValidKey} [primaryKey] - Optional. The primary key, compared when the keys are equal.
+ * @returns {number} -1, 0 or 1.
+ */
+function compareEntry(entry, key, primaryKey)
+{
+    return compareKeys(entry.key, key) || (primaryKey === undefined ? 0 : compareKeys(entry.primaryKey, primaryKey));
+}
+
+/**
+ * Finds the position of the first item of a sorted list matching a predicate that is false, then true.
+ * @param {any[]} list - The sorted list.
+ * @param {(item: any) => boolean} predicate - The predicate.
+ * @returns {number} The position, or the list length if no item matches.
+ */
+function firstMatching(list, predicate)
+{
+    let low = 0;
+    let high = list.length;
+    while (low < high)
+    {
+        const middle = (low + high) >>> 1;
+        if (predicate(list[middle])) { high = middle; }
+        else { low = middle + 1; }
+    }
+    return low;
+}
+
+/**
+ * Finds the position of the last item of a sorted list matching a predicate that is true, then false.
+ * @param {any[]} list - The sorted list.
+ * @param {(item: any) => boolean} predicate - The predicate.
+ * @returns {number} The position, or -1 if no item matches.
+ */
+function lastMatching(list, predicate)
+{
+    return firstMatching(list, item => !predicate(item)) - 1;
+}
+
+/**
+ * Reads the value at a key path, as IndexedDB does to extract keys from records.
+ * @param {any} value - The record.
+ * @param {string|string[]} keyPath - The key path. An empty string is the record itself.
+ * @returns {{found: boolean, value?: any}} Whether every step of the path exists, and the value found.
+ */
+function evaluateKeyPath(value, keyPath)
+{
+    if (Array.isArray(keyPath))
+    {
+        const values = [];
+        for (const path of keyPath)
+        {
+            const result = evaluateKeyPath(value, path);
+            if (!result.found) { return result; }
+            values.push(result.value);
+        }
+        return { found: true, value: values };
+    }
+
+    let current = value;
+    for (const segment of keyPath === "" ? [] : keyPath.split("."))
+    {
+        if (current === null || current === undefined || !(segment in Object(current))) { return { found: false }; }
+        current = current[segment];
+    }
+    return { found: true, value: current };
+}
+
+/**
+ * Extracts a key from a record.
+ * @param {any} value - The record.
+ * @param {string|string[]} keyPath - The key path.
+ * @returns {IDBValidKey|undefined} The key, or `undefined` if the path is missing or its value is not a valid key.
+ */
+function extractKey(value, keyPath)
+{
+    const result = evaluateKeyPath(value, keyPath);
+    return result.found ? toKey(result.value) : undefined;
+}
+
+/**
+ * Writes a generated key into a record at a key path, creating the intermediate objects.
+ * @param {object} value - The record.
+ * @param {string} keyPath - The key path.
+ * @param {IDBValidKey} [key] - Optional. The key. If omitted, only checks that the key could be written.
+ * @returns {boolean} False if a step of the path exists but is not an object.
+ */
+function injectKey(value, keyPath, key)
+{
+    const segments = keyPath.split(".");
+    let current = value;
+    for (const segment of segments.slice(0, -1))
+    {
+        if (current[segment] === undefined)
+        {
+            if (key === undefined) { return true; }
+            current[segment] = {};
+        }
+        current = current[segment];
+        if (current === null || typeof current !== "object") { return false; }
+    }
+    if (key !== undefined) { current[segments[segments.length - 1]] = key; }
+    return true;
+}
+
+/**
+ * Copies a value with the structured clone algorithm, as IndexedDB does when storing and reading records.
+ * @param {any} value - The value.
+ * @returns {any} The copy.
+ * @throws {DOMException} A `DataCloneError` if the value cannot be cloned.
+ */
+function clone(value)
+{
+    return structuredClone(value);
+}
+
+/**
+ * Builds the list returned by `objectStoreNames` and `indexNames`: a sorted array with the `contains` and `item` methods of DOMStringList.
+ * @param {Iterable<string>} names - The names.
+ * @returns {string[]} The list.
+ */
+function createNameList(names)
+{
+    const list = [...names].sort();
+    return Object.assign(list, { contains: (name) => list.includes(name), item: (position) => list[position] ?? null });
+}
+
+/**
+ * Converts the query argument of a request into a key range.
+ * @param {any} query - A key, a key range, or `null`/`undefined` for every key.
+ * @returns {MemoryKeyRange|null} The key range, or `null` for every key.
+ */
+function toRange(query)
+{
+    if (query === undefined || query === null) { return null; }
+    if (query instanceof MemoryKeyRange) { return query; }
+    return MemoryKeyRange.only(query);
+}
+
+/**
+ * Whether a key is above the lower bound of a range.
+ * @param {MemoryKeyRange|null} range - The range.
+ * @param {IDBValidKey} key - The key.
+ * @returns {boolean} True if the key is not below the range.
+ */
+function isAboveLower(range, key)
+{
+    if (!range || range.lower === undefined) { return true; }
+    const order = compareKeys(key, range.lower);
+    return order > 0 || (order === 0 && !range.lowerOpen);
+}
+
+/**
+ * Whether a key is below the upper bound of a range.
+ * @param {MemoryKeyRange|null} range - The range.
+ * @param {IDBValidKey} key - The key.
+ * @returns {boolean} True if the key is not above the range.
+ */
+function isBelowUpper(range, key)
+{
+    if (!range || range.upper === undefined) { return true; }
+    const order = compareKeys(key, range.upper);
+    return order < 0 || (order === 0 && !range.upperOpen);
+}
+
+/**
+ * Returns the entries of a sorted list whose key is in a range.
+ * @param {Array<{key: IDBValidKey}>} list - The records or index entries.
+ * @param {MemoryKeyRange|null} range - The range.
+ * @param {number} [count] - Optional. The maximum number of entries.
+ * @returns {Array<{key: IDBValidKey}>} The entries, in key order.
+ */
+function entriesInRange(list, range, count)
+{
+    const entries = [];
+    const limit = count === undefined || count === 0 ? Infinity : count;
+    for (let i = firstMatching(list, entry => isAboveLower(range, entry.key)); i < list.length && entries.length < limit; i++)
+    {
+        if (!isBelowUpper(range, list[i].key)) { break; }
+        entries.push(list[i]);
+    }
+    return entries;
+}
+
+/**
+ * Validates the `count` argument of `getAll` and `getAllKeys`.
+ * @param {number} [count] - The maximum number of results.
+ * @returns {number|undefined} The count.
+ */
+function checkCount(count)
+{
+    if (count !== undefined && (!Number.isInteger(count) || count < 0 || count > 4294967295)) { throw new TypeError("count must be an integer between 0 and 2^32 - 1."); }
+    return count;
+}
+
+/**
+ * Validates a cursor direction.
+ * @param {string} direction - The direction.
+ * @returns {string} The direction.
+ */
+function checkDirection(direction)
+{
+    if (!["next", "nextunique", "prev", "prevunique"].includes(direction)) { throw new TypeError(`'${direction}' is not a valid cursor direction.`); }
+    return direction;
+}
+
+/**
+ * A continuous interval of keys, the in-memory counterpart of IDBKeyRange.
+ */
+export class MemoryKeyRange
+{
+    /**
+     * Use the static methods to create key ranges.
+     * @param {IDBValidKey|undefined} lower - The lower bound, or `undefined` for none.
+     * @param {IDBValidKey|undefined} upper - The upper bound, or `undefined` for none.
+     * @param {boolean} lowerOpen - Whether the lower bound is excluded.
+     * @param {boolean} upperOpen - Whether the upper bound is excluded.
+     */
+    constructor(lower, upper, lowerOpen, upperOpen)
+    {
+        this.lower = lower;
+        this.upper = upper;
+        this.lowerOpen = lowerOpen;
+        this.upperOpen = upperOpen;
+        Object.freeze(this);
+    }
+
+    /**
+     * Creates a range containing a single key.
+     * @param {IDBValidKey} value - The key.
+     * @returns {MemoryKeyRange} The key range.
+     */
+    static only(value)
+    {
+        const key = requireKey(value);
+        return new MemoryKeyRange(key, key, false, false);
+    }
+
+    /**
+     * Creates a range with only a lower bound.
+     * @param {IDBValidKey} lower - The lower bound.
+     * @param {boolean} [open=false] - Whether the bound is excluded.
+     * @returns {MemoryKeyRange} The key range.
+     */
+    static lowerBound(lower, open = false)
+    {
+        return new MemoryKeyRange(requireKey(lower), undefined, !!open, true);
+    }
+
+    /**
+     * Creates a range with only an upper bound.
+     * @param {IDBValidKey} upper - The upper bound.
+     * @param {boolean} [open=false] - Whether the bound is excluded.
+     * @returns {MemoryKeyRange} The key range.
+     */
+    static upperBound(upper, open = false)
+    {
+        return new MemoryKeyRange(undefined, requireKey(upper), true, !!open);
+    }
+
+    /**
+     * Creates a range with both bounds.
+     * @param {IDBValidKey} lower - The lower bound.
+     * @param {IDBValidKey} upper - The upper bound.
+     * @param {boolean} [lowerOpen=false] - Whether the lower bound is excluded.
+     * @param {boolean} [upperOpen=false] - Whether the upper bound is excluded.
+     * @returns {MemoryKeyRange} The key range.
+     */
+    static bound(lower, upper, lowerOpen = false, upperOpen = false)
+    {
+        const lowerKey = requireKey(lower);
+        const upperKey = requireKey(upper);
+        const order = compareKeys(lowerKey, upperKey);
+        if (order > 0 || (order === 0 && (lowerOpen || upperOpen))) { throw createError("DataError", "The lower bound is greater than the upper bound."); }
+        return new MemoryKeyRange(lowerKey, upperKey, !!lowerOpen, !!upperOpen);
+    }
+
+    /**
+     * Whether a key is in the range.
+     * @param {IDBValidKey} key - The key.
+     * @returns {boolean} True if the key is in the range.
+     */
+    includes(key)
+    {
+        const validKey = requireKey(key);
+        return isAboveLower(this, validKey) && isBelowUpper(this, validKey);
+    }
+}
+
+/**
+ * The data of an index: its definition and its entries, sorted by key then primary key.
+ * @private
+ */
+class IndexData
+{
+    constructor(name, keyPath, unique, multiEntry)
+    {
+        this.name = name;
+        this.keyPath = keyPath;
+        this.unique = unique;
+        this.multiEntry = multiEntry;
+        this.entries = [];
+    }
+
+    /**
+     * Computes the index keys of a record: none, one, or one per distinct valid element for multiEntry indexes.
+     * @param {any} value - The record.
+     * @returns {IDBValidKey[]} The index keys.
+     */
+    keysOf(value)
+    {
+        const result = evaluateKeyPath(value, this.keyPath);
+        if (!result.found) { return []; }
+        if (!this.multiEntry || !Array.isArray(result.value))
+        {
+            const key = toKey(result.value);
+            return key === undefined ? [] : [key];
+        }
+
+        const keys = [];
+        for (const item of result.value)
+        {
+            const key = toKey(item);
+            if (key !== undefined && !keys.some(existing => compareKeys(existing, key) === 0)) { keys.push(key); }
+        }
+        return keys;
+    }
+
+    /**
+     * Whether a unique index already has a key for a record other than the given one.
+     * @param {IDBValidKey} key - The index key.
+     * @param {IDBValidKey} primaryKey - The primary key of the record being written.
+     * @returns {boolean} True if the key is taken.
+     */
+    isTaken(key, primaryKey)
+    {
+        for (let i = firstMatching(this.entries, entry => compareKeys(entry.key, key) >= 0); i < this.entries.length && compareKeys(this.entries[i].key, key) === 0; i++)
+        {
+            if (compareKeys(this.entries[i].primaryKey, primaryKey) !== 0) { return true; }
+        }
+        return false;
+    }
+
+    add(keys, primaryKey)
+    {
+        for (const key of keys)
+        {
+            const position = firstMatching(this.entries, entry => compareEntry(entry, key, primaryKey) >= 0);
+            this.entries.splice(position, 0, { key, primaryKey });
+        }
+    }
+
+    remove(keys, primaryKey)
+    {
+        for (const key of keys)
+        {
+            const position = firstMatching(this.entries, entry => compareEntry(entry, key, primaryKey) >= 0);
+            if (position < this.entries.length && compareEntry(this.entries[position], key, primaryKey) === 0) { this.entries.splice(position, 1); }
+        }
+    }
+
+    /**
+     * Fills the index from the records of its Object Store.
+     * @param {Array<{key: IDBValidKey, value: any}>} records - The records.
+     * @returns {boolean} False if the records violate the `unique` constraint.
+     */
+    build(records)
+    {
+        this.entries = [];
+        for (const record of records)
+        {
+            const keys = this.keysOf(record.value);
+            if (this.unique && keys.some(key => this.isTaken(key, record.key))) { return false; }
+            this.add(keys, record.key);
+        }
+        return true;
+    }
+}
+
+/**
+ * The data of an Object Store: its definition, key generator, records sorted by key, and indexes.
+ * @private
+ */
+class StoreData
+{
+    constructor(name, keyPath, autoIncrement)
+    {
+        this.name = name;
+        this.keyPath = keyPath;
+        this.autoIncrement = autoIncrement;
+        this.currentKey = 1;
+        this.records = [];
+        this.indexes = new Map();
+    }
+
+    /**
+     * Finds a record by primary key.
+     * @param {IDBValidKey} key - The primary key.
+     * @returns {{key: IDBValidKey, primaryKey: IDBValidKey, value: any}|undefined} The record.
+     */
+    get(key)
+    {
+        const record = this.records[firstMatching(this.records, record => compareKeys(record.key, key) >= 0)];
+        return record && compareKeys(record.key, key) === 0 ? record : undefined;
+    }
+
+    /**
+     * Adds or replaces a record, keeping the indexes up to date.
+     * @param {IDBValidKey} key - The primary key.
+     * @param {any} value - The record, already cloned.
+     * @param {boolean} noOverwrite - Whether an existing record with the same key is an error (`add`) or replaced (`put`).
+     * @returns {void}
+     * @throws {DOMException} A `ConstraintError` if the key exists and `noOverwrite` is set, or a unique index already has one of the index keys.
+     */
+    put(key, value, noOverwrite)
+    {
+        const position = firstMatching(this.records, record => compareKeys(record.key, key) >= 0);
+        const existing = position < this.records.length && compareKeys(this.records[position].key, key) === 0 ? this.records[position] : null;
+        if (existing && noOverwrite) { throw createError("ConstraintError", "A record with the given key already exists in the object store."); }
+
+        const indexKeys = new Map(Array.from(this.indexes.values(), index => [index, index.keysOf(value)]));
+        for (const [index, keys] of indexKeys)
+        {
+            if (index.unique && keys.some(indexKey => index.isTaken(indexKey, key))) { throw createError("ConstraintError", `The unique index '${index.name}' already contains the key.`); }
+        }
+
+        const record = { key, primaryKey: key, value };
+        if (existing)
+        {
+            this.indexes.forEach(index => index.remove(index.keysOf(existing.value), key));
+            this.records[position] = record;
+        }
+        else { this.records.splice(position, 0, record); }
+        indexKeys.forEach((keys, index) => index.add(keys, key));
+
+        if (this.autoIncrement && typeof key === "number" && key >= this.currentKey) { this.currentKey = Math.floor(key) + 1; }
+    }
+
+    /**
+     * Deletes the records in a key range.
+     * @param {MemoryKeyRange|null} range - The range, or `null` for every record.
+     * @returns {void}
+     */
+    delete(range)
+    {
+        const start = firstMatching(this.records, record => isAboveLower(range, record.key));
+        let end = start;
+        while (end < this.records.length && isBelowUpper(range, this.records[end].key)) { end++; }
+        for (const record of this.records.slice(start, end))
+        {
+            this.indexes.forEach(index => index.remove(index.keysOf(record.value), record.key));
+        }
+        this.records.splice(start, end - start);
+    }
+
+    /**
+     * Saves the state of the Object Store, so an aborted transaction can restore it.
+     * Records are replaced rather than changed in place, so copying the lists is enough.
+     * @returns {object} The saved state.
+     */
+    snapshot()
+    {
+        return {
+            name: this.name,
+            currentKey: this.currentKey,
+            records: this.records.slice(),
+            indexes: new Map(this.indexes),
+            indexStates: Array.from(this.indexes.values(), index => ({ index, name: index.name, entries: index.entries.slice() }))
+        };
+    }
+
+    restore(snapshot)
+    {
+        this.name = snapshot.name;
+        this.currentKey = snapshot.currentKey;
+        this.records = snapshot.records;
+        this.indexes = snapshot.indexes;
+        snapshot.indexStates.forEach(({ index, name, entries }) => Object.assign(index, { name, entries }));
+    }
+}
+
+/**
+ * The data of a database, shared by all its connections, and the queue of its transactions.
+ * @private
+ */
+class DatabaseData
+{
+    constructor(name)
+    {
+        this.name = name;
+        this.version = 0;
+        this.stores = new Map();
+        this.connections = new Set();
+        this.transactions = [];
+        this.closeWaiters = [];
+    }
+
+    /**
+     * Starts every waiting transaction whose Object Stores are not used by an earlier transaction,
+     * so that read-write transactions on the same Object Stores run one after another.
+     * @returns {void}
+     */
+    startTransactions()
+    {
+        this.transactions.forEach((transaction, position) =>
+        {
+            if (transaction[state] !== "waiting") { return; }
+            const blocked = this.transactions.slice(0, position).some(earlier =>
+                (earlier.mode !== "readonly" || transaction.mode !== "readonly") && earlier.overlaps(transaction)
+            );
+            if (!blocked) { transaction[begin](); }
+        });
+    }
+
+    /**
+     * Forgets a finished transaction and starts the ones waiting for it.
+     * @param {MemoryTransaction} transaction - The finished transaction.
+     * @returns {void}
+     */
+    finishTransaction(transaction)
+    {
+        this.transactions = this.transactions.filter(item => item !== transaction);
+        this.startTransactions();
+    }
+
+    /**
+     * Forgets a closed connection and wakes up the opens and deletions waiting for connections to close.
+     * @param {MemoryDatabase} connection - The closed connection.
+     * @returns {void}
+     */
+    closeConnection(connection)
+    {
+        this.connections.delete(connection);
+        if (this.connections.size) { return; }
+        this.closeWaiters.splice(0).forEach(resolve => resolve());
+    }
+
+    snapshot()
+    {
+        return { version: this.version, stores: new Map(this.stores), storeStates: Array.from(this.stores.values(), store => [store, store.snapshot()]) };
+    }
+
+    restore(snapshot)
+    {
+        this.version = snapshot.version;
+        this.stores = snapshot.stores;
+        snapshot.storeStates.forEach(([store, saved]) => store.restore(saved));
+    }
+}
+
+/**
+ * An event, with the subset of the DOM Event interface IndexedDB events use.
+ */
+export class MemoryEvent
+{
+    #propagationStopped = false;
+
+    constructor(type, init = {})
+    {
+        this.type = type;
+        this.bubbles = !!init.bubbles;
+        this.cancelable = !!init.cancelable;
+        this.defaultPrevented = false;
+        this.target = null;
+        this.currentTarget = null;
+        if ("oldVersion" in init) { this.oldVersion = init.oldVersion; }
+        if ("newVersion" in init) { this.newVersion = init.newVersion; }
+    }
+
+    get propagationStopped()
+    {
+        return this.#propagationStopped;
+    }
+
+    preventDefault()
+    {
+        if (this.cancelable) { this.defaultPrevented = true; }
+    }
+
+    stopPropagation()
+    {
+        this.#propagationStopped = true;
+    }
+
+    stopImmediatePropagation()
+    {
+        this.#propagationStopped = true;
+    }
+}
+
+/**
+ * The base of every class dispatching events, supporting both `on<type>` properties and `addEventListener`.
+ */
+class MemoryEventTarget
+{
+    #listeners = new Map();
+
+    addEventListener(type, listener)
+    {
+        if (typeof listener !== "function") { return; }
+        if (!this.#listeners.has(type)) { this.#listeners.set(type, []); }
+        const listeners = this.#listeners.get(type);
+        if (!listeners.includes(listener)) { listeners.push(listener); }
+    }
+
+    removeEventListener(type, listener)
+    {
+        const listeners = this.#listeners.get(type) || [];
+        const position = listeners.indexOf(listener);
+        if (position !== -1) { listeners.splice(position, 1); }
+    }
+
+    dispatchEvent(event)
+    {
+        dispatch([this], event);
+        return !event.defaultPrevented;
+    }
+
+    /**
+     * Returns the functions to call for an event: the `on<type>` property, then the added listeners.
+     * @param {string} type - The event type.
+     * @returns {Function[]} The listeners.
+     */
+    listenersOf(type)
+    {
+        const handler = this[`on${type}`];
+        return [...(typeof handler === "function" ? [handler] : []), ...(this.#listeners.get(type) || [])];
+    }
+}
+
+/**
+ * Dispatches an event along a path of targets, the first one being the event target.
+ * An exception thrown by a listener is reported and does not stop the other listeners.
+ * @param {MemoryEventTarget[]} path - The target, then the objects the event bubbles to.
+ * @param {MemoryEvent} event - The event.
+ * @returns {boolean} True if a listener threw an exception.
+ */
+function dispatch(path, event)
+{
+    let threw = false;
+    event.target = path[0];
+    for (const target of event.bubbles ? path : path.slice(0, 1))
+    {
+        event.currentTarget = target;
+        for (const listener of target.listenersOf(event.type))
+        {
+            try { listener.call(target, event); }
+            catch (error)
+            {
+                threw = true;
+                globalThis.reportError?.(error);
+            }
+        }
+        if (event.propagationStopped) { break; }
+    }
+    event.currentTarget = null;
+    return threw;
+}
+
+/**
+ * The in-memory counterpart of IDBRequest.
+ */
+export class MemoryRequest extends MemoryEventTarget
+{
+    constructor(source, transaction)
+    {
+        super();
+        this.source = source;
+        this.transaction = transaction;
+        this.readyState = "pending";
+        this.result = undefined;
+        this.error = null;
+        this.onsuccess = null;
+        this.onerror = null;
+    }
+}
+
+/**
+ * The in-memory counterpart of IDBOpenDBRequest, returned by `open` and `deleteDatabase`.
+ */
+export class MemoryOpenRequest extends MemoryRequest
+{
+    constructor()
+    {
+        super(null, null);
+        this.onupgradeneeded = null;
+        this.onblocked = null;
+    }
+}
+
+/**
+ * The in-memory counterpart of IDBCursor and IDBCursorWithValue.
+ * The position is kept as a key and primary key, so the cursor keeps working while records are added or deleted.
+ */
+export class MemoryCursor
+{
+    #store;
+    #index;
+    #range;
+    #transaction;
+    #withValue;
+    #position = null;
+    #gotValue = false;
+
+    constructor(source, store, index, range, direction, request, withValue)
+    {
+        this.source = source;
+        this.request = request;
+        this.direction = direction;
+        this.key = undefined;
+        this.primaryKey = undefined;
+        if (withValue) { this.value = undefined; }
+        this.#store = store;
+        this.#index = index;
+        this.#range = range;
+        this.#transaction = request.transaction;
+        this.#withValue = withValue;
+    }
+
+    /**
+     * Advances the cursor to the next entry, or to a given key and primary key.
+     * @param {number} [count=1] - The number of entries to advance by.
+     * @param {IDBValidKey} [key] - Optional. The key to advance to.
+     * @param {IDBValidKey} [primaryKey] - Optional. The primary key to advance to, among the entries with `key`.
+     * @returns {MemoryCursor|null} The cursor, or `null` once past the last entry.
+     */
+    [iterate](count = 1, key, primaryKey)
+    {
+        let entry = null;
+        for (let step = 0; step < count; step++)
+        {
+            entry = this.#find(step === 0 ? key : undefined, step === 0 ? primaryKey : undefined);
+            if (!entry) { break; }
+            this.#position = { key: entry.key, primaryKey: entry.primaryKey };
+        }
+
+        if (!entry)
+        {
+            this.#position = null;
+            this.key = undefined;
+            this.primaryKey = undefined;
+            if (this.#withValue) { this.value = undefined; }
+            return null;
+        }
+
+        this.key = toKey(entry.key);
+        this.primaryKey = toKey(entry.primaryKey);
+        if (this.#withValue) { this.value = clone(this.#index ? this.#store.get(entry.primaryKey).value : entry.value); }
+        this.#gotValue = true;
+        return this;
+    }
+
+    /**
+     * Finds the entry after the current position in the cursor direction.
+     * @param {IDBValidKey} [key] - Optional. The smallest (or, going backwards, largest) key to stop at.
+     * @param {IDBValidKey} [primaryKey] - Optional. The primary key to stop at, among the entries with `key`.
+     * @returns {object|null} The entry, or `null` if there is none.
+     */
+    #find(key, primaryKey)
+    {
+        const list = this.#index ? this.#index.entries : this.#store.records;
+        const position = this.#position;
+        const forward = this.direction.startsWith("next");
+        const unique = this.direction.endsWith("unique");
+        // Store cursors and unique cursors move to another key; other index cursors move to another key or primary key.
+        const pastPosition = (entry) => !this.#index || unique
+            ? compareKeys(entry.key, position.key)
+            : compareEntry(entry, position.key, position.primaryKey);
+
+        if (forward)
+        {
+            const found = firstMatching(list, entry =>
+                isAboveLower(this.#range, entry.key)
+                && (!position || pastPosition(entry) > 0)
+                && (key === undefined || compareEntry(entry, key, primaryKey) >= 0)
+            );
+            return found < list.length && isBelowUpper(this.#range, list[found].key) ? list[found] : null;
+        }
+
+        let found = lastMatching(list, entry =>
+            isBelowUpper(this.#range, entry.key)
+            && (!position || pastPosition(entry) < 0)
+            && (key === undefined || compareEntry(entry, key, primaryKey) <= 0)
+        );
+        if (found < 0 || !isAboveLower(this.#range, list[found].key)) { return null; }
+        // Like IndexedDB, a 'prevunique' cursor returns the entry with the lowest primary key of each key.
+        while (unique && found > 0 && compareKeys(list[found - 1].key, list[found].key) === 0) { found--; }
+        return list[found];
+    }
+
+    #checkIterable()
+    {
+        this.#transaction[check]();
+        if (!this.#gotValue) { throw createError("InvalidStateError", "The cursor is being iterated or has iterated past its end."); }
+    }
+
+    /**
+     * Moves the cursor to the next entry, or to the first entry at or after `key` in the cursor direction.
+     * @param {IDBValidKey} [key] - Optional. The key to move to.
+     * @returns {void}
+     */
+    continue(key)
+    {
+        this.#checkIterable();
+        const target = key === undefined ? undefined : requireKey(key);
+        if (target !== undefined)
+        {
+            const order = compareKeys(target, this.#position.key);
+            if (this.direction.startsWith("next") ? order <= 0 : order >= 0) { throw createError("DataError", "The key is not after the cursor position."); }
+        }
+        this.#gotValue = false;
+        this.#transaction[enqueue](this.request, () => this[iterate](1, target));
+    }
+
+    /**
+     * Moves an index cursor to the entry with the given key and primary key, or the first one after it.
+     * @param {IDBValidKey} key - The index key.
+     * @param {IDBValidKey} primaryKey - The primary key.
+     * @returns {void}
+     */
+    continuePrimaryKey(key, primaryKey)
+    {
+        this.#checkIterable();
+        if (!this.#index || this.direction.endsWith("unique")) { throw createError("InvalidAccessError", "continuePrimaryKey requires a non-unique index cursor."); }
+        const target = requireKey(key);
+        const targetPrimaryKey = requireKey(primaryKey);
+        const order = compareKeys(target, this.#position.key) || compareKeys(targetPrimaryKey, this.#position.primaryKey);
+        if (this.direction === "next" ? order <= 0 : order >= 0) { throw createError("DataError", "The key is not after the cursor position."); }
+        this.#gotValue = false;
+        this.#transaction[enqueue](this.request, () => this[iterate](1, target, targetPrimaryKey));
+    }
+
+    /**
+     * Moves the cursor forward by a number of entries.
+     * @param {number} count - The number of entries.
+     * @returns {void}
+     */
+    advance(count)
+    {
+        if (!Number.isInteger(count) || count < 1) { throw new TypeError("count must be a positive integer."); }
+        this.#checkIterable();
+        this.#gotValue = false;
+        this.#transaction[enqueue](this.request, () => this[iterate](count));
+    }
+
+    /**
+     * Replaces the record at the cursor position.
+     * @param {any} value - The new record.
+     * @returns {MemoryRequest} The request.
+     */
+    update(value)
+    {
+        this.#checkIterable();
+        if (!this.#withValue) { throw createError("InvalidStateError", "A key cursor cannot update records."); }
+        const storeHandle = this.#index ? this.source.objectStore : this.source;
+        return storeHandle[write](value, this.primaryKey, false, this);
+    }
+
+    /**
+     * Deletes the record at the cursor position.
+     * @returns {MemoryRequest} The request.
+     */
+    delete()
+    {
+        this.#checkIterable();
+        if (!this.#withValue) { throw createError("InvalidStateError", "A key cursor cannot delete records."); }
+        const storeHandle = this.#index ? this.source.objectStore : this.source;
+        return storeHandle[remove](MemoryKeyRange.only(this.primaryKey), this);
+    }
+}
+
+/**
+ * The in-memory counterpart of IDBIndex.
+ */
+export class MemoryIndex
+{
+    #data;
+    #storeData;
+
+    constructor(objectStore, storeData, data)
+    {
+        this.objectStore = objectStore;
+        this.#storeData = storeData;
+        this.#data = data;
+    }
+
+    get name() { return this.#data.name; }
+    get keyPath() { return Array.isArray(this.#data.keyPath) ? [...this.#data.keyPath] : this.#data.keyPath; }
+    get unique() { return this.#data.unique; }
+    get multiEntry() { return this.#data.multiEntry; }
+
+    /**
+     * Renames the index. Only allowed during a version upgrade.
+     * @param {string} name - The new name.
+     */
+    set name(name)
+    {
+        const transaction = this.objectStore.transaction;
+        this.#check();
+        if (transaction.mode !== "versionchange") { throw createError("InvalidStateError", "Indexes can only be renamed during a version upgrade."); }
+        name = String(name);
+        if (name === this.#data.name) { return; }
+        if (this.#storeData.indexes.has(name)) { throw createError("ConstraintError", `An index named '${name}' already exists.`); }
+
+        this.#storeData.indexes.delete(this.#data.name);
+        this.#data.name = name;
+        this.#storeData.indexes.set(name, this.#data);
+    }
+
+    #check()
+    {
+        this.objectStore.transaction[check]();
+        if (this.#storeData.indexes.get(this.#data.name) !== this.#data) { throw createError("InvalidStateError", "The index has been deleted."); }
+    }
+
+    #request(operation)
+    {
+        this.#check();
+        const request = new MemoryRequest(this, this.objectStore.transaction);
+        this.objectStore.transaction[enqueue](request, operation);
+        return request;
+    }
+
+    get(query)
+    {
+        const range = toRange(query);
+        return this.#request(() =>
+        {
+            const [entry] = entriesInRange(this.#data.entries, range, 1);
+            return entry ? clone(this.#storeData.get(entry.primaryKey).value) : undefined;
+        });
+    }
+
+    getKey(query)
+    {
+        const range = toRange(query);
+        return this.#request(() => toKey(entriesInRange(this.#data.entries, range, 1)[0]?.primaryKey));
+    }
+
+    getAll(query, count)
+    {
+        const range = toRange(query);
+        checkCount(count);
+        return this.#request(() => entriesInRange(this.#data.entries, range, count).map(entry => clone(this.#storeData.get(entry.primaryKey).value)));
+    }
+
+    getAllKeys(query, count)
+    {
+        const range = toRange(query);
+        checkCount(count);
+        return this.#request(() => entriesInRange(this.#data.entries, range, count).map(entry => toKey(entry.primaryKey)));
+    }
+
+    count(query)
+    {
+        const range = toRange(query);
+        return this.#request(() => entriesInRange(this.#data.entries, range).length);
+    }
+
+    openCursor(query, direction = "next")
+    {
+        return this.#openCursor(query, direction, true);
+    }
+
+    openKeyCursor(query, direction = "next")
+    {
+        return this.#openCursor(query, direction, false);
+    }
+
+    #openCursor(query, direction, withValue)
+    {
+        const range = toRange(query);
+        checkDirection(direction);
+        this.#check();
+        const request = new MemoryRequest(this, this.objectStore.transaction);
+        const cursor = new MemoryCursor(this, this.#storeData, this.#data, range, direction, request, withValue);
+        this.objectStore.transaction[enqueue](request, () => cursor[iterate]());
+        return request;
+    }
+}
+
+/**
+ * The in-memory counterpart of IDBObjectStore.
+ */
+export class MemoryObjectStore
+{
+    #data;
+    #database;
+    #indexes = new Map();
+
+    constructor(transaction, database, data)
+    {
+        this.transaction = transaction;
+        this.#database = database;
+        this.#data = data;
+    }
+
+    get name() { return this.#data.name; }
+    get keyPath() { return Array.isArray(this.#data.keyPath) ? [...this.#data.keyPath] : this.#data.keyPath; }
+    get autoIncrement() { return this.#data.autoIncrement; }
+    get indexNames() { return createNameList(this.#data.indexes.keys()); }
+
+    /**
+     * Renames the Object Store. Only allowed during a version upgrade.
+     * @param {string} name - The new name.
+     */
+    set name(name)
+    {
+        this.#check();
+        if (this.transaction.mode !== "versionchange") { throw createError("InvalidStateError", "Object Stores can only be renamed during a version upgrade."); }
+        name = String(name);
+        if (name === this.#data.name) { return; }
+        if (this.#database.stores.has(name)) { throw createError("ConstraintError", `An Object Store named '${name}' already exists.`); }
+
+        this.#database.stores.delete(this.#data.name);
+        this.#data.name = name;
+        this.#database.stores.set(name, this.#data);
+    }
+
+    #check()
+    {
+        this.transaction[check]();
+        if (this.#database.stores.get(this.#data.name) !== this.#data) { throw createError("InvalidStateError", "The Object Store has been deleted."); }
+    }
+
+    #checkWritable()
+    {
+        this.#check();
+        if (this.transaction.mode === "readonly") { throw createError("ReadOnlyError", "The transaction is read-only."); }
+    }
+
+    #request(operation, source = this)
+    {
+        const request = new MemoryRequest(source, this.transaction);
+        this.transaction[enqueue](request, operation);
+        return request;
+    }
+
+    /**
+     * Validates and queues the writing of a record, like `add` and `put` do.
+     * @param {any} value - The record.
+     * @param {IDBValidKey} [key] - Optional. The out-of-line key.
+     * @param {boolean} noOverwrite - Whether an existing record with the same key is an error.
+     * @param {object} [source=this] - Optional. The request source, the cursor for `cursor.update`.
+     * @returns {MemoryRequest} The request.
+     */
+    [write](value, key, noOverwrite, source = this)
+    {
+        this.#checkWritable();
+        const { keyPath, autoIncrement } = this.#data;
+        const fromCursor = source !== this;
+        if (keyPath !== null && key !== undefined && !fromCursor) { throw createError("DataError", "A key cannot be given for an Object Store with a keyPath."); }
+        if (keyPath === null && key === undefined && !autoIncrement) { throw createError("DataError", "The Object Store requires a key."); }
+
+        const record = clone(value);
+        let recordKey = keyPath === null ? (key === undefined ? undefined : requireKey(key)) : extractKey(record, keyPath);
+        if (keyPath !== null)
+        {
+            if (fromCursor && (recordKey === undefined || compareKeys(recordKey, key) !== 0)) { throw createError("DataError", "The record's key does not match the cursor's primary key."); }
+            if (recordKey === undefined && (!autoIncrement || evaluateKeyPath(record, keyPath).found)) { throw createError("DataError", "The record's key is missing or invalid."); }
+            if (recordKey === undefined && (typeof record !== "object" || record === null || !injectKey(record, keyPath))) { throw createError("DataError", "The generated key cannot be set on the record."); }
+        }
+
+        return this.#request(() =>
+        {
+            if (recordKey === undefined)
+            {
+                if (this.#data.currentKey > Number.MAX_SAFE_INTEGER) { throw createError("ConstraintError", "The key generator has reached its maximum value."); }
+                recordKey = this.#data.currentKey;
+                if (keyPath !== null) { injectKey(record, keyPath, recordKey); }
+            }
+            this.#data.put(recordKey, record, noOverwrite);
+            return toKey(recordKey);
+        }, source);
+    }
+
+    /**
+     * Validates and queues the deletion of the records in a key range.
+     * @param {MemoryKeyRange|null} range - The range.
+     * @param {object} [source=this] - Optional. The request source, the cursor for `cursor.delete`.
+     * @returns {MemoryRequest} The request.
+     */
+    [remove](range, source = this)
+    {
+        this.#checkWritable();
+        return this.#request(() => { this.#data.delete(range); }, source);
+    }
+
+    add(value, key)
+    {
+        return this[write](value, key, true);
+    }
+
+    put(value, key)
+    {
+        return this[write](value, key, false);
+    }
+
+    delete(query)
+    {
+        if (query === undefined || query === null) { throw createError("DataError", "No key or key range specified."); }
+        return this[remove](toRange(query));
+    }
+
+    clear()
+    {
+        return this[remove](null);
+    }
+
+    get(query)
+    {
+        const range = toRange(query);
+        this.#check();
+        return this.#request(() =>
+        {
+            const [record] = entriesInRange(this.#data.records, range, 1);
+            return record ? clone(record.value) : undefined;
+        });
+    }
+
+    getKey(query)
+    {
+        const range = toRange(query);
+        this.#check();
+        return this.#request(() => toKey(entriesInRange(this.#data.records, range, 1)[0]?.key));
+    }
+
+    getAll(query, count)
+    {
+        const range = toRange(query);
+        checkCount(count);
+        this.#check();
+        return this.#request(() => entriesInRange(this.#data.records, range, count).map(record => clone(record.value)));
+    }
+
+    getAllKeys(query, count)
+    {
+        const range = toRange(query);
+        checkCount(count);
+        this.#check();
+        return this.#request(() => entriesInRange(this.#data.records, range, count).map(record => toKey(record.key)));
+    }
+
+    count(query)
+    {
+        const range = toRange(query);
+        this.#check();
+        return this.#request(() => entriesInRange(this.#data.records, range).length);
+    }
+
+    openCursor(query, direction = "next")
+    {
+        return this.#openCursor(query, direction, true);
+    }
+
+    openKeyCursor(query, direction = "next")
+    {
+        return this.#openCursor(query, direction, false);
+    }
+
+    #openCursor(query, direction, withValue)
+    {
+        const range = toRange(query);
+        checkDirection(direction);
+        this.#check();
+        const request = new MemoryRequest(this, this.transaction);
+        const cursor = new MemoryCursor(this, this.#data, null, range, direction, request, withValue);
+        this.transaction[enqueue](request, () => cursor[iterate]());
+        return request;
+    }
+
+    /**
+     * Returns an index of the Object Store. The same object is returned for the same index within a transaction.
+     * @param {string} name - The index name.
+     * @returns {MemoryIndex} The index.
+     */
+    index(name)
+    {
+        this.#check();
+        const data = this.#data.indexes.get(name);
+        if (!data) { throw createError("NotFoundError", `Index '${name}' not found.`); }
+        if (!this.#indexes.has(data)) { this.#indexes.set(data, new MemoryIndex(this, this.#data, data)); }
+        return this.#indexes.get(data);
+    }
+
+    /**
+     * Creates an index and fills it from the existing records. Only allowed during a version upgrade.
+     * If the records violate a `unique` constraint, the upgrade transaction is aborted with a `ConstraintError`.
+     * @param {string} name - The index name.
+     * @param {string|string[]} keyPath - The key path.
+     * @param {{unique?: boolean, multiEntry?: boolean}} [options={}] - Optional. The index options.
+     * @returns {MemoryIndex} The index.
+     */
+    createIndex(name, keyPath, options = {})
+    {
+        this.#check();
+        if (this.transaction.mode !== "versionchange") { throw createError("InvalidStateError", "Indexes can only be created during a version upgrade."); }
+        name = String(name);
+        if (this.#data.indexes.has(name)) { throw createError("ConstraintError", `An index named '${name}' already exists.`); }
+        if (Array.isArray(keyPath) && options.multiEntry) { throw createError("InvalidAccessError", "A multiEntry index cannot have an array keyPath."); }
+
+        const data = new IndexData(name, Array.isArray(keyPath) ? [...keyPath] : String(keyPath), !!options.unique, !!options.multiEntry);
+        this.#data.indexes.set(name, data);
+        const index = this.index(name);
+        // Like IndexedDB, the violation is reported later, as a failed request that aborts the upgrade.
+        if (!data.build(this.#data.records))
+        {
+            this.transaction[enqueue](new MemoryRequest(index, this.transaction), () => { throw createError("ConstraintError", `The records violate the unique index '${name}'.`); });
+        }
+        return index;
+    }
+
+    /**
+     * Deletes an index. Only allowed during a version upgrade.
+     * @param {string} name - The index name.
+     * @returns {void}
+     */
+    deleteIndex(name)
+    {
+        this.#check();
+        if (this.transaction.mode !== "versionchange") { throw createError("InvalidStateError", "Indexes can only be deleted during a version upgrade."); }
+        if (!this.#data.indexes.has(name)) { throw createError("NotFoundError", `Index '${name}' not found.`); }
+        this.#data.indexes.delete(name);
+    }
+}
+
+/**
+ * The in-memory counterpart of IDBTransaction. Requests run one per task, in order, and the transaction
+ * commits once no request is left, or rolls every change back if it is aborted.
+ */
+export class MemoryTransaction extends MemoryEventTarget
+{
+    #connection;
+    #database;
+    #scope;
+    #requests = [];
+    #scheduled = false;
+    #snapshot = null;
+    #stores = new Map();
+    #onFinish;
+
+    /**
+     * @param {MemoryDatabase} connection - The connection the transaction was created on.
+     * @param {DatabaseData} database - The database.
+     * @param {Set<StoreData>|null} scope - The Object Stores of the transaction, or `null` for every one (version upgrades).
+     * @param {"readonly"|"readwrite"|"versionchange"} mode - The transaction mode.
+     * @param {(aborted: boolean) => void} onFinish - Called once the transaction is committed or aborted.
+     */
+    constructor(connection, database, scope, mode, onFinish)
+    {
+        super();
+        this.#connection = connection;
+        this.#database = database;
+        this.#scope = scope;
+        this.#onFinish = onFinish;
+        this.mode = mode;
+        this.durability = "default";
+        this.error = null;
+        this[state] = "waiting";
+        this.oncomplete = null;
+        this.onerror = null;
+        this.onabort = null;
+    }
+
+    get db() { return this.#connection; }
+
+    get objectStoreNames()
+    {
+        return createNameList(this.#scope ? Array.from(this.#scope, store => store.name) : this.#database.stores.keys());
+    }
+
+    /**
+     * Whether two transactions share an Object Store.
+     * @param {MemoryTransaction} other - The other transaction.
+     * @returns {boolean} True if they share an Object Store.
+     */
+    overlaps(other)
+    {
+        if (!this.#scope || !other.#scope) { return true; }
+        return Array.from(this.#scope).some(store => other.#scope.has(store));
+    }
+
+    /**
+     * Returns an Object Store of the transaction. The same object is returned for the same Object Store.
+     * @param {string} name - The Object Store name.
+     * @returns {MemoryObjectStore} The Object Store.
+     */
+    objectStore(name)
+    {
+        if (this[state] === "finished") { throw createError("InvalidStateError", "The transaction has finished."); }
+        const data = this.#database.stores.get(name);
+        if (!data || (this.#scope && !this.#scope.has(data))) { throw createError("NotFoundError", `Object Store '${name}' is not in the transaction's scope.`); }
+        if (!this.#stores.has(data)) { this.#stores.set(data, new MemoryObjectStore(this, this.#database, data)); }
+        return this.#stores.get(data);
+    }
+
+    /**
+     * Aborts the transaction, rolling back every change it made.
+     * @returns {void}
+     */
+    abort()
+    {
+        this[fail](null);
+    }
+
+    /**
+     * Commits the transaction once its pending requests have run. Later requests are rejected.
+     * @returns {void}
+     */
+    commit()
+    {
+        this[check]();
+        this[state] = this[state] === "waiting" ? "waiting-commit" : "committing";
+        if (this[state] === "committing") { this.#schedule(); }
+    }
+
+    /**
+     * Throws unless new requests can be placed on the transaction.
+     * @returns {void}
+     */
+    [check]()
+    {
+        if (this[state] !== "waiting" && this[state] !== "running") { throw createError("TransactionInactiveError", "The transaction has finished."); }
+    }
+
+    /**
+     * Queues a request. Its operation runs in a later task, then its `success` or `error` event is dispatched.
+     * @param {MemoryRequest} request - The request.
+     * @param {() => any} operation - The operation, returning the request result or throwing its error.
+     * @returns {void}
+     */
+    [enqueue](request, operation)
+    {
+        this[check]();
+        request.readyState = "pending";
+        this.#requests.push({ request, operation });
+        this.#schedule();
+    }
+
+    /**
+     * Starts running the requests, once no earlier transaction uses the same Object Stores.
+     * @returns {void}
+     */
+    [begin]()
+    {
+        if (this.mode === "versionchange") { this.#snapshot = this.#database.snapshot(); }
+        else if (this.mode === "readwrite") { this.#snapshot = Array.from(this.#scope, store => [store, store.snapshot()]); }
+        this[state] = this[state] === "waiting-commit" ? "committing" : "running";
+        this.#schedule();
+    }
+
+    /**
+     * Aborts the transaction with an error, rolls its changes back and fails its pending requests.
+     * @param {DOMException|null} error - The reason, or `null` for an explicit `abort()`.
+     * @returns {void}
+     */
+    [fail](error)
+    {
+        if (this[state] === "finished") { throw createError("InvalidStateError", "The transaction has finished."); }
+        const started = this[state] === "running" || this[state] === "committing";
+        this[state] = "finished";
+        this.error = error;
+
+        if (started && this.mode === "versionchange") { this.#database.restore(this.#snapshot); }
+        else if (started && this.mode === "readwrite") { this.#snapshot.forEach(([store, saved]) => store.restore(saved)); }
+        this.#snapshot = null;
+
+        const pending = this.#requests.splice(0);
+        nextTask(() =>
+        {
+            for (const { request } of pending)
+            {
+                Object.assign(request, { readyState: "done", result: undefined, error: createError("AbortError", "The transaction was aborted.") });
+                dispatch([request, this, this.#connection], new MemoryEvent("error", { bubbles: true }));
+            }
+            dispatch([this, this.#connection], new MemoryEvent("abort", { bubbles: true }));
+            this.#finish(true);
+        });
+    }
+
+    #schedule()
+    {
+        if (this.#scheduled || (this[state] !== "running" && this[state] !== "committing")) { return; }
+        this.#scheduled = true;
+        nextTask(() =>
+        {
+            this.#scheduled = false;
+            this.#step();
+        });
+    }
+
+    /**
+     * Runs the next request and dispatches its event, or commits if there is none left.
+     * An unhandled request error, or an exception thrown by an event listener, aborts the transaction.
+     * @returns {void}
+     */
+    #step()
+    {
+        if (this[state] !== "running" && this[state] !== "committing") { return; }
+
+        const next = this.#requests.shift();
+        if (!next)
+        {
+            this[state] = "finished";
+            this.#snapshot = null;
+            dispatch([this], new MemoryEvent("complete"));
+            return this.#finish(false);
+        }
+
+        const { request, operation } = next;
+        let threw;
+        try
+        {
+            const result = operation();
+            Object.assign(request, { readyState: "done", result, error: null });
+            threw = dispatch([request], new MemoryEvent("success"));
+        }
+        catch (error)
+        {
+            Object.assign(request, { readyState: "done", result: undefined, error });
+            const event = new MemoryEvent("error", { bubbles: true, cancelable: true });
+            threw = dispatch([request, this, this.#connection], event);
+            if (!threw && !event.defaultPrevented && this[state] !== "finished") { return this[fail](error); }
+        }
+
+        if (threw && this[state] !== "finished") { return this[fail](createError("AbortError", "An event listener threw an exception.")); }
+        this.#schedule();
+    }
+
+    #finish(aborted)
+    {
+        this.#database.finishTransaction(this);
+        this.#onFinish?.(aborted);
+    }
+}
+
+/**
+ * The in-memory counterpart of IDBDatabase, a connection to a database.
+ */
+export class MemoryDatabase extends MemoryEventTarget
+{
+    #database;
+    #transactions = new Set();
+    #upgradeTransaction = null;
+
+    constructor(database)
+    {
+        super();
+        this.#database = database;
+        this.name = database.name;
+        this.version = database.version;
+        this.closed = false;
+        this.onabort = null;
+        this.onclose = null;
+        this.onerror = null;
+        this.onversionchange = null;
+    }
+
+    get objectStoreNames()
+    {
+        return createNameList(this.#database.stores.keys());
+    }
+
+    /**
+     * Creates the version upgrade transaction of this connection. Used by `open`.
+     * @param {(aborted: boolean) => void} onFinish - Called once the upgrade is committed or aborted.
+     * @returns {MemoryTransaction} The transaction.
+     */
+    [begin](onFinish)
+    {
+        this.#upgradeTransaction = this.#createTransaction(null, "versionchange", (aborted) =>
+        {
+            this.#upgradeTransaction = null;
+            onFinish(aborted);
+        });
+        return this.#upgradeTransaction;
+    }
+
+    #createTransaction(scope, mode, onFinish)
+    {
+        const transaction = new MemoryTransaction(this, this.#database, scope, mode, (aborted) =>
+        {
+            this.#transactions.delete(transaction);
+            if (this.closed && !this.#transactions.size) { this.#database.closeConnection(this); }
+            onFinish?.(aborted);
+        });
+        this.#transactions.add(transaction);
+        this.#database.transactions.push(transaction);
+        this.#database.startTransactions();
+        return transaction;
+    }
+
+    /**
+     * Starts a transaction.
+     * @param {string|string[]} storeNames - The Object Stores the transaction spans.
+     * @param {"readonly"|"readwrite"} [mode="readonly"] - The transaction mode.
+     * @returns {MemoryTransaction} The transaction.
+     */
+    transaction(storeNames, mode = "readonly")
+    {
+        if (this.closed) { throw createError("InvalidStateError", "The database connection is closed."); }
+        if (this.#upgradeTransaction) { throw createError("InvalidStateError", "A version upgrade is running."); }
+        if (mode !== "readonly" && mode !== "readwrite") { throw new TypeError(`'${mode}' is not a valid transaction mode.`); }
+
+        const names = [...new Set([].concat(storeNames).map(String))];
+        if (!names.length) { throw createError("InvalidAccessError", "The transaction must span at least one Object Store."); }
+        const scope = new Set(names.map(name =>
+        {
+            const store = this.#database.stores.get(name);
+            if (!store) { throw createError("NotFoundError", `Object Store '${name}' not found.`); }
+            return store;
+        }));
+        return this.#createTransaction(scope, mode);
+    }
+
+    #checkUpgrade()
+    {
+        const transaction = this.#upgradeTransaction;
+        if (!transaction) { throw createError("InvalidStateError", "Object Stores can only be changed during a version upgrade."); }
+        transaction[check]();
+        return transaction;
+    }
+
+    /**
+     * Creates an Object Store. Only allowed during a version upgrade.
+     * @param {string} name - The Object Store name.
+     * @param {{keyPath?: string|string[]|null, autoIncrement?: boolean}} [options={}] - Optional. The primary key options.
+     * @returns {MemoryObjectStore} The Object Store.
+     */
+    createObjectStore(name, options = {})
+    {
+        const transaction = this.#checkUpgrade();
+        name = String(name);
+        const keyPath = options.keyPath ?? null;
+        const autoIncrement = !!options.autoIncrement;
+        if (this.#database.stores.has(name)) { throw createError("ConstraintError", `An Object Store named '${name}' already exists.`); }
+        if (autoIncrement && (keyPath === "" || Array.isArray(keyPath))) { throw createError("InvalidAccessError", "An autoIncrement Object Store cannot have an empty or array keyPath."); }
+
+        this.#database.stores.set(name, new StoreData(name, Array.isArray(keyPath) ? [...keyPath] : keyPath === null ? null : String(keyPath), autoIncrement));
+        return transaction.objectStore(name);
+    }
+
+    /**
+     * Deletes an Object Store. Only allowed during a version upgrade.
+     * @param {string} name - The Object Store name.
+     * @returns {void}
+     */
+    deleteObjectStore(name)
+    {
+        this.#checkUpgrade();
+        if (!this.#database.stores.has(name)) { throw createError("NotFoundError", `Object Store '${name}' not found.`); }
+        this.#database.stores.delete(name);
+    }
+
+    /**
+     * Closes the connection once its transactions finish. New transactions cannot be started.
+     * @returns {void}
+     */
+    close()
+    {
+        if (this.closed) { return; }
+        this.closed = true;
+        if (!this.#transactions.size) { this.#database.closeConnection(this); }
+    }
+}
+
+/**
+ * The in-memory counterpart of IDBFactory. Each instance holds its own independent set of databases.
+ */
+export class MemoryFactory
+{
+    #databases = new Map();
+    #queues = new Map();
+
+    /**
+     * Opens a connection to a database, creating or upgrading it if necessary.
+     * @param {string} name - The database name.
+     * @param {number} [version] - Optional. The version. If omitted, opens the current version, or version 1 for a new database.
+     * @returns {MemoryOpenRequest} The request. Its `result` is a `MemoryDatabase`.
+     */
+    open(name, version)
+    {
+        if (version !== undefined && (!Number.isInteger(version) || version < 1)) { throw new TypeError("The version must be a positive integer."); }
+        const request = new MemoryOpenRequest();
+        this.#queue(String(name), () => this.#open(request, String(name), version));
+        return request;
+    }
+
+    /**
+     * Deletes a database, once every connection to it is closed.
+     * @param {string} name - The database name.
+     * @returns {MemoryOpenRequest} The request.
+     */
+    deleteDatabase(name)
+    {
+        const request = new MemoryOpenRequest();
+        this.#queue(String(name), () => this.#delete(request, String(name)));
+        return request;
+    }
+
+    /**
+     * Lists the existing databases.
+     * @returns {Promise<Array<{name: string, version: number}>>} A promise that resolves with the names and versions.
+     */
+    databases()
+    {
+        return Promise.resolve(Array.from(this.#databases.values(), ({ name, version }) => ({ name, version })));
+    }
+
+    /**
+     * Compares two keys.
+     * @param {IDBValidKey} first - The first key.
+     * @param {IDBValidKey} second - The second key.
+     * @returns {number} -1, 0 or 1.
+     */
+    cmp(first, second)
+    {
+        return compareKeys(requireKey(first), requireKey(second));
+    }
+
+    /**
+     * Runs the opens and deletions of a database one after another, each in a later task.
+     * @param {string} name - The database name.
+     * @param {() => Promise<void>} operation - The operation.
+     * @returns {void}
+     */
+    #queue(name, operation)
+    {
+        const previous = this.#queues.get(name) || Promise.resolve();
+        const current = previous.then(() => new Promise(resolve => nextTask(resolve))).then(operation).catch(error => globalThis.reportError?.(error));
+        this.#queues.set(name, current);
+        current.finally(() => { if (this.#queues.get(name) === current) { this.#queues.delete(name); } });
+    }
+
+    /**
+     * Asks the other connections to a database to close, and waits until they are all closed.
+     * @param {DatabaseData} database - The database.
+     * @param {MemoryOpenRequest} request - The open or delete request, notified with `blocked` while connections stay open.
+     * @param {number|null} newVersion - The requested version, or `null` for a deletion.
+     * @returns {Promise<void>} A promise that resolves once every connection is closed.
+     */
+    #closeConnections(database, request, newVersion)
+    {
+        const versions = { oldVersion: database.version, newVersion };
+        for (const connection of database.connections)
+        {
+            if (!connection.closed) { dispatch([connection], new MemoryEvent("versionchange", versions)); }
+        }
+        if (!database.connections.size) { return Promise.resolve(); }
+        if ([...database.connections].some(connection => !connection.closed)) { dispatch([request], new MemoryEvent("blocked", versions)); }
+        return new Promise(resolve => database.closeWaiters.push(resolve));
+    }
+
+    async #open(request, name, version)
+    {
+        const existing = this.#databases.get(name);
+        const oldVersion = existing ? existing.version : 0;
+        const newVersion = version ?? (existing ? existing.version : 1);
+
+        if (newVersion < oldVersion)
+        {
+            Object.assign(request, { readyState: "done", error: createError("VersionError", `The requested version (${newVersion}) is less than the existing version (${oldVersion}).`) });
+            dispatch([request], new MemoryEvent("error", { bubbles: true, cancelable: true }));
+            return;
+        }
+
+        const database = existing || new DatabaseData(name);
+        if (!existing) { this.#databases.set(name, database); }
+
+        if (newVersion === oldVersion)
+        {
+            const connection = new MemoryDatabase(database);
+            database.connections.add(connection);
+            Object.assign(request, { readyState: "done", result: connection });
+            dispatch([request], new MemoryEvent("success"));
+            return;
+        }
+
+        await this.#closeConnections(database, request, newVersion);
+
+        const connection = new MemoryDatabase(database);
+        database.connections.add(connection);
+        const finished = new Promise(resolve =>
+        {
+            const transaction = connection[begin](resolve);
+            database.version = newVersion;
+            connection.version = newVersion;
+            Object.assign(request, { readyState: "done", result: connection, transaction });
+            const threw = dispatch([request], new MemoryEvent("upgradeneeded", { oldVersion, newVersion }));
+            if (threw && transaction[state] !== "finished") { transaction[fail](createError("AbortError", "An event listener threw an exception.")); }
+        });
+        const aborted = await finished;
+        request.transaction = null;
+
+        if (aborted || connection.closed)
+        {
+            connection.close();
+            if (aborted && oldVersion === 0 && this.#databases.get(name) === database) { this.#databases.delete(name); }
+            connection.version = database.version;
+            Object.assign(request, { result: undefined, error: createError("AbortError", "The version upgrade was aborted.") });
+            dispatch([request], new MemoryEvent("error", { bubbles: true, cancelable: true }));
+            return;
+        }
+        dispatch([request], new MemoryEvent("success"));
+    }
+
+    async #delete(request, name)
+    {
+        const database = this.#databases.get(name);
+        const oldVersion = database ? database.version : 0;
+        if (database)
+        {
+            await this.#closeConnections(database, request, null);
+            this.#databases.delete(name);
+        }
+        Object.assign(request, { readyState: "done", result: undefined });
+        const event = new MemoryEvent("success", { oldVersion, newVersion: null });
+        dispatch([request], event);
+    }
+}
+
+/**
+ * Creates an in-memory backend for EasyIndexedDB: `new EasyIndexedDB({ backend: createMemoryBackend() })`.
+ * Each backend holds its own databases, which live as long as the backend object.
+ * @returns {{indexedDB: MemoryFactory, IDBKeyRange: typeof MemoryKeyRange}} The backend.
+ */
+export function createMemoryBackend()
+{
+    return { indexedDB: new MemoryFactory(), IDBKeyRange: MemoryKeyRange };
+}
@@ -0,0 +1,64 @@
+import { describe } from "node:test";
+import EasyIndexedDB from "../EasyIndexedDB.js";
+import { createMemoryBackend, MemoryIndex, MemoryObjectStore } from "../MemoryBackend.js";
+
+/**
+ * The backends every suite runs against: the bundled in-memory backend, and the global IndexedDB when there is one,
+ * e.g. with `node --import fake-indexeddb/auto --test`.
+ */
+export const backends = [
+    { name: "memory", createBackend: () => createMemoryBackend(), cursorSources: [MemoryObjectStore, MemoryIndex] },
+    ...(globalThis.indexedDB ? [{ name: "IndexedDB", createBackend: () => undefined, cursorSources: [globalThis.IDBObjectStore, globalThis.IDBIndex] }] : [])
+];
+
+let databaseCount = 0;
+
+/**
+ * Declares the same suite once for each backend.
+ * @param {string} title - The title of the suite.
+ * @param {function({name: string, createBackend: function}): void} suite - Declares the tests, given the backend.
+ * @returns {void}
+ */
+export function describeBackends(title, suite)
+{
+    for (const backend of backends)
+    {
+        describe(`${title} (${backend.name})`, () => suite(backend));
+    }
+}
+
+/**
+ * Opens a new, empty database on a backend.
+ * @param {{createBackend: function}} backend - The backend, from `backends`.
+ * @returns {Promise<EasyIndexedDB>} A promise that resolves with the initialized instance.
+ */
+export async function openDatabase(backend)
+{
+    const db = new EasyIndexedDB({ backend: backend.createBackend() });
+    await db.initialize(`test-database-${++databaseCount}`);
+    return db;
+}
+
+/**
+ * Counts the cursors over record values (`openCursor`, not `openKeyCursor`) that Object Stores and indexes open on a backend
+ * while a function runs.
+ * @param {{cursorSources: Function[]}} backend - The backend, from `backends`.
+ * @param {() => Promise<any>} run - The function.
+ * @returns {Promise<number>} A promise that resolves with the number of cursors opened.
+ */
+export async function countValueCursors(backend, run)
+{
+    let count = 0;
+    const originals = backend.cursorSources.map(source => [source.prototype, source.prototype.openCursor]);
+    originals.forEach(([prototype, openCursor]) =>
+    {
+        prototype.openCursor = function (...args)
+        {
+            count++;
+            return openCursor.apply(this, args);
+        };
+    });
+    try { await run(); }
+    finally { originals.forEach(([prototype, openCursor]) => { prototype.openCursor = openCursor; }); }
+    return count;
+}
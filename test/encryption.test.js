@@ -0,0 +1,83 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { EasyIndexedDBError, ValidationError } from "../EasyIndexedDB.js";
+import { describeBackends, openDatabase } from "../test-support/backends.js";
+
+describeBackends("Encryption", (backend) =>
+{
+    let db;
+    beforeEach(async () =>
+    {
+        db = await openDatabase(backend);
+        await db.createObjectStore("users", [{ name: "email" }, { name: "age" }], { keyPath: "id" });
+    });
+    afterEach(() => db.close());
+
+    /**
+     * Reads the records of an Object Store as they are stored, through an export.
+     * @param {string} name - The Object Store's name.
+     * @returns {Promise<object[]>} A promise that resolves with the stored records.
+     */
+    async function storedRecords(name)
+    {
+        const snapshot = JSON.parse(await db.exportDatabase());
+        return snapshot.stores.find(store => store.name === name).records.map(record => record.value);
+    }
+
+    test("encrypts every property but the keys and indexed ones, and decrypts them on read", async () =>
+    {
+        await db.setEncryption("users", { passphrase: "secret", iterations: 1000 });
+        await db.insertDataObjectStore("users", { id: 1, email: "ann@example.test", age: 30, name: "Ann" });
+
+        const [stored] = await storedRecords("users");
+        assert.deepEqual(Object.keys(stored).sort(), ["__encrypted", "age", "email", "id"]);
+        assert.ok(!JSON.stringify(stored).includes("Ann"));
+        assert.deepEqual(await db.getByKey("users", 1), { id: 1, email: "ann@example.test", age: 30, name: "Ann" });
+        assert.deepEqual(await db.queryDataObjectStore("users", { index: "age", range: { gte: 18 }, fields: ["name"] }), [{ name: "Ann" }]);
+
+        await db.patchByKey("users", 1, { name: "Anna" });
+        assert.deepEqual(await db.selectDataObjectStore("users", "email", "ann@example.test", ["name"]), { name: "Anna" });
+    });
+
+    test("encrypts only the listed fields", async () =>
+    {
+        await db.setEncryption("users", { passphrase: "secret", iterations: 1000, fields: ["name"] });
+        await db.insertDataObjectStore("users", { id: 1, email: "ann@example.test", name: "Ann", city: "Oslo" });
+
+        const [stored] = await storedRecords("users");
+        assert.deepEqual(Object.keys(stored).sort(), ["__encrypted", "city", "email", "id"]);
+        assert.deepEqual(await db.getByKey("users", 1), { id: 1, email: "ann@example.test", name: "Ann", city: "Oslo" });
+    });
+
+    test("looks records up by equality through a blind index", async () =>
+    {
+        await db.setEncryption("users", { passphrase: "secret", iterations: 1000, blindIndexes: ["email"] });
+        await db.insertMultipleDataObjectStore("users", [{ id: 1, email: "ann@example.test" }, { id: 2, email: "bob@example.test" }]);
+
+        const stored = await storedRecords("users");
+        assert.ok(stored.every(record => !record.email.includes("@")));
+        assert.deepEqual(await db.selectDataObjectStore("users", "email", "bob@example.test"), { id: 2, email: "bob@example.test" });
+        assert.deepEqual(await db.queryDataObjectStore("users", { index: "email", range: { equals: "ann@example.test" }, fields: ["id"] }), [{ id: 1 }]);
+        await assert.rejects(db.queryDataObjectStore("users", { index: "email", range: { gt: "a" } }), ValidationError);
+    });
+
+    test("rejects reads with the wrong key, and encrypted Object Stores in transactions", async () =>
+    {
+        await db.setEncryption("users", { passphrase: "secret", iterations: 1000 });
+        await db.insertDataObjectStore("users", { id: 1, name: "Ann" });
+        await assert.rejects(db.transaction(["users"], "readonly", (tx) => tx.getByKey("users", 1)), ValidationError);
+
+        await db.setEncryption("users", { passphrase: "wrong", iterations: 1000 });
+        await assert.rejects(db.getByKey("users", 1), EasyIndexedDBError);
+
+        await db.setEncryption("users", null);
+        assert.ok("__encrypted" in await db.getByKey("users", 1));
+    });
+
+    test("rejects invalid options", async () =>
+    {
+        await assert.rejects(db.setEncryption("users", {}), ValidationError);
+        await assert.rejects(db.setEncryption("users", { passphrase: "secret", key: {} }), ValidationError);
+        await assert.rejects(db.setEncryption("users", { passphrase: "secret", blindIndexes: "email" }), ValidationError);
+    });
+});
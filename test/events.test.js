@@ -0,0 +1,82 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import EasyIndexedDB, { ValidationError } from "../EasyIndexedDB.js";
+import { describeBackends, openDatabase } from "../test-support/backends.js";
+
+describeBackends("Events", (backend) =>
+{
+    let db;
+    beforeEach(async () =>
+    {
+        db = await openDatabase(backend);
+        await db.createObjectStore("notes", [], { keyPath: "id" });
+    });
+    afterEach(() => db.close());
+
+    test("emits one change per committed write, grouping the keys of bulk writes", async () =>
+    {
+        const changes = [];
+        db.on("change", (change) => changes.push(change));
+        await db.insertMultipleDataObjectStore("notes", [{ id: 1 }, { id: 2 }]);
+        await db.putDataObjectStore("notes", { id: 1, text: "a" });
+        await db.patchByKey("notes", 2, { text: "b" });
+        await db.deleteByKey("notes", 1);
+        await db.deleteAllDataObjectStore("notes");
+
+        assert.deepEqual(changes, [
+            { store: "notes", type: "insert", keys: [1, 2], remote: false },
+            { store: "notes", type: "update", keys: [1], remote: false },
+            { store: "notes", type: "update", keys: [2], remote: false },
+            { store: "notes", type: "delete", keys: [1], remote: false },
+            { store: "notes", type: "clear", keys: null, remote: false }
+        ]);
+    });
+
+    test("emits nothing for aborted transactions", async () =>
+    {
+        const changes = [];
+        db.on("change", (change) => changes.push(change));
+        await db.insertDataObjectStore("notes", { id: 1 });
+        await assert.rejects(db.insertMultipleDataObjectStore("notes", [{ id: 2 }, { id: 1 }]));
+
+        assert.deepEqual(changes.map(change => change.keys), [[1]]);
+    });
+
+    test("stops calling a handler once it is removed", async () =>
+    {
+        const changes = [];
+        const handler = (change) => changes.push(change);
+        const unsubscribe = db.on("change", handler);
+        await db.insertDataObjectStore("notes", { id: 1 });
+        unsubscribe();
+        await db.insertDataObjectStore("notes", { id: 2 });
+
+        assert.equal(changes.length, 1);
+        assert.equal(db.off("change", handler), false);
+        assert.throws(() => db.on("changed", handler), ValidationError);
+    });
+
+    test("receives the changes of other instances on the same database as remote changes", async () =>
+    {
+        const shared = backend.createBackend();
+        const name = `events-${backend.name}`;
+        const first = new EasyIndexedDB({ backend: shared });
+        const second = new EasyIndexedDB({ backend: shared });
+        await first.initialize(name);
+        await second.initialize(name);
+        await first.createObjectStore("notes", [], { keyPath: "id" });
+
+        const received = new Promise(resolve => second.on("change", resolve));
+        const local = [];
+        first.on("change", (change) => local.push(change));
+        await first.insertDataObjectStore("notes", { id: 1 });
+
+        // The channels do not keep Node alive, so the test does while the message is delivered.
+        const timer = setTimeout(() => {}, 1000);
+        try { assert.deepEqual(await received, { store: "notes", type: "insert", keys: [1], remote: true }); }
+        finally { clearTimeout(timer); }
+        assert.deepEqual(local, [{ store: "notes", type: "insert", keys: [1], remote: false }]);
+        second.close();
+        await first.delete();
+    });
+});
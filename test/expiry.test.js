@@ -0,0 +1,84 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { describeBackends, openDatabase } from "../test-support/backends.js";
+
+describeBackends("Record expiry", (backend) =>
+{
+    let db;
+    beforeEach(async () =>
+    {
+        db = await openDatabase(backend);
+        await db.createObjectStore("cache", [{ name: "score" }], { keyPath: "url" });
+        await db.insertMultipleDataObjectStore("cache", [{ url: "/a", score: 1 }, { url: "/b", score: 4 }], { ttl: 60000 });
+        await db.insertDataObjectStore("cache", { url: "/old", score: 9 }, { expiresAt: Date.now() - 1000 });
+    });
+    afterEach(() => db.close());
+
+    test("hides expired records from selects", async () =>
+    {
+        assert.deepEqual(await db.selectAllDataObjectStore("cache", ["url"]), [{ url: "/a" }, { url: "/b" }]);
+        assert.equal(await db.getByKey("cache", "/old"), null);
+        assert.equal(await db.selectDataObjectStore("cache", "score", 9), null);
+    });
+
+    test("leaves expired records out of every aggregation", async () =>
+    {
+        assert.equal(await db.count("cache"), 2);
+        assert.equal(await db.count("cache", { where: { score: 9 } }), 0);
+        assert.deepEqual(await db.distinct("cache", "score"), [1, 4]);
+        assert.equal(await db.max("cache", "score"), 4);
+        assert.equal(await db.sum("cache", "score"), 5);
+        assert.equal(await db.avg("cache", "score", { index: "score", range: { gte: 0 } }), 2.5);
+        assert.deepEqual(await db.groupBy("cache", "score", { where: (entry) => entry.score > 3 }), [{ group: 4, count: 1 }]);
+    });
+
+    test("does not update or delete expired records", async () =>
+    {
+        assert.deepEqual(await db.updateWhere("cache", { where: (entry) => entry.score > 3 }, { hot: true }), { count: 1, keys: ["/b"] });
+        assert.deepEqual(await db.deleteWhere("cache", { index: "score", range: { gte: 5 } }), { count: 0, keys: [] });
+        assert.equal(await db.purgeExpired(), 1);
+    });
+
+    test("does not update or patch expired records by value or by key", async () =>
+    {
+        await db.updateDataObjectStore("cache", "score", 9, 10);
+        await db.updateDataObjectStore("cache", "score", 4, 5);
+        assert.equal(await db.patchByKey("cache", "/old", { score: 11 }), null);
+        assert.equal((await db.patchByKey("cache", "/a", { score: 2 })).score, 2);
+
+        assert.equal(await db.count("cache", { where: { score: 10 } }), 0);
+        assert.deepEqual(await db.selectAllDataObjectStore("cache", ["url", "score"]), [{ url: "/a", score: 2 }, { url: "/b", score: 5 }]);
+        assert.equal(await db.purgeExpired(), 1);
+    });
+
+    test("sweeps every Object Store but the internal ones by default", async () =>
+    {
+        await db.putFile("report", new Blob(["report"]), { chunkSize: 2 });
+        assert.equal(await db.purgeExpired(), 1);
+        assert.equal(await db.purgeExpired(), 0);
+        assert.equal(await (await db.getFile("report")).text(), "report");
+    });
+
+    test("skips Object Stores without the expiry index", async () =>
+    {
+        const snapshot = JSON.parse(await db.exportDatabase());
+        const cache = snapshot.stores.find(store => store.name === "cache");
+        cache.indexes = cache.indexes.filter(index => index.name !== "__expiresAt");
+        await db.importDatabase(snapshot);
+
+        assert.equal(await db.purgeExpired(), 0);
+        assert.equal(await db.purgeExpired("cache"), 0);
+        assert.equal(await db.getByKey("cache", "/old"), null);
+        assert.equal(await db.count("cache"), 2);
+
+        const indexNames = async () => JSON.parse(await db.exportDatabase()).stores.find(store => store.name === "cache").indexes.map(index => index.name).sort();
+        await db.updateStructureObjectStore("cache", [{ name: "url" }], [], [{ oldName: "score", newName: "rank" }]);
+        await db.updateStructureObjectStore("cache", [], ["url"]);
+        assert.deepEqual(await indexNames(), ["rank"]);
+        assert.equal(await db.purgeExpired(), 0);
+
+        await db.updateStructureObjectStore("cache", [{ name: "__expiresAt" }]);
+        assert.deepEqual(await indexNames(), ["__expiresAt", "rank"]);
+        assert.equal(await db.purgeExpired(), 1);
+    });
+});
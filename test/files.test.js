@@ -0,0 +1,62 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { EasyIndexedDBError } from "../EasyIndexedDB.js";
+import { describeBackends, openDatabase } from "../test-support/backends.js";
+
+describeBackends("Files", (backend) =>
+{
+    let db;
+    beforeEach(async () => { db = await openDatabase(backend); });
+    afterEach(() => db.close());
+
+    test("stores files in chunks and reads them back with their metadata", async () =>
+    {
+        const progress = [];
+        const metadata = await db.putFile("report", new File(["hello world"], "report.txt", { type: "text/plain" }), { chunkSize: 4, onProgress: (event) => progress.push(event.loaded) });
+        assert.deepEqual([metadata.name, metadata.type, metadata.size, metadata.chunks, metadata.checksum], ["report.txt", "text/plain", 11, 3, "0d4a1185"]);
+        assert.deepEqual(progress, [4, 8, 11]);
+
+        progress.length = 0;
+        const file = await db.getFile("report", { onProgress: (event) => progress.push(event.loaded) });
+        assert.deepEqual([file.name, file.type, await file.text()], ["report.txt", "text/plain", "hello world"]);
+        assert.deepEqual(progress, [4, 8, 11]);
+        assert.equal(await db.getFile("missing"), null);
+    });
+
+    test("replaces, lists and deletes files", async () =>
+    {
+        await db.putFile("b", new Blob(["first"]));
+        await db.putFile("a", new Blob(["a"]), { name: "a.txt", type: "text/plain" });
+        await db.putFile("b", new Blob(["second"]), { chunkSize: 2 });
+
+        assert.deepEqual((await db.listFiles()).map(file => [file.id, file.name, file.size]), [["a", "a.txt", 1], ["b", "b", 6]]);
+        assert.equal(await (await db.getFile("b")).text(), "second");
+        assert.equal(await db.deleteFile("b"), true);
+        assert.equal(await db.deleteFile("b"), false);
+        assert.deepEqual((await db.listFiles()).map(file => file.id), ["a"]);
+        assert.equal(JSON.parse(await db.exportDatabase()).stores.find(store => store.name === "__fileChunks").records.length, 1);
+    });
+
+    test("streams files and byte ranges of them", async () =>
+    {
+        await db.putFile("report", new Blob(["hello world"]), { chunkSize: 4 });
+
+        assert.equal(await new Response(await db.getFileStream("report")).text(), "hello world");
+        assert.equal(await new Response(await db.getFileStream("report", { start: 2, end: 7 })).text(), "llo w");
+        assert.equal(await db.getFileStream("missing"), null);
+    });
+
+    test("rejects files whose content no longer matches their checksum", async () =>
+    {
+        await db.putFile("report", new Blob(["hello world"]), { chunkSize: 4 });
+        const snapshot = JSON.parse(await db.exportDatabase());
+        const chunk = snapshot.stores.find(store => store.name === "__fileChunks").records[1].value;
+        chunk.data.data = btoa("o Wo");
+        await db.importDatabase(snapshot, { mode: "merge" });
+
+        const corrupted = (error) => error instanceof EasyIndexedDBError && /checksum/.test(error.message);
+        await assert.rejects(db.getFile("report"), corrupted);
+        await assert.rejects(new Response(await db.getFileStream("report")).text(), corrupted);
+        assert.equal(await new Response(await db.getFileStream("report", { start: 0, end: 4 })).text(), "hell");
+    });
+});
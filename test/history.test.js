@@ -0,0 +1,50 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { describeBackends, openDatabase } from "../test-support/backends.js";
+
+describeBackends("History and soft delete", (backend) =>
+{
+    let db;
+    beforeEach(async () =>
+    {
+        db = await openDatabase(backend);
+        await db.createObjectStore("notes", [{ name: "rank" }], { keyPath: "id" });
+        await db.setSoftDelete("notes");
+        await db.insertMultipleDataObjectStore("notes", [{ id: 1, rank: 1 }, { id: 2, rank: 2 }, { id: 3, rank: 3 }]);
+    });
+    afterEach(() => db.close());
+
+    test("hides soft-deleted records from selects and keeps them for undelete", async () =>
+    {
+        await db.deleteByKey("notes", 3);
+        assert.deepEqual(await db.selectAllDataObjectStore("notes", ["id"]), [{ id: 1 }, { id: 2 }]);
+        assert.equal(await db.getByKey("notes", 3), null);
+        assert.deepEqual((await db.getDeleted("notes", ["id"])), [{ id: 3 }]);
+
+        await db.undelete("notes", 3);
+        assert.deepEqual(await db.getByKey("notes", 3), { id: 3, rank: 3 });
+    });
+
+    test("leaves soft-deleted records out of every aggregation", async () =>
+    {
+        await db.deleteByKey("notes", 3);
+        await db.deleteByKey("notes", 1);
+
+        assert.equal(await db.count("notes"), 1);
+        assert.equal(await db.count("notes", { index: "rank", range: { gte: 1 } }), 1);
+        assert.equal(await db.count("notes", { where: (note) => note.rank > 0 }), 1);
+        assert.deepEqual(await db.distinct("notes", "rank"), [2]);
+        assert.equal(await db.min("notes", "rank"), 2);
+        assert.equal(await db.max("notes", "rank"), 2);
+        assert.equal(await db.sum("notes", "rank"), 2);
+        assert.deepEqual(await db.groupBy("notes", "rank"), [{ group: 2, count: 1 }]);
+    });
+
+    test("counts an empty store as empty once every record is soft-deleted", async () =>
+    {
+        await db.deleteAllDataObjectStore("notes");
+        assert.equal(await db.count("notes"), 0);
+        assert.equal(await db.min("notes", "rank"), null);
+        assert.deepEqual(await db.distinct("notes", "rank"), []);
+    });
+});
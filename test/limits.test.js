@@ -0,0 +1,93 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { QuotaExceededError, ValidationError } from "../EasyIndexedDB.js";
+import { countValueCursors, describeBackends, openDatabase } from "../test-support/backends.js";
+
+describeBackends("Limits", (backend) =>
+{
+    let db;
+    beforeEach(async () =>
+    {
+        db = await openDatabase(backend);
+        await db.createObjectStore("cache", [], { keyPath: "id" });
+    });
+    afterEach(() => db.close());
+
+    test("evicts the records inserted first, and emits their deletion", async () =>
+    {
+        const changes = [];
+        db.on("change", (change) => changes.push(change));
+        await db.setStoreLimit("cache", { maxRecords: 2 });
+        await db.insertMultipleDataObjectStore("cache", [{ id: 1 }, { id: 2 }]);
+        await db.getByKey("cache", 1);
+
+        await db.insertDataObjectStore("cache", { id: 3 });
+        assert.deepEqual(await db.selectAllDataObjectStore("cache"), [{ id: 2 }, { id: 3 }]);
+        assert.deepEqual(changes.slice(1).map(({ type, keys }) => [type, keys]), [["insert", [3]], ["delete", [1]]]);
+    });
+
+    test("evicts records until the Object Store is within its size", async () =>
+    {
+        await db.setStoreLimit("cache", { maxBytes: 70 });
+        for (const id of [1, 2, 3]) { await db.insertDataObjectStore("cache", { id, text: "a" }); }
+
+        assert.deepEqual(await db.selectAllDataObjectStore("cache"), [{ id: 2, text: "a" }, { id: 3, text: "a" }]);
+    });
+
+    test("rejects writes that alone exceed the limit, keeping the existing records", async () =>
+    {
+        await db.setStoreLimit("cache", { maxRecords: 2, maxBytes: 100 });
+        await db.insertDataObjectStore("cache", { id: 1 });
+
+        await assert.rejects(db.insertMultipleDataObjectStore("cache", [{ id: 2 }, { id: 3 }, { id: 4 }]), QuotaExceededError);
+        await assert.rejects(db.insertDataObjectStore("cache", { id: 5, text: "x".repeat(100) }), QuotaExceededError);
+        assert.deepEqual(await db.selectAllDataObjectStore("cache"), [{ id: 1 }]);
+
+        await db.setStoreLimit("cache", null);
+        await db.insertMultipleDataObjectStore("cache", [{ id: 2 }, { id: 3 }, { id: 4 }]);
+        assert.equal((await db.selectAllDataObjectStore("cache")).length, 4);
+        await assert.rejects(db.setStoreLimit("cache", { maxRecords: 0 }), ValidationError);
+        await assert.rejects(db.setStoreLimit("cache", { maxRecords: 1, policy: "random" }), ValidationError);
+    });
+
+    test("evicts the least recently read records, with the access times still queued", async () =>
+    {
+        await db.setStoreLimit("cache", { maxRecords: 2, policy: "lru" });
+        await db.insertDataObjectStore("cache", { id: 1 });
+        await db.insertDataObjectStore("cache", { id: 2 });
+        await db.getByKey("cache", 1);
+
+        await db.insertDataObjectStore("cache", { id: 3 });
+        assert.deepEqual(await db.selectAllDataObjectStore("cache"), [{ id: 1 }, { id: 3 }]);
+    });
+
+    test("reports failures to save the access times with the error event", async () =>
+    {
+        const errors = [];
+        db.on("error", (error) => errors.push(error));
+        await db.setStoreLimit("cache", { maxRecords: 2, policy: "lru" });
+        await db.insertDataObjectStore("cache", { id: 1 });
+        await db.getByKey("cache", 1);
+
+        const [prototype] = backend.cursorSources.map(source => source.prototype);
+        const get = prototype.get;
+        prototype.get = () => { throw new Error("get failed"); };
+        try { await new Promise(resolve => setTimeout(resolve, 1100)); }
+        finally { prototype.get = get; }
+        assert.deepEqual(errors.map(error => [error.operation, error.cause?.message]), [["saveAccessTimes", "get failed"]]);
+    });
+
+    test("measures limited Object Stores and file chunks without reading their records", async () =>
+    {
+        await db.setStoreLimit("cache", { maxRecords: 10 });
+        await db.insertMultipleDataObjectStore("cache", [{ id: 1, text: "a" }, { id: 2, text: "bb" }]);
+        await db.putFile("report", new Blob(["report"]), { chunkSize: 2 });
+
+        let info;
+        const cursors = await countValueCursors(backend, async () => { info = await db.getStorageInfo(); });
+        const stores = Object.fromEntries(info.stores.map(({ name, ...store }) => [name, store]));
+        assert.deepEqual(stores.cache, { count: 2, size: 62 });
+        assert.deepEqual(stores.__fileChunks, { count: 3, size: 6 });
+        assert.equal(cursors, info.stores.length - 2);
+    });
+});
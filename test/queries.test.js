@@ -0,0 +1,115 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { ValidationError } from "../EasyIndexedDB.js";
+import { countValueCursors, describeBackends, openDatabase } from "../test-support/backends.js";
+
+describeBackends("Queries", (backend) =>
+{
+    let db;
+    beforeEach(async () =>
+    {
+        db = await openDatabase(backend);
+        await db.createObjectStore("users", [{ name: "email", unique: true }, { name: "age" }]);
+        await db.insertMultipleDataObjectStore("users", Array.from({ length: 10 }, (_, i) => ({ email: `u${i}@example.com`, age: i % 5, even: i % 2 === 0 })));
+    });
+    afterEach(() => db.close());
+
+    test("selects records within an index range", async () =>
+    {
+        const ages = async (range) => (await db.queryDataObjectStore("users", { index: "age", range, fields: ["age"] })).map(user => user.age);
+        assert.deepEqual(await ages({ gt: 3 }), [4, 4]);
+        assert.deepEqual(await ages({ gte: 1, lt: 3 }), [1, 1, 2, 2]);
+        assert.deepEqual(await ages({ between: [3, 4] }), [3, 3, 4, 4]);
+        assert.deepEqual(await ages({ equals: 0 }), [0, 0]);
+        const emails = await db.queryDataObjectStore("users", { index: "email", range: { startsWith: "u1" }, fields: ["email"] });
+        assert.deepEqual(emails, [{ email: "u1@example.com" }]);
+    });
+
+    test("orders, skips, limits and filters the results", async () =>
+    {
+        const users = await db.queryDataObjectStore("users", { index: "age", direction: "desc", offset: 1, limit: 3, filters: (user) => user.even });
+        assert.deepEqual(users.map(user => user.email), ["u8@example.com", "u2@example.com", "u6@example.com"]);
+    });
+
+    test("returns no records with a limit of 0", async () =>
+    {
+        assert.deepEqual(await db.queryDataObjectStore("users", { limit: 0 }), []);
+        assert.deepEqual(await db.queryDataObjectStore("users", { index: "age", limit: 0, offset: 2 }), []);
+    });
+
+    test("rejects invalid limits and offsets", async () =>
+    {
+        for (const options of [{ limit: -1 }, { limit: 1.5 }, { limit: "2" }, { offset: -1 }, { offset: 0.5 }, { offset: null }])
+        {
+            await assert.rejects(db.queryDataObjectStore("users", options), ValidationError);
+        }
+        assert.equal((await db.queryDataObjectStore("users", { limit: Infinity })).length, 10);
+    });
+
+    test("reads pages with continuation tokens", async () =>
+    {
+        const emails = [];
+        let page = { nextToken: undefined };
+        do
+        {
+            page = await db.selectPageDataObjectStore("users", { index: "age", pageSize: 3, after: page.nextToken });
+            emails.push(...page.records.map(user => user.email));
+        }
+        while (page.nextToken);
+        assert.equal(emails.length, 10);
+        assert.equal(new Set(emails).size, 10);
+    });
+
+    test("iterates over records in batches", async () =>
+    {
+        const emails = [];
+        for await (const user of db.iterate("users", { batchSize: 4, direction: "desc" })) { emails.push(user.email); }
+        assert.deepEqual(emails, Array.from({ length: 10 }, (_, i) => `u${9 - i}@example.com`));
+    });
+
+    test("aggregates records without loading them", async () =>
+    {
+        assert.equal(await db.count("users"), 10);
+        assert.equal(await db.count("users", { index: "age", range: { gte: 3 } }), 4);
+        assert.deepEqual(await db.distinct("users", "age"), [0, 1, 2, 3, 4]);
+        assert.equal(await db.min("users", "age"), 0);
+        assert.equal(await db.max("users", "email"), "u9@example.com");
+        assert.equal(await db.sum("users", "age"), 20);
+        assert.equal(await db.avg("users", "age"), 2);
+    });
+
+    test("counts and reads index keys without reading the records when none can be hidden", async () =>
+    {
+        const indexAggregations = () => Promise.all([
+            db.count("users"),
+            db.count("users", { index: "age", range: { gte: 3 } }),
+            db.distinct("users", "age"),
+            db.min("users", "age"),
+            db.max("users", "age")
+        ]);
+
+        assert.equal(await countValueCursors(backend, async () => assert.deepEqual(await indexAggregations(), [10, 4, [0, 1, 2, 3, 4], 0, 4])), 0);
+
+        await db.insertDataObjectStore("users", { email: "old@example.com", age: 9 }, { expiresAt: Date.now() - 1000 });
+        assert.ok(await countValueCursors(backend, async () => assert.deepEqual(await indexAggregations(), [10, 4, [0, 1, 2, 3, 4], 0, 4])) > 0);
+
+        await db.purgeExpired();
+        await db.setSoftDelete("users");
+        await db.deleteDataObjectStore("users", "age", 4, true);
+        await db.setSoftDelete("users", false);
+        assert.ok(await countValueCursors(backend, async () => assert.deepEqual(await indexAggregations(), [8, 2, [0, 1, 2, 3], 0, 3])) > 0);
+    });
+
+    test("aggregates records matching values that are not valid keys", async () =>
+    {
+        await db.updateStructureObjectStore("users", [{ name: "even" }, { name: "nickname" }]);
+        await db.updateWhere("users", { where: (user) => user.age === 0 }, { nickname: null });
+
+        assert.equal(await db.count("users", { where: { even: true } }), 5);
+        assert.equal(await db.count("users", { where: { nickname: null } }), 2);
+        assert.equal(await db.sum("users", "age", { where: { even: false } }), 10);
+        assert.equal(await db.avg("users", "age", { where: { even: true } }), 2);
+        const groups = await db.groupBy("users", "even", { where: { nickname: null } });
+        assert.deepEqual(groups, [{ group: true, count: 1 }, { group: false, count: 1 }]);
+    });
+});
@@ -0,0 +1,130 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { ConstraintError, NotFoundError, ValidationError } from "../EasyIndexedDB.js";
+import { describeBackends, openDatabase } from "../test-support/backends.js";
+
+describeBackends("Records", (backend) =>
+{
+    let db;
+    beforeEach(async () =>
+    {
+        db = await openDatabase(backend);
+        await db.createObjectStore("users", [{ name: "email", unique: true }, { name: "age" }]);
+    });
+    afterEach(() => db.close());
+
+    test("inserts and selects records", async () =>
+    {
+        await db.insertDataObjectStore("users", { email: "a@example.com", age: 30 });
+        await db.insertMultipleDataObjectStore("users", [{ email: "b@example.com", age: 20 }, { email: "c@example.com", age: 20 }]);
+
+        assert.deepEqual(await db.selectDataObjectStore("users", "age", 20), { email: "b@example.com", age: 20 });
+        assert.deepEqual(await db.selectDataObjectStore("users", "email", "c@example.com", ["age"]), { age: 20 });
+        assert.equal(await db.selectDataObjectStore("users", "email", "z@example.com"), null);
+        assert.deepEqual((await db.selectAllDataObjectStore("users", ["email"])).map(user => user.email), ["a@example.com", "b@example.com", "c@example.com"]);
+    });
+
+    test("rejects records breaking a unique index and keeps the store unchanged", async () =>
+    {
+        await db.insertDataObjectStore("users", { email: "a@example.com" });
+        await assert.rejects(db.insertDataObjectStore("users", { email: "a@example.com" }), ConstraintError);
+        await assert.rejects(db.insertMultipleDataObjectStore("users", [{ email: "b@example.com" }, { email: "a@example.com" }]), ConstraintError);
+        assert.equal((await db.selectAllDataObjectStore("users")).length, 1);
+    });
+
+    test("reports the violated unique index and key", async () =>
+    {
+        const id = await db.insertDataObjectStore("users", { email: "a@example.com" });
+        const violation = { name: "ConstraintError", store: "users", index: "email", key: "a@example.com" };
+
+        await assert.rejects(db.insertDataObjectStore("users", { email: "a@example.com" }), violation);
+        await assert.rejects(db.insertMultipleDataObjectStore("users", [{ email: "b@example.com" }, { email: "a@example.com" }]), violation);
+        await assert.rejects(db.putDataObjectStore("users", { email: "a@example.com" }), violation);
+
+        const otherId = await db.insertDataObjectStore("users", { email: "b@example.com" });
+        await assert.rejects(db.patchByKey("users", otherId, { email: "a@example.com" }), violation);
+        assert.equal(await db.putDataObjectStore("users", { email: "a@example.com", age: 31 }, id), id);
+
+        await db.createObjectStore("products", [{ name: "name", unique: true }], { keyPath: "sku" });
+        await db.insertDataObjectStore("products", { sku: "123", name: "Lamp" });
+        await assert.rejects(db.insertDataObjectStore("products", { sku: "123", name: "Desk" }), { name: "ConstraintError", store: "products", index: undefined, key: "123" });
+        await assert.rejects(db.putDataObjectStore("products", { sku: "456", name: "Lamp" }), { name: "ConstraintError", index: "name", key: "Lamp" });
+    });
+
+    test("rejects invalid records and missing Object Stores", async () =>
+    {
+        await assert.rejects(db.insertDataObjectStore("users", null), ValidationError);
+        await assert.rejects(db.insertDataObjectStore("nope", { email: "a@example.com" }), NotFoundError);
+        await assert.rejects(db.selectDataObjectStore("users", "nope", 1), NotFoundError);
+    });
+
+    test("updates and deletes records by index value", async () =>
+    {
+        await db.insertMultipleDataObjectStore("users", [{ email: "a@example.com", age: 20 }, { email: "b@example.com", age: 20 }]);
+        await db.updateDataObjectStore("users", "email", "a@example.com", "z@example.com");
+        await db.updateDataObjectStore("users", "email", "b@example.com", null, false, [{ index: "age", value: 21 }]);
+        assert.deepEqual(await db.selectAllDataObjectStore("users"), [{ email: "z@example.com", age: 20 }, { email: "b@example.com", age: 21 }]);
+
+        await db.deleteDataObjectStore("users", "email", "z@example.com");
+        assert.deepEqual(await db.selectAllDataObjectStore("users"), [{ email: "b@example.com", age: 21 }]);
+        await db.deleteAllDataObjectStore("users");
+        assert.deepEqual(await db.selectAllDataObjectStore("users"), []);
+    });
+
+    test("reads and writes records by primary key", async () =>
+    {
+        const key = await db.putDataObjectStore("users", { email: "a@example.com" });
+        await db.putDataObjectStore("users", { email: "a2@example.com" }, key);
+        await db.patchByKey("users", key, { age: 5 });
+
+        assert.deepEqual(await db.getByKey("users", key), { email: "a2@example.com", age: 5 });
+        assert.deepEqual(await db.getManyByKeys("users", [key, 99]), [{ email: "a2@example.com", age: 5 }, null]);
+        assert.equal(await db.deleteByKey("users", key), true);
+        assert.equal(await db.deleteByKey("users", key), false);
+    });
+
+    test("updates and deletes records matching a condition", async () =>
+    {
+        await db.insertMultipleDataObjectStore("users", [{ email: "a@example.com", age: 20 }, { email: "b@example.com", age: 30 }, { email: "c@example.com", age: 40 }]);
+
+        assert.deepEqual(await db.updateWhere("users", { index: "age", range: { gte: 30 } }, { "profile.senior": true }), { count: 2, keys: [2, 3] });
+        assert.deepEqual(await db.getByKey("users", 3), { email: "c@example.com", age: 40, profile: { senior: true } });
+        assert.deepEqual(await db.deleteWhere("users", { where: (user) => user.age < 35 }), { count: 2, keys: [1, 2] });
+        assert.deepEqual(await db.updateWhere("users", { where: { age: 99 } }, { age: 1 }), { count: 0, keys: [] });
+    });
+
+    test("matches values that are not valid keys on indexed fields", async () =>
+    {
+        await db.createObjectStore("todos", [{ name: "done" }, { name: "title" }]);
+        await db.insertMultipleDataObjectStore("todos", [{ title: "A", done: false }, { title: null, done: true }, { title: "C", done: false }]);
+
+        assert.deepEqual(await db.updateWhere("todos", { where: { done: false } }, { done: true }), { count: 2, keys: [1, 3] });
+        assert.deepEqual(await db.updateWhere("todos", { where: { done: false } }, { done: true }), { count: 0, keys: [] });
+        assert.deepEqual(await db.deleteWhere("todos", { where: { title: null } }), { count: 1, keys: [2] });
+        assert.deepEqual(await db.deleteWhere("todos", { where: { title: "A", done: true } }), { count: 1, keys: [1] });
+        assert.deepEqual(await db.selectAllDataObjectStore("todos"), [{ title: "C", done: true }]);
+    });
+
+    test("commits transactions across Object Stores atomically", async () =>
+    {
+        await db.createObjectStore("orders");
+        const key = await db.transaction(["users", "orders"], "readwrite", async (tx) =>
+        {
+            await tx.insertDataObjectStore("users", { email: "a@example.com" });
+            return tx.insertDataObjectStore("orders", { email: "a@example.com" });
+        });
+        assert.equal(key, 1);
+
+        await assert.rejects(db.transaction(["users", "orders"], "readwrite", async (tx) =>
+        {
+            await tx.insertDataObjectStore("orders", { email: "b@example.com" });
+            await tx.insertDataObjectStore("users", { email: "a@example.com" });
+        }), ConstraintError);
+        await assert.rejects(db.transaction(["users", "orders"], "readwrite", async (tx) =>
+        {
+            await tx.insertDataObjectStore("orders", { email: "c@example.com" });
+            throw new Error("Out of stock");
+        }), /Out of stock/);
+        assert.equal((await db.selectAllDataObjectStore("orders")).length, 1);
+    });
+});
@@ -0,0 +1,87 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { ConstraintError, NotFoundError, ValidationError } from "../EasyIndexedDB.js";
+import { describeBackends, openDatabase } from "../test-support/backends.js";
+
+describeBackends("Relations", (backend) =>
+{
+    let db;
+    beforeEach(async () =>
+    {
+        db = await openDatabase(backend);
+        await db.createObjectStore("customers", [], { keyPath: "id" });
+        await db.createObjectStore("orders", [{ name: "customerId" }], { keyPath: "id" });
+        await db.setRelations("orders", { customer: { type: "one", store: "customers", field: "customerId" } });
+        await db.setRelations("customers", { orders: { type: "many", store: "orders", index: "customerId" } });
+    });
+    afterEach(() => db.close());
+
+    test("includes related records in the selected records", async () =>
+    {
+        await db.insertMultipleDataObjectStore("customers", [{ id: 1, name: "Ann" }, { id: 2, name: "Bob" }]);
+        await db.insertMultipleDataObjectStore("orders", [{ id: 10, customerId: 1 }, { id: 11, customerId: 1 }, { id: 12, customerId: 3 }]);
+
+        assert.deepEqual(await db.selectAllDataObjectStore("customers", [], { include: "orders" }), [
+            { id: 1, name: "Ann", orders: [{ id: 10, customerId: 1 }, { id: 11, customerId: 1 }] },
+            { id: 2, name: "Bob", orders: [] }
+        ]);
+        assert.deepEqual(await db.getManyByKeys("orders", [11, 12], [], { include: ["customer"] }), [
+            { id: 11, customerId: 1, customer: { id: 1, name: "Ann" } },
+            { id: 12, customerId: 3, customer: null }
+        ]);
+        const included = await db.transaction(["customers", "orders"], "readonly", (tx) => tx.getByKey("orders", 10, ["id"], { include: "customer" }));
+        assert.deepEqual(included, { id: 10, customer: { id: 1, name: "Ann" } });
+        await assert.rejects(db.selectAllDataObjectStore("orders", [], { include: "items" }), ValidationError);
+    });
+
+    test("deletes the related records along with a record", async () =>
+    {
+        await db.setRelations("customers", { orders: { type: "many", store: "orders", index: "customerId", onDelete: "cascade" } });
+        await db.insertMultipleDataObjectStore("customers", [{ id: 1 }, { id: 2 }]);
+        await db.insertMultipleDataObjectStore("orders", [{ id: 10, customerId: 1 }, { id: 11, customerId: 1 }, { id: 12, customerId: 2 }]);
+
+        await db.deleteByKey("customers", 1);
+        assert.deepEqual(await db.selectAllDataObjectStore("orders"), [{ id: 12, customerId: 2 }]);
+    });
+
+    test("prevents deleting a record that still has related records", async () =>
+    {
+        await db.setRelations("customers", { orders: { type: "many", store: "orders", index: "customerId", onDelete: "restrict" } });
+        await db.insertMultipleDataObjectStore("customers", [{ id: 1 }, { id: 2 }]);
+        await db.insertDataObjectStore("orders", { id: 10, customerId: 1 });
+
+        await assert.rejects(db.deleteManyByKeys("customers", [2, 1]), ConstraintError);
+        assert.equal((await db.selectAllDataObjectStore("customers")).length, 2);
+        await db.deleteByKey("orders", 10);
+        assert.equal(await db.deleteByKey("customers", 1), true);
+    });
+
+    test("rejects invalid relations", async () =>
+    {
+        await assert.rejects(db.setRelations("orders", { customer: { type: "one", store: "suppliers" } }), NotFoundError);
+        await assert.rejects(db.setRelations("customers", { orders: { type: "many", store: "orders" } }), ValidationError);
+        await assert.rejects(db.setRelations("customers", { orders: { type: "many", store: "orders", index: "total" } }), NotFoundError);
+    });
+
+    test("includes related records of and from encrypted Object Stores, decrypted", async () =>
+    {
+        await db.setEncryption("customers", { passphrase: "secret", iterations: 1000 });
+        await db.insertDataObjectStore("customers", { id: 1, name: "Ann" });
+        await db.insertDataObjectStore("orders", { id: 10, customerId: 1, total: 5 });
+
+        assert.deepEqual(await db.selectAllDataObjectStore("orders", [], { include: "customer" }), [{ id: 10, customerId: 1, total: 5, customer: { id: 1, name: "Ann" } }]);
+        assert.deepEqual(await db.getByKey("customers", 1, ["name"], { include: "orders" }), { name: "Ann", orders: [{ id: 10, customerId: 1, total: 5 }] });
+        await assert.rejects(db.transaction(["orders"], "readonly", (tx) => tx.selectAllDataObjectStore("orders", [], { include: "customer" })), ValidationError);
+    });
+
+    test("includes related records through a blind index", async () =>
+    {
+        await db.setEncryption("orders", { passphrase: "secret", iterations: 1000, blindIndexes: ["customerId"] });
+        await db.insertDataObjectStore("customers", { id: 1, name: "Ann" });
+        await db.insertMultipleDataObjectStore("orders", [{ id: 10, customerId: 1, total: 5 }, { id: 11, customerId: 2, total: 7 }]);
+
+        const page = await db.selectPageDataObjectStore("customers", { include: "orders" });
+        assert.deepEqual(page, { records: [{ id: 1, name: "Ann", orders: [{ id: 10, customerId: 1, total: 5 }] }], nextToken: null });
+        assert.deepEqual(await db.queryDataObjectStore("orders", { fields: ["total"], include: "customer" }), [{ total: 5, customer: { id: 1, name: "Ann" } }, { total: 7, customer: null }]);
+    });
+});
@@ -0,0 +1,221 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import EasyIndexedDB, { NotFoundError, ValidationError } from "../EasyIndexedDB.js";
+import { describeBackends, openDatabase } from "../test-support/backends.js";
+
+describeBackends("Schema", (backend) =>
+{
+    let db;
+    beforeEach(async () => { db = await openDatabase(backend); });
+    afterEach(() => db.close());
+
+    test("creates Object Stores with out-of-line auto-incremented keys by default", async () =>
+    {
+        await db.createObjectStore("users", [{ name: "email", unique: true }]);
+        assert.equal(await db.insertDataObjectStore("users", { email: "a@example.com" }), 1);
+        assert.equal(await db.insertDataObjectStore("users", { email: "b@example.com" }), 2);
+        assert.deepEqual(await db.getByKey("users", 2), { email: "b@example.com" });
+    });
+
+    test("creates Object Stores with inline keys and generated keys", async () =>
+    {
+        await db.createObjectStore("people", [], { keyPath: "id" });
+        await db.createObjectStore("sessions", [], { keyPath: "id", keyGenerator: "uuid" });
+        assert.equal(await db.insertDataObjectStore("people", { id: "p1" }), "p1");
+        const key = await db.insertDataObjectStore("sessions", { user: "p1" });
+        assert.match(key, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+        assert.deepEqual(await db.getByKey("sessions", key), { id: key, user: "p1" });
+    });
+
+    test("supports compound and multiEntry indexes", async () =>
+    {
+        await db.createObjectStore("people", [{ name: "fullName", keyPath: ["last", "first"] }, { name: "tags", multiEntry: true }], { keyPath: "id" });
+        await db.insertMultipleDataObjectStore("people", [
+            { id: 1, last: "Doe", first: "John", tags: ["a", "b"] },
+            { id: 2, last: "Doe", first: "Jane", tags: ["b"] },
+            { id: 3, last: "Roe", first: "Ann", tags: [] }
+        ]);
+        const does = await db.queryDataObjectStore("people", { index: "fullName", range: { between: [["Doe"], ["Doe", []]] } });
+        assert.deepEqual(does.map(person => person.id), [2, 1]);
+        const tagged = await db.queryDataObjectStore("people", { index: "tags", range: { equals: "b" } });
+        assert.deepEqual(tagged.map(person => person.id), [1, 2]);
+    });
+
+    test("reports existing Object Stores instead of recreating them", async () =>
+    {
+        await db.createObjectStore("users");
+        await db.insertDataObjectStore("users", { name: "A" });
+        await db.createObjectStore("users");
+        assert.equal((await db.selectAllDataObjectStore("users")).length, 1);
+    });
+
+    test("bumps the version on each schema change", async () =>
+    {
+        const versionOf = async () => JSON.parse(await db.exportDatabase()).database.version;
+        const version = await versionOf();
+        await db.createObjectStore("users", [{ name: "age" }]);
+        await db.updateStructureObjectStore("users", [{ name: "name" }], ["age"]);
+        await db.deleteObjectStore("users");
+        assert.equal(await versionOf(), version + 3);
+    });
+
+    test("adds, removes and renames indexes, indexing existing records", async () =>
+    {
+        await db.createObjectStore("users", [{ name: "email", unique: true }, { name: "age" }]);
+        await db.insertMultipleDataObjectStore("users", [{ email: "a@example.com", name: "A" }, { email: "b@example.com", name: "B" }]);
+        await db.updateStructureObjectStore("users", [{ name: "name" }], ["age"], [{ oldName: "email", newName: "mail", unique: true }]);
+
+        assert.deepEqual(await db.selectDataObjectStore("users", "name", "B"), { mail: "b@example.com", name: "B" });
+        assert.deepEqual(await db.selectDataObjectStore("users", "mail", "a@example.com", ["name"]), { name: "A" });
+        await assert.rejects(db.selectDataObjectStore("users", "age", 1), NotFoundError);
+    });
+
+    test("keeps the key path and flags of renamed indexes", async () =>
+    {
+        const indexes = [{ name: "fullName", keyPath: ["last", "first"], unique: true }, { name: "code", keyPath: "meta.code" }, { name: "tags", multiEntry: true }];
+        await db.createObjectStore("people", indexes, { keyPath: "id" });
+        await db.insertDataObjectStore("people", { id: 1, last: "Doe", first: "Jane", meta: { code: "x1" }, tags: ["a", "b"] });
+        await db.updateStructureObjectStore("people", [], [], [
+            { oldName: "fullName", newName: "byName" },
+            { oldName: "code", newName: "byCode", unique: true },
+            { oldName: "tags", newName: "labels" }
+        ]);
+
+        const people = JSON.parse(await db.exportDatabase()).stores.find(store => store.name === "people");
+        const renamed = people.indexes.filter(index => !index.name.startsWith("__")).sort((a, b) => a.name.localeCompare(b.name));
+        assert.deepEqual(renamed, [
+            { name: "byCode", keyPath: "meta.code", unique: true, multiEntry: false },
+            { name: "byName", keyPath: ["last", "first"], unique: true, multiEntry: false },
+            { name: "labels", keyPath: "labels", unique: false, multiEntry: true }
+        ]);
+        assert.deepEqual(await db.selectDataObjectStore("people", "labels", "b", ["id", "labels"]), { id: 1, labels: ["a", "b"] });
+        await assert.rejects(db.insertDataObjectStore("people", { id: 2, last: "Doe", first: "Jane" }), { name: "ConstraintError", index: "byName" });
+    });
+
+    test("deletes Object Stores", async () =>
+    {
+        await db.createObjectStore("users");
+        await db.deleteObjectStore("users");
+        await assert.rejects(db.selectAllDataObjectStore("users"), NotFoundError);
+    });
+
+    test("applies only the pending migrations", async () =>
+    {
+        const schema = { migrations: [{ version: 1, createStores: [{ name: "notes", indexes: [{ name: "title" }] }] }] };
+        const name = `migrations-${backend.name}`;
+        const shared = backend.createBackend();
+        const first = new EasyIndexedDB({ backend: shared });
+        await first.initialize(name, schema);
+        await first.insertDataObjectStore("notes", { title: "Kept" });
+        first.close();
+
+        schema.migrations.push({ version: 2, transform: { notes: (note) => ({ ...note, title: note.title.toUpperCase() }) } });
+        const second = new EasyIndexedDB({ backend: shared });
+        await second.initialize(name, schema);
+        assert.deepEqual(await second.selectAllDataObjectStore("notes"), [{ title: "KEPT" }]);
+        await second.delete();
+    });
+
+    test("keeps the store settings declared by migrations across reloads", async () =>
+    {
+        const schema = { migrations: [{ version: 1, createStores: [{ name: "orders", options: { keyPath: "id" }, history: true, search: { fields: ["item"] } }] }] };
+        const name = `migration-settings-${backend.name}`;
+        const shared = backend.createBackend();
+        const first = new EasyIndexedDB({ backend: shared });
+        await first.initialize(name, schema);
+        await first.setHistory("orders", true);
+        await first.insertDataObjectStore("orders", { id: 1, item: "apples" });
+        await assert.rejects(first.setSoftDelete("orders", true), ValidationError);
+        first.close();
+
+        const second = new EasyIndexedDB({ backend: shared });
+        await second.initialize(name, schema);
+        assert.deepEqual((await second.getHistory("orders", 1)).map(entry => entry.operation), ["insert"]);
+        assert.deepEqual(await second.search("orders", "apples"), [{ id: 1, item: "apples" }]);
+        second.close();
+
+        schema.migrations.push({ version: 2, updateStores: [{ name: "orders", history: null, softDelete: true }] });
+        const third = new EasyIndexedDB({ backend: shared });
+        await third.initialize(name, schema);
+        await third.deleteByKey("orders", 1);
+        assert.deepEqual((await third.getHistory("orders", 1)).map(entry => entry.operation), ["insert"]);
+        assert.equal(await third.getByKey("orders", 1), null);
+        await third.undelete("orders", 1);
+        assert.deepEqual(await third.getByKey("orders", 1), { id: 1, item: "apples" });
+        await third.delete();
+    });
+
+    test("creates the internal Object Stores of a feature in a single upgrade", async () =>
+    {
+        const versionOf = async () => JSON.parse(await db.exportDatabase()).database.version;
+        const version = await versionOf();
+        await db.putFile("report", new Blob(["report"]));
+        assert.equal(await versionOf(), version + 1);
+        await db.putFile("summary", new Blob(["summary"]));
+        assert.equal(await versionOf(), version + 1);
+    });
+
+    test("uses files and sync on a database managed by migrations without changing its version", async () =>
+    {
+        const schema = { migrations: [{ version: 1, createStores: [{ name: "notes", options: { keyPath: "id" } }] }] };
+        const name = `migration-internal-stores-${backend.name}`;
+        const shared = backend.createBackend();
+        const first = new EasyIndexedDB({ backend: shared });
+        await first.initialize(name, schema);
+        await first.putFile("report", new Blob(["report"]));
+        await first.setSync({ url: "https://sync.example.test/changes", stores: ["notes"], fetch: async () => ({ ok: true, status: 200 }) });
+        await first.insertDataObjectStore("notes", { id: 1 });
+        assert.equal(await first.countPendingChanges(), 1);
+        first.close();
+
+        const second = new EasyIndexedDB({ backend: shared });
+        await second.initialize(name, schema);
+        assert.equal(await (await second.getFile("report")).text(), "report");
+        assert.equal(JSON.parse(await second.exportDatabase()).database.version, 1);
+        await second.delete();
+    });
+
+    test("sees the schema changes of another instance", async () =>
+    {
+        const shared = backend.createBackend();
+        const name = `shared-${backend.name}`;
+        const first = new EasyIndexedDB({ backend: shared });
+        const second = new EasyIndexedDB({ backend: shared });
+        await first.initialize(name);
+        await second.initialize(name);
+
+        await first.createObjectStore("users");
+        await second.insertDataObjectStore("users", { name: "A" });
+        assert.deepEqual(await first.selectAllDataObjectStore("users"), [{ name: "A" }]);
+        second.close();
+        await first.delete();
+    });
+
+    test("runs data operations after the schema changes requested before them", async () =>
+    {
+        await db.createObjectStore("notes");
+        const [first, created, second, indexed, selected] = await Promise.allSettled([
+            db.insertDataObjectStore("notes", { text: "A" }),
+            db.createObjectStore("drafts"),
+            db.insertDataObjectStore("drafts", { text: "B" }),
+            db.updateStructureObjectStore("notes", [{ name: "text" }]),
+            db.selectDataObjectStore("notes", "text", "A")
+        ]);
+        assert.deepEqual([first, created, second, indexed].map(result => result.status), ["fulfilled", "fulfilled", "fulfilled", "fulfilled"]);
+        assert.deepEqual(selected.value, { text: "A" });
+        assert.deepEqual(await db.selectAllDataObjectStore("drafts"), [{ text: "B" }]);
+    });
+
+    test("reconnects after close", async () =>
+    {
+        await db.createObjectStore("users");
+        await db.close();
+        await db.insertDataObjectStore("users", { name: "A" });
+        assert.equal((await db.selectAllDataObjectStore("users")).length, 1);
+    });
+
+    test("rejects invalid names", async () =>
+    {
+        await assert.rejects(db.createObjectStore(""), ValidationError);
+    });
+});
@@ -0,0 +1,77 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { ValidationError } from "../EasyIndexedDB.js";
+import { describeBackends, openDatabase } from "../test-support/backends.js";
+
+describeBackends("Search", (backend) =>
+{
+    let db;
+    beforeEach(async () =>
+    {
+        db = await openDatabase(backend);
+        await db.createObjectStore("notes", [], { keyPath: "id" });
+        await db.insertMultipleDataObjectStore("notes", [
+            { id: 1, title: "Running notes", body: "Notes on running and walking, and more notes" },
+            { id: 2, title: "Café menu", body: "Coffee and tea" }
+        ]);
+    });
+    afterEach(() => db.close());
+
+    /**
+     * Searches the notes and returns the ids of the matching ones.
+     * @param {string} text - The text to search for.
+     * @param {object} [options] - Optional. The search options.
+     * @returns {Promise<number[]>} A promise that resolves with the ids, best match first.
+     */
+    async function searchIds(text, options)
+    {
+        return (await db.search("notes", text, options)).map(note => note.id);
+    }
+
+    test("finds the records containing every term, best match first", async () =>
+    {
+        await db.setSearchFields("notes", ["title", "body"]);
+        await db.insertDataObjectStore("notes", { id: 3, title: "Walking", body: "A note about notes" });
+
+        assert.deepEqual(await searchIds("NOTES"), [1, 3]);
+        assert.deepEqual(await searchIds("notes walking"), [1, 3]);
+        assert.deepEqual(await searchIds("cafe"), [2]);
+        assert.deepEqual(await searchIds("notes coffee"), []);
+        assert.deepEqual(await searchIds("notes", { limit: 1 }), [1]);
+        assert.deepEqual(await searchIds("walking", { fields: ["title"] }), [3]);
+        assert.deepEqual(await searchIds("cof"), []);
+        assert.deepEqual(await searchIds("cof", { prefix: true }), [2]);
+    });
+
+    test("keeps the index up to date with writes", async () =>
+    {
+        await db.setSearchFields("notes", ["title"]);
+        await db.patchByKey("notes", 2, { title: "Tea menu" });
+        await db.deleteByKey("notes", 1);
+
+        assert.deepEqual(await searchIds("tea"), [2]);
+        assert.deepEqual(await searchIds("cafe"), []);
+        assert.deepEqual(await searchIds("running"), []);
+    });
+
+    test("matches the other forms of a word with stemming", async () =>
+    {
+        await db.setSearchFields("notes", ["body"], { stemming: true });
+
+        assert.deepEqual(await searchIds("runs"), [1]);
+        assert.deepEqual(await searchIds("walked"), [1]);
+        await db.setSearchFields("notes", ["body"]);
+        assert.deepEqual(await searchIds("runs"), []);
+    });
+
+    test("rejects searches of fields that are not searchable", async () =>
+    {
+        await assert.rejects(db.search("notes", "notes"), ValidationError);
+        await db.setSearchFields("notes", ["title"]);
+        await assert.rejects(db.search("notes", "notes", { fields: ["body"] }), ValidationError);
+        await assert.rejects(db.search("notes", "notes", { limit: 0 }), ValidationError);
+
+        await db.setSearchFields("notes", null);
+        await assert.rejects(db.search("notes", "notes"), ValidationError);
+    });
+});
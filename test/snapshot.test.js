@@ -0,0 +1,100 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { ValidationError } from "../EasyIndexedDB.js";
+import { describeBackends, openDatabase } from "../test-support/backends.js";
+
+describeBackends("Snapshot", (backend) =>
+{
+    let db;
+    beforeEach(async () =>
+    {
+        db = await openDatabase(backend);
+        await db.createObjectStore("orders", [], { keyPath: "id" });
+    });
+    afterEach(() => db.close());
+
+    /**
+     * Lists the Object Stores a snapshot of the database would contain.
+     * @param {EasyIndexedDB} database - The database.
+     * @returns {Promise<string[]>} A promise that resolves with the sorted names.
+     */
+    async function storeNames(database)
+    {
+        return JSON.parse(await database.exportDatabase()).stores.map(store => store.name).sort();
+    }
+
+    test("restores the schema and the typed values of a JSON snapshot", async () =>
+    {
+        await db.createObjectStore("events", [{ name: "at" }]);
+        await db.createObjectStore("sessions", [], { keyPath: "id", keyGenerator: "uuid" });
+        await db.insertDataObjectStore("events", { at: new Date(5), tags: new Set(["a"]), counts: new Map([["b", 1]]), bytes: new Uint8Array([1, 2]), file: new Blob(["hi"]) });
+        const json = await db.exportDatabase();
+
+        const copy = await openDatabase(backend);
+        await copy.importDatabase(json);
+        const [event] = await copy.selectAllDataObjectStore("events");
+        assert.deepEqual({ ...event, file: undefined }, { at: new Date(5), tags: new Set(["a"]), counts: new Map([["b", 1]]), bytes: new Uint8Array([1, 2]), file: undefined });
+        assert.equal(await event.file.text(), "hi");
+        assert.deepEqual(await copy.selectDataObjectStore("events", "at", new Date(5), ["at"]), { at: new Date(5) });
+        assert.match(await copy.insertDataObjectStore("sessions", {}), /^[0-9a-f-]{36}$/);
+        assert.equal(await copy.insertDataObjectStore("events", { at: new Date(6) }), 2);
+        copy.close();
+    });
+
+    test("imports an NDJSON stream", async () =>
+    {
+        await db.insertMultipleDataObjectStore("orders", [{ id: 1 }, { id: 2 }, { id: 3 }]);
+        const stream = await db.exportDatabase({ format: "ndjson", batchSize: 2 });
+
+        const copy = await openDatabase(backend);
+        await copy.importDatabase(stream);
+        assert.deepEqual(await copy.selectAllDataObjectStore("orders"), [{ id: 1 }, { id: 2 }, { id: 3 }]);
+        copy.close();
+    });
+
+    test("replaces the database with the snapshot, or merges the snapshot into it", async () =>
+    {
+        await db.insertMultipleDataObjectStore("orders", [{ id: 1, item: "apples" }, { id: 2, item: "pears" }]);
+        const snapshot = await db.exportDatabase();
+        await db.createObjectStore("drafts");
+        await db.insertDataObjectStore("drafts", { text: "kept by merge" });
+        await db.putDataObjectStore("orders", { id: 1, item: "plums" });
+        await db.insertDataObjectStore("orders", { id: 3, item: "figs" });
+
+        await db.importDatabase(snapshot, { mode: "merge" });
+        assert.deepEqual(await db.selectAllDataObjectStore("orders"), [{ id: 1, item: "apples" }, { id: 2, item: "pears" }, { id: 3, item: "figs" }]);
+        assert.deepEqual(await storeNames(db), ["drafts", "orders"]);
+
+        await db.importDatabase(snapshot);
+        assert.deepEqual(await db.selectAllDataObjectStore("orders"), [{ id: 1, item: "apples" }, { id: 2, item: "pears" }]);
+        assert.deepEqual(await storeNames(db), ["orders"]);
+    });
+
+    test("rejects invalid snapshots and options", async () =>
+    {
+        await assert.rejects(db.importDatabase("not a snapshot"), ValidationError);
+        await assert.rejects(db.importDatabase({ format: "other", database: {}, stores: [] }), ValidationError);
+        await assert.rejects(db.importDatabase(await db.exportDatabase(), { mode: "append" }), ValidationError);
+        await assert.rejects(db.exportDatabase({ format: "csv" }), ValidationError);
+    });
+
+    test("imports records without adding them to the history or the change log", async () =>
+    {
+        await db.setHistory("orders", true);
+        await db.setSync({ url: "https://sync.example.test/changes", stores: ["orders"], fetch: async () => ({ ok: true, status: 200 }) });
+        await db.insertDataObjectStore("orders", { id: 1, item: "apples" });
+        const snapshot = JSON.parse(await db.exportDatabase());
+        assert.deepEqual(snapshot.stores.map(store => store.name).sort(), ["__history", "orders"]);
+
+        await db.importDatabase(snapshot);
+        assert.deepEqual((await db.getHistory("orders", 1)).map(entry => entry.operation), ["insert"]);
+        assert.equal(await db.countPendingChanges(), 0);
+
+        await db.insertDataObjectStore("orders", { id: 2, item: "pears" });
+        await db.importDatabase(snapshot, { mode: "merge" });
+        assert.deepEqual((await db.getHistory("orders", 1)).map(entry => entry.operation), ["insert"]);
+        assert.deepEqual((await db.getHistory("orders", 2)).map(entry => entry.operation), ["insert"]);
+        assert.equal(await db.countPendingChanges(), 1);
+        assert.deepEqual(await db.selectAllDataObjectStore("orders"), [{ id: 1, item: "apples" }, { id: 2, item: "pears" }]);
+    });
+});
@@ -0,0 +1,182 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { SyncError, ValidationError } from "../EasyIndexedDB.js";
+import { describeBackends, openDatabase } from "../test-support/backends.js";
+
+/**
+ * Creates an in-memory sync endpoint, reached through the `fetch` it exposes. It keeps the pushed batches and the requests it
+ * received, and serves the changes of its log after the `since` checkpoint, `pageSize` at a time.
+ * @param {number} [pageSize=2] - Optional. The maximum number of changes per pull response.
+ * @returns {{fetch: Function, log: object[], pushed: object[][], requests: {method: string, url: URL, headers: object}[], status: number}} The endpoint.
+ */
+function createServer(pageSize = 2)
+{
+    const server = { log: [], pushed: [], requests: [], status: 200 };
+    server.fetch = async (url, init) =>
+    {
+        const request = { method: init.method, url: new URL(url), headers: init.headers };
+        server.requests.push(request);
+        if (server.status !== 200) { return { ok: false, status: server.status }; }
+        if (request.method === "POST")
+        {
+            server.pushed.push(JSON.parse(init.body).changes);
+            return { ok: true, status: 200 };
+        }
+
+        const since = Number(request.url.searchParams.get("since") ?? 0);
+        const changes = server.log.filter(change => change.seq > since).slice(0, pageSize);
+        const checkpoint = changes.length ? changes.at(-1).seq : since;
+        const hasMore = server.log.some(change => change.seq > checkpoint);
+        return { ok: true, status: 200, json: async () => ({ changes, checkpoint: String(checkpoint), hasMore }) };
+    };
+    return server;
+}
+
+describeBackends("Sync", (backend) =>
+{
+    let db;
+    let server;
+    beforeEach(async () =>
+    {
+        db = await openDatabase(backend);
+        await db.createObjectStore("notes", [], { keyPath: "id" });
+        await db.createObjectStore("drafts");
+        server = createServer();
+    });
+    afterEach(() => db.close());
+
+    /**
+     * Adds a change to the endpoint's log, as made by another client.
+     * @param {object} change - The change, without its sequence number.
+     * @returns {void}
+     */
+    function remoteChange(change)
+    {
+        server.log.push({ seq: server.log.length + 1, store: "notes", modifiedAt: Date.now(), ...change });
+    }
+
+    test("pushes the pending changes of synced Object Stores in batches", async () =>
+    {
+        await db.setSync({ url: "https://sync.example.test/changes", stores: ["notes"], batchSize: 2, fetch: server.fetch, headers: () => ({ Authorization: "Bearer token" }) });
+        await db.insertMultipleDataObjectStore("notes", [{ id: 1, text: "a" }, { id: 2, text: "b" }, { id: 3, text: "c" }]);
+        await db.insertDataObjectStore("drafts", { text: "not synced" });
+        await db.patchByKey("notes", 3, { text: "c2" });
+        assert.equal(await db.countPendingChanges(), 4);
+
+        assert.deepEqual(await db.pushChanges(), { pushed: 3 });
+        assert.deepEqual(server.pushed.map(batch => batch.map(change => [change.type, change.key, change.record.text])), [[["insert", 1, "a"], ["insert", 2, "b"]], [["insert", 3, "c2"]]]);
+        assert.ok(server.requests.every(request => request.method === "POST" && request.headers.Authorization === "Bearer token"));
+        assert.equal(await db.countPendingChanges(), 0);
+        assert.deepEqual(await db.pushChanges(), { pushed: 0 });
+        assert.equal(server.requests.length, 2);
+    });
+
+    test("keeps the pending changes when the endpoint rejects a push", async () =>
+    {
+        await db.setSync({ url: "https://sync.example.test/changes", stores: ["notes"], fetch: server.fetch });
+        await db.insertDataObjectStore("notes", { id: 1, text: "a" });
+        server.status = 503;
+
+        await assert.rejects(db.pushChanges(), (error) => error instanceof SyncError && error.status === 503 && error.operation === "pushChanges");
+        assert.equal(await db.countPendingChanges(), 1);
+
+        server.status = 200;
+        assert.deepEqual(await db.pushChanges(), { pushed: 1 });
+        assert.equal(await db.countPendingChanges(), 0);
+    });
+
+    test("pulls remote changes page by page from the saved checkpoint", async () =>
+    {
+        await db.insertDataObjectStore("notes", { id: 1, text: "stale" });
+        await db.setSync({ url: "https://sync.example.test/changes", stores: ["notes"], fetch: server.fetch });
+        remoteChange({ key: 2, type: "put", record: { id: 2, text: "b", at: { $type: "Date", value: 5 } } });
+        remoteChange({ key: 1, type: "delete" });
+        remoteChange({ store: "drafts", key: 1, type: "put", record: { text: "ignored" } });
+
+        assert.deepEqual(await db.pullChanges(), { pulled: 2, conflicts: 0 });
+        assert.deepEqual(server.requests.map(request => request.url.searchParams.get("since")), [null, "2"]);
+        assert.deepEqual(await db.selectAllDataObjectStore("notes"), [{ id: 2, text: "b", at: new Date(5) }]);
+        assert.deepEqual(await db.selectAllDataObjectStore("drafts"), []);
+        assert.equal(await db.countPendingChanges(), 0);
+
+        remoteChange({ key: 3, type: "put", record: { id: 3, text: "c" } });
+        assert.deepEqual(await db.pullChanges(), { pulled: 1, conflicts: 0 });
+        assert.equal(server.requests.at(-1).url.searchParams.get("since"), "3");
+        assert.deepEqual(await db.pullChanges(), { pulled: 0, conflicts: 0 });
+        assert.equal(server.requests.at(-1).url.searchParams.get("since"), "4");
+    });
+
+    test("resolves conflicts by keeping the most recent side", async () =>
+    {
+        await db.setSync({ url: "https://sync.example.test/changes", stores: ["notes"], fetch: server.fetch });
+        await db.insertMultipleDataObjectStore("notes", [{ id: 1, text: "local newer" }, { id: 2, text: "local older" }]);
+        remoteChange({ key: 1, type: "put", record: { id: 1, text: "remote older" }, modifiedAt: Date.now() - 60000 });
+        remoteChange({ key: 2, type: "put", record: { id: 2, text: "remote newer" }, modifiedAt: Date.now() + 60000 });
+
+        assert.deepEqual(await db.pullChanges(), { pulled: 2, conflicts: 2 });
+        assert.deepEqual(await db.selectAllDataObjectStore("notes"), [{ id: 1, text: "local newer" }, { id: 2, text: "remote newer" }]);
+
+        await db.pushChanges();
+        assert.deepEqual(server.pushed.flat().map(change => [change.key, change.record?.text]), [[1, "local newer"]]);
+    });
+
+    test("ignores remote changes older than the record once its local changes are pushed", async () =>
+    {
+        await db.setSync({ url: "https://sync.example.test/changes", stores: ["notes"], fetch: server.fetch });
+        await db.insertDataObjectStore("notes", { id: 1, text: "local" });
+        await db.pushChanges();
+        remoteChange({ key: 1, type: "put", record: { id: 1, text: "remote older" }, modifiedAt: Date.now() - 60000 });
+
+        assert.deepEqual(await db.pullChanges(), { pulled: 1, conflicts: 1 });
+        assert.deepEqual(await db.getByKey("notes", 1), { id: 1, text: "local" });
+
+        remoteChange({ key: 1, type: "put", record: { id: 1, text: "remote newer" }, modifiedAt: Date.now() + 60000 });
+        remoteChange({ key: 1, type: "put", record: { id: 1, text: "remote late" }, modifiedAt: Date.now() + 30000 });
+        assert.deepEqual(await db.pullChanges(), { pulled: 2, conflicts: 1 });
+        assert.deepEqual(await db.getByKey("notes", 1), { id: 1, text: "remote newer" });
+        assert.equal(await db.countPendingChanges(), 0);
+    });
+
+    test("resolves conflicts with a merge function and pushes the merged record back", async () =>
+    {
+        const conflicts = [];
+        await db.setSync({
+            url: "https://sync.example.test/changes",
+            stores: ["notes"],
+            fetch: server.fetch,
+            conflict: (local, remote, info) =>
+            {
+                conflicts.push([local, remote, info.store, info.key]);
+                return remote === null ? local : { ...remote, text: `${local.text} + ${remote.text}` };
+            }
+        });
+        await db.insertMultipleDataObjectStore("notes", [{ id: 1, text: "mine" }, { id: 2, text: "kept" }]);
+        remoteChange({ key: 1, type: "put", record: { id: 1, text: "theirs" } });
+        remoteChange({ key: 2, type: "delete" });
+
+        assert.deepEqual(await db.sync(), { pushed: 2, pulled: 2, conflicts: 0 });
+        await db.patchByKey("notes", 1, { text: "mine" });
+        await db.insertDataObjectStore("notes", { id: 3, text: "new" });
+        remoteChange({ key: 1, type: "put", record: { id: 1, text: "theirs" } });
+        remoteChange({ key: 3, type: "delete" });
+        server.pushed = [];
+
+        assert.deepEqual(await db.pullChanges(), { pulled: 2, conflicts: 2 });
+        assert.deepEqual(conflicts, [
+            [{ id: 1, text: "mine" }, { id: 1, text: "theirs" }, "notes", 1],
+            [{ id: 3, text: "new" }, null, "notes", 3]
+        ]);
+        assert.deepEqual(await db.selectAllDataObjectStore("notes"), [{ id: 1, text: "mine + theirs" }, { id: 3, text: "new" }]);
+
+        await db.pushChanges();
+        assert.deepEqual(server.pushed.flat().map(change => [change.key, change.record?.text]), [[1, "mine + theirs"], [3, "new"]]);
+    });
+
+    test("rejects invalid options", async () =>
+    {
+        await assert.rejects(db.setSync(), ValidationError);
+        await assert.rejects(db.setSync({ url: "https://sync.example.test/changes", stores: [] }), ValidationError);
+        await assert.rejects(db.setSync({ url: "https://sync.example.test/changes", stores: ["notes"], batchSize: 0 }), ValidationError);
+        await assert.rejects(db.setSync({ url: "https://sync.example.test/changes", stores: ["notes"], conflict: "first-write-wins" }), ValidationError);
+    });
+});
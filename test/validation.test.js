@@ -0,0 +1,78 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { ValidationError } from "../EasyIndexedDB.js";
+import { describeBackends, openDatabase } from "../test-support/backends.js";
+
+describeBackends("Validation", (backend) =>
+{
+    let db;
+    beforeEach(async () =>
+    {
+        db = await openDatabase(backend);
+        await db.createObjectStore("users", [], { keyPath: "id" });
+    });
+    afterEach(() => db.close());
+
+    const schema = {
+        type: "object",
+        required: ["id", "name"],
+        properties: {
+            id: { type: "integer", minimum: 1 },
+            name: { type: "string", minLength: 2 },
+            email: { type: "string", pattern: "^[^@]+@[^@]+$" },
+            role: { enum: ["admin", "user"] },
+            tags: { type: "array", items: { type: "string" }, maxItems: 2 }
+        },
+        additionalProperties: false
+    };
+
+    test("rejects records that do not match the schema, listing every failing path", async () =>
+    {
+        db.setValidator("users", schema);
+        await db.insertDataObjectStore("users", { id: 1, name: "Ann", email: "ann@example.test", role: "admin", tags: ["a"] });
+
+        await assert.rejects(db.insertDataObjectStore("users", { id: 0, name: "B", email: "b", role: "owner", tags: ["x", 1, "z"], extra: true }), (error) =>
+        {
+            assert.ok(error instanceof ValidationError);
+            assert.deepEqual(error.errors.map(({ path }) => path), ["id", "name", "email", "role", "tags", "tags[1]", "extra"]);
+            return true;
+        });
+        await assert.rejects(db.insertDataObjectStore("users", { id: 2 }), (error) => error.errors[0].path === "name");
+        await assert.rejects(db.patchByKey("users", 1, { name: "A" }), ValidationError);
+        assert.deepEqual(await db.getByKey("users", 1, ["name"]), { name: "Ann" });
+    });
+
+    test("uses the result of a validator function", async () =>
+    {
+        db.setValidator("users", (user) =>
+        {
+            if (user.id === 1) { return true; }
+            if (user.id === 2) { return "id 2 is reserved"; }
+            if (user.id === 3) { return [{ path: "name", message: "is taken" }]; }
+            return false;
+        });
+        await db.insertDataObjectStore("users", { id: 1 });
+
+        await assert.rejects(db.insertDataObjectStore("users", { id: 2 }), (error) => error instanceof ValidationError && error.errors[0].message === "id 2 is reserved");
+        await assert.rejects(db.insertDataObjectStore("users", { id: 3 }), (error) => error.errors[0].path === "name" && error.errors[0].message === "is taken");
+        await assert.rejects(db.putDataObjectStore("users", { id: 4 }), ValidationError);
+
+        db.setValidator("users", null);
+        await db.insertDataObjectStore("users", { id: 4 });
+        assert.equal((await db.selectAllDataObjectStore("users")).length, 2);
+    });
+
+    test("writes nothing from a bulk write with an invalid record", async () =>
+    {
+        db.setValidator("users", schema);
+        await assert.rejects(db.insertMultipleDataObjectStore("users", [{ id: 1, name: "Ann" }, { id: 2, name: "B" }]), (error) => error.errors[0].path === "name");
+
+        assert.deepEqual(await db.selectAllDataObjectStore("users"), []);
+    });
+
+    test("rejects invalid schemas", () =>
+    {
+        assert.throws(() => db.setValidator("users", "schema"), ValidationError);
+        assert.throws(() => db.setValidator("users", { type: "text" }), ValidationError);
+    });
+});